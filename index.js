@@ -1,7 +1,7 @@
 // index.js
 // Main process with: Project Manager backend + Application Menu.
 
-const { app, BrowserWindow, ipcMain, Menu, shell } = require("electron");
+const { app, BrowserWindow, ipcMain, Menu, shell, dialog } = require("electron");
 const path = require("path");
 const fs = require("fs");
 
@@ -33,9 +33,16 @@ function emptyDirSync(dir) {
   if (fs.existsSync(dir)) fs.rmSync(dir, { recursive: true, force: true });
   fs.mkdirSync(dir, { recursive: true });
 }
+// Workspace ⇄ project copy. Entry revisions (history/) stay out of the
+// project directory; src/main/revisions.js carries them between sessions.
+// Backups and temp files of the atomic-write layer stay where they were made.
 function copyDirSync(src, dest) {
   ensureDir(dest);
-  fs.cpSync(src, dest, { recursive: true, force: true });
+  fs.cpSync(src, dest, {
+    recursive: true,
+    force: true,
+    filter: (from) => !revisions.isRevisionPath(path.relative(src, from)) && !isAtomicArtifact(path.basename(from)),
+  });
 }
 // Utility: list files under a directory (relative paths). Limits to max entries.
 function listFilesRecursive(root, maxEntries = 500) {
@@ -62,6 +69,16 @@ function listFilesRecursive(root, maxEntries = 500) {
 // Use shared logger so IPC code can also write to the same logs
 const { appendDebugLog, getGlobalLogPath } = require('./src/main/log');
 const { pool } = require('./src/main/db');
+const snapshots = require('./src/main/snapshots');
+const revisions = require('./src/main/revisions');
+const { writeJsonAtomicSync, replaceFileSync, setAtomicLogger, isAtomicArtifact } = require('./src/shared/fs.atomic');
+const exporter = require('./src/main/export');
+const { buildEpub } = require('./src/main/export.epub');
+const { buildDocx } = require('./src/main/export.docx');
+const importer = require('./src/main/import');
+const archive = require('./src/main/archive');
+const webExport = require('./src/shared/web.export');
+setAtomicLogger(appendDebugLog);
 function listProjects() {
   const root = PROJECTS_ROOT();
   ensureDir(root);
@@ -139,6 +156,49 @@ function buildMenu() {
             w && w.webContents.send("menu:openFinder");
           },
         },
+        {
+          label: "Find && Replace…",
+          accelerator: "CmdOrCtrl+Alt+F",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:openReplace");
+          },
+        },
+        {
+          label: "Tag Manager…",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:tagManager");
+          },
+        },
+        {
+          label: "Lore Templates…",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:loreTemplates");
+          },
+        },
+        {
+          label: "Lore Kinds…",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:loreKinds");
+          },
+        },
+        {
+          label: "Link Types…",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:linkTypes");
+          },
+        },
+        {
+          label: "Story Calendar…",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:storyCalendar");
+          },
+        },
         { type: "separator" },
         {
           label: "Save",
@@ -156,6 +216,51 @@ function buildMenu() {
             w && w.webContents.send("menu:saveBack");
           },
         },
+        {
+          label: "Export…",
+          accelerator: "CmdOrCtrl+E",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:export");
+          },
+        },
+        {
+          label: "Import…",
+          accelerator: "CmdOrCtrl+Shift+E",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:import");
+          },
+        },
+        {
+          label: "Export Relationship Web…",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:exportWeb");
+          },
+        },
+        {
+          label: "Export Project Archive…",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:exportArchive");
+          },
+        },
+        {
+          label: "Import Project Archive…",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:importArchive");
+          },
+        },
+        {
+          label: "History…",
+          accelerator: "CmdOrCtrl+Shift+H",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            w && w.webContents.send("menu:openHistory");
+          },
+        },
         {
           label: "Open Global Log",
           accelerator: "CmdOrCtrl+Shift+L",
@@ -247,6 +352,14 @@ function buildMenu() {
           }
         },
         { type: "separator" },
+        {
+          label: "Focus Mode",
+          accelerator: "CmdOrCtrl+Shift+F",
+          click: () => {
+            const w = BrowserWindow.getFocusedWindow() || win;
+            if (w) w.webContents.send('menu:toggleFocus');
+          }
+        },
         { role: "togglefullscreen" },
       ],
     },
@@ -362,7 +475,7 @@ ipcMain.handle("project:new", async (_evt, { name }) => {
     };
 
     // Write project.json
-    fs.writeFileSync(path.join(dataDir, "project.json"), JSON.stringify(pj, null, 2), "utf8");
+    writeJsonAtomicSync(path.join(dataDir, "project.json"), pj);
 
     // Also create per-item files for chapters, notes, and refs (match example structure)
     try {
@@ -386,7 +499,7 @@ ipcMain.handle("project:new", async (_evt, { name }) => {
       };
   // Write per-item files using concise filenames (e.g. CH1.json, NT1.json, RF1.json)
   const chFilename = `CH${chSeq}.json`;
-  fs.writeFileSync(path.join(chaptersDir, chFilename), JSON.stringify(chapterObj, null, 2), 'utf8');
+  writeJsonAtomicSync(path.join(chaptersDir, chFilename), chapterObj);
 
       const noteObj = {
         id: ntSeq,
@@ -402,7 +515,7 @@ ipcMain.handle("project:new", async (_evt, { name }) => {
         updated_at: now
       };
   const ntFilename = `NT${ntSeq}.json`;
-  fs.writeFileSync(path.join(notesDir, ntFilename), JSON.stringify(noteObj, null, 2), 'utf8');
+  writeJsonAtomicSync(path.join(notesDir, ntFilename), noteObj);
 
       const refObj = {
         id: rfSeq,
@@ -419,7 +532,7 @@ ipcMain.handle("project:new", async (_evt, { name }) => {
         updated_at: now
       };
   const rfFilename = `RF${rfSeq}.json`;
-  fs.writeFileSync(path.join(refsDir, rfFilename), JSON.stringify(refObj, null, 2), 'utf8');
+  writeJsonAtomicSync(path.join(refsDir, rfFilename), refObj);
     } catch (e) {
       // Non-fatal: log and continue
       try { appendDebugLog(`project:new — Warning: failed to write per-item files: ${e?.message || e}`); } catch (ex) {}
@@ -489,6 +602,10 @@ ipcMain.handle("project:load", async (_evt, { dir }) => {
           }
         } catch (e) {}
         appendDebugLog(`project:saveBack — Auto-saving current workspace ${ws} back to project "${curName}" at ${global.currentProjectDir}`);
+        try { snapshots.createSnapshot(global.currentProjectDir, { reason: 'autoSaveBack' }); }
+        catch (e) { appendDebugLog(`project:saveBack — snapshot before auto-save-back failed: ${e?.message || e}`, global.currentProjectDir); }
+        try { revisions.stashRevisions(ws, global.currentProjectDir); }
+        catch (e) { appendDebugLog(`project:saveBack — stashing revisions failed: ${e?.message || e}`, global.currentProjectDir); }
         copyDirSync(ws, global.currentProjectDir);
         // Provide a file-level summary of what was saved back
         try {
@@ -506,6 +623,8 @@ ipcMain.handle("project:load", async (_evt, { dir }) => {
     emptyDirSync(ws);
     appendDebugLog(`project:load — Copying project files from ${dir} → ${ws}`);
     copyDirSync(dir, ws);
+    try { revisions.restoreRevisions(dir, ws); }
+    catch (e) { appendDebugLog(`project:load — restoring revisions failed: ${e?.message || e}`, dir); }
   global.currentProjectDir = dir;
   appendDebugLog(`project:load — Completed load of project "${incomingName}" → workspace ${ws}`, dir);
 
@@ -539,11 +658,16 @@ ipcMain.handle("project:saveBack", async () => {
     } catch (e) {}
     appendDebugLog(`project:saveBack — Manual save-back starting for project "${curName}" at ${global.currentProjectDir}`);
     ensureDir(global.currentProjectDir);
+    try { snapshots.createSnapshot(global.currentProjectDir, { reason: 'saveBack' }); }
+    catch (e) { appendDebugLog(`project:saveBack — snapshot before save-back failed: ${e?.message || e}`, global.currentProjectDir); }
+    try { revisions.stashRevisions(ws, global.currentProjectDir); }
+    catch (e) { appendDebugLog(`project:saveBack — stashing revisions failed: ${e?.message || e}`, global.currentProjectDir); }
     copyDirSync(ws, global.currentProjectDir);
     try {
       const srcFiles = listFilesRecursive(ws, 10000) || [];
       const destFiles = listFilesRecursive(global.currentProjectDir, 10000) || [];
-      const srcSet = new Set(srcFiles.map(s => s.replace(/\\/g, '/')));
+      // revision files and backups left in the project by older save-backs count as stale
+      const srcSet = new Set(srcFiles.map(s => s.replace(/\\/g, '/')).filter(s => !revisions.isRevisionPath(s) && !isAtomicArtifact(s)));
       const stale = destFiles.filter(f => !srcSet.has(f.replace(/\\/g, '/')));
       // ...existing code...
       for (const rel of stale) {
@@ -580,6 +704,209 @@ ipcMain.handle("project:saveBack", async () => {
   }
 });
 
+// ---------- IPC: Export ----------
+// Author name for export metadata: the project's creator from the `creators`
+// table, falling back to the logged-in user in prefs. Best-effort — exports
+// must still work offline, so DB lookups are time-boxed and errors ignored.
+async function resolveExportAuthor(project, { preferLoggedIn = false } = {}) {
+  const withTimeout = (p) => Promise.race([p, new Promise(resolve => setTimeout(() => resolve(null), 3000))]);
+  const creatorName = async (cid) => {
+    if (!cid) return "";
+    try {
+      const r = await withTimeout(pool.query(`SELECT display_name, email FROM creators WHERE id = $1 LIMIT 1;`, [cid]));
+      const row = r && r.rows && r.rows[0];
+      return row ? String(row.display_name || row.email || "") : "";
+    } catch (e) { appendDebugLog(`project:export — creator lookup failed: ${e?.message || e}`); return ""; }
+  };
+  const loggedInName = async () => {
+    try {
+      const r = await withTimeout(pool.query(`SELECT value AS user FROM prefs WHERE key = 'auth_user' LIMIT 1;`));
+      const u = r && r.rows && r.rows[0] && r.rows[0].user;
+      if (!u) return "";
+      return (await creatorName(Number(u.id))) || String(u.name || u.email || "");
+    } catch (e) { appendDebugLog(`project:export — auth user lookup failed: ${e?.message || e}`); return ""; }
+  };
+  const projectName = () => creatorName(Number(project && project.creator_id));
+  // Manuscripts are submitted by whoever is signed in; ebooks credit the project's creator
+  const order = preferLoggedIn ? [loggedInName, projectName] : [projectName, loggedInName];
+  for (const lookup of order) {
+    const name = await lookup();
+    if (name) return name;
+  }
+  return "";
+}
+
+// Renders the workspace (the live copy of the open project) and asks where to save it.
+ipcMain.handle("project:export", async (evt, { format, include } = {}) => {
+  try {
+    if (!global.currentProjectDir) throw new Error("No project loaded.");
+    const fmt = exporter.EXPORT_FORMATS[format];
+    if (!fmt) throw new Error(`Unsupported export format: ${format}`);
+    const ws = WORKSPACE_DIR();
+    const { title, project } = exporter.loadProjectForExport(ws);
+    const owner = BrowserWindow.fromWebContents(evt.sender) || win;
+    const pick = await dialog.showSaveDialog(owner, {
+      title: `Export ${fmt.label}`,
+      defaultPath: path.join(app.getPath("documents"), `${title.replace(/[\\/:*?"<>|]/g, "_")}.${fmt.extensions[0]}`),
+      filters: [{ name: fmt.label, extensions: fmt.extensions }],
+    });
+    if (pick.canceled || !pick.filePath) return { ok: true, canceled: true };
+    let out;
+    if (format === "epub") {
+      const author = await resolveExportAuthor(project);
+      out = buildEpub(ws, { author, includeLore: !!(include && include.lore) });
+    } else if (format === "docx") {
+      const author = await resolveExportAuthor(project, { preferLoggedIn: true });
+      out = buildDocx(ws, { author });
+    } else {
+      out = exporter.renderExport(ws, format, include);
+    }
+    replaceFileSync(pick.filePath, out, "utf8");
+    appendDebugLog(`project:export — Exported ${format} of "${title}" → ${pick.filePath}`, global.currentProjectDir);
+    return { ok: true, filePath: pick.filePath };
+  } catch (e) {
+    appendDebugLog(`project:export — Failed: ${e && e.message ? e.message : e}`);
+    return { ok: false, error: String(e) };
+  }
+});
+
+// Saves a relationship web export. The renderer draws the web, so it sends
+// the finished file: text for SVG/DOT/GraphML, PNG bytes for PNG.
+ipcMain.handle("web:export", async (evt, { format, name, data } = {}) => {
+  try {
+    const fmt = webExport.WEB_EXPORT_FORMATS[format];
+    if (!fmt) throw new Error(`Unsupported export format: ${format}`);
+    if (data == null) throw new Error("Nothing to export.");
+    const base = String(name || "Relationship web").replace(/[\\/:*?"<>|]/g, "_");
+    const owner = BrowserWindow.fromWebContents(evt.sender) || win;
+    const pick = await dialog.showSaveDialog(owner, {
+      title: `Export ${fmt.label}`,
+      defaultPath: path.join(app.getPath("documents"), `${base}.${fmt.extensions[0]}`),
+      filters: [{ name: fmt.label, extensions: fmt.extensions }],
+    });
+    if (pick.canceled || !pick.filePath) return { ok: true, canceled: true };
+    replaceFileSync(pick.filePath, format === "png" ? Buffer.from(data) : String(data));
+    appendDebugLog(`web:export — Exported ${format} of "${base}" → ${pick.filePath}`, global.currentProjectDir);
+    return { ok: true, filePath: pick.filePath };
+  } catch (e) {
+    appendDebugLog(`web:export — Failed: ${e && e.message ? e.message : e}`);
+    return { ok: false, error: String(e) };
+  }
+});
+
+// Asks for a draft to import and returns it as Markdown-style text; the
+// renderer splits it into chapters, previews and writes them itself.
+ipcMain.handle("project:importPick", async (evt) => {
+  try {
+    const owner = BrowserWindow.fromWebContents(evt.sender) || win;
+    const pick = await dialog.showOpenDialog(owner, {
+      title: "Import draft",
+      properties: ["openFile"],
+      filters: [
+        { name: "Drafts", extensions: Object.values(importer.IMPORT_FORMATS).flatMap(f => f.extensions) },
+        ...Object.values(importer.IMPORT_FORMATS).map(f => ({ name: f.label, extensions: f.extensions })),
+      ],
+    });
+    if (pick.canceled || !pick.filePaths || !pick.filePaths[0]) return { ok: true, canceled: true };
+    const filePath = pick.filePaths[0];
+    const { format, name, text } = importer.readManuscriptFile(filePath);
+    appendDebugLog(`project:importPick — Read ${format} draft ${filePath} (${text.length} chars)`, global.currentProjectDir);
+    return { ok: true, filePath, format, name, text };
+  } catch (e) {
+    appendDebugLog(`project:importPick — Failed: ${e && e.message ? e.message : e}`);
+    return { ok: false, error: String(e) };
+  }
+});
+
+// Bundles a whole project as a .inkdoodle archive. `dir` picks a project
+// folder; without it the open project's workspace (its live copy) is used.
+ipcMain.handle("project:exportArchive", async (evt, { dir } = {}) => {
+  try {
+    let src = dir;
+    if (src) {
+      const root = path.resolve(PROJECTS_ROOT());
+      if (!path.resolve(src).startsWith(root + path.sep)) throw new Error("Not a project folder.");
+    } else {
+      if (!global.currentProjectDir) throw new Error("No project loaded.");
+      src = WORKSPACE_DIR();
+    }
+    const buf = archive.createArchive(src, { appVersion: app.getVersion() });
+    const { title } = exporter.loadProjectForExport(src);
+    const owner = BrowserWindow.fromWebContents(evt.sender) || win;
+    const pick = await dialog.showSaveDialog(owner, {
+      title: "Export Project Archive",
+      defaultPath: path.join(app.getPath("documents"), `${title.replace(/[\\/:*?"<>|]/g, "_")}.${archive.ARCHIVE_EXT}`),
+      filters: [{ name: "Ink Doodle project", extensions: [archive.ARCHIVE_EXT] }],
+    });
+    if (pick.canceled || !pick.filePath) return { ok: true, canceled: true };
+    replaceFileSync(pick.filePath, buf);
+    appendDebugLog(`project:exportArchive — Bundled "${title}" from ${src} → ${pick.filePath}`, global.currentProjectDir);
+    return { ok: true, filePath: pick.filePath };
+  } catch (e) {
+    appendDebugLog(`project:exportArchive — Failed: ${e && e.message ? e.message : e}`);
+    return { ok: false, error: String(e) };
+  }
+});
+
+// Unpacks a .inkdoodle archive as a new folder under the projects root, so it
+// shows up in project:list. Asks for the file when `filePath` isn't given.
+ipcMain.handle("project:importArchive", async (evt, { filePath } = {}) => {
+  try {
+    let src = filePath;
+    if (!src) {
+      const owner = BrowserWindow.fromWebContents(evt.sender) || win;
+      const pick = await dialog.showOpenDialog(owner, {
+        title: "Import Project Archive",
+        properties: ["openFile"],
+        filters: [{ name: "Ink Doodle project", extensions: [archive.ARCHIVE_EXT] }],
+      });
+      if (pick.canceled || !pick.filePaths || !pick.filePaths[0]) return { ok: true, canceled: true };
+      src = pick.filePaths[0];
+    }
+    const root = PROJECTS_ROOT(); ensureDir(root);
+    const r = archive.importArchive(fs.readFileSync(src), root);
+    appendDebugLog(`project:importArchive — Imported "${r.title}" from ${src} → ${r.dir}${r.remapped ? ` (codes remapped ${r.remapped.from} → ${r.remapped.to})` : ""}`, r.dir);
+    return { ok: true, ...r };
+  } catch (e) {
+    appendDebugLog(`project:importArchive — Failed: ${e && e.message ? e.message : e}`);
+    return { ok: false, error: String(e) };
+  }
+});
+
+// ---------- IPC: Snapshots (History) ----------
+ipcMain.handle("snapshots:list", async () => {
+  try {
+    if (!global.currentProjectDir) throw new Error("No project loaded.");
+    return { ok: true, snapshots: snapshots.listSnapshots(global.currentProjectDir) };
+  } catch (e) {
+    return { ok: false, error: String(e) };
+  }
+});
+
+ipcMain.handle("snapshots:diff", async (_evt, { id }) => {
+  try {
+    if (!global.currentProjectDir) throw new Error("No project loaded.");
+    const { meta, entries } = snapshots.diffSnapshot(global.currentProjectDir, id, WORKSPACE_DIR());
+    return { ok: true, snapshot: meta, entries };
+  } catch (e) {
+    return { ok: false, error: String(e) };
+  }
+});
+
+// Restores into the workspace only; the renderer follows up with Save Back
+// when the user wants the restored state written to the project folder.
+ipcMain.handle("snapshots:restore", async (_evt, { id, paths }) => {
+  try {
+    if (!global.currentProjectDir) throw new Error("No project loaded.");
+    appendDebugLog(`snapshots:restore — Restoring ${paths && paths.length ? paths.length + ' file(s)' : 'whole project'} from ${id}`, global.currentProjectDir);
+    const r = snapshots.restoreSnapshot(global.currentProjectDir, id, WORKSPACE_DIR(), paths);
+    return { ok: true, restored: r.restored };
+  } catch (e) {
+    appendDebugLog(`snapshots:restore — Failed: ${e && e.message ? e.message : e}`, global.currentProjectDir);
+    return { ok: false, error: String(e) };
+  }
+});
+
 // ---------- App lifecycle ----------
 app.whenReady().then(async () => {
   initWorkspace();
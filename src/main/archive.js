@@ -0,0 +1,218 @@
+// src/main/archive.js
+// Whole-project bundles (.inkdoodle) for moving projects between machines.
+// A bundle is a zip of the project's data files plus `manifest.json`, which
+// records the schema version and a sha256 + size for every file. Import
+// verifies all of that before anything touches the projects folder.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createZip, readZip } = require('./zip');
+const { writeFileAtomicSync } = require('../shared/fs.atomic');
+
+const ARCHIVE_EXT = 'inkdoodle';
+const ARCHIVE_FORMAT = 'inkdoodle-project';
+const ARCHIVE_SCHEMA_VERSION = 1;
+const MANIFEST = 'manifest.json';
+
+// What goes into a bundle: project.json and timeline*.json from data/, and
+// the per-entry folders. Backups and temp files from the atomic-write layer
+// are left out.
+const ENTRY_DIRS = ['chapters', 'notes', 'refs', 'lore'];
+function isArchivable(rel) {
+  const parts = rel.split('/');
+  if (parts.length !== 2 || !parts[1].endsWith('.json')) return false;
+  if (parts[0] === 'data') return parts[1] === 'project.json' || /^timeline\d*\.json$/.test(parts[1]);
+  return ENTRY_DIRS.includes(parts[0]);
+}
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+function readProjectFiles(rootDir) {
+  const out = {};
+  for (const top of ['data', ...ENTRY_DIRS]) {
+    const dir = path.join(rootDir, top);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir).sort()) {
+      const rel = `${top}/${name}`;
+      if (isArchivable(rel) && fs.statSync(path.join(dir, name)).isFile()) out[rel] = fs.readFileSync(path.join(dir, name));
+    }
+  }
+  return out;
+}
+
+// → Buffer holding the .inkdoodle bundle
+function createArchive(rootDir, { appVersion } = {}) {
+  const files = readProjectFiles(rootDir);
+  if (!files['data/project.json']) throw new Error('Not a project folder (data/project.json missing)');
+  const pj = JSON.parse(files['data/project.json'].toString('utf8'));
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    schemaVersion: ARCHIVE_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    appVersion: appVersion || null,
+    project: {
+      title: pj?.project?.title || pj?.project?.name || path.basename(rootDir),
+      code: pj?.project?.code || null,
+      id: pj?.project?.id ?? null,
+    },
+    files: Object.keys(files).map(rel => ({ path: rel, size: files[rel].length, sha256: sha256(files[rel]) })),
+  };
+  return createZip([
+    { name: MANIFEST, data: JSON.stringify(manifest, null, 2) },
+    ...Object.keys(files).map(rel => ({ name: rel, data: files[rel] })),
+  ]);
+}
+
+// Validate a bundle → { manifest, files: { rel: Buffer } }. Throws with a
+// user-facing message on anything unexpected.
+function readArchive(buf) {
+  let entries;
+  try { entries = readZip(buf); }
+  catch (e) { throw new Error(`Not a valid .${ARCHIVE_EXT} bundle: ${e?.message || e}`); }
+  if (!entries[MANIFEST]) throw new Error('Bundle has no manifest.json');
+  let manifest;
+  try { manifest = JSON.parse(entries[MANIFEST].toString('utf8')); }
+  catch (e) { throw new Error('Bundle manifest is not valid JSON'); }
+  if (manifest?.format !== ARCHIVE_FORMAT) throw new Error('Bundle is not an Ink Doodle project');
+  if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) throw new Error('Bundle has no schema version');
+  if (manifest.schemaVersion > ARCHIVE_SCHEMA_VERSION) {
+    throw new Error(`Bundle uses schema v${manifest.schemaVersion}; this version of Ink Doodle reads up to v${ARCHIVE_SCHEMA_VERSION}. Update the app to import it.`);
+  }
+  if (!Array.isArray(manifest.files)) throw new Error('Bundle manifest has no file list');
+
+  const files = {};
+  for (const f of manifest.files) {
+    const rel = String(f?.path || '');
+    if (!isArchivable(rel)) throw new Error(`Bundle lists an unexpected file: ${rel}`);
+    const data = entries[rel];
+    if (!data) throw new Error(`Bundle is missing ${rel}`);
+    if (data.length !== f.size || sha256(data) !== f.sha256) throw new Error(`Checksum mismatch for ${rel}; the bundle is damaged`);
+    try { JSON.parse(data.toString('utf8')); }
+    catch (e) { throw new Error(`${rel} is not valid JSON`); }
+    files[rel] = data;
+  }
+  const extra = Object.keys(entries).filter(rel => rel !== MANIFEST && !files[rel]);
+  if (extra.length) throw new Error(`Bundle contains files not in its manifest: ${extra.slice(0, 5).join(', ')}`);
+  if (!files['data/project.json']) throw new Error('Bundle has no data/project.json');
+  return { manifest, files };
+}
+
+// Project ids/codes already used under the projects root
+function existingProjectKeys(projectsRoot) {
+  const ids = new Set();
+  const codes = new Set();
+  let count = 0;
+  if (!fs.existsSync(projectsRoot)) return { ids, codes, count };
+  for (const d of fs.readdirSync(projectsRoot, { withFileTypes: true })) {
+    if (!d.isDirectory()) continue;
+    count++;
+    try {
+      const pj = JSON.parse(fs.readFileSync(path.join(projectsRoot, d.name, 'data', 'project.json'), 'utf8'));
+      if (pj?.project?.id != null) ids.add(Number(pj.project.id));
+      if (pj?.project?.code) codes.add(String(pj.project.code));
+    } catch (e) { /* folder without a readable project.json */ }
+  }
+  return { ids, codes, count };
+}
+
+// Entry/timeline codes embed the project id: <TYPE>-<projectId(4)>-<id(6)>
+const ENTRY_CODE_RE = /^(CHP|NT|RF|LOR|TMLPRJ)-(\d{4})-(\d{6})$/;
+
+// Replace every string value and key found in `map` throughout a JSON value
+function remapDeep(value, map) {
+  if (typeof value === 'string') return map.has(value) ? map.get(value) : value;
+  if (Array.isArray(value)) return value.map(v => remapDeep(v, map));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[map.has(k) ? map.get(k) : k] = remapDeep(v, map);
+    return out;
+  }
+  return value;
+}
+
+function uniqueFolderName(projectsRoot, title) {
+  const base = String(title || 'Imported Project').replace(/[\\/:*?"<>|]/g, '_').trim() || 'Imported Project';
+  let name = base;
+  for (let n = 2; fs.existsSync(path.join(projectsRoot, name)); n++) name = `${base} (${n})`;
+  return name;
+}
+
+// Unpack a validated bundle as a new folder under projectsRoot. When the
+// project id or code is already taken the project gets the next free id, and
+// every entry/timeline code (plus project_id fields and code-named files) is
+// rewritten to match.
+// → { dir, name, title, remapped: { from, to } | null }
+function importArchive(buf, projectsRoot) {
+  const { files } = readArchive(buf);
+  const pj = JSON.parse(files['data/project.json'].toString('utf8'));
+  const project = pj.project || {};
+  const title = project.title || project.name || 'Imported Project';
+
+  const taken = existingProjectKeys(projectsRoot);
+  const oldId = Number(project.id);
+  const collides = (Number.isFinite(oldId) && taken.ids.has(oldId)) || (project.code && taken.codes.has(String(project.code)));
+
+  const codeMap = new Map();
+  let idMap = null;
+  let remapped = null;
+  if (collides) {
+    // Same rule as project:new (folder count + 1), bumped past any id in use
+    let newId = Math.max(taken.count, ...taken.ids, 0) + 1;
+    while (taken.ids.has(newId)) newId++;
+    const newPad = String(newId).padStart(4, '0');
+    const creatorPart = /^PRJ-(\d{4})-\d{6}$/.exec(String(project.code || ''))?.[1] || String(Number(project.creator_id) || 0).padStart(4, '0');
+    const newCode = `PRJ-${creatorPart}-${String(newId).padStart(6, '0')}`;
+    if (project.code) codeMap.set(String(project.code), newCode);
+
+    // Collect every entry code in the bundle and move it under the new project id
+    const collect = (v) => {
+      if (typeof v === 'string') {
+        const m = ENTRY_CODE_RE.exec(v);
+        if (m && !codeMap.has(v)) codeMap.set(v, `${m[1]}-${newPad}-${m[3]}`);
+      } else if (Array.isArray(v)) v.forEach(collect);
+      else if (v && typeof v === 'object') for (const [k, x] of Object.entries(v)) { collect(k); collect(x); }
+    };
+    for (const rel of Object.keys(files)) collect(JSON.parse(files[rel].toString('utf8')));
+    idMap = { from: Number.isFinite(oldId) ? oldId : null, to: newId };
+    remapped = { from: project.code || null, to: newCode, id: newId };
+  }
+
+  const name = uniqueFolderName(projectsRoot, title);
+  const dir = path.join(projectsRoot, name);
+  fs.mkdirSync(dir, { recursive: true });
+  try {
+    for (const [rel, data] of Object.entries(files)) {
+      let outRel = rel;
+      let out = data;
+      if (collides) {
+        let obj = remapDeep(JSON.parse(data.toString('utf8')), codeMap);
+        if (rel === 'data/project.json') {
+          obj.project = Object.assign({}, obj.project, { id: idMap.to });
+        } else if (obj && typeof obj === 'object' && !Array.isArray(obj) && obj.project_id !== undefined) {
+          obj.project_id = idMap.to;
+        }
+        const [top, file] = rel.split('/');
+        const stem = file.replace(/\.json$/, '');
+        if (codeMap.has(stem)) outRel = `${top}/${codeMap.get(stem)}.json`;
+        out = JSON.stringify(obj, null, 2);
+      }
+      const full = path.join(dir, ...outRel.split('/'));
+      fs.mkdirSync(path.dirname(full), { recursive: true });
+      writeFileAtomicSync(full, out);
+    }
+    for (const top of ['data', ...ENTRY_DIRS]) fs.mkdirSync(path.join(dir, top), { recursive: true });
+  } catch (e) {
+    // Don't leave a half-written project in the picker
+    try { fs.rmSync(dir, { recursive: true, force: true }); } catch (ex) { /* best-effort */ }
+    throw e;
+  }
+  return { dir, name, title, remapped };
+}
+
+module.exports = {
+  ARCHIVE_EXT,
+  ARCHIVE_SCHEMA_VERSION,
+  createArchive,
+  readArchive,
+  importArchive,
+};
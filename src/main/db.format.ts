@@ -91,6 +91,9 @@ let lastLoadedRefCols: Record<string, any[]> | null = null;
 let lastLoadedLoreCols: Record<string, any[]> | null = null;
 let lastLoadedTimelineCols: Record<string, any[]> | null = null;
 let lastLoadedTimelines: any[] | null = null;
+// timeline*.json files the last collectProjectData could not read or parse
+let lastTimelineReadFailures = 0;
+let lastLoadedExtras: Record<string, any> | null = null;
 // DB to local conversion variables
 let lastDbToLocalTimelines: any[] | null = null;
 
@@ -210,46 +213,64 @@ export async function collectProjectData(projectPath: string): Promise<{project:
   const refs = await readEntries('refs');
   const lores = await readEntries('lore');
   
-  // Read timeline.json file from project data directory
+  // Read every relationship web (timeline.json, timeline2.json, …) from the
+  // project data directory, in web order
   const timelines: any[] = [];
-  const timelineFile = path.join(projectPath, 'data', 'timeline.json');
-  appendDebugLog(`db.format:collectProjectData - checking for timeline file: ${timelineFile}`);
-  
+  let timelineFiles: string[] = [];
+  let timelineReadFailures = 0;
   try {
-    const timelineTxt = await fs.readFile(timelineFile, 'utf8');
-    appendDebugLog(`db.format:collectProjectData - timeline file found, size: ${timelineTxt.length} chars`);
+    timelineFiles = (await fs.readdir(path.join(projectPath, 'data')))
+      .map(f => ({ f, m: /^timeline(\d*)\.json$/.exec(f) }))
+      .filter(x => x.m)
+      .sort((a, b) => (a.m[1] ? parseInt(a.m[1], 10) : 1) - (b.m[1] ? parseInt(b.m[1], 10) : 1))
+      .map(x => path.join(projectPath, 'data', x.f));
+  } catch (err) {
+    // No data directory - no webs; anything else means webs may be missing
+    if ((err as NodeJS.ErrnoException)?.code !== 'ENOENT') {
+      appendDebugLog(`db.format:collectProjectData - cannot list timeline files: ${(err as Error).message}`);
+      timelineReadFailures += 1;
+    }
+  }
+  for (const timelineFile of timelineFiles) {
+    appendDebugLog(`db.format:collectProjectData - checking for timeline file: ${timelineFile}`);
+  
+    try {
+      const timelineTxt = await fs.readFile(timelineFile, 'utf8');
+      appendDebugLog(`db.format:collectProjectData - timeline file found, size: ${timelineTxt.length} chars`);
     
-    const timelineData = JSON.parse(timelineTxt);
-    appendDebugLog(`db.format:collectProjectData - timeline data parsed, keys: ${Object.keys(timelineData || {}).join(', ')}`);
-    appendDebugLog(`db.format:collectProjectData - timeline.id: ${timelineData?.id}, timeline.code: ${timelineData?.code}`);
+      const timelineData = JSON.parse(timelineTxt);
+      appendDebugLog(`db.format:collectProjectData - timeline data parsed, keys: ${Object.keys(timelineData || {}).join(', ')}`);
+      appendDebugLog(`db.format:collectProjectData - timeline.id: ${timelineData?.id}, timeline.code: ${timelineData?.code}`);
     
-    if (timelineData) {
-      // Use the timeline's code as the database ID (short format like TMLPRJ-0002-000001)
-      // This is the field that fits the database's 20-character limit
-      const timelineId = timelineData.code || `TML${String(proj.code || '001').padStart(3, '0')}`;
-      appendDebugLog(`db.format:collectProjectData - using timelineId: ${timelineId} (from code: ${timelineData.code})`);
-      const timeline = {
-        id: timelineData.id,  // Keep the original numeric id for later field mapping <-- SETTING FROM LOCAL DIRECTORY timelineData.id
-        code: timelineData.code,  // Keep the original string code for later field mapping <-- SETTING FROM LOCAL DIRECTORY timelineData.code
-        project_id: proj.code,
-        creator_id: proj.creator_id,
-        title: timelineData.title || `${proj.title || 'Project'} Timeline`,
-        description: timelineData.description || 'Project timeline visualization',
-        nodes: JSON.stringify(timelineData.nodes || []),
-        links: JSON.stringify(timelineData.links || []),
-        settings: JSON.stringify(timelineData.settings || {}),
-        created_at: timelineData.created_at || new Date().toISOString(),
-        updated_at: timelineData.updated_at || new Date().toISOString()
-      };
-      appendDebugLog(`NULL CHECK id:${timelineData.id}, code:${timelineData.code}`);
-      timelines.push(timeline);
-      appendDebugLog(`db.format:collectProjectData - created timeline entry: ${timelineId}, nodes: ${Object.keys(timelineData.nodes || {}).length}, links: ${Object.keys(timelineData.links || {}).length}`);
-    } else {
-      appendDebugLog(`db.format:collectProjectData - timeline data is null or empty`);
+      if (timelineData) {
+        // Use the timeline's code as the database ID (short format like TMLPRJ-0002-000001)
+        // This is the field that fits the database's 20-character limit
+        const timelineId = timelineData.code || `TML${String(proj.code || '001').padStart(3, '0')}`;
+        appendDebugLog(`db.format:collectProjectData - using timelineId: ${timelineId} (from code: ${timelineData.code})`);
+        const timeline = {
+          id: timelineData.id,  // Keep the original numeric id for later field mapping <-- SETTING FROM LOCAL DIRECTORY timelineData.id
+          code: timelineData.code,  // Keep the original string code for later field mapping <-- SETTING FROM LOCAL DIRECTORY timelineData.code
+          project_id: proj.code,
+          creator_id: proj.creator_id,
+          title: timelineData.title || `${proj.title || 'Project'} Timeline`,
+          description: timelineData.description || 'Project timeline visualization',
+          nodes: JSON.stringify(timelineData.nodes || []),
+          links: JSON.stringify(timelineData.links || []),
+          settings: JSON.stringify(timelineData.settings || {}),
+          created_at: timelineData.created_at || new Date().toISOString(),
+          updated_at: timelineData.updated_at || new Date().toISOString()
+        };
+        appendDebugLog(`NULL CHECK id:${timelineData.id}, code:${timelineData.code}`);
+        timelines.push(timeline);
+        appendDebugLog(`db.format:collectProjectData - created timeline entry: ${timelineId}, nodes: ${Object.keys(timelineData.nodes || {}).length}, links: ${Object.keys(timelineData.links || {}).length}`);
+      } else {
+        appendDebugLog(`db.format:collectProjectData - timeline data is null or empty`);
+        timelineReadFailures += 1;
+      }
+    } catch (err) {
+      appendDebugLog(`db.format:collectProjectData - timeline file read failed: ${(err as Error).message}`);
+      timelineReadFailures += 1;
     }
-  } catch (err) {
-    appendDebugLog(`db.format:collectProjectData - timeline file read failed: ${(err as Error).message}`);
-    // Timeline file may not exist - that's okay
   }
 
   // Normalize entries (unwrap wrappers), set updated_at to current time.
@@ -267,6 +288,19 @@ export async function collectProjectData(projectPath: string): Promise<{project:
   const normRefs = refs.map(r => normalizeEntry(r, 'ref'));
   const normLores = lores.map(l => normalizeEntry(l, 'lore'));
 
+  // Entry data the tables have no column for (see projectExtrasKey), keyed
+  // by the entry's DB id: which lore entry each mention resolved to, and the
+  // typed lore fields (the lore table only holds the first four, as text)
+  const extras: Record<string, any> = { lore_links: {}, lore_fields: {} };
+  for (const e of [...normChapters, ...normNotes]) {
+    if (e.code && e.lore_links && typeof e.lore_links === 'object' && Object.keys(e.lore_links).length) {
+      extras.lore_links[e.code] = e.lore_links;
+    }
+  }
+  for (const l of normLores) {
+    if (l.code && Array.isArray(l.fields)) extras.lore_fields[l.code] = l.fields;
+  }
+
   // IDs are included as one of the fields in the per-column collections
 
   // Build per-field collections (collections-of-collections) for each entry type.
@@ -426,6 +460,8 @@ export async function collectProjectData(projectPath: string): Promise<{project:
   lastLoadedRefCols = refCols;
   lastLoadedTimelineCols = timelineCols;
   lastLoadedTimelines = timelines.slice(); // Store timeline objects directly
+  lastTimelineReadFailures = timelineReadFailures;
+  lastLoadedExtras = extras;
 
   return {
     project,
@@ -477,6 +513,22 @@ export function getLastLoadedTimelineIds() {
   return lastLoadedTimelineCols ? (lastLoadedTimelineCols.id || []).slice() : [];
 }
 
+// How many web files the last collectProjectData failed to read; the upload
+// only prunes deleted webs from the database when this is 0
+export function getLastTimelineReadFailures() {
+  return lastTimelineReadFailures;
+}
+
+// prefs key of the row holding a project's extras: local entry data with no
+// DB column, uploaded as one JSON value and merged back in translateDbToLocal
+export function projectExtrasKey(projectId: string) {
+  return `project_extras:${projectId}`;
+}
+
+export function getLastLoadedExtras() {
+  return lastLoadedExtras;
+}
+
 export function getLastLoadedChapterCols() {
   return lastLoadedChapterCols;
 }
@@ -745,6 +797,11 @@ export async function translateDbToLocal(dbPayloadOrPath?: any, options?: { base
         updated_at: dbProject.updated_at ?? null
       };
 
+      // The project's extras row (see projectExtrasKey), when the caller fetched it
+      const extras = dbEntries.extras && typeof dbEntries.extras === 'object' ? dbEntries.extras : {};
+      const loreLinksOf = (id: any) => (id != null ? extras.lore_links?.[id] : undefined);
+      const loreFieldsOf = (id: any) => (id != null && Array.isArray(extras.lore_fields?.[id]) ? extras.lore_fields[id] : undefined);
+
       const chaptersIn = Array.isArray(dbEntries.chapters) ? dbEntries.chapters : [];
       const notesIn = Array.isArray(dbEntries.notes) ? dbEntries.notes : [];
       const refsIn = Array.isArray(dbEntries.refs) ? dbEntries.refs : [];
@@ -767,7 +824,8 @@ export async function translateDbToLocal(dbPayloadOrPath?: any, options?: { base
           tags: Array.isArray(c.tags) ? c.tags : [],
           created_at: c.created_at ?? null,
           updated_at: c.updated_at ?? null,
-          word_goal: c.word_goal ?? null
+          word_goal: c.word_goal ?? null,
+          lore_links: loreLinksOf(c.id)
         };
       });
 
@@ -788,7 +846,8 @@ export async function translateDbToLocal(dbPayloadOrPath?: any, options?: { base
           category: n.category ?? null,
           pinned: n.pinned ?? false,
           created_at: n.created_at ?? null,
-          updated_at: n.updated_at ?? null
+          updated_at: n.updated_at ?? null,
+          lore_links: loreLinksOf(n.id)
         };
       });
 
@@ -849,6 +908,8 @@ export async function translateDbToLocal(dbPayloadOrPath?: any, options?: { base
             entry3_content: l.entry3content ?? l.entry3_content ?? null,
             entry4_name: l.entry4name ?? l.entry4_name ?? null,
             entry4_content: l.entry4content ?? l.entry4_content ?? null,
+            // typed fields win over the entryN columns when reading (lore.fields.js)
+            fields: loreFieldsOf(l.id),
             created_at: l.created_at ?? null,
             updated_at: l.updated_at ?? null
           };
@@ -894,16 +955,12 @@ export async function translateDbToLocal(dbPayloadOrPath?: any, options?: { base
       for (let idx = 0; idx < timelinesIn.length; idx++) {
         const t = timelinesIn[idx];
         try {
-          let id = t.id ?? null;
-          let code = t.code ?? null;
-          // If this is the first timeline, force id/code to canonical values
-          if (idx === 0) {
-            id = 1;
-            code = 'TMLPRJ-0001-000001';
-          }
+          // For local format invert id/code like entries: local.id <- db.code
+          // (the web's index), local.code <- db.id
+          const localId = t.code == null ? null : Number(t.code);
           const mapped = {
-            id,
-            code,
+            id: localId !== null && Number.isFinite(localId) ? localId : (t.code ?? null),
+            code: t.id ?? null,
             project_id: localProjectId,
             creator_id: t.creator_id ?? null,
             title: t.title ?? null,
@@ -9,8 +9,18 @@ import * as fs from 'fs/promises';
 import * as path from 'path';
 import { appendDebugLog } from './log';
 import { pool } from './db';
-import { getProjectIdsForCreator, getProjectInfo, getProjectEntries, getProjectLore, getProjectTimelines } from './db.query';
-import { translateDbToLocal, collectProjectData, getLastDbToLocalTimelines } from './db.format';
+import { getProjectIdsForCreator, getProjectInfo, getProjectEntries, getProjectLore, getProjectTimelines, getProjectExtras } from './db.query';
+import { translateDbToLocal, collectProjectData, getLastDbToLocalTimelines, projectExtrasKey } from './db.format';
+import { webCode, webFileName, nextWebIndex } from '../shared/webs';
+
+// A downloaded web's index (web N lives in timelineN.json, see
+// src/shared/webs.js): its local id, else the number its code ends in
+function webIndexOf(t: any): number | null {
+	const n = Number(t?.id);
+	if (Number.isInteger(n) && n > 0) return n;
+	const m = /-(\d+)$/.exec(String(t?.code ?? ''));
+	return m ? parseInt(m[1], 10) : null;
+}
 
 /**
  * Retrieve full assembled payloads for every project belonging to the
@@ -135,6 +145,12 @@ export async function fullLoad(options?: { baseDir?: string; persist?: boolean;
 					} catch (e) {
 						appendDebugLog(`db.load:fullLoad — failed to fetch timelines for ${pid}: ${e?.message || e}`);
 					}
+					// Fetch the project's extras (entry data with no DB column, e.g. lore_links)
+					try {
+						(entries as any).extras = await getProjectExtras(projectExtrasKey(pid));
+					} catch (e) {
+						appendDebugLog(`db.load:fullLoad — failed to fetch extras for ${pid}: ${e?.message || e}`);
+					}
 				// Choose folder name from title or id
 				const title = project?.title ? String(project.title) : '';
 				let folderName = sanitizeName(title) || String(pid);
@@ -189,6 +205,18 @@ export async function fullLoad(options?: { baseDir?: string; persist?: boolean;
 								appendDebugLog(`db.load:fullLoad — no timeline data found from translateDbToLocal for project ${pid}`);
 							}
 							
+							// Each web keeps its own code and index, so selectedGraph and the
+							// gaps left by deleted webs survive the round trip; only a web
+							// without a usable index gets the lowest free one
+							const webFiles: string[] = [];
+							for (const t of lp.entries.timelines || []) {
+								let index = webIndexOf(t);
+								if (!index || webFiles.includes(webFileName(index))) index = nextWebIndex(webFiles);
+								if (!t.code || webIndexOf({ code: t.code }) !== index) t.code = webCode(lp.project.id, index);
+								t.id = index;
+								webFiles.push(webFileName(index));
+							}
+
 							// Write data/project.json with project and summary entries
 							const summaryEntries: any[] = [];
 							const pushSummary = (e: any, type: string, idx: number) => {
@@ -226,15 +254,11 @@ export async function fullLoad(options?: { baseDir?: string; persist?: boolean;
 							// Write lore entries
 							await writeEntries(lp.entries.lore || [], 'lore');
 
-							// Write all timeline entries as timeline.json, timeline2.json, etc.
+							// Write every web to its own file: web 1 is timeline.json, web N timelineN.json
 							if (lp.entries.timelines && lp.entries.timelines.length > 0) {
 								for (let i = 0; i < lp.entries.timelines.length; i++) {
-									let timeline = { ...lp.entries.timelines[i] };
-									// Normalize id/code fields
-									timeline.id = i + 1;
-									timeline.code = `TMLPRJ-0001-00000${i+1}`;
-									// First timeline is timeline.json, second is timeline2.json, etc.
-									const timelineFileName = i === 0 ? 'timeline.json' : `timeline${i+1}.json`;
+									const timeline = { ...lp.entries.timelines[i] };
+									const timelineFileName = webFileName(timeline.id);
 									const timelineJsonPath = path.join(projectPath, 'data', timelineFileName);
 									try {
 										await fs.writeFile(timelineJsonPath, JSON.stringify(timeline, null, 2), 'utf8');
@@ -251,4 +251,13 @@ export async function getProjectTimelines(projectCode: string): Promise<any[]> {
   return res.rows || [];
 }
 
-export default { getColumnValue, getFirstRow, getProjectIdsForCreator, getChapterIdsForCreator, getNoteIdsForCreator, getRefIdsForCreator, getLoreIdsForCreator, getTimelineIdsForCreator, getProjectInfo, getProjectEntries, getProjectLore, getProjectTimelines };
+/**
+ * Get the extras JSON stored for a project under `prefsKey` (see
+ * db.format projectExtrasKey). Returns null when the project has none.
+ */
+export async function getProjectExtras(prefsKey: string): Promise<Record<string, any> | null> {
+  const res = await pool.query(`SELECT value FROM prefs WHERE key = $1 LIMIT 1;`, [prefsKey]);
+  return res.rows?.[0]?.value ?? null;
+}
+
+export default { getColumnValue, getFirstRow, getProjectIdsForCreator, getChapterIdsForCreator, getNoteIdsForCreator, getRefIdsForCreator, getLoreIdsForCreator, getTimelineIdsForCreator, getProjectInfo, getProjectEntries, getProjectLore, getProjectTimelines, getProjectExtras };
@@ -20,6 +20,9 @@ import {
 	getLastLoadedRefIds,
 	getLastLoadedLoreIds,
 	getLastLoadedTimelineIds,
+	getLastTimelineReadFailures,
+	getLastLoadedExtras,
+	projectExtrasKey,
 } from './db.format';
 import { pool } from './db';
 import { getColumnValue, getFirstRow, getProjectIdsForCreator } from './db.query';
@@ -356,6 +359,9 @@ export async function uploadLocalProjects(rootDir: string, options?: { performUp
 		}
 
 		localTimelineIds = [];
+		// Set once every collected web has been through the loop below
+		let timelinesComplete = false;
+		let webWithoutId = false;
 		// Iterate timelines one-at-a-time using getNextTimeline()
 		try {
 					// Log how many timeline rows we expect to process (best-effort)
@@ -371,7 +377,11 @@ export async function uploadLocalProjects(rootDir: string, options?: { performUp
 						const t = timelineRow;
 						const idVal = t?.id ?? t?.['id'] ?? null;
 						if (idVal) localTimelineIds.push(String(idVal));
-						if (!idVal) continue;
+						if (!idVal) {
+							// a web we can't match to its row must not count as deleted
+							webWithoutId = true;
+							continue;
+						}
 						// Patch: fill missing required fields from project/creator context
 						const timelineProjectId = t.project_id ?? collectedProject?.id ?? collectedProject?.['id'] ?? null;
 						const timelineCreatorId = t.creator_id ?? effectiveCreatorId;
@@ -398,10 +408,50 @@ export async function uploadLocalProjects(rootDir: string, options?: { performUp
 							summary.timelines.errors += 1;
 						}
 					  }
+					  timelinesComplete = !webWithoutId;
 		} catch (err) {
 		  appendDebugLog(`db.upload: failed iterating timelines for project ${projectPath}: ${(err as Error).message}`);
 		}
 
+		// Relationship webs deleted locally: drop their rows so the project's
+		// timelines match its timeline*.json files. Only when every local web
+		// file was read and went through the loop, or a web we merely failed
+		// to read would lose its row.
+		try {
+			const timelineProjectId = collectedProject?.id ?? collectedProject?.['id'] ?? null;
+			const readFailures = getLastTimelineReadFailures();
+			if (performUpload && timelineProjectId && (readFailures || !timelinesComplete)) {
+				appendDebugLog(`db.upload: not pruning timelines for project ${timelineProjectId} (unreadable web files=${readFailures}, loop complete=${timelinesComplete})`);
+			} else if (performUpload && timelineProjectId) {
+				const pruneRes = await pool.query(
+					`DELETE FROM timelines WHERE project_id = $1 AND NOT (id = ANY($2::text[]))`,
+					[timelineProjectId, localTimelineIds]
+				);
+				if (pruneRes.rowCount) {
+					summary.timelines.deleted = (summary.timelines.deleted ?? 0) + pruneRes.rowCount;
+					appendDebugLog(`db.upload: removed ${pruneRes.rowCount} deleted timeline(s) for project ${timelineProjectId}`);
+				}
+			}
+		} catch (err) {
+			appendDebugLog(`db.upload: failed pruning deleted timelines for project ${projectPath}: ${(err as Error).message}`);
+			summary.timelines.errors += 1;
+		}
+
+		// Entry data the tables have no column for goes up as one prefs row
+		try {
+			const extrasProjectId = collectedProject?.id ?? collectedProject?.['id'] ?? null;
+			if (performUpload && extrasProjectId) {
+				await pool.query(
+					`INSERT INTO prefs(key, value) VALUES ($1, $2::jsonb)
+						 ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = now();`,
+					[projectExtrasKey(String(extrasProjectId)), JSON.stringify(getLastLoadedExtras() || {})]
+				);
+				appendDebugLog(`db.upload: stored extras for project ${extrasProjectId}`);
+			}
+		} catch (err) {
+			appendDebugLog(`db.upload: failed storing extras for project ${projectPath}: ${(err as Error).message}`);
+		}
+
 			// Debug: finished processing this project — report loaded counts and running totals
 			try {
 				appendDebugLog(`db.upload: finished project ${projectPath}; localLoaded chapters=${localChapterCount} notes=${localNoteCount} refs=${localRefCount} lore=${localLoreCount ?? 0} timelines=${localTimelineCount ?? 0}; runningTotals projects(inserted=${summary.projects.inserted},updated=${summary.projects.updated},deleted=${summary.projects.deleted}) chapters(inserted=${summary.chapters.inserted},updated=${summary.chapters.updated}) notes(inserted=${summary.notes.inserted},updated=${summary.notes.updated}) refs(inserted=${summary.refs.inserted},updated=${summary.refs.updated}) lore(inserted=${summary.lore.inserted},updated=${summary.lore.updated}) timelines(inserted=${summary.timelines.inserted},updated=${summary.timelines.updated}) conflicts=${summary.conflicts} errors(projects=${summary.projects.errors},chapters=${summary.chapters.errors},notes=${summary.notes.errors},refs=${summary.refs.errors},lore=${summary.lore.errors},timelines=${summary.timelines.errors})`);
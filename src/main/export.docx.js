@@ -0,0 +1,195 @@
+// src/main/export.docx.js
+// DOCX export in standard manuscript format: Times New Roman 12pt, 1" margins,
+// double-spaced body with half-inch first-line indents, a running header of
+// "Surname / TITLE / page" (suppressed on the title page), each chapter on a
+// new page, and a title page with author, rounded word count and title.
+// The OOXML package is written with src/main/zip.js.
+const { loadProjectForExport, untitled } = require('./export');
+const { createZip } = require('./zip');
+const { SCENE_BREAK_RE, parseInline } = require('../shared/markdown');
+
+// Page geometry in twentieths of a point (1" = 1440)
+const PAGE = { width: 12240, height: 15840, margin: 1440, textWidth: 9360 };
+
+function xmlEscape(s) {
+  return String(s ?? '')
+    // strip characters XML 1.0 can't carry
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function countWords(text) {
+  const t = String(text || '').trim();
+  return t ? t.split(/\s+/).length : 0;
+}
+
+// Submission convention: short fiction to the nearest 100 words, novels to
+// the nearest 1,000; never report less than 100.
+function roundWordCount(n) {
+  const step = n < 17500 ? 100 : 1000;
+  return Math.max(100, Math.round(n / step) * step);
+}
+
+const run = (text, props = '') =>
+  `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${xmlEscape(text)}</w:t></w:r>`;
+
+function para(runs, { style, pPr = '' } = {}) {
+  const props = `${style ? `<w:pStyle w:val="${style}"/>` : ''}${pPr}`;
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+// Markdown **bold** / *italic* → formatted runs
+const inlineRuns = (text) => parseInline(text)
+  .map(r => run(r.text, `${r.bold ? '<w:b/>' : ''}${r.italic ? '<w:i/>' : ''}`))
+  .join('');
+
+// Chapter body → manuscript paragraphs (one per non-empty line). Scene
+// breaks become a centered "#"; body headings and quotes get their own styles.
+function bodyParagraphs(text) {
+  return String(text || '').replace(/\r\n/g, '\n').split('\n')
+    .map(l => l.trim())
+    .filter(Boolean)
+    .map(l => {
+      if (SCENE_BREAK_RE.test(l)) return para(run('#'), { style: 'SceneBreak' });
+      const h = /^#{1,3}\s+(.*?)\s*#*$/.exec(l);
+      if (h) return para(inlineRuns(h[1]), { style: 'Subheading' });
+      if (l.startsWith('>')) return para(inlineRuns(l.replace(/^>\s?/, '')), { style: 'BlockQuote' });
+      return para(inlineRuns(l));
+    })
+    .join('');
+}
+
+function titlePage(title, author, wordCount) {
+  const count = `about ${roundWordCount(wordCount).toLocaleString('en-US')} words`;
+  return [
+    para(`${run(author || 'Author Name')}<w:r><w:tab/></w:r>${run(count)}`, {
+      style: 'TitlePageInfo',
+      pPr: `<w:tabs><w:tab w:val="right" w:pos="${PAGE.textWidth}"/></w:tabs>`,
+    }),
+    para(run(title), { style: 'ManuscriptTitle' }),
+    author ? para(run(`by ${author}`), { style: 'Byline' }) : '',
+  ].join('');
+}
+
+function documentXml(doc, author) {
+  const wordCount = doc.chapters.reduce((n, ch) => n + countWords(ch.body), 0);
+  const chapters = doc.chapters.map((ch, i) =>
+    para(run(untitled(ch, i)), { style: 'ChapterHeading' }) + bodyParagraphs(ch.body)
+  ).join('');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>
+${titlePage(doc.title, author, wordCount)}
+${chapters || para(run('(No chapters)'))}
+<w:sectPr>
+<w:headerReference w:type="default" r:id="rIdHeader"/>
+<w:headerReference w:type="first" r:id="rIdHeaderFirst"/>
+<w:pgSz w:w="${PAGE.width}" w:h="${PAGE.height}"/>
+<w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}" w:header="720" w:footer="720" w:gutter="0"/>
+<w:titlePg/>
+</w:sectPr>
+</w:body>
+</w:document>
+`;
+}
+
+// Running header: "Surname / TITLE / <page>", right-aligned
+function headerXml(title, author) {
+  const surname = String(author || '').trim().split(/\s+/).pop() || 'Author';
+  const keyword = String(title || '').toUpperCase();
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:p><w:pPr><w:pStyle w:val="Header"/></w:pPr>${run(`${surname} / ${keyword} / `)}<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> PAGE </w:instrText></w:r><w:r><w:fldChar w:fldCharType="separate"/></w:r>${run('1')}<w:r><w:fldChar w:fldCharType="end"/></w:r></w:p>
+</w:hdr>
+`;
+}
+
+const EMPTY_HEADER = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:p/></w:hdr>
+`;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:cs="Times New Roman" w:eastAsia="Times New Roman"/><w:sz w:val="24"/><w:szCs w:val="24"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:before="0" w:after="0" w:line="480" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:firstLine="720"/><w:widowControl/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Header"><w:name w:val="header"/><w:basedOn w:val="Normal"/><w:pPr><w:jc w:val="right"/><w:spacing w:line="240" w:lineRule="auto"/><w:ind w:firstLine="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="TitlePageInfo"><w:name w:val="Title Page Info"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:line="240" w:lineRule="auto"/><w:ind w:firstLine="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="ManuscriptTitle"><w:name w:val="Manuscript Title"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:jc w:val="center"/><w:spacing w:before="5040"/><w:ind w:firstLine="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Byline"><w:name w:val="Byline"/><w:basedOn w:val="Normal"/><w:pPr><w:jc w:val="center"/><w:ind w:firstLine="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="ChapterHeading"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:pageBreakBefore/><w:jc w:val="center"/><w:spacing w:before="2880" w:after="480"/><w:ind w:firstLine="0"/><w:outlineLvl w:val="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Subheading"><w:name w:val="Subheading"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:jc w:val="center"/><w:ind w:firstLine="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="BlockQuote"><w:name w:val="Block Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="720" w:right="720" w:firstLine="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="SceneBreak"><w:name w:val="Scene Break"/><w:basedOn w:val="Normal"/><w:pPr><w:jc w:val="center"/><w:ind w:firstLine="0"/></w:pPr></w:style>
+</w:styles>
+`;
+
+const SETTINGS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:updateFields w:val="true"/>
+<w:defaultTabStop w:val="720"/>
+<w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat>
+</w:settings>
+`;
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>
+<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>
+<Override PartName="/word/header2.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>
+`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>
+`;
+
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rIdSettings" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>
+<Relationship Id="rIdHeader" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header1.xml"/>
+<Relationship Id="rIdHeaderFirst" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header2.xml"/>
+</Relationships>
+`;
+
+function coreXml(title, author) {
+  const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${xmlEscape(title)}</dc:title>
+<dc:creator>${xmlEscape(author)}</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
+<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
+</cp:coreProperties>
+`;
+}
+
+// opts: { author } → Buffer holding the .docx
+function buildDocx(rootDir, opts = {}) {
+  const doc = loadProjectForExport(rootDir);
+  const author = String(opts.author || '').trim();
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES_XML },
+    { name: '_rels/.rels', data: ROOT_RELS_XML },
+    { name: 'docProps/core.xml', data: coreXml(doc.title, author) },
+    { name: 'word/document.xml', data: documentXml(doc, author) },
+    { name: 'word/_rels/document.xml.rels', data: DOCUMENT_RELS_XML },
+    { name: 'word/styles.xml', data: STYLES_XML },
+    { name: 'word/settings.xml', data: SETTINGS_XML },
+    { name: 'word/header1.xml', data: headerXml(doc.title, author) },
+    { name: 'word/header2.xml', data: EMPTY_HEADER },
+  ]);
+}
+
+module.exports = { buildDocx, roundWordCount };
@@ -0,0 +1,147 @@
+// src/main/export.epub.js
+// EPUB 3 export of the chapter manuscript. Chapters (by order_index) become
+// XHTML spine items, nav.xhtml/toc.ncx are generated from chapter titles, and
+// lore can be appended as a glossary. Packaged with src/main/zip.js, so it
+// needs no network or external tools.
+const crypto = require('crypto');
+const { loadProjectForExport, untitled, entryMetaLines, escapeHtml, paragraphsHtml } = require('./export');
+const { createZip } = require('./zip');
+
+const EPUB_CSS = `
+body { font-family: Georgia, serif; line-height: 1.5; margin: 0 5%; }
+h1, h2 { text-align: center; }
+h1.title { margin-top: 30%; }
+p.author { text-align: center; font-style: italic; }
+p { text-indent: 1.5em; margin: 0; }
+h2 + p, h3 + p, p.meta { text-indent: 0; }
+p.meta { font-size: .9em; color: #555; }
+section.lore { margin-bottom: 1.5em; }
+hr.scene-break { border: 0; text-align: center; margin: 1.5em 0; }
+hr.scene-break::after { content: "* * *"; }
+blockquote { margin: 1em 2em; }
+`;
+
+// Stable urn:uuid from the project code so re-exports update the same book on readers
+function bookIdFor(project, title) {
+  const seed = String(project.code || project.id || title);
+  const h = crypto.createHash('sha1').update(`ink-doodle:${seed}`).digest('hex');
+  return `urn:uuid:${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-a${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+function xhtmlPage(title, body, lang) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// opts: { author, includeLore, lang }
+// → Buffer holding the .epub
+function buildEpub(rootDir, opts = {}) {
+  const lang = opts.lang || 'en';
+  const doc = loadProjectForExport(rootDir);
+  const author = String(opts.author || '').trim();
+  const bookId = bookIdFor(doc.project, doc.title);
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  // Spine items in reading order: { id, href, title, xhtml, inToc }
+  const items = [];
+  items.push({
+    id: 'title-page', href: 'title.xhtml', title: doc.title, inToc: false,
+    xhtml: xhtmlPage(doc.title, `<h1 class="title">${escapeHtml(doc.title)}</h1>${author ? `\n<p class="author">${escapeHtml(author)}</p>` : ''}`, lang),
+  });
+  doc.chapters.forEach((ch, i) => {
+    const title = untitled(ch, i);
+    items.push({
+      id: `chapter-${i + 1}`, href: `chapter-${i + 1}.xhtml`, title, inToc: true,
+      xhtml: xhtmlPage(title, `<section epub:type="chapter">\n<h2>${escapeHtml(title)}</h2>\n${paragraphsHtml(ch.body, { xhtml: true })}\n</section>`, lang),
+    });
+  });
+  if (opts.includeLore && doc.lore.length) {
+    const entries = doc.lore.slice().sort((a, b) => untitled(a, 0).localeCompare(untitled(b, 0)));
+    const body = entries.map((e, i) => {
+      const parts = [`<section class="lore" id="lore-${i + 1}">`, `<h3>${escapeHtml(untitled(e, i))}</h3>`];
+      for (const [k, v] of entryMetaLines(e)) parts.push(`<p class="meta"><strong>${escapeHtml(k)}:</strong> ${escapeHtml(v)}</p>`);
+      if (e.summary.trim()) parts.push(`<p class="meta"><em>${escapeHtml(e.summary.trim())}</em></p>`);
+      parts.push(paragraphsHtml(e.body, { xhtml: true }));
+      for (const f of e.fields) parts.push(`<h4>${escapeHtml(f.name || 'Field')}</h4>`, paragraphsHtml(f.content, { xhtml: true }));
+      parts.push('</section>');
+      return parts.filter(Boolean).join('\n');
+    }).join('\n');
+    items.push({
+      id: 'glossary', href: 'glossary.xhtml', title: 'Glossary', inToc: true,
+      xhtml: xhtmlPage('Glossary', `<section epub:type="glossary">\n<h2>Glossary</h2>\n${body}\n</section>`, lang),
+    });
+  }
+
+  const tocItems = items.filter(it => it.inToc);
+  const nav = xhtmlPage('Contents', `<nav epub:type="toc" id="toc">
+<h2>Contents</h2>
+<ol>
+${tocItems.map(it => `<li><a href="${it.href}">${escapeHtml(it.title)}</a></li>`).join('\n')}
+</ol>
+</nav>`, lang);
+
+  // EPUB 2 NCX for older readers
+  const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${bookId}"/></head>
+<docTitle><text>${escapeHtml(doc.title)}</text></docTitle>
+<navMap>
+${tocItems.map((it, i) => `<navPoint id="np-${i + 1}" playOrder="${i + 1}"><navLabel><text>${escapeHtml(it.title)}</text></navLabel><content src="${it.href}"/></navPoint>`).join('\n')}
+</navMap>
+</ncx>
+`;
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${bookId}</dc:identifier>
+<dc:title>${escapeHtml(doc.title)}</dc:title>
+<dc:language>${lang}</dc:language>
+${author ? `<dc:creator id="creator">${escapeHtml(author)}</dc:creator>\n<meta refines="#creator" property="role" scheme="marc:relators">aut</meta>` : ''}
+${doc.project.created_at ? `<dc:date>${escapeHtml(String(doc.project.created_at).slice(0, 10))}</dc:date>` : ''}
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="css" href="style.css" media-type="text/css"/>
+${items.map(it => `<item id="${it.id}" href="${it.href}" media-type="application/xhtml+xml"/>`).join('\n')}
+</manifest>
+<spine toc="ncx">
+${items.map(it => `<itemref idref="${it.id}"/>`).join('\n')}
+</spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+  // `mimetype` must be the first entry and stored uncompressed
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/toc.ncx', data: ncx },
+    { name: 'OEBPS/style.css', data: EPUB_CSS },
+    ...items.map(it => ({ name: `OEBPS/${it.href}`, data: it.xhtml })),
+  ]);
+}
+
+module.exports = { buildEpub };
@@ -0,0 +1,270 @@
+// src/main/export.js
+// Manuscript export: reads a project/workspace directory and renders it as a
+// single Markdown, plain-text or self-contained HTML document.
+// Chapters come first in project.json `order_index` order; notes, references
+// and lore follow as appendix sections when requested.
+const fs = require('fs');
+const path = require('path');
+const { readJsonWithRecovery } = require('../shared/fs.atomic');
+const { renderMarkdown, renderPlainText } = require('../shared/markdown');
+const { stripMentions } = require('../shared/mentions');
+const { readLoreFields, fieldText, isEmptyField } = require('../shared/lore.fields');
+
+const EXPORT_FORMATS = {
+  md: { label: 'Markdown', extensions: ['md'] },
+  txt: { label: 'Plain text', extensions: ['txt'] },
+  html: { label: 'HTML', extensions: ['html'] },
+  // Binary packages, built by their own modules (see index.js project:export)
+  epub: { label: 'EPUB', extensions: ['epub'], binary: true },
+  docx: { label: 'Word document', extensions: ['docx'], binary: true },
+};
+
+// Which sections an export includes when the caller doesn't say
+const DEFAULT_INCLUDE = { chapters: true, synopses: false, notes: false, refs: false, lore: false };
+
+function readJsonDir(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const out = [];
+  for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    try { out.push(readJsonWithRecovery(path.join(dir, f))); } catch (e) { /* unreadable entry: skip */ }
+  }
+  return out;
+}
+
+const textOf = (v) => (v == null ? '' : String(v));
+
+// Normalise one per-item file into the fields exporters care about
+function normalizeEntry(raw, type) {
+  const e = {
+    id: raw.id,
+    code: raw.code || null,
+    type,
+    title: textOf(raw.title).trim(),
+    // lore mentions (@Name, [[Title]]) export as their plain label
+    body: stripMentions(textOf(raw.content ?? raw.body)),
+    synopsis: textOf(raw.synopsis),
+    summary: textOf(raw.summary),
+    tags: Array.isArray(raw.tags) ? raw.tags.slice() : [],
+    updated_at: raw.updated_at || null,
+  };
+  if (type === 'chapter') e.status = raw.status || 'Draft';
+  if (type === 'reference') { e.reference_type = raw.reference_type || ''; e.source_link = raw.source_link || ''; }
+  if (type === 'note') e.category = raw.category || '';
+  if (type === 'lore') {
+    e.lore_kind = textOf(raw.lore_kind ?? raw.lore_type);
+    // link fields keep the target's code in `link` until titles are known
+    e.fields = readLoreFields(raw)
+      .filter(f => f.name.trim() || !isEmptyField(f))
+      .map(f => ({ name: f.name.trim(), content: fieldText(f), link: f.type === 'link' ? f.value : null }));
+  }
+  return e;
+}
+
+// Read project metadata and all entries from a project/workspace directory.
+// → { title, project, chapters, notes, refs, lore }
+function loadProjectForExport(rootDir) {
+  const pjPath = path.join(rootDir, 'data', 'project.json');
+  let pj = {};
+  try { if (fs.existsSync(pjPath)) pj = readJsonWithRecovery(pjPath) || {}; } catch (e) { pj = {}; }
+  const project = pj.project || {};
+  const index = Array.isArray(pj.entries) ? pj.entries : [];
+
+  // order_index lives only in project.json's index; match by code, then type+id
+  const orderOf = (e) => {
+    const hit = index.find(x => (e.code && x.code === e.code) || (x.type === e.type && x.id !== undefined && String(x.id) === String(e.id)));
+    if (hit && Number.isFinite(Number(hit.order_index))) return Number(hit.order_index);
+    const n = Number(String(e.id ?? '').match(/(\d+)/)?.[1]);
+    return Number.isFinite(n) ? n : Number.MAX_SAFE_INTEGER;
+  };
+  const load = (dir, type) => readJsonDir(path.join(rootDir, dir))
+    .map(raw => normalizeEntry(raw, type))
+    .map(e => ({ e, order: orderOf(e) }))
+    .sort((a, b) => a.order - b.order || String(a.e.title).localeCompare(String(b.e.title)))
+    .map(x => x.e);
+
+  const doc = {
+    title: textOf(project.title || project.name || path.basename(rootDir)).trim() || 'Untitled Project',
+    project,
+    chapters: load('chapters', 'chapter'),
+    notes: load('notes', 'note'),
+    refs: load('refs', 'reference'),
+    lore: load('lore', 'lore'),
+  };
+
+  // Lore link fields show the linked entry's title
+  const titles = new Map();
+  for (const e of [...doc.chapters, ...doc.notes, ...doc.refs, ...doc.lore]) if (e.code && e.title) titles.set(e.code, e.title);
+  for (const e of doc.lore) {
+    for (const f of e.fields) if (f.link && titles.has(f.link)) f.content = titles.get(f.link);
+  }
+  return doc;
+}
+
+function untitled(e, i) {
+  if (e.title) return e.title;
+  const label = { chapter: 'Chapter', note: 'Note', reference: 'Reference', lore: 'Lore' }[e.type] || 'Entry';
+  return `${label} ${i + 1}`;
+}
+
+// Appendix sections in output order
+function appendixSections(doc, include) {
+  const out = [];
+  if (include.notes && doc.notes.length) out.push({ key: 'notes', title: 'Notes', entries: doc.notes });
+  if (include.refs && doc.refs.length) out.push({ key: 'refs', title: 'References', entries: doc.refs });
+  if (include.lore && doc.lore.length) out.push({ key: 'lore', title: 'Lore', entries: doc.lore });
+  return out;
+}
+
+// Short "label: value" lines shown under an appendix entry heading
+function entryMetaLines(e) {
+  const lines = [];
+  if (e.type === 'lore' && e.lore_kind) lines.push(['Kind', e.lore_kind]);
+  if (e.type === 'note' && e.category) lines.push(['Category', e.category]);
+  if (e.type === 'reference' && e.reference_type) lines.push(['Type', e.reference_type]);
+  if (e.type === 'reference' && e.source_link) lines.push(['Source', e.source_link]);
+  if (e.tags.length) lines.push(['Tags', e.tags.join(', ')]);
+  return lines;
+}
+
+// ───────── Markdown ─────────
+function toMarkdown(doc, include) {
+  const parts = [`# ${doc.title}`, ''];
+  if (include.chapters) {
+    doc.chapters.forEach((ch, i) => {
+      parts.push(`## ${untitled(ch, i)}`, '');
+      if (include.synopses && ch.synopsis.trim()) parts.push(...ch.synopsis.trim().split('\n').map(l => `> ${l}`), '');
+      if (ch.body.trim()) parts.push(ch.body.replace(/\s+$/, ''), '');
+    });
+  }
+  for (const sec of appendixSections(doc, include)) {
+    parts.push('---', '', `## Appendix: ${sec.title}`, '');
+    sec.entries.forEach((e, i) => {
+      parts.push(`### ${untitled(e, i)}`, '');
+      const meta = entryMetaLines(e);
+      if (meta.length) parts.push(...meta.map(([k, v]) => `- **${k}:** ${v}`), '');
+      if (e.summary.trim()) parts.push(`*${e.summary.trim()}*`, '');
+      if (e.body.trim()) parts.push(e.body.replace(/\s+$/, ''), '');
+      for (const f of e.fields || []) {
+        parts.push(`#### ${f.name || 'Field'}`, '');
+        if (f.content.trim()) parts.push(f.content.replace(/\s+$/, ''), '');
+      }
+    });
+  }
+  return parts.join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+// ───────── Plain text ─────────
+function toText(doc, include) {
+  const rule = (ch) => ch.repeat(60);
+  const parts = [doc.title.toUpperCase(), rule('='), ''];
+  if (include.chapters) {
+    doc.chapters.forEach((ch, i) => {
+      parts.push('', untitled(ch, i).toUpperCase(), rule('-'), '');
+      if (include.synopses && ch.synopsis.trim()) parts.push(`Synopsis: ${ch.synopsis.trim()}`, '');
+      if (ch.body.trim()) parts.push(renderPlainText(ch.body), '');
+    });
+  }
+  for (const sec of appendixSections(doc, include)) {
+    parts.push('', rule('='), `APPENDIX: ${sec.title.toUpperCase()}`, rule('='), '');
+    sec.entries.forEach((e, i) => {
+      parts.push(untitled(e, i), rule('-'));
+      for (const [k, v] of entryMetaLines(e)) parts.push(`${k}: ${v}`);
+      if (e.summary.trim()) parts.push(`Summary: ${e.summary.trim()}`);
+      parts.push('');
+      if (e.body.trim()) parts.push(renderPlainText(e.body), '');
+      for (const f of e.fields || []) {
+        parts.push(`${f.name || 'Field'}:`);
+        if (f.content.trim()) parts.push(f.content.replace(/\s+$/, ''));
+        parts.push('');
+      }
+    });
+  }
+  return parts.join('\n').replace(/\n{3,}/g, '\n\n').replace(/\s+$/, '') + '\n';
+}
+
+// ───────── HTML ─────────
+function escapeHtml(s) {
+  return textOf(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Markdown body text → HTML (<br/> etc. for XHTML); body headings sit below
+// the <h2> chapter titles
+function paragraphsHtml(text, { xhtml = false } = {}) {
+  return renderMarkdown(textOf(text), { xhtml, headingOffset: 2 });
+}
+
+const HTML_STYLE = `
+  body { max-width: 40em; margin: 3em auto; padding: 0 1em; font-family: Georgia, "Times New Roman", serif; line-height: 1.6; color: #111; }
+  h1 { text-align: center; margin-bottom: 2em; }
+  h2 { margin-top: 3em; page-break-before: always; }
+  h2.appendix { border-top: 1px solid #ccc; padding-top: 1em; }
+  .synopsis { font-style: italic; color: #555; border-left: 3px solid #ddd; padding-left: 1em; }
+  .meta { font-size: .9em; color: #555; margin: 0; }
+  nav ol { padding-left: 1.2em; }
+  hr.scene-break { border: 0; text-align: center; margin: 1.5em 0; }
+  hr.scene-break::after { content: "* * *"; }
+  blockquote { margin: 1em 2em; font-style: italic; }
+`;
+
+function toHtml(doc, include) {
+  const body = [];
+  const toc = [];
+  if (include.chapters) {
+    doc.chapters.forEach((ch, i) => {
+      const id = `ch-${i + 1}`;
+      const title = untitled(ch, i);
+      toc.push(`<li><a href="#${id}">${escapeHtml(title)}</a></li>`);
+      body.push(`<section id="${id}"><h2>${escapeHtml(title)}</h2>`);
+      if (include.synopses && ch.synopsis.trim()) body.push(`<div class="synopsis">${paragraphsHtml(ch.synopsis)}</div>`);
+      body.push(paragraphsHtml(ch.body), '</section>');
+    });
+  }
+  for (const sec of appendixSections(doc, include)) {
+    const id = `appendix-${sec.key}`;
+    toc.push(`<li><a href="#${id}">Appendix: ${escapeHtml(sec.title)}</a></li>`);
+    body.push(`<section id="${id}"><h2 class="appendix">Appendix: ${escapeHtml(sec.title)}</h2>`);
+    sec.entries.forEach((e, i) => {
+      body.push(`<h3>${escapeHtml(untitled(e, i))}</h3>`);
+      for (const [k, v] of entryMetaLines(e)) body.push(`<p class="meta"><strong>${escapeHtml(k)}:</strong> ${escapeHtml(v)}</p>`);
+      if (e.summary.trim()) body.push(`<p><em>${escapeHtml(e.summary.trim())}</em></p>`);
+      body.push(paragraphsHtml(e.body));
+      for (const f of e.fields || []) body.push(`<h4>${escapeHtml(f.name || 'Field')}</h4>`, paragraphsHtml(f.content));
+    });
+    body.push('</section>');
+  }
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(doc.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.title)}</h1>
+${toc.length > 1 ? `<nav><ol>\n${toc.join('\n')}\n</ol></nav>` : ''}
+${body.filter(Boolean).join('\n')}
+</body>
+</html>
+`;
+}
+
+// Render `rootDir` in `format` → string
+function renderExport(rootDir, format, include) {
+  const inc = Object.assign({}, DEFAULT_INCLUDE, include || {});
+  const doc = loadProjectForExport(rootDir);
+  if (format === 'md') return toMarkdown(doc, inc);
+  if (format === 'txt') return toText(doc, inc);
+  if (format === 'html') return toHtml(doc, inc);
+  throw new Error(`Unsupported export format: ${format}`);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_INCLUDE,
+  loadProjectForExport,
+  untitled,
+  entryMetaLines,
+  escapeHtml,
+  paragraphsHtml,
+  renderExport,
+};
@@ -0,0 +1,102 @@
+// src/main/import.js
+// Reads an existing draft (Markdown, plain text or Word .docx) into
+// Markdown-style text for the import preview. Splitting into chapters happens
+// in src/shared/import.split.js so the renderer can re-split live.
+const fs = require('fs');
+const path = require('path');
+const { readZip } = require('./zip');
+
+const IMPORT_FORMATS = {
+  md: { label: 'Markdown', extensions: ['md', 'markdown'] },
+  txt: { label: 'Plain text', extensions: ['txt'] },
+  docx: { label: 'Word document', extensions: ['docx'] },
+};
+
+// Paragraph styles that belong to a title page rather than the manuscript
+// (includes the ones our own DOCX export writes)
+const TITLE_PAGE_STYLES = new Set(['title', 'subtitle', 'manuscript title', 'title page info', 'byline']);
+
+function decodeXml(s) {
+  return String(s)
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+const attr = (xml, name) => (new RegExp(`${name}="([^"]*)"`).exec(xml) || [])[1];
+
+// styles.xml → { styleId: { name, level } } where level is the heading depth (0 = body)
+function readDocxStyles(xml) {
+  const out = {};
+  for (const m of String(xml || '').matchAll(/<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g)) {
+    const id = attr(m[1], 'w:styleId');
+    if (!id) continue;
+    const name = decodeXml(attr(/<w:name\b[^>]*>/.exec(m[2])?.[0] || '', 'w:val') || id).toLowerCase();
+    const outline = attr(/<w:outlineLvl\b[^>]*>/.exec(m[2])?.[0] || '', 'w:val');
+    const named = /^heading\s*(\d)$/.exec(name);
+    const level = outline !== undefined ? Number(outline) + 1 : named ? Number(named[1]) : 0;
+    out[id] = { name, level: level > 0 && level < 10 ? level : 0 };
+  }
+  return out;
+}
+
+// .docx Buffer → Markdown-style text: headings become `#` lines, paragraphs
+// are separated by blank lines, title-page paragraphs are skipped
+function docxToText(buf) {
+  const files = readZip(buf);
+  const doc = files['word/document.xml'];
+  if (!doc) throw new Error('Not a Word document (word/document.xml missing)');
+  const styles = readDocxStyles(files['word/styles.xml'] && files['word/styles.xml'].toString('utf8'));
+  const body = /<w:body>([\s\S]*)<\/w:body>/.exec(doc.toString('utf8'))?.[1] || '';
+
+  const paras = [];
+  for (const m of body.matchAll(/<w:p\b[^>]*?(?:\/>|>([\s\S]*?)<\/w:p>)/g)) {
+    const inner = m[1] || '';
+    const styleId = attr(/<w:pStyle\b[^>]*>/.exec(inner)?.[0] || '', 'w:val');
+    const style = styles[styleId] || { name: String(styleId || '').toLowerCase(), level: 0 };
+    if (TITLE_PAGE_STYLES.has(style.name)) continue;
+    const ownOutline = attr(/<w:outlineLvl\b[^>]*>/.exec(inner)?.[0] || '', 'w:val');
+    const level = ownOutline !== undefined && Number(ownOutline) < 9 ? Number(ownOutline) + 1 : style.level;
+
+    // Runs → [{ text, mark }], merging neighbours Word split with the same
+    // formatting; italics/bold become Markdown emphasis (not in headings)
+    const segs = [];
+    for (const r of inner.matchAll(/<w:r\b[^>]*>([\s\S]*?)<\/w:r>/g)) {
+      let piece = '';
+      for (const t of r[1].matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>/g)) {
+        if (t[1] !== undefined) piece += decodeXml(t[1]);
+        else piece += t[0].startsWith('<w:tab') ? '\t' : '\n';
+      }
+      if (!piece) continue;
+      const rPr = /<w:rPr>([\s\S]*?)<\/w:rPr>/.exec(r[1])?.[1] || '';
+      const on = (tag) => new RegExp(`<w:${tag}(?:\\s+w:val="(?:true|1|on)")?\\s*/>`).test(rPr);
+      const mark = level ? '' : on('b') && on('i') ? '***' : on('b') ? '**' : on('i') ? '*' : '';
+      const prev = segs[segs.length - 1];
+      if (prev && prev.mark === mark) prev.text += piece;
+      else segs.push({ text: piece, mark });
+    }
+    const text = segs.map(({ text: t, mark }) => {
+      if (!mark || !t.trim()) return t;
+      const [, lead, core, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(t);
+      return `${lead}${mark}${core}${mark}${trail}`;
+    }).join('').trim();
+    if (!text) continue;
+    if (styleId === 'SceneBreak') paras.push('* * *');
+    else if (level) paras.push(`${'#'.repeat(Math.min(level, 6))} ${text.replace(/\s+/g, ' ')}`);
+    else paras.push(text);
+  }
+  return paras.join('\n\n') + '\n';
+}
+
+// → { format, name, text }
+function readManuscriptFile(filePath) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  const format = Object.keys(IMPORT_FORMATS).find(k => IMPORT_FORMATS[k].extensions.includes(ext));
+  if (!format) throw new Error(`Unsupported import format: .${ext || '?'}`);
+  const buf = fs.readFileSync(filePath);
+  const text = format === 'docx' ? docxToText(buf) : buf.toString('utf8').replace(/^\uFEFF/, '');
+  return { format, name: path.basename(filePath), text };
+}
+
+module.exports = { IMPORT_FORMATS, docxToText, readManuscriptFile };
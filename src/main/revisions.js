@@ -0,0 +1,52 @@
+// src/main/revisions.js
+// Per-entry revision history. The renderer records it under
+// <workspace>/history/ (see recordRevision), but it is a local record of how
+// entries changed, not project content: it never goes into the project
+// directory or its snapshots. Save Back parks the workspace's history/ under
+// userData (keyed by project folder name, like snapshots) and loading the
+// project brings it back into the fresh workspace.
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { appendDebugLog } = require('./log');
+
+const REVISIONS_DIR = 'history';
+
+// Workspace-relative path → true when it lies inside history/
+function isRevisionPath(rel) {
+  return String(rel).replace(/\\/g, '/').split('/')[0] === REVISIONS_DIR;
+}
+
+function revisionsStoreFor(projectDir) {
+  return path.join(app.getPath('userData'), 'revisions', path.basename(path.resolve(projectDir)));
+}
+
+// <workspace>/history → the project's store
+function stashRevisions(workspaceDir, projectDir) {
+  const src = path.join(workspaceDir, REVISIONS_DIR);
+  if (!projectDir || !fs.existsSync(src)) return;
+  const dest = revisionsStoreFor(projectDir);
+  fs.mkdirSync(dest, { recursive: true });
+  fs.cpSync(src, dest, { recursive: true, force: true });
+  appendDebugLog(`revisions — stashed ${src} → ${dest}`, projectDir);
+}
+
+// The project's store → <workspace>/history. Projects saved back before the
+// store existed carry their history/ in the project directory; that copy is
+// used when there is no store yet.
+function restoreRevisions(projectDir, workspaceDir) {
+  let src = revisionsStoreFor(projectDir);
+  if (!fs.existsSync(src)) src = path.join(projectDir, REVISIONS_DIR);
+  if (!fs.existsSync(src)) return;
+  const dest = path.join(workspaceDir, REVISIONS_DIR);
+  fs.mkdirSync(dest, { recursive: true });
+  fs.cpSync(src, dest, { recursive: true, force: true });
+  appendDebugLog(`revisions — restored ${src} → ${dest}`, projectDir);
+}
+
+module.exports = {
+  REVISIONS_DIR,
+  isRevisionPath,
+  stashRevisions,
+  restoreRevisions,
+};
@@ -0,0 +1,266 @@
+// src/main/snapshots.js
+// Versioned project snapshots taken before every Save Back.
+// Each snapshot is one gzip'd JSON file holding every file of the project
+// directory (base64), stored outside the projects root so it never gets
+// copied into the workspace or listed as a project.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { app } = require('electron');
+const { appendDebugLog } = require('./log');
+const { writeFileAtomicSync, writeJsonAtomicSync, isAtomicArtifact } = require('../shared/fs.atomic');
+const { REVISIONS_DIR, isRevisionPath } = require('./revisions');
+
+// Retention: keep at most `maxCount` snapshots per project and drop ones older
+// than `maxAgeDays`, but never prune below `minKeep`.
+const SNAPSHOT_LIMITS = { maxCount: 30, maxAgeDays: 60, minKeep: 5 };
+
+// Top-level folders holding one JSON file per entry (see saveToDisk in the renderer)
+const ENTRY_DIRS = { chapters: 'chapter', notes: 'note', refs: 'reference', lore: 'lore' };
+
+function ensureDir(dir) { if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true }); }
+
+function getSnapshotsRoot() {
+  return path.join(app.getPath('userData'), 'snapshots');
+}
+
+// Snapshots are keyed by the project folder name (same name shown in the picker)
+function snapshotDirFor(projectDir) {
+  return path.join(getSnapshotsRoot(), path.basename(path.resolve(projectDir)));
+}
+
+function indexPathFor(projectDir) {
+  return path.join(snapshotDirFor(projectDir), 'index.json');
+}
+
+// Read every file under root → { relPath: Buffer }. Entry revisions
+// (history/) are kept apart from the project and left out, as are the
+// atomic-write layer's backups and temp files.
+function readTree(root) {
+  const out = {};
+  function walk(dir) {
+    for (const it of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, it.name);
+      const rel = path.relative(root, full).replace(/\\/g, '/');
+      if (isRevisionPath(rel)) continue;
+      if (it.isDirectory()) walk(full);
+      else if (it.isFile() && !isAtomicArtifact(it.name)) out[rel] = fs.readFileSync(full);
+    }
+  }
+  if (fs.existsSync(root)) walk(root);
+  return out;
+}
+
+function hashTree(files) {
+  const h = crypto.createHash('sha1');
+  for (const rel of Object.keys(files).sort()) {
+    h.update(rel);
+    h.update('\0');
+    h.update(files[rel]);
+    h.update('\0');
+  }
+  return h.digest('hex');
+}
+
+function readIndex(projectDir) {
+  try {
+    const p = indexPathFor(projectDir);
+    if (!fs.existsSync(p)) return [];
+    const obj = JSON.parse(fs.readFileSync(p, 'utf8'));
+    return Array.isArray(obj?.snapshots) ? obj.snapshots : [];
+  } catch (e) {
+    appendDebugLog(`snapshots — index unreadable for ${projectDir}: ${e?.message || e}`);
+    return [];
+  }
+}
+
+function writeIndex(projectDir, snapshots) {
+  ensureDir(snapshotDirFor(projectDir));
+  writeJsonAtomicSync(indexPathFor(projectDir), { snapshots });
+}
+
+// Newest first; drop index rows whose archive went missing
+function listSnapshots(projectDir) {
+  const dir = snapshotDirFor(projectDir);
+  return readIndex(projectDir)
+    .filter(s => s && s.id && fs.existsSync(path.join(dir, s.file)))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+function pruneSnapshots(projectDir) {
+  const dir = snapshotDirFor(projectDir);
+  const all = listSnapshots(projectDir);
+  const cutoff = Date.now() - SNAPSHOT_LIMITS.maxAgeDays * 24 * 60 * 60 * 1000;
+  const keep = [];
+  const drop = [];
+  all.forEach((s, i) => {
+    const tooMany = i >= SNAPSHOT_LIMITS.maxCount;
+    const tooOld = Date.parse(s.createdAt) < cutoff;
+    if (i >= SNAPSHOT_LIMITS.minKeep && (tooMany || tooOld)) drop.push(s);
+    else keep.push(s);
+  });
+  for (const s of drop) {
+    try { fs.rmSync(path.join(dir, s.file), { force: true }); }
+    catch (e) { appendDebugLog(`snapshots — failed removing ${s.file}: ${e?.message || e}`); }
+  }
+  if (drop.length) appendDebugLog(`snapshots — pruned ${drop.length} snapshot(s) for ${projectDir}`);
+  writeIndex(projectDir, keep);
+  return keep;
+}
+
+// Snapshot the contents of sourceDir under the history of projectDir.
+// sourceDir is normally the project directory itself; restores pass the
+// workspace so the state being replaced can be recovered too.
+// Returns the snapshot meta, or null when nothing changed since the last one.
+function createSnapshot(projectDir, { reason = 'saveBack', sourceDir = projectDir } = {}) {
+  if (!projectDir || !fs.existsSync(sourceDir)) return null;
+  const files = readTree(sourceDir);
+  const fileNames = Object.keys(files);
+  if (!fileNames.length) return null;
+
+  const hash = hashTree(files);
+  const existing = listSnapshots(projectDir);
+  if (existing[0] && existing[0].hash === hash) {
+    appendDebugLog(`snapshots — skipped ${reason} snapshot for ${projectDir}: unchanged since ${existing[0].id}`);
+    return null;
+  }
+
+  const createdAt = new Date().toISOString();
+  const id = createdAt.replace(/[:.]/g, '-');
+  const file = `${id}.json.gz`;
+  const payload = { version: 1, createdAt, reason, projectDir, files: {} };
+  let bytes = 0;
+  for (const rel of fileNames) {
+    payload.files[rel] = files[rel].toString('base64');
+    bytes += files[rel].length;
+  }
+  const dir = snapshotDirFor(projectDir);
+  ensureDir(dir);
+  writeFileAtomicSync(path.join(dir, file), zlib.gzipSync(Buffer.from(JSON.stringify(payload), 'utf8')));
+
+  const meta = { id, file, createdAt, reason, hash, fileCount: fileNames.length, bytes };
+  writeIndex(projectDir, [meta, ...existing]);
+  pruneSnapshots(projectDir);
+  appendDebugLog(`snapshots — created ${reason} snapshot ${id} for ${projectDir} (files: ${fileNames.length})`, projectDir);
+  return meta;
+}
+
+// → { meta, files: { relPath: Buffer } }
+function readSnapshot(projectDir, id) {
+  const meta = listSnapshots(projectDir).find(s => s.id === id);
+  if (!meta) throw new Error(`Snapshot not found: ${id}`);
+  const raw = zlib.gunzipSync(fs.readFileSync(path.join(snapshotDirFor(projectDir), meta.file)));
+  const payload = JSON.parse(raw.toString('utf8'));
+  const files = {};
+  for (const [rel, b64] of Object.entries(payload.files || {})) {
+    // older snapshots may hold history/ (restoring it would roll revisions
+    // back) and .bak files
+    if (!isRevisionPath(rel) && !isAtomicArtifact(rel)) files[rel] = Buffer.from(b64, 'base64');
+  }
+  return { meta, files };
+}
+
+// Summarise one entry/data file for the History dialog
+function describeFile(rel, buf) {
+  const out = { title: path.basename(rel), words: 0 };
+  if (!buf || !rel.endsWith('.json')) return out;
+  try {
+    const obj = JSON.parse(buf.toString('utf8'));
+    if (obj && typeof obj === 'object') {
+      if (obj.title) out.title = String(obj.title);
+      else if (obj.project?.name) out.title = String(obj.project.name);
+      const body = obj.body ?? obj.content ?? '';
+      const text = typeof body === 'string' ? body.trim() : '';
+      out.words = text ? text.split(/\s+/).length : 0;
+    }
+  } catch (e) { /* unparsable: fall back to filename */ }
+  return out;
+}
+
+function kindForPath(rel) {
+  const top = rel.split('/')[0];
+  if (ENTRY_DIRS[top] && rel.split('/').length === 2) return ENTRY_DIRS[top];
+  return 'data';
+}
+
+// Per-file comparison of a snapshot against the current workspace.
+// status: 'changed' (differs), 'removed' (only in snapshot),
+//         'added' (only in workspace), 'same'.
+function diffSnapshot(projectDir, id, workspaceDir) {
+  const { meta, files: snap } = readSnapshot(projectDir, id);
+  const cur = readTree(workspaceDir);
+  const rels = Array.from(new Set([...Object.keys(snap), ...Object.keys(cur)])).sort();
+  const entries = rels.map(rel => {
+    const a = snap[rel];
+    const b = cur[rel];
+    const status = !b ? 'removed' : !a ? 'added' : a.equals(b) ? 'same' : 'changed';
+    const sDesc = describeFile(rel, a);
+    const cDesc = describeFile(rel, b);
+    return {
+      path: rel,
+      kind: kindForPath(rel),
+      status,
+      title: (a ? sDesc.title : cDesc.title),
+      snapshotWords: a ? sDesc.words : null,
+      currentWords: b ? cDesc.words : null,
+    };
+  });
+  return { meta, entries };
+}
+
+// Restore a snapshot into the workspace. With `paths`, only those files are
+// restored (a path missing from the snapshot is removed from the workspace);
+// otherwise the whole workspace apart from history/ is replaced. The replaced
+// workspace is snapshotted first so a restore can itself be undone.
+function restoreSnapshot(projectDir, id, workspaceDir, paths) {
+  const { files } = readSnapshot(projectDir, id);
+  try { createSnapshot(projectDir, { reason: 'preRestore', sourceDir: workspaceDir }); }
+  catch (e) { appendDebugLog(`snapshots — pre-restore snapshot failed: ${e?.message || e}`, projectDir); }
+
+  const root = path.resolve(workspaceDir);
+  const resolveInside = (rel) => {
+    const full = path.resolve(root, rel);
+    if (full !== root && !full.startsWith(root + path.sep)) throw new Error(`Refusing to restore outside workspace: ${rel}`);
+    return full;
+  };
+
+  let restored = 0;
+  if (Array.isArray(paths) && paths.length) {
+    for (const rel of paths) {
+      const full = resolveInside(rel);
+      if (files[rel]) {
+        ensureDir(path.dirname(full));
+        writeFileAtomicSync(full, files[rel]);
+      } else {
+        fs.rmSync(full, { force: true });
+      }
+      restored++;
+    }
+  } else {
+    // Everything but the entry revisions, which outlive a restore
+    ensureDir(root);
+    for (const name of fs.readdirSync(root)) {
+      if (name !== REVISIONS_DIR) fs.rmSync(path.join(root, name), { recursive: true, force: true });
+    }
+    for (const [rel, buf] of Object.entries(files)) {
+      const full = resolveInside(rel);
+      ensureDir(path.dirname(full));
+      writeFileAtomicSync(full, buf);
+      restored++;
+    }
+  }
+  appendDebugLog(`snapshots — restored ${restored} file(s) from ${id} into ${workspaceDir}`, projectDir);
+  return { restored };
+}
+
+module.exports = {
+  SNAPSHOT_LIMITS,
+  getSnapshotsRoot,
+  createSnapshot,
+  listSnapshots,
+  pruneSnapshots,
+  readSnapshot,
+  diffSnapshot,
+  restoreSnapshot,
+};
@@ -34,8 +34,9 @@ function createNewTimelineFile(dataDir, projectId) {
 }
 
 // ───────────────── Create ─────────────────
-function createEntry(type, seq, order_index, opts = {}) {
-  dbg(`[createEntry] called with type=${type}, seq=${seq}, order_index=${order_index}, opts=${JSON.stringify(opts)}, WORKSPACE_DIR=${WORKSPACE_DIR}`);
+// Fresh entry object with the per-type defaults; no state or disk changes.
+// Used by createEntry and by File → Import (which sets title/body/code itself).
+function buildNewEntry(type, seq, order_index, opts = {}) {
   const entry = {
     type: type,
     title: type === "chapter" ? `Chapter ${seq}` :
@@ -72,7 +73,9 @@ function createEntry(type, seq, order_index, opts = {}) {
     entry.summary = "";
     entry.body = "";
     entry.tags = [];
-    // Initialize four custom paired fields (name + content)
+    // Typed custom fields (see src/shared/lore.fields.js); the entryN keys
+    // mirror the first four for older files and the DB
+    entry.fields = [];
     entry.entry1name = '';
     entry.entry1content = '';
     entry.entry2name = '';
@@ -85,8 +88,14 @@ function createEntry(type, seq, order_index, opts = {}) {
   }
 
 
-  // Add to state.entries with proper project code if available
+  // Carry the project code if available
   entry.project_code = state.project?.code;
+  return entry;
+}
+
+function createEntry(type, seq, order_index, opts = {}) {
+  dbg(`[createEntry] called with type=${type}, seq=${seq}, order_index=${order_index}, opts=${JSON.stringify(opts)}, WORKSPACE_DIR=${WORKSPACE_DIR}`);
+  const entry = buildNewEntry(type, seq, order_index, opts);
   state.entries.push(entry);
 
   // Immediately write the new entry to disk in the correct folder
@@ -117,7 +126,7 @@ function createEntry(type, seq, order_index, opts = {}) {
       const fileName = `${entryPrefix}-${projectStr}-${seqNum}.json`;
       const filePath = path.join(entryDir, fileName);
       dbg(`[createEntry] writing file: ${filePath}`);
-      fs.writeFileSync(filePath, JSON.stringify(entry, null, 2), 'utf8');
+      writeJsonAtomicSync(filePath, entry);
       dbg(`[createEntry] wrote new ${type} to disk: ${filePath}`);
     } else {
       dbg(`[createEntry] entryDir or entryPrefix missing for type=${type}`);
@@ -177,11 +186,11 @@ if (typeof window !== "undefined") {
         for (const f of timelineFiles) {
           const filePath = path.join(WORKSPACE_DIR, 'data', f);
           try {
-            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const data = readJsonWithRecovery(filePath);
             if (data.code === state.timeline.code) {
               // Save the current in-memory nodes/links to the file
               const updated = { ...state.timeline, nodes: { ...state.timelineNodes }, links: { ...state.timelineLinks } };
-              fs.writeFileSync(filePath, JSON.stringify(updated, null, 2), 'utf8');
+              writeJsonAtomicSync(filePath, updated);
               dbg('selectTimeline: saved previous timeline state to file: ' + filePath);
               break;
             }
@@ -202,10 +211,10 @@ if (typeof window !== "undefined") {
       if (fs && path && SAVE_FILE) {
         dbg(`[selectTimeline] Attempting to update selectedGraph in WORKSPACE: ${SAVE_FILE} to value: ${timeline.code}`);
         if (fs.existsSync(SAVE_FILE)) {
-          const projectData = JSON.parse(fs.readFileSync(SAVE_FILE, 'utf8'));
+          const projectData = readJsonWithRecovery(SAVE_FILE);
           if (projectData.selectedGraph !== timeline.code) {
             projectData.selectedGraph = timeline.code;
-            fs.writeFileSync(SAVE_FILE, JSON.stringify(projectData, null, 2), 'utf8');
+            writeJsonAtomicSync(SAVE_FILE, projectData);
             dbg(`[selectTimeline] Successfully updated selectedGraph in WORKSPACE ${SAVE_FILE} to: ${timeline.code}`);
           } else {
             dbg(`[selectTimeline] selectedGraph already set to ${timeline.code} in WORKSPACE ${SAVE_FILE}`);
@@ -239,7 +248,7 @@ if (typeof window !== "undefined") {
     }
     if (timelineFile && fs.existsSync(timelineFile)) {
       try {
-        const data = JSON.parse(fs.readFileSync(timelineFile, 'utf8'));
+        const data = readJsonWithRecovery(timelineFile);
         state.timeline = { ...data };
         state.timelineNodes = { ...data.nodes };
         state.timelineLinks = { ...data.links };
@@ -282,10 +291,10 @@ if (typeof window !== "undefined") {
       // Use top-level fs and path
       if (fs && path && SAVE_FILE) {
         if (fs.existsSync(SAVE_FILE)) {
-          const projectData = JSON.parse(fs.readFileSync(SAVE_FILE, 'utf8'));
+          const projectData = readJsonWithRecovery(SAVE_FILE);
           if (projectData.selectedGraph !== code) {
             projectData.selectedGraph = code;
-            fs.writeFileSync(SAVE_FILE, JSON.stringify(projectData, null, 2), 'utf8');
+            writeJsonAtomicSync(SAVE_FILE, projectData);
             dbg('selectTimeline: updated selectedGraph in project.json (unresolved)');
           }
         }
@@ -314,6 +323,28 @@ try {
   }
 }
 
+// Crash-safe JSON writes (temp file + fsync + rename, previous content kept as
+// .bak) and parse-with-recovery reads, shared with the main process.
+let atomicFs = null;
+try {
+  atomicFs = require('./src/shared/fs.atomic');
+  atomicFs.setAtomicLogger(dbg);
+} catch (e) {
+  dbg(`atomic: shared write layer unavailable; falling back to plain writes: ${e?.message || e}`);
+}
+function writeJsonAtomicSync(file, obj) {
+  if (atomicFs) return atomicFs.writeJsonAtomicSync(file, obj);
+  fs.writeFileSync(file, JSON.stringify(obj, null, 2), 'utf8');
+}
+function unlinkWithBackupSync(file) {
+  if (atomicFs) return atomicFs.unlinkWithBackupSync(file);
+  fs.unlinkSync(file);
+}
+function readJsonWithRecovery(file) {
+  if (atomicFs) return atomicFs.readJsonWithRecovery(file);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
 // ───────────────── Global/State ─────────────────
 window.state = {
   projectName: "Untitled Project",
@@ -544,6 +575,10 @@ function dbg(msg) {
       bgOpacity: 0.2,      // 0..0.6
       bgBlur: 2,           // px (0..8)
       editorDim: false,    // dim editor panel for readability
+      editorMode: "write", // body editors: "write" | "split" | "preview"
+      focusWidth: 72,      // focus mode column width (ch)
+      focusTypewriter: false,
+      focusDim: false,     // dim all but the current paragraph in focus mode
     },
   // Lore UI (unified lore type — no subtabs)
   };
@@ -552,10 +587,17 @@ function dbg(msg) {
 
 
   // ───────────── Finder Modal ─────────────
+  // Full-text search over titles, tags, synopses/summaries, bodies and the
+  // lore fields. The index (src/shared/search.index.js) is synced from
+  // state.entries before each query; only edited fields are re-tokenized.
+  const { createSearchIndex } = require('./src/shared/search.index');
+  const searchQuery = require('./src/shared/search.query');
+  const searchIndex = createSearchIndex();
   let finderEl = null;
   let finderInput = null;
   let finderList = null;
   let finderAllScope = true; // search across all types by default
+  const FINDER_TYPES = ["chapter", "note", "reference", "lore"];
 
   function ensureFinder() {
     if (finderEl) return finderEl;
@@ -564,15 +606,22 @@ function dbg(msg) {
     finderEl.innerHTML = `
       <div class="card" role="dialog" aria-modal="true" aria-label="Find">
         <div class="row">
-          <input id="finder-input" type="text" placeholder="Find by title or tag… (Esc to close)" />
+          <input id="finder-input" type="text" placeholder="Search, or filter: tag:villain type:lore updated:<7d … (Esc to close)" />
           <div class="scopes">
             <label class="scope"><input type="checkbox" id="finder-scope-all" checked /> All</label>
             <label class="scope"><input type="checkbox" id="finder-scope-ch" /> Chapters</label>
             <label class="scope"><input type="checkbox" id="finder-scope-no" /> Notes</label>
             <label class="scope"><input type="checkbox" id="finder-scope-re" /> References</label>
+            <label class="scope"><input type="checkbox" id="finder-scope-lo" /> Lore</label>
           </div>
+          <button id="finder-save" class="btn" title="Save this search as a sidebar filter">Save…</button>
+          <button id="finder-replace" class="btn" title="Find & Replace (Ctrl+Alt+F)">Replace…</button>
           <button id="finder-close" class="btn">Close</button>
         </div>
+        <div class="row save-row" id="finder-save-row" hidden>
+          <input id="finder-save-name" type="text" placeholder="Filter name" />
+          <button id="finder-save-go" class="btn primary" type="button">Save filter</button>
+        </div>
         <div id="finder-list" class="list" role="listbox" aria-label="Results"></div>
       </div>
     `;
@@ -585,39 +634,37 @@ function dbg(msg) {
     const scopeCh  = finderEl.querySelector("#finder-scope-ch");
     const scopeNo  = finderEl.querySelector("#finder-scope-no");
     const scopeRe  = finderEl.querySelector("#finder-scope-re");
+    const scopeLo  = finderEl.querySelector("#finder-scope-lo");
 
     function readScopes() {
-      if (scopeAll.checked) return { all: true, types: ["chapter","note","reference"] };
+      if (scopeAll.checked) return { all: true, types: FINDER_TYPES };
       const types = [];
       if (scopeCh.checked) types.push("chapter");
       if (scopeNo.checked) types.push("note");
       if (scopeRe.checked) types.push("reference");
-      return { all: false, types: types.length ? types : ["chapter","note","reference"] };
-    }
-
-    function selectEntryFromFinder(entry) {
-      const tab = typeTabMap[entry.type];
-      if (tab && tab !== state.activeTab) switchTab(tab);
-      selectEntry(entry.id);
-      hideFinder();
+      if (scopeLo.checked) types.push("lore");
+      return { all: false, types: types.length ? types : FINDER_TYPES };
     }
 
     function renderResults(query) {
-      const q = (query || "").trim().toLowerCase();
+      const q = (query || "").trim();
       const { types } = readScopes();
-      const pool = state.entries.filter(e => types.includes(e.type));
 
-      let results = pool;
+      let results;
       if (q) {
-        results = pool.filter(e => {
-          const titleHit = (e.title || "").toLowerCase().includes(q);
-          const tagHit = (e.tags || []).some(t => (t || "").toLowerCase().includes(q));
-          return titleHit || tagHit;
-        });
+        try {
+          results = runProjectQuery(q, { types, limit: 100 });
+        } catch (e) {
+          finderList.innerHTML = `<div class="item"><div class="left"><span class="meta">${escapeHtml(e?.message || String(e))}</span></div></div>`;
+          return;
+        }
+      } else {
+        results = state.entries
+          .filter(e => types.includes(e.type))
+          .sort((a,b) => (b.updated_at || "").localeCompare(a.updated_at || ""))
+          .slice(0, 100)
+          .map(e => ({ entry: e, field: null }));
       }
-      results = results
-        .sort((a,b) => (b.updated_at || "").localeCompare(a.updated_at || ""))
-        .slice(0, 100);
 
       finderList.innerHTML = "";
       if (!results.length) {
@@ -625,30 +672,52 @@ function dbg(msg) {
         return;
       }
 
-      for (const e of results) {
-        const row = document.createElement("div");
-        row.className = "item";
-        row.innerHTML = `
-          <div class="left">
-            <span class="badge">${e.type}</span>
-            <span class="title">${e.title || "(Untitled)"}</span>
-          </div>
-          <div class="meta">${timeAgo(e.updated_at)}${(e.tags && e.tags.length) ? " • " + e.tags.join(", ") : ""}</div>
-        `;
-        row.addEventListener("click", () => selectEntryFromFinder(e));
+      for (const hit of results) {
+        const row = finderRow(hit.entry, hit.snippet ? finderSnippetHtml(hit) : "");
+        row.addEventListener("click", () => selectEntryFromFinder(hit));
         finderList.appendChild(row);
       }
     }
 
     finderInput.addEventListener("input", () => renderResults(finderInput.value));
     finderEl.querySelector("#finder-close").addEventListener("click", hideFinder);
-    [ "#finder-scope-all", "#finder-scope-ch", "#finder-scope-no", "#finder-scope-re" ]
+    finderEl.querySelector("#finder-save").addEventListener("click", () => {
+      const row = finderEl.querySelector("#finder-save-row");
+      row.hidden = !row.hidden;
+      if (!row.hidden) {
+        const name = finderEl.querySelector("#finder-save-name");
+        name.value = finderInput.value.trim();
+        name.focus();
+        name.select();
+      }
+    });
+    const saveFromFinder = () => {
+      const name = finderEl.querySelector("#finder-save-name").value.trim();
+      const query = finderInput.value.trim();
+      if (!name || !query) return;
+      try { searchQuery.parseSearchQuery(query); }
+      catch (e) { alert(e?.message || String(e)); return; }
+      addSavedFilter(name, query);
+      finderEl.querySelector("#finder-save-row").hidden = true;
+    };
+    finderEl.querySelector("#finder-save-go").addEventListener("click", saveFromFinder);
+    finderEl.querySelector("#finder-save-name").addEventListener("keydown", (ev) => {
+      if (ev.key === "Enter") saveFromFinder();
+      else if (ev.key === "Escape") { ev.stopPropagation(); finderEl.querySelector("#finder-save-row").hidden = true; finderInput.focus(); }
+    });
+    finderEl.querySelector("#finder-replace").addEventListener("click", () => {
+      const q = finderInput.value;
+      hideFinder();
+      showReplaceDialog(q);
+    });
+    [ "#finder-scope-all", "#finder-scope-ch", "#finder-scope-no", "#finder-scope-re", "#finder-scope-lo" ]
       .forEach(sel => finderEl.querySelector(sel).addEventListener("change", () => {
         if (sel === "#finder-scope-all") {
           const checked = finderEl.querySelector(sel).checked;
           finderEl.querySelector("#finder-scope-ch").checked = !checked;
           finderEl.querySelector("#finder-scope-no").checked = !checked;
           finderEl.querySelector("#finder-scope-re").checked = !checked;
+          finderEl.querySelector("#finder-scope-lo").checked = !checked;
         } else {
           finderEl.querySelector("#finder-scope-all").checked = false;
         }
@@ -682,21 +751,8 @@ function dbg(msg) {
         .sort((a,b) => (b.updated_at || "").localeCompare(a.updated_at || ""))
         .slice(0, 50);
       for (const e of recent) {
-        const row = document.createElement("div");
-        row.className = "item";
-        row.innerHTML = `
-          <div class="left">
-            <span class="badge">${e.type}</span>
-            <span class="title">${e.title || "(Untitled)"}</span>
-          </div>
-          <div class="meta">${timeAgo(e.updated_at)}${(e.tags && e.tags.length) ? " • " + e.tags.join(", ") : ""}</div>
-        `;
-        row.addEventListener("click", () => {
-          const tab = typeTabMap[e.type];
-          if (tab && tab !== state.activeTab) switchTab(tab);
-          selectEntry(e.id);
-          hideFinder();
-        });
+        const row = finderRow(e);
+        row.addEventListener("click", () => selectEntryFromFinder({ entry: e, field: null }));
         finderList.appendChild(row);
       }
     } else {
@@ -709,1962 +765,4337 @@ function dbg(msg) {
     finderEl.style.display = "none";
   }
 
-  // ───────────────── Login Modal (email-only MVP) ─────────────────
-  let loginModal = null;
+  // Query → ranked hits ([{ entry, field, snippet, … }]). Plain words go
+  // straight to the index; filters/phrases/OR/NOT are evaluated per entry,
+  // ranked by whatever free text the query requires. Throws on bad filters.
+  function runProjectQuery(q, { types = FINDER_TYPES, limit = 100 } = {}) {
+    const ast = searchQuery.parseSearchQuery(q);
+    const t0 = Date.now();
+    const stats = searchIndex.sync(state.entries, entryKey);
+    if (stats.added || stats.removed) dbg(`finder: index synced (+${stats.added} ~${stats.updated} -${stats.removed}) in ${Date.now() - t0}ms`);
+    const text = searchQuery.rankingText(ast);
+    if (searchQuery.isPlainText(ast)) return text ? searchIndex.search(text, { types, limit }) : [];
+    const pool = text
+      ? searchIndex.search(text, { types, limit: Infinity })
+      : state.entries
+        .filter(e => types.includes(e.type))
+        .sort((a,b) => (b.updated_at || "").localeCompare(a.updated_at || ""))
+        .map(e => ({ entry: e, field: null }));
+    return pool.filter(h => entryMatchesQuery(h.entry, ast)).slice(0, limit);
+  }
 
-  // Debug helper for login flow
-  function loginDbg(msg) {
-    try {
-      dbg(`[login] ${msg}`);
-    } catch (e) {
-      console.log("[login-debug]", msg);
-    }
+  function entryMatchesQuery(entry, ast) {
+    return searchQuery.matchesQuery(entry, ast, {
+      matchText: (e, text, phrase) => searchIndex.matches(entryKey(e), text, phrase),
+    });
   }
 
-  function ensureLoginModal() {
-    if (loginModal) return loginModal;
+  function finderRow(e, snippetHtml = "") {
+    const row = document.createElement("div");
+    row.className = "item";
+    row.innerHTML = `
+      <div class="left">
+        <span class="badge">${escapeHtml(e.type === "lore" ? (e.lore_kind || "lore") : e.type)}</span>
+        <span class="title">${escapeHtml(e.title || "(Untitled)")}</span>
+      </div>
+      <div class="meta">${tagChipsHtml(e.tags)}${timeAgo(e.updated_at)}</div>
+      ${snippetHtml}
+    `;
+    return row;
+  }
 
-    // First remove any existing login modal
-    const existingModal = document.getElementById("login-modal-dynamic");
-    if (existingModal) existingModal.remove();
+  const FINDER_FIELD_LABELS = { synopsis: "Synopsis", summary: "Summary", body: "Text", lore_kind: "Kind", fields: "Fields" };
 
-    loginModal = document.createElement("div");
-    loginModal.id = "login-modal-dynamic";
-    loginModal.innerHTML = `
-      <div class="login-card" tabindex="-1">
-        <h2>Sign in to Ink Doodle</h2>
-        <p class="sub">Enter your email to load your projects from the cloud.</p>
-        <div class="input-wrap" tabindex="-1">
-          <input id="login-email-dynamic" 
-                 type="email" 
-                 placeholder="you@example.com" 
-                 spellcheck="false" 
-                 autocomplete="email" 
-                 autocapitalize="off"
-                 enterkeyhint="go"
-                 tabindex="1" />
-        </div>
-        <button id="login-btn-dynamic" class="btn primary" tabindex="2">Sign In</button>
-      </div>`;
-    document.body.appendChild(loginModal);
+  function finderFieldLabel(entry, field) {
+    const m = /^entry(\d)(name|content)$/.exec(field);
+    if (m) return entry[`entry${m[1]}name`] || `Field ${m[1]}`;
+    return FINDER_FIELD_LABELS[field] || field;
+  }
 
-    const style = document.createElement("style");
-    style.textContent = `
-      #login-modal-dynamic { 
-        position: fixed; inset: 0; 
-        background: rgba(17,24,39,.85);
-        display: flex; 
-        align-items: center; 
-        justify-content: center; 
-        z-index: 2147483647;
-        -webkit-app-region: no-drag;
-      }
-      #login-modal-dynamic .login-card { 
-        position: relative;
-        background: #fff; 
-        padding: 24px 28px; 
-        border-radius: 12px;
-        width: min(340px,90vw); 
-        text-align: center; 
-        font-family: Inter,system-ui,sans-serif;
-        box-shadow: 0 20px 60px rgba(0,0,0,.35);
-        -webkit-app-region: no-drag;
-      }
-      #login-modal-dynamic h2 { 
-        margin: 0 0 4px; 
-        font-size: 20px; 
-        font-weight: 700; 
-      }
-      #login-modal-dynamic .sub { 
-        font-size: 13px; 
-        color: #6b7280; 
-        margin-bottom: 12px; 
-      }
-      #login-modal-dynamic .input-wrap {
-        margin: 16px 0;
-      }
-      #login-email-dynamic { 
-        width: 100%; 
-        padding: 10px; 
-        font-size: 14px; 
-        border: 1px solid #d1d5db;
-        border-radius: 8px; 
-        margin-bottom: 10px;
-        background: #fff;
-        position: relative;
-        z-index: 2147483647;
-        -webkit-app-region: no-drag;
-        -webkit-user-select: text;
-        user-select: text;
-      }
-      #login-btn-dynamic { 
-        padding: 8px 12px; 
-        border: none; 
-        border-radius: 8px;
-        background: #2563eb; 
-        color: #fff; 
-        cursor: pointer; 
-        font-weight: 600;
-        width: 100%;
-      }
-      #login-btn-dynamic:hover { 
-        background: #1d4ed8; 
-      }`;
-    document.head.appendChild(style);
+  function finderSnippetHtml(hit) {
+    const { text, highlights, before, after } = hit.snippet;
+    let html = "";
+    let pos = 0;
+    for (const [a, b] of highlights) {
+      if (a < pos) continue;
+      html += escapeHtml(text.slice(pos, a)) + `<mark>${escapeHtml(text.slice(a, b))}</mark>`;
+      pos = b;
+    }
+    html += escapeHtml(text.slice(pos));
+    return `<div class="snippet"><span class="field">${escapeHtml(finderFieldLabel(hit.entry, hit.field))}</span>${before ? "… " : ""}${html}${after ? " …" : ""}</div>`;
+  }
 
-      const emailInput = loginModal.querySelector("#login-email-dynamic");
-      const loginButton = loginModal.querySelector("#login-btn-dynamic");
-      
-      dbg("login-modal: elements initialized");
+  // Editor control showing `field` of an entry of `type`
+  function finderFieldElement(type, field) {
+    const lore = type === "lore";
+    const pair = /^entry(\d)(name|content)$/.exec(field);
+    if (pair) return loreFieldControl(Number(pair[1]) - 1, pair[2]);
+    switch (field) {
+      case "title": return lore ? el.loreTitle : el.titleInput;
+      case "tags": return lore ? el.loreTags : el.tags;
+      case "synopsis": return el.synopsis;
+      case "summary": return lore ? el.loreSummary : el.synopsis; // references edit summary in the synopsis box
+      case "body": return lore ? el.loreBody : el.body;
+      case "lore_kind": return el.loreKind;
+      default: return null;
+    }
+  }
 
-      // Helper to validate email format
-      const isValidEmail = (email) => {
-        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-      };
+  function selectEntryFromFinder(hit) {
+    const entry = hit.entry;
+    const tab = typeTabMap[entry.type];
+    if (tab && tab !== state.activeTab) switchTab(tab);
+    selectEntry(entryKey(entry));
+    hideFinder();
+    if (hit.field) setTimeout(() => revealFinderMatch(hit), 40);
+  }
 
-      // Handle Enter key in email input 
-      emailInput.addEventListener("keydown", async (e) => {
-        if (e.key === "Enter") {
-          e.preventDefault();
-          loginButton.click();
-        } else if (e.key === "Escape") {
-          e.preventDefault();
-          hideLoginModal();
-        }
-      });
+  // Name or value control of lore custom field `i` in the editor
+  function loreFieldControl(i, part) {
+    return el.loreFields?.querySelector(`.lore-field[data-i="${i}"] .lf-${part === "name" ? "name" : "value"}`) || null;
+  }
 
-      loginButton.addEventListener("click", async () => {
-        const email = emailInput.value.trim();
-        if (!email || !email.includes('@')) {
-          alert("Please enter a valid email address.");
-          emailInput.focus();
-          return;
-        }
+  // A hit in the index's `fields` text (one "Name: value" line per field past
+  // the fourth) → { target, source, offset } for that one field
+  function loreFieldsMatch(hit) {
+    const fields = Array.isArray(hit.entry.fields) ? hit.entry.fields : [];
+    let pos = 0;
+    for (let i = loreFieldsLib.LEGACY_FIELD_COUNT; i < fields.length; i++) {
+      const f = fields[i];
+      const value = loreFieldsLib.fieldText(f);
+      const end = pos + f.name.length + 2 + value.length;
+      if (hit.offset <= end) {
+        const inName = hit.offset < pos + f.name.length + 2;
+        return {
+          target: loreFieldControl(i, inName ? "name" : "value"),
+          source: inName ? f.name : value,
+          offset: Math.max(0, inName ? hit.offset - pos : hit.offset - pos - f.name.length - 2),
+        };
+      }
+      pos = end + 1;
+    }
+    return { target: null, source: "", offset: 0 };
+  }
 
-        // Disable input and button while logging in
-        emailInput.disabled = true;
-        loginButton.disabled = true;
-        loginButton.textContent = "Signing in...";
+  // Select the matched text in its editor field and scroll it into view. The
+  // editor was just loaded from disk, so if the text moved (unsaved edits)
+  // fall back to the nearest occurrence of the same text.
+  function revealFinderMatch(hit) {
+    let target = finderFieldElement(hit.entry.type, hit.field);
+    let source = hit.field === "body" ? (hit.entry.body ?? hit.entry.content) : hit.entry[hit.field];
+    let offset = hit.offset;
+    if (hit.field === "fields") ({ target, source, offset } = loreFieldsMatch(hit));
+    if (!target || typeof target.setSelectionRange !== "function") return;
+    if (target === el.body || target === el.loreBody) {
+      if (state.uiPrefs.editorMode === "preview") setEditorMode("split");
+    }
+    const value = target.value || "";
+    const want = String(source || "").slice(offset, offset + hit.length).toLowerCase();
+    let start = offset;
+    if (value.slice(start, start + hit.length).toLowerCase() !== want) {
+      const lower = value.toLowerCase();
+      const before = lower.lastIndexOf(want, offset);
+      const after = lower.indexOf(want, offset);
+      if (before < 0 && after < 0) start = Math.min(offset, value.length);
+      else if (before < 0 || (after >= 0 && after - offset < offset - before)) start = after;
+      else start = before;
+    }
+    try {
+      // blur → select → focus makes Chromium scroll the selection into view
+      target.blur();
+      target.setSelectionRange(start, start + hit.length);
+      target.focus();
+      target.scrollIntoView({ block: "nearest" });
+    } catch (e) { dbg(`finder: reveal failed: ${e?.message || e}`); }
+  }
 
-        dbg(`login: attempting for ${email}`);
-        try {
-          const res = await ipcRenderer.invoke("auth:login", { email });
-          if (!res?.ok) {
-            // Re-enable on error
-            emailInput.disabled = false;
-            loginButton.disabled = false;
-            loginButton.textContent = "Sign In";
-            return alert(res?.error || "Login failed.");
-          }
+  // ───────────── Saved Filters (sidebar) ─────────────
+  // Named Finder queries stored per project as `saved_filters` in
+  // data/project.json. Picking one in the sidebar narrows renderList to the
+  // entries it matches; the active choice is per session.
+  let savedFilters = null;      // [{ id, name, query }] for savedFiltersFile
+  let savedFiltersFile = null;
+  let activeFilterId = null;
+  let savedFiltersEl = null;
+
+  // Project-level settings kept as top-level keys of data/project.json
+  // (saveToDisk merges into the existing file, so they survive saves)
+  function readProjectJsonKey(key) {
+    try {
+      if (SAVE_FILE && fs.existsSync(SAVE_FILE)) return readJsonWithRecovery(SAVE_FILE)[key];
+    } catch (e) { dbg(`project.json: failed to read ${key}: ${e?.message || e}`); }
+    return undefined;
+  }
 
-          state.authUser = res.user;
-          dbg(`login -> ${res.user.email}`);
+  function writeProjectJsonKey(key, value) {
+    try {
+      if (!SAVE_FILE || !fs.existsSync(SAVE_FILE)) return;
+      const projectData = readJsonWithRecovery(SAVE_FILE);
+      projectData[key] = value;
+      writeJsonAtomicSync(SAVE_FILE, projectData);
+      dbg(`project.json: wrote ${key}`);
+    } catch (e) { dbg(`project.json: failed to write ${key}: ${e?.message || e}`); }
+  }
 
-          // Hide login modal and show project picker
-          hideLoginModal();
-          hideProjectPicker(); // Hide any existing picker first
+  function getSavedFilters() {
+    if (savedFilters && savedFiltersFile === SAVE_FILE) return savedFilters;
+    savedFiltersFile = SAVE_FILE;
+    activeFilterId = null;
+    const stored = readProjectJsonKey("saved_filters");
+    savedFilters = (Array.isArray(stored) ? stored : [])
+      .filter(f => f && f.name && f.query)
+      .map(f => ({ id: String(f.id || `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`), name: String(f.name), query: String(f.query) }));
+    return savedFilters;
+  }
 
-          // Reset state for next time
-          emailInput.disabled = false;
-          emailInput.value = "";
-          loginButton.disabled = false;
-          loginButton.textContent = "Sign In";
+  function persistSavedFilters() {
+    writeProjectJsonKey("saved_filters", savedFilters);
+  }
 
-          // Immediately show picker after a successful login
-          dbg("login: showing project picker now");
-          ensureProjectPicker();
-          showProjectPicker();
-        } catch (e) {
-          // Re-enable on error
-          emailInput.disabled = false;
-          loginButton.disabled = false;
-          loginButton.textContent = "Sign In";
-          alert(`Login error:\n${e?.message || e}`);
-        }
-      });
+  function addSavedFilter(name, query) {
+    const list = getSavedFilters();
+    const existing = list.find(f => f.name.toLowerCase() === name.toLowerCase());
+    if (existing) existing.query = query;
+    else list.push({ id: `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`, name, query });
+    persistSavedFilters();
+    activeFilterId = (existing || list[list.length - 1]).id;
+    renderList();
+  }
 
-      return loginModal;
+  function removeSavedFilter(id) {
+    savedFilters = getSavedFilters().filter(f => f.id !== id);
+    if (activeFilterId === id) activeFilterId = null;
+    persistSavedFilters();
+    renderList();
   }
 
-  function showLoginModal() {
-    loginDbg("Showing login modal");
-    ensureLoginModal();
-    
-    // Ensure modal exists and is properly configured before showing
-    if (!loginModal) {
-      loginDbg("ERROR: Modal creation failed");
-      return;
+  // Narrow a renderList batch to the active saved filter
+  function applySavedFilter(entries) {
+    const f = activeFilterId && getSavedFilters().find(x => x.id === activeFilterId);
+    if (!f) return entries;
+    try {
+      const ast = searchQuery.parseSearchQuery(f.query);
+      searchIndex.sync(state.entries, entryKey);
+      return entries.filter(e => entryMatchesQuery(e, ast));
+    } catch (e) {
+      dbg(`filters: "${f.name}" failed: ${e?.message || e}`);
+      return entries;
     }
-    
-    // Reset state and clear any existing input values
-    const emailInput = loginModal.querySelector("#login-email-dynamic");
-    const loginButton = loginModal.querySelector("#login-btn-dynamic");
-    
-    if (!emailInput || !loginButton) {
-      loginDbg("ERROR: Required modal elements not found");
-      return;
+  }
+
+  function renderSavedFilters() {
+    const list = getSavedFilters();
+    if (!savedFiltersEl) {
+      if (!el.entryList || !el.entryList.parentNode) return;
+      savedFiltersEl = document.createElement("div");
+      savedFiltersEl.id = "saved-filters";
+      savedFiltersEl.className = "saved-filters";
+      el.entryList.parentNode.insertBefore(savedFiltersEl, el.entryList);
+      savedFiltersEl.addEventListener("click", (ev) => {
+        const chip = ev.target.closest("[data-filter]");
+        if (!chip) return;
+        const id = chip.dataset.filter;
+        if (ev.target.closest(".remove")) {
+          const f = getSavedFilters().find(x => x.id === id);
+          if (f && confirm(`Delete the saved filter "${f.name}"?`)) removeSavedFilter(id);
+          return;
+        }
+        activeFilterId = activeFilterId === id ? null : id;
+        renderList();
+      });
+      savedFiltersEl.addEventListener("dblclick", (ev) => {
+        const chip = ev.target.closest("[data-filter]");
+        const f = chip && getSavedFilters().find(x => x.id === chip.dataset.filter);
+        if (f) showFinder(f.query);
+      });
     }
+    savedFiltersEl.hidden = !list.length;
+    savedFiltersEl.innerHTML = list.map(f => `
+      <span class="saved-filter${f.id === activeFilterId ? " active" : ""}" data-filter="${escapeHtml(f.id)}" title="${escapeHtml(f.query)} (double-click to open in Find)">
+        ${escapeHtml(f.name)}<button type="button" class="remove" title="Delete filter" aria-label="Delete filter">×</button>
+      </span>`).join("");
+  }
 
-    // Reset input state
-    emailInput.value = "";
-    emailInput.disabled = false;
-    loginButton.disabled = false;
-    loginButton.textContent = "Sign In";
-    
-    // Show the modal
-    loginModal.style.display = "flex";
-    
-    // Ensure modal is actually visible
-    if (loginModal.style.display !== "flex") {
-      loginDbg("ERROR: Failed to show modal");
+  // ───────────── Find & Replace Modal ─────────────
+  // Project-wide replace across every entry's text fields (see
+  // src/shared/replace.js). Each occurrence can be excluded in the preview;
+  // applying writes through saveToDisk and pushes one undo step covering
+  // every field it changed.
+  const replaceLib = require('./src/shared/replace');
+  let replaceEl = null;
+  let replaceFound = [];          // occurrences from the last preview
+  let replaceExcluded = new Set(); // occurrence ids unticked in the preview
+  let replaceTimer = null;
+  const replaceUndoStack = [];     // [{ label, changes: [{ key, field, before, after }] }]
+  const REPLACE_UNDO_DEPTH = 10;
+  const REPLACE_FIELD_LABELS = { title: "Title", synopsis: "Synopsis", summary: "Summary", body: "Text" };
+
+  function ensureReplaceDialog() {
+    if (replaceEl) return replaceEl;
+    replaceEl = document.createElement("div");
+    replaceEl.id = "replace-dialog";
+    replaceEl.innerHTML = `
+      <div class="card" role="dialog" aria-modal="true" aria-label="Find and replace">
+        <div class="row">
+          <input id="replace-find" type="text" placeholder="Find" spellcheck="false" />
+          <label class="opt" title="Match case"><input type="checkbox" id="replace-case" /> Aa</label>
+          <label class="opt" title="Whole word"><input type="checkbox" id="replace-word" /> Word</label>
+          <label class="opt" title="Regular expression ($1, $<name> in the replacement)"><input type="checkbox" id="replace-regex" /> .*</label>
+        </div>
+        <div class="row">
+          <input id="replace-with" type="text" placeholder="Replace with" spellcheck="false" />
+          <div class="scopes">
+            <label class="scope"><input type="checkbox" data-type="chapter" checked /> Chapters</label>
+            <label class="scope"><input type="checkbox" data-type="note" checked /> Notes</label>
+            <label class="scope"><input type="checkbox" data-type="reference" checked /> References</label>
+            <label class="scope"><input type="checkbox" data-type="lore" checked /> Lore</label>
+          </div>
+        </div>
+        <div id="replace-list" class="list" aria-label="Occurrences"></div>
+        <div class="row">
+          <span class="status" id="replace-status"></span>
+          <button class="btn" id="replace-undo" type="button" disabled>Undo last replace</button>
+          <button class="btn" id="replace-close" type="button">Close</button>
+          <button class="btn primary" id="replace-go" type="button" disabled>Replace</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(replaceEl);
+
+    const rerun = () => { clearTimeout(replaceTimer); replaceTimer = setTimeout(renderReplacePreview, 150); };
+    replaceEl.querySelector("#replace-find").addEventListener("input", rerun);
+    replaceEl.querySelector("#replace-with").addEventListener("input", rerun);
+    replaceEl.querySelectorAll("#replace-case, #replace-word, #replace-regex, .scopes input").forEach(cb => cb.addEventListener("change", renderReplacePreview));
+    replaceEl.querySelector("#replace-close").addEventListener("click", hideReplaceDialog);
+    replaceEl.addEventListener("click", (ev) => { if (ev.target === replaceEl) hideReplaceDialog(); });
+    replaceEl.querySelector("#replace-go").addEventListener("click", () => { applyProjectReplace(); });
+    replaceEl.querySelector("#replace-undo").addEventListener("click", () => { undoProjectReplace(); });
+    replaceEl.querySelector("#replace-list").addEventListener("change", (ev) => {
+      const cb = ev.target;
+      if (!cb || cb.type !== "checkbox") return;
+      if (cb.dataset.occ) {
+        if (cb.checked) replaceExcluded.delete(cb.dataset.occ); else replaceExcluded.add(cb.dataset.occ);
+      } else if (cb.dataset.entry) {
+        // Entry header toggles all of its occurrences
+        for (const o of replaceFound.filter(o => o.key === cb.dataset.entry)) {
+          if (cb.checked) replaceExcluded.delete(o.id); else replaceExcluded.add(o.id);
+        }
+        replaceEl.querySelectorAll(`input[data-occ]`).forEach(x => { x.checked = !replaceExcluded.has(x.dataset.occ); });
+      }
+      updateReplaceStatus();
+    });
+    return replaceEl;
+  }
+
+  function readReplaceOptions() {
+    return {
+      find: replaceEl.querySelector("#replace-find").value,
+      replace: replaceEl.querySelector("#replace-with").value,
+      caseSensitive: replaceEl.querySelector("#replace-case").checked,
+      wholeWord: replaceEl.querySelector("#replace-word").checked,
+      regex: replaceEl.querySelector("#replace-regex").checked,
+      types: [...replaceEl.querySelectorAll(".scopes input:checked")].map(cb => cb.dataset.type),
+    };
+  }
+
+  // Pull unsaved editor text into state.entries so the preview sees it
+  function flushEditorToState() {
+    if (!state.dirty || !findEntryByKey(state.selectedId)) return;
+    try { collectProjectData(); } catch (e) { dbg(`replace: flush failed: ${e?.message || e}`); }
+  }
+
+  function findProjectOccurrences(opts) {
+    return replaceLib.findOccurrences(state.entries, opts, { keyOf: entryKey, types: opts.types });
+  }
+
+  function renderReplacePreview() {
+    if (!replaceEl) return;
+    const list = replaceEl.querySelector("#replace-list");
+    const status = replaceEl.querySelector("#replace-status");
+    const opts = readReplaceOptions();
+    list.innerHTML = "";
+    replaceFound = [];
+    replaceExcluded = new Set();
+    flushEditorToState();
+    let found;
+    try {
+      found = findProjectOccurrences(opts);
+    } catch (e) {
+      status.textContent = `Invalid pattern: ${e?.message || e}`;
+      updateReplaceStatus(true);
       return;
     }
-
-    // Focus email input after a short delay to ensure modal is ready
-    setTimeout(() => {
-      try {
-        emailInput.focus();
-      } catch (e) {
-        loginDbg("Warning: Could not focus email input");
+    replaceFound = found.occurrences;
+    let lastKey = null;
+    for (const o of replaceFound) {
+      if (o.key !== lastKey) {
+        lastKey = o.key;
+        const head = document.createElement("label");
+        head.className = "entry";
+        head.innerHTML = `<input type="checkbox" data-entry="${escapeHtml(o.key)}" checked />
+          <span class="badge">${escapeHtml(o.type)}</span><span class="title">${escapeHtml(o.title || "(Untitled)")}</span>`;
+        list.appendChild(head);
       }
-    }, 100);
-    
-    loginDbg("Login modal shown successfully");
+      const row = document.createElement("label");
+      row.className = "occ";
+      row.innerHTML = `<input type="checkbox" data-occ="${escapeHtml(o.id)}" checked />
+        <span class="field">${escapeHtml(REPLACE_FIELD_LABELS[o.field] || o.field.replace(/^(?:entry|field)(\d+)(name|content|value)$/, "Field $1 $2"))}</span>
+        <span class="ctx">${escapeHtml(o.before.replace(/\s+/g, " "))}<del>${escapeHtml(o.match)}</del><ins>${escapeHtml(o.replacement)}</ins>${escapeHtml(o.after.replace(/\s+/g, " "))}</span>`;
+      list.appendChild(row);
+    }
+    if (found.truncated) {
+      const more = document.createElement("div");
+      more.className = "meta";
+      more.textContent = `Showing the first ${replaceLib.MAX_OCCURRENCES} occurrences — narrow the search to see the rest.`;
+      list.appendChild(more);
+    }
+    updateReplaceStatus();
   }
 
-  function hideLoginModal() {
-    if (!loginModal) {
-      loginDbg("No modal to hide");
-      return;
+  function updateReplaceStatus(invalid = false) {
+    const go = replaceEl.querySelector("#replace-go");
+    const status = replaceEl.querySelector("#replace-status");
+    const chosen = replaceFound.filter(o => !replaceExcluded.has(o.id));
+    const entries = new Set(chosen.map(o => o.key)).size;
+    go.disabled = invalid || !chosen.length;
+    go.textContent = chosen.length ? `Replace ${chosen.length}` : "Replace";
+    if (!invalid) {
+      const opts = readReplaceOptions();
+      status.textContent = !opts.find ? "" : replaceFound.length
+        ? `${replaceFound.length} occurrence${replaceFound.length === 1 ? "" : "s"} in ${new Set(replaceFound.map(o => o.key)).size} entries — ${chosen.length} selected in ${entries}`
+        : "No occurrences";
     }
+    replaceEl.querySelector("#replace-undo").disabled = !replaceUndoStack.length;
+  }
 
-    loginDbg("Hiding login modal");
-    
-    // Reset state when hiding
-    const emailInput = loginModal.querySelector("#login-email-dynamic");
-    const loginButton = loginModal.querySelector("#login-btn-dynamic");
-    
-    if (emailInput && loginButton) {
-      emailInput.value = "";
-      emailInput.disabled = false;
-      loginButton.disabled = false;
-      loginButton.textContent = "Sign In";
+  // Put the current entry's (possibly changed) fields back into the editor
+  // before saving, so saveToDisk doesn't read the stale text back in. Shared
+  // by the other bulk edits (tag manager).
+  function refreshEditorAfterBulkEdit(changedKeys) {
+    // Replace edits lore custom fields through their entryN mirror
+    for (const key of changedKeys) {
+      const e = findEntryByKey(key);
+      if (e && e.type === "lore" && loreFieldsLib.adoptLegacyFields(e)) loreFieldsLib.syncLegacyFields(e);
+    }
+    const cur = findEntryByKey(state.selectedId);
+    if (cur && changedKeys.has(entryKey(cur))) populateEditor(cur);
+    renderList();
+  }
+
+  async function applyProjectReplace() {
+    const opts = readReplaceOptions();
+    const chosenIds = new Set(replaceFound.filter(o => !replaceExcluded.has(o.id)).map(o => o.id));
+    const previewed = new Map(replaceFound.map(o => [o.id, o.match]));
+    if (!chosenIds.size) return;
+    flushEditorToState();
+    let fresh;
+    try { fresh = findProjectOccurrences(opts).occurrences; }
+    catch (e) { alert(`Replace failed: ${e?.message || e}`); return; }
+
+    // Only apply what is still where the preview showed it
+    const byField = new Map();
+    for (const o of fresh) {
+      if (!chosenIds.has(o.id) || previewed.get(o.id) !== o.match) continue;
+      const k = `${o.key}|${o.field}`;
+      if (!byField.has(k)) byField.set(k, []);
+      byField.get(k).push(o);
     }
+    const changes = [];
+    let count = 0;
+    for (const occs of byField.values()) {
+      const { key, field } = occs[0];
+      const entry = findEntryByKey(key);
+      if (!entry) continue;
+      const before = replaceLib.fieldValue(entry, field);
+      const replaced = replaceLib.applyOccurrences(before, occs);
+      if (replaced === before) continue;
+      replaceLib.setFieldValue(entry, field, replaced);
+      // list fields are split again, so keep the text as stored
+      const after = replaceLib.fieldValue(entry, field);
+      entry.updated_at = nowISO();
+      changes.push({ key, field, before, after });
+      count += occs.length;
+    }
+    if (!changes.length) { renderReplacePreview(); return; }
 
-    loginModal.style.display = "none";
-    loginDbg("Login modal hidden and state reset");
+    const changedKeys = new Set(changes.map(c => c.key));
+    replaceUndoStack.push({ label: `${opts.find} → ${opts.replace}`, changes });
+    if (replaceUndoStack.length > REPLACE_UNDO_DEPTH) replaceUndoStack.shift();
+    refreshEditorAfterBulkEdit(changedKeys);
+    state.dirty = true;
+    try {
+      await saveToDisk();
+      dbg(`replace: ${count} occurrence(s) in ${changedKeys.size} entr${changedKeys.size === 1 ? "y" : "ies"} ("${opts.find}" → "${opts.replace}")`);
+    } catch (e) {
+      dbg(`replace: save failed: ${e?.message || e}`);
+      alert(`Replaced in memory but saving failed: ${e?.message || e}`);
+    }
+    renderReplacePreview();
+    replaceEl.querySelector("#replace-status").textContent =
+      `Replaced ${count} occurrence${count === 1 ? "" : "s"} in ${changedKeys.size} entr${changedKeys.size === 1 ? "y" : "ies"}.`;
   }
 
-  // Autosave tunables
-  const AUTOSAVE_IDLE_MS = 1500;      // wait after edits
-  const AUTOSAVE_FAILSAFE_MS = 20000; // if still dirty after this, force save
-  let autosaveDebounce = null;
-  let failsafeTimer = null;
+  // Revert the last replace as a unit. Fields edited since then are left
+  // alone (and reported) rather than clobbered.
+  async function undoProjectReplace() {
+    const step = replaceUndoStack.pop();
+    if (!step) return;
+    flushEditorToState();
+    const changedKeys = new Set();
+    let skipped = 0;
+    for (const c of step.changes) {
+      const entry = findEntryByKey(c.key);
+      const now = entry ? replaceLib.fieldValue(entry, c.field) : null;
+      if (!entry || now !== c.after) { skipped++; continue; }
+      replaceLib.setFieldValue(entry, c.field, c.before);
+      entry.updated_at = nowISO();
+      changedKeys.add(c.key);
+    }
+    refreshEditorAfterBulkEdit(changedKeys);
+    state.dirty = true;
+    try { await saveToDisk(); } catch (e) { dbg(`replace: undo save failed: ${e?.message || e}`); }
+    dbg(`replace: undid "${step.label}" (${changedKeys.size} entries, ${skipped} skipped)`);
+    renderReplacePreview();
+    replaceEl.querySelector("#replace-status").textContent = skipped
+      ? `Undid the replace; ${skipped} field${skipped === 1 ? " was" : "s were"} edited since and left as is.`
+      : "Undid the last replace.";
+  }
 
-  // ───────────────── DOM ─────────────────
-  const $  = (s) => document.querySelector(s);
-  const $$ = (s) => document.querySelectorAll(s);
+  function showReplaceDialog(prefill = "") {
+    ensureReplaceDialog();
+    replaceEl.style.display = "flex";
+    const find = replaceEl.querySelector("#replace-find");
+    if (prefill) find.value = prefill;
+    find.focus();
+    find.select();
+    renderReplacePreview();
+  }
 
-  const el = {
-    projectName: $("#project-name"),
-    entryList: $("#entry-list"),
-    empty: $("#empty-state"),
-  // Only the main writing tabs (chapters/notes/references). Lore subtabs are wired separately.
-  tabs: document.querySelectorAll('.tabs-writing .tab'),
-    newBtn: $("#new-btn"),
-    quickCreate: $$("#empty-state [data-new]"),
-    // Editor fields
-    titleInput: $("#title-input"),
-    status: $("#status"),
-    tags: $("#tags"),
-    synopsis: $("#synopsis"),
-    body: $("#body"),
-    wordTarget: $("#word-target"),
-    // Notes-only
-    noteCategory: $("#note-category"),
-    notePin: $("#note-pin"),
-    // References-only
-    referenceType: $("#reference-type"),
-    sourceLink: $("#source-link"),
-    // Labels/wrappers
-    statusWrapper: $("#status-wrapper"),
-    tagsWrapper: $("#tags-wrapper"),
-    noteCategoryWrapper: $("#note-category-wrapper"),
-    notePinWrapper: $("#note-pin-wrapper"),
-    referenceTypeWrapper: $("#reference-type-wrapper"),
-    sourceLinkLabel: $("#source-link-label"),
-    synopsisLabel: $("#synopsis-label"),
-    bodyLabel: $("#body-label"),
-    wordTargetWrapper: $("#word-target-wrapper"),
-    // Status/footer
-    wordCount: $("#word-count"),
-    saveState: $("#save-state"),
-    lastSaved: $("#last-saved"),
-    saveBtn: $("#save-btn"),
-    deleteBtn: $("#editor-delete-btn"),
+  function hideReplaceDialog() {
+    if (!replaceEl) return;
+    replaceEl.style.display = "none";
+    clearTimeout(replaceTimer);
+  }
 
-    // Word goal (bottom bar)
-    goalWrap: $("#goal-wrap"),
-    wordGoal: $("#word-goal"),
-    goalProgress: $("#goal-progress"),
-    goalFill: $("#goal-fill"),
-    goalPct: $("#goal-pct"),
+  // ───────────── Tag Manager ─────────────
+  // Lists every tag with usage counts and renames / merges / deletes tags
+  // across all entries (src/shared/tags.js). Tag colors are stored per
+  // project as `tag_colors` in data/project.json and drawn as chips in the
+  // entry list and the Finder. Also provides tag autocomplete for the
+  // #tags / #lore-tags inputs.
+  const tagsLib = require('./src/shared/tags');
+  let tagManagerEl = null;
+  let tagColors = null;
+  let tagColorsFile = null;
+  const TAG_PALETTE = ["#ef4444", "#f97316", "#eab308", "#22c55e", "#14b8a6", "#3b82f6", "#8b5cf6", "#ec4899"];
+
+  function getTagColors() {
+    if (tagColors && tagColorsFile === SAVE_FILE) return tagColors;
+    tagColorsFile = SAVE_FILE;
+    const stored = readProjectJsonKey("tag_colors");
+    tagColors = (stored && typeof stored === "object" && !Array.isArray(stored)) ? stored : {};
+    return tagColors;
+  }
 
-   // Settings UI
-    settingsBtn: $("#settings-btn"),
-    settingsModal: $("#settings-modal"),
-    settingsClose: $("#settings-close"),
-    // Unified toggle + select + label
-    appearanceMode: $("#appearance-mode"),
-    appearanceSelect: $("#appearance-select"),
-    appearanceLabel: $("#appearance-label"),
-    // Keep background sliders
-    bgOpacity: $("#bg-opacity"),
-    bgBlur: $("#bg-blur"),
-    editorDim: $("#dim-editor"),
-    // Buttons inside modal
-    settingsDone: $("#settings-done"),
-    settingsReset: $("#settings-reset"),
-    // Lore editor UI
-    loreEditor: $("#lore-editor"),
-    loreSwitchBtn: $("#switch-to-lore-btn"),
-    loreBackBtn: $("#lore-back-btn"),
-  loreBody: $("#lore-body"),
-  loreKind: $("#lore-kind-input"),
-  loreTitle: $("#lore-title-input"),
-  loreTags: $("#lore-tags"),
-  loreSummary: $("#lore-summary"),
-  // Custom paired fields (entryNname / entryNcontent)
-  entry1name: $("#entry1name"),
-  entry1content: $("#entry1content"),
-  entry2name: $("#entry2name"),
-  entry2content: $("#entry2content"),
-  entry3name: $("#entry3name"),
-  entry3content: $("#entry3content"),
-  entry4name: $("#entry4name"),
-  entry4content: $("#entry4content"),
-  tabsWriting: document.querySelector('.tabs-writing'),
-  tabsLore: document.querySelector('.tabs-lore'),
-  // Top-level app tabs (Story / Lore / Timeline)
-  topTabs: document.querySelector('.top-tabs'),
-  topTabButtons: document.querySelectorAll('.top-tabs .top-tab'),
-  timeline: document.getElementById('timeline'),
-  timelineCanvas: document.getElementById('timeline-canvas'),
-  };
+  function setTagColors(next) {
+    tagColors = next;
+    tagColorsFile = SAVE_FILE;
+    writeProjectJsonKey("tag_colors", tagColors);
+  }
 
-  // In-memory nodes placed on the timeline (keyed by a generated node id)
-  state.timelineNodes = {}; // { nodeId: { entryId, x, y, color } }
+  function tagColor(tag) {
+    return getTagColors()[tagsLib.colorKey(tag)] || "";
+  }
 
-  // Timeline viewport: logical scale and translation (in screen pixels)
-  state.timelineViewport = { scale: 1, tx: 0, ty: 0 };
+  // Chips for `tags`; with onlyColored, uncolored tags are left out
+  function tagChipsHtml(tags, { onlyColored = false, max = 4 } = {}) {
+    const list = (Array.isArray(tags) ? tags : []).filter(t => !onlyColored || tagColor(t));
+    const shown = list.slice(0, max).map(t => {
+      const c = tagColor(t);
+      return `<span class="tag-chip"${c ? ` style="--tag-color:${escapeHtml(c)}"` : ""}>${escapeHtml(t)}</span>`;
+    });
+    if (list.length > max) shown.push(`<span class="tag-chip more">+${list.length - max}</span>`);
+    return shown.length ? `<span class="tag-chips">${shown.join("")}</span>` : "";
+  }
 
-  // Timeline config
-  const TIMELINE = {
-    grid: 6, // pixels (finer snap for smoother movement)
-    palette: [ '#FF3B30', '#FF9500', '#FFCC00', '#34C759', '#0A84FF', '#5856D6', '#AF52DE' ],
-    jitter: 8 // hue/saturation jitter amount
-  };
+  function ensureTagManager() {
+    if (tagManagerEl) return tagManagerEl;
+    tagManagerEl = document.createElement("div");
+    tagManagerEl.id = "tag-manager";
+    tagManagerEl.innerHTML = `
+      <div class="card" role="dialog" aria-modal="true" aria-label="Tag manager">
+        <div class="row">
+          <strong>Tags</strong>
+          <input id="tag-filter" type="text" placeholder="Filter tags…" />
+        </div>
+        <div class="list" id="tag-list"></div>
+        <div class="row">
+          <span class="status" id="tag-status"></span>
+          <input id="tag-merge-target" type="text" placeholder="Merge into…" />
+          <button class="btn" id="tag-merge" type="button" disabled>Merge selected</button>
+          <button class="btn" id="tag-close" type="button">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(tagManagerEl);
+    tagManagerEl.querySelector("#tag-close").addEventListener("click", hideTagManager);
+    tagManagerEl.addEventListener("click", (ev) => { if (ev.target === tagManagerEl) hideTagManager(); });
+    tagManagerEl.querySelector("#tag-filter").addEventListener("input", renderTagManager);
+
+    const list = tagManagerEl.querySelector("#tag-list");
+    list.addEventListener("change", (ev) => {
+      const row = ev.target.closest("[data-tag]");
+      if (!row) return;
+      const tag = row.dataset.tag;
+      if (ev.target.classList.contains("tag-pick")) updateTagMergeState();
+      else if (ev.target.classList.contains("tag-color")) {
+        const next = Object.assign({}, getTagColors(), { [tagsLib.colorKey(tag)]: ev.target.value });
+        setTagColors(next);
+        renderList();
+      } else if (ev.target.classList.contains("tag-name")) {
+        const to = ev.target.value.trim();
+        if (!to) { ev.target.value = tag; return; }
+        if (to !== tag) retagProject([tag], to, `Renamed “${tag}” to “${to}”`);
+      }
+    });
+    list.addEventListener("keydown", (ev) => {
+      if (ev.target.classList.contains("tag-name") && ev.key === "Enter") ev.target.blur();
+    });
+    list.addEventListener("click", (ev) => {
+      const row = ev.target.closest("[data-tag]");
+      if (!row) return;
+      const tag = row.dataset.tag;
+      if (ev.target.closest(".tag-delete")) {
+        const n = Number(row.dataset.count) || 0;
+        if (confirm(`Remove the tag "${tag}" from ${n} entr${n === 1 ? "y" : "ies"}?`)) retagProject([tag], "", `Deleted “${tag}”`);
+      } else if (ev.target.closest(".tag-uncolor")) {
+        const next = Object.assign({}, getTagColors());
+        delete next[tagsLib.colorKey(tag)];
+        setTagColors(next);
+        renderTagManager();
+        renderList();
+      } else if (ev.target.closest(".tag-similar")) {
+        // Tick this tag and its look-alikes, ready to merge
+        const names = [tag, ...String(ev.target.closest(".tag-similar").dataset.similar || "").split("\n")];
+        list.querySelectorAll("[data-tag]").forEach(r => {
+          r.querySelector(".tag-pick").checked = names.includes(r.dataset.tag);
+        });
+        tagManagerEl.querySelector("#tag-merge-target").value = tag;
+        updateTagMergeState();
+      }
+    });
+    tagManagerEl.querySelector("#tag-merge-target").addEventListener("input", updateTagMergeState);
+    tagManagerEl.querySelector("#tag-merge").addEventListener("click", () => {
+      const picked = [...list.querySelectorAll(".tag-pick:checked")].map(cb => cb.closest("[data-tag]").dataset.tag);
+      const target = tagManagerEl.querySelector("#tag-merge-target").value.trim() || picked[0];
+      if (picked.length < 1 || !target) return;
+      const n = picked.filter(t => t !== target).length;
+      if (!n) return;
+      if (!confirm(`Merge ${picked.map(t => `"${t}"`).join(", ")} into "${target}"?`)) return;
+      retagProject(picked, target, `Merged ${n} tag${n === 1 ? "" : "s"} into “${target}”`);
+    });
+    return tagManagerEl;
+  }
 
-  // Utility: pick base color from palette (by entry id hash) and jitter slightly
-  function pickColorForEntry(entry) {
-    try {
-      const hash = String(entry.id || entry.code || entry.title || Math.random()).split("").reduce((a,c)=>a+ c.charCodeAt(0),0);
-      const base = TIMELINE.palette[Math.abs(hash) % TIMELINE.palette.length];
-      // Convert hex -> hsl, jitter, back to hex (simple approach)
-      const rgb = hexToRgb(base);
-      if (!rgb) return base;
-      // apply small random jitter using entry id for determinism
-      const rnd = (n) => Math.floor((Math.abs(hash + n) % 100) / 100 * TIMELINE.jitter) - (TIMELINE.jitter/2);
-      const r = clamp(rgb.r + rnd(1), 30, 230);
-      const g = clamp(rgb.g + rnd(2), 30, 230);
-      const b = clamp(rgb.b + rnd(3), 30, 230);
-      return rgbToHex(r,g,b);
-    } catch (e) { return TIMELINE.palette[0]; }
+  function updateTagMergeState() {
+    const picked = [...tagManagerEl.querySelectorAll(".tag-pick:checked")].map(cb => cb.closest("[data-tag]").dataset.tag);
+    const target = tagManagerEl.querySelector("#tag-merge-target").value.trim() || picked[0];
+    tagManagerEl.querySelector("#tag-merge").disabled = !picked.filter(t => t !== target).length;
   }
-  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
-  function hexToRgb(hex) {
-    if (!hex) return null;
-    const h = hex.replace('#','');
-    if (h.length === 3) {
-      return { r: parseInt(h[0]+h[0],16), g: parseInt(h[1]+h[1],16), b: parseInt(h[2]+h[2],16) };
-    }
-    return { r: parseInt(h.slice(0,2),16), g: parseInt(h.slice(2,4),16), b: parseInt(h.slice(4,6),16) };
+
+  const TAG_TYPE_LABELS = { chapter: "ch", note: "notes", reference: "refs", lore: "lore" };
+
+  function renderTagManager() {
+    if (!tagManagerEl) return;
+    const list = tagManagerEl.querySelector("#tag-list");
+    const q = tagManagerEl.querySelector("#tag-filter").value.trim().toLowerCase();
+    const usage = tagsLib.collectTagUsage(state.entries);
+    const shown = q ? usage.filter(u => u.tag.toLowerCase().includes(q)) : usage;
+    list.innerHTML = shown.length ? "" : `<div class="meta">${usage.length ? "No matching tags" : "No tags in this project yet"}</div>`;
+    shown.forEach((u, i) => {
+      const color = tagColor(u.tag);
+      const row = document.createElement("div");
+      row.className = "tag-row";
+      row.dataset.tag = u.tag;
+      row.dataset.count = String(u.count);
+      const breakdown = Object.entries(u.types).map(([t, n]) => `${n} ${TAG_TYPE_LABELS[t] || t}`).join(" · ");
+      row.innerHTML = `
+        <input type="checkbox" class="tag-pick" aria-label="Select ${escapeHtml(u.tag)}" />
+        <input type="color" class="tag-color" value="${escapeHtml(color || TAG_PALETTE[i % TAG_PALETTE.length])}" title="Tag color"${color ? "" : ' data-unset="1"'} />
+        <input type="text" class="tag-name" value="${escapeHtml(u.tag)}" spellcheck="false" aria-label="Rename tag" />
+        <span class="meta">${u.count} · ${escapeHtml(breakdown)}</span>
+        ${u.similar.length ? `<button type="button" class="tag-similar" data-similar="${escapeHtml(u.similar.join("\n"))}" title="Select for merging">similar: ${escapeHtml(u.similar.join(", "))}</button>` : ""}
+        <span class="spacer"></span>
+        ${color ? `<button type="button" class="btn tag-uncolor" title="Remove color">No color</button>` : ""}
+        <button type="button" class="btn danger tag-delete">Delete</button>
+      `;
+      list.appendChild(row);
+    });
+    const status = tagManagerEl.querySelector("#tag-status");
+    if (!status.dataset.sticky) status.textContent = `${usage.length} tag${usage.length === 1 ? "" : "s"}`;
+    delete status.dataset.sticky;
+    updateTagMergeState();
   }
-  function rgbToHex(r,g,b){ return '#'+ [r,g,b].map(x => x.toString(16).padStart(2,'0')).join(''); }
 
-  // Ensure timeline canvas exists after DOMContentLoaded (some HTML may be injected later)
-  function ensureTimelineCanvas() {
-    if (!el.timelineCanvas) el.timelineCanvas = document.getElementById('timeline-canvas');
-    // Initialize box select handlers when canvas is first found
-    if (el.timelineCanvas) {
-      _installBoxSelectHandlers(el.timelineCanvas);
+  // Rename/merge (`to` set) or delete (`to` empty) tags across all entries,
+  // then save once
+  async function retagProject(from, to, label) {
+    flushEditorToState();
+    const changed = tagsLib.retagEntries(state.entries, from, to);
+    for (const e of changed) e.updated_at = nowISO();
+    setTagColors(tagsLib.retagColors(getTagColors(), from, to));
+    if (changed.length) {
+      refreshEditorAfterBulkEdit(new Set(changed.map(entryKey)));
+      state.dirty = true;
+      try { await saveToDisk(); } catch (e) { dbg(`tags: save failed: ${e?.message || e}`); }
+    } else {
+      renderList();
+    }
+    dbg(`tags: ${label} (${changed.length} entries)`);
+    if (tagManagerEl) {
+      const status = tagManagerEl.querySelector("#tag-status");
+      status.textContent = `${label} — ${changed.length} entr${changed.length === 1 ? "y" : "ies"} updated`;
+      status.dataset.sticky = "1";
+      tagManagerEl.querySelector("#tag-merge-target").value = "";
+      renderTagManager();
     }
-    return el.timelineCanvas;
   }
 
-  function setTimelineTransform() {
-    const canvas = ensureTimelineCanvas();
-    if (!canvas) return;
-    const { scale, tx, ty } = state.timelineViewport;
-    canvas.style.transform = `translate(${tx}px, ${ty}px) scale(${scale})`;
+  function showTagManager() {
+    ensureTagManager();
+    flushEditorToState();
+    tagManagerEl.style.display = "flex";
+    renderTagManager();
+    tagManagerEl.querySelector("#tag-filter").focus();
   }
 
-  // Convert a screen/client coordinate to canvas logical coordinates (accounting for transform)
-  function clientToCanvas(clientX, clientY) {
-    const canvas = ensureTimelineCanvas();
-    if (!canvas) return { x: 0, y: 0 };
-    const rect = canvas.getBoundingClientRect();
-    const { scale } = state.timelineViewport;
-    const lx = (clientX - rect.left) / (scale || 1);
-    const ly = (clientY - rect.top) / (scale || 1);
-    return { x: lx, y: ly };
+  function hideTagManager() {
+    if (!tagManagerEl) return;
+    tagManagerEl.style.display = "none";
   }
 
-  // Links model: store link objects and render them in an SVG overlay
-  state.timelineLinks = {}; // { linkId: { from: nodeId, to: nodeId } }
-  // Selection model: ids of nodes currently selected (for box-select / group-move)
-  state.timelineSelection = { ids: [] };
+  // Suggest known tags for the comma-separated item under the caret
+  function attachTagAutocomplete(input) {
+    if (!input || input.dataset.tagAutocomplete) return;
+    input.dataset.tagAutocomplete = "1";
+    input.setAttribute("autocomplete", "off");
+    const menu = document.createElement("div");
+    menu.className = "tag-suggest";
+    menu.setAttribute("role", "listbox");
+    document.body.appendChild(menu);
+    let items = [];
+    let active = 0;
+
+    const currentToken = () => {
+      const v = input.value;
+      const caret = input.selectionStart ?? v.length;
+      const start = v.lastIndexOf(",", caret - 1) + 1;
+      let end = v.indexOf(",", caret);
+      if (end < 0) end = v.length;
+      return { start, end, text: v.slice(start, end).trim() };
+    };
+    const close = () => { menu.style.display = "none"; items = []; };
+    const render = () => {
+      menu.innerHTML = items.map((u, i) =>
+        `<div class="opt${i === active ? " active" : ""}" data-i="${i}" role="option">${tagChipsHtml([u.tag])}<span class="meta">${u.count}</span></div>`).join("");
+    };
+    const open = () => {
+      const tok = currentToken();
+      const q = tok.text.toLowerCase();
+      const have = new Set(parseTags(input.value).map(t => t.toLowerCase()));
+      items = tagsLib.collectTagUsage(state.entries)
+        .filter(u => {
+          const t = u.tag.toLowerCase();
+          return t !== q && (!q || t.startsWith(q)) && !have.has(t);
+        })
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 8);
+      if (!items.length) { close(); return; }
+      active = 0;
+      const r = input.getBoundingClientRect();
+      Object.assign(menu.style, { display: "block", left: `${r.left}px`, top: `${r.bottom + 2}px`, minWidth: `${Math.min(r.width, 260)}px` });
+      render();
+    };
+    const accept = (u) => {
+      const tok = currentToken();
+      const v = input.value;
+      const before = v.slice(0, tok.start).replace(/\s*$/, "");
+      const after = v.slice(tok.end).replace(/^\s*,?\s*/, "");
+      const head = before ? `${before} ${u.tag}` : u.tag;
+      input.value = `${head}, ${after}`;
+      const caret = head.length + 2;
+      input.setSelectionRange(caret, caret);
+      close();
+    };
 
-  function ensureTimelineSVG() {
-    const canvas = ensureTimelineCanvas();
-    if (!canvas) return null;
-    let svg = canvas.querySelector('svg.timeline-svg');
-    if (!svg) {
-      svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-      svg.classList.add('timeline-svg', 'interactive');
-      svg.setAttribute('width', '100%');
-      svg.setAttribute('height', '100%');
-      svg.setAttribute('preserveAspectRatio', 'none');
-      canvas.insertBefore(svg, canvas.firstChild);
+    input.addEventListener("input", open);
+    input.addEventListener("focus", open);
+    input.addEventListener("blur", () => setTimeout(close, 120));
+    input.addEventListener("keydown", (ev) => {
+      if (menu.style.display !== "block" || !items.length) return;
+      if (ev.key === "ArrowDown" || ev.key === "ArrowUp") {
+        ev.preventDefault();
+        active = (active + (ev.key === "ArrowDown" ? 1 : items.length - 1)) % items.length;
+        render();
+      } else if (ev.key === "Enter" || ev.key === "Tab") {
+        ev.preventDefault();
+        accept(items[active]);
+      } else if (ev.key === "Escape") {
+        ev.stopPropagation();
+        close();
+      }
+    });
+    menu.addEventListener("mousedown", (ev) => {
+      const opt = ev.target.closest("[data-i]");
+      if (!opt) return;
+      ev.preventDefault();
+      accept(items[Number(opt.dataset.i)]);
+    });
+  }
+
+  // ───────────── Lore Mentions ─────────────
+  // `@Name` / `[[Lore Title]]` in chapter and note bodies link to lore entries
+  // (src/shared/mentions.js). collectProjectData stores what each mention
+  // resolved to as `lore_links` (target → lore code) and pins links to lore
+  // that was renamed since the last save, so renaming keeps them working. Typing `@` or `[[` suggests lore titles;
+  // Ctrl/Cmd+click on a mention, or a click in the preview, opens the lore.
+  const mentionsLib = require('./src/shared/mentions');
+  const MENTION_TYPES = ["chapter", "note"];
+  const MENTION_WORD_RE = /^[\p{L}\p{N}](?:[\p{L}\p{N}_-]*[\p{L}\p{N}])?$/u;
+  const loreTitlesSeen = new Map();   // lore key → title as of the last save/load
+
+  // Lookup over the current lore entries. `oldTitles` (key → title) swaps in
+  // the previous titles of renamed entries.
+  function loreLookup(oldTitles = null) {
+    const lore = state.entries
+      .filter(e => e.type === "lore")
+      .map(e => (oldTitles && oldTitles.has(entryKey(e)) ? Object.assign({}, e, { title: oldTitles.get(entryKey(e)) }) : e));
+    return mentionsLib.createLoreLookup(lore, entryKey);
+  }
+
+  // Recompute a chapter/note's `lore_links` from its body
+  function updateLoreLinks(entry, lookup = loreLookup()) {
+    if (!entry || !MENTION_TYPES.includes(entry.type)) return;
+    const links = mentionsLib.buildLoreLinks(entry.body ?? entry.content ?? "", entry.lore_links, lookup);
+    if (Object.keys(links).length || entry.lore_links) entry.lore_links = links;
+  }
+
+  // Lore titles can change anywhere (title box, Find & Replace), so compare
+  // against the titles seen at the last save: every chapter/note mention that
+  // still resolves through a renamed entry's old title gets a stored link.
+  function pinRenamedLoreLinks() {
+    const oldTitles = new Map();
+    for (const e of state.entries) {
+      if (e.type !== "lore") continue;
+      const key = entryKey(e);
+      const title = String(e.title || "");
+      if (loreTitlesSeen.has(key) && loreTitlesSeen.get(key) !== title) oldTitles.set(key, loreTitlesSeen.get(key));
+      loreTitlesSeen.set(key, title);
     }
-    return svg;
+    if (!oldTitles.size) return;
+    const lookup = loreLookup(oldTitles);
+    let pinned = 0;
+    for (const e of state.entries) {
+      if (!MENTION_TYPES.includes(e.type)) continue;
+      for (const m of mentionsLib.findMentions(e.body ?? e.content ?? "")) {
+        const t = m.target.toLowerCase();
+        if (e.lore_links && e.lore_links[t]) continue;
+        const hit = mentionsLib.resolveMention(m.target, null, lookup);
+        if (!hit || !oldTitles.has(entryKey(hit))) continue;
+        e.lore_links = Object.assign({}, e.lore_links, { [t]: entryKey(hit) });
+        pinned++;
+      }
+    }
+    if (pinned) dbg(`mentions: pinned ${pinned} links to renamed lore (${[...oldTitles.values()].join(", ")})`);
   }
 
-  function getNodeElement(nodeId) {
-    const canvas = ensureTimelineCanvas();
-    if (!canvas) return null;
-    return canvas.querySelector(`[data-node-id="${nodeId}"]`);
+  // A project was (re)loaded: its titles are the baseline for renames
+  function resetLoreTitles() {
+    loreTitlesSeen.clear();
+    pinRenamedLoreLinks();
   }
 
-  // Compute logical canvas position for a specific handle id by locating the
-  // handle DOM element and converting its client center to canvas coords.
-  function getHandlePositionOfNode(handleId) {
-    try {
-      if (!handleId) return null;
-      const el = document.querySelector(`[data-handle-id="${handleId}"]`);
-      if (!el) return null;
-      const rect = el.getBoundingClientRect();
-      const cx = rect.left + rect.width / 2;
-      const cy = rect.top + rect.height / 2;
-      return clientToCanvas(cx, cy);
-    } catch (e) {
-      dbg('getHandlePositionOfNode error: ' + (e && e.message));
-      return null;
+  // Resolve a mention target in the context of the selected entry
+  function resolveMentionTarget(target, lookup = loreLookup()) {
+    const cur = findEntryByKey(state.selectedId);
+    return mentionsLib.resolveMention(target, cur && cur.lore_links, lookup);
+  }
+
+  async function openMention(target) {
+    const lore = resolveMentionTarget(target);
+    if (!lore) {
+      dbg(`mentions: "${target}" matches no lore entry`);
+      return;
     }
+    dbg(`mentions: open "${target}" -> ${entryKey(lore)}`);
+    // selectEntry reloads from disk, so write pending edits first
+    if (state.dirty) {
+      try { await saveToDisk(); } catch (e) { dbg(`mentions: save before open failed: ${e?.message || e}`); }
+    }
+    if (state.activeTab !== "lore") switchTab("lore");
+    selectEntry(entryKey(lore));
   }
 
-  function drawLinkPath(svg, fromPt, toPt, cls = 'link') {
-    // wrapper to create an SVG path element from a precomputed d string
-    const d = computeLinkD(fromPt, toPt, { x: 0, y: 0 });
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', d);
-    path.classList.add(cls);
-    return path;
+  // Called after each preview render: title every mention link with what it
+  // points at and flag the ones that don't resolve
+  function decorateMentionLinks(preview) {
+    const links = preview.querySelectorAll("a.mention");
+    if (!links.length) return;
+    const lookup = loreLookup();
+    links.forEach(a => {
+      const lore = resolveMentionTarget(a.dataset.mention, lookup);
+      a.classList.toggle("unresolved", !lore);
+      a.title = lore ? `${lore.title || "(Untitled)"} — click to open` : "No lore entry by this name";
+    });
   }
 
-  // Compute the cubic-bezier path `d` string for a link between two points.
-  // cpOffset translates both control points (does not move anchors) so the
-  // overall curve shape can be shifted without moving endpoints.
-  function computeLinkD(fromPt, toPt, cpOffset) {
-    cpOffset = cpOffset || { x: 0, y: 0 };
-    const dx = Math.max(60, Math.abs(toPt.x - fromPt.x));
-    let c1x = fromPt.x + dx * 0.35;
-    let c1y = fromPt.y;
-    let c2x = toPt.x - dx * 0.35;
-    let c2y = toPt.y;
-    c1x += cpOffset.x; c1y += cpOffset.y;
-    c2x += cpOffset.x; c2y += cpOffset.y;
-    return `M ${fromPt.x} ${fromPt.y} C ${c1x} ${c1y}, ${c2x} ${c2y}, ${toPt.x} ${toPt.y}`;
+  // Viewport position of character `pos` in a textarea, measured on a hidden
+  // copy with the same text metrics
+  function textareaCaretRect(textarea, pos) {
+    const cs = getComputedStyle(textarea);
+    const mirror = document.createElement("div");
+    for (const p of ["boxSizing", "width", "paddingTop", "paddingRight", "paddingBottom", "paddingLeft",
+      "borderTopWidth", "borderRightWidth", "borderBottomWidth", "borderLeftWidth", "borderStyle",
+      "fontFamily", "fontSize", "fontWeight", "fontStyle", "letterSpacing", "lineHeight", "tabSize", "wordSpacing"]) {
+      mirror.style[p] = cs[p];
+    }
+    Object.assign(mirror.style, { position: "fixed", top: "0", left: "-9999px", visibility: "hidden", whiteSpace: "pre-wrap", overflowWrap: "break-word" });
+    mirror.textContent = textarea.value.slice(0, pos);
+    const mark = document.createElement("span");
+    mark.textContent = "\u200b";
+    mirror.appendChild(mark);
+    document.body.appendChild(mirror);
+    const r = textarea.getBoundingClientRect();
+    const top = r.top + parseFloat(cs.borderTopWidth || 0) + mark.offsetTop - textarea.scrollTop;
+    const left = r.left + parseFloat(cs.borderLeftWidth || 0) + mark.offsetLeft - textarea.scrollLeft;
+    const height = mark.offsetHeight;
+    mirror.remove();
+    return { top, left, bottom: top + height };
   }
 
-  function renderAllLinks() {
-    const svg = ensureTimelineSVG();
-    if (!svg) return;
-    // clear existing persistent paths
-    svg.querySelectorAll('path.link').forEach(p => p.remove());
+  // The `@…` / `[[…` being typed right before the caret → { start, query, bracket } | null
+  function mentionQueryAt(textarea) {
+    const v = textarea.value;
+    const caret = textarea.selectionStart;
+    if (caret !== textarea.selectionEnd) return null;
+    const line = v.slice(v.lastIndexOf("\n", caret - 1) + 1, caret);
+    let m = /\[\[([^[\]|\n]*)$/.exec(line);
+    if (m) return { start: caret - m[0].length, query: m[1], bracket: true };
+    m = /(?:^|[^\p{L}\p{N}_@.])@([\p{L}\p{N}_-]*)$/u.exec(line);
+    if (m) return { start: caret - m[1].length - 1, query: m[1], bracket: false };
+    return null;
+  }
 
+  // Source for a picked lore entry: `@Title` for one-word titles typed with
+  // `@`, `[[Title]]` otherwise (or the code when the title can't be written)
+  function mentionSource(lore, bracket) {
+    const title = String(lore.title || "").trim();
+    if (!bracket && MENTION_WORD_RE.test(title)) return `@${title}`;
+    if (!title || /[[\]|\n]/.test(title)) return `[[${entryKey(lore)}]]`;
+    return `[[${title}]]`;
+  }
 
-    for (const lid in state.timelineLinks) {
-      const ln = state.timelineLinks[lid];
-      const a = getHandlePositionOfNode(ln.fromHandle || ln.fromNode);
-      const b = getHandlePositionOfNode(ln.toHandle || ln.toNode);
-      if (!a || !b) continue;
-      const cp = ln.cpOffset || { x: 0, y: 0 };
-      const d = computeLinkD(a, b, cp);
-      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-      path.setAttribute('d', d);
-      path.classList.add('link');
-      // Make interactive for dragging
-      path.classList.add('interactive');
-      path.dataset.linkId = lid;
-      svg.appendChild(path);
+  // Lore suggestions, Ctrl/Cmd+click navigation and preview links for a
+  // body textarea (call after attachMarkdownEditor)
+  function attachMentionSupport(textarea) {
+    if (!textarea || textarea.dataset.mentions) return;
+    textarea.dataset.mentions = "1";
+    const menu = document.createElement("div");
+    menu.className = "tag-suggest mention-suggest";
+    menu.setAttribute("role", "listbox");
+    document.body.appendChild(menu);
+    let items = [];
+    let active = 0;
+    let query = null;
+
+    const close = () => { menu.style.display = "none"; items = []; query = null; };
+    const render = () => {
+      menu.innerHTML = items.map((e, i) =>
+        `<div class="opt${i === active ? " active" : ""}" data-i="${i}" role="option"><span>${escapeHtml(e.title)}</span><span class="meta">${escapeHtml(e.lore_kind || "lore")}</span></div>`).join("");
+    };
+    const open = () => {
+      const cur = findEntryByKey(state.selectedId);
+      query = cur && MENTION_TYPES.includes(cur.type) ? mentionQueryAt(textarea) : null;
+      if (!query) { close(); return; }
+      const q = query.query.trim().toLowerCase();
+      const rank = (e) => {
+        const t = String(e.title).toLowerCase();
+        if (!q || t.startsWith(q)) return 0;
+        if (t.split(/\s+/).some(w => w.startsWith(q))) return 1;
+        if ((e.aliases || []).some(a => String(a).toLowerCase().startsWith(q))) return 1;
+        if (String(e.code || "").toLowerCase().startsWith(q)) return 2;
+        return -1;
+      };
+      items = state.entries
+        .filter(e => e.type === "lore" && String(e.title || "").trim())
+        .map(e => ({ e, r: rank(e) }))
+        .filter(x => x.r >= 0)
+        .sort((a, b) => a.r - b.r || a.e.title.localeCompare(b.e.title))
+        .slice(0, 8)
+        .map(x => x.e);
+      if (!items.length) { close(); return; }
+      active = 0;
+      const at = textareaCaretRect(textarea, query.start);
+      Object.assign(menu.style, { display: "block", left: `${at.left}px`, top: `${at.bottom + 4}px`, minWidth: "180px" });
+      render();
+    };
+    const accept = (lore) => {
+      if (!query) return;
+      const v = textarea.value;
+      const caret = textarea.selectionStart;
+      const end = query.bracket && v.startsWith("]]", caret) ? caret + 2 : caret;
+      const text = mentionSource(lore, query.bracket);
+      // Remember the pick, so a duplicate title still links to this entry
+      const cur = findEntryByKey(state.selectedId);
+      if (cur) {
+        const target = mentionsLib.findMentions(text)[0]?.target;
+        if (target) cur.lore_links = Object.assign({}, cur.lore_links, { [target.toLowerCase()]: entryKey(lore) });
+      }
+      const start = query.start;
+      close();
+      replaceRange(textarea, start, end, text, start + text.length, start + text.length);
+    };
 
+    textarea.addEventListener("input", open);
+    textarea.addEventListener("blur", () => setTimeout(close, 120));
+    textarea.addEventListener("keydown", (ev) => {
+      if (menu.style.display !== "block" || !items.length) return;
+      if (ev.key === "ArrowDown" || ev.key === "ArrowUp") {
+        ev.preventDefault();
+        active = (active + (ev.key === "ArrowDown" ? 1 : items.length - 1)) % items.length;
+        render();
+      } else if (ev.key === "Enter" || ev.key === "Tab") {
+        ev.preventDefault();
+        accept(items[active]);
+      } else if (ev.key === "Escape") {
+        ev.stopPropagation();
+        close();
+      }
+    });
+    menu.addEventListener("mousedown", (ev) => {
+      const opt = ev.target.closest("[data-i]");
+      if (!opt) return;
+      ev.preventDefault();
+      accept(items[Number(opt.dataset.i)]);
+    });
 
-    }
+    textarea.addEventListener("click", (ev) => {
+      const isMac = navigator.platform.toUpperCase().includes("MAC");
+      if (!(isMac ? ev.metaKey : ev.ctrlKey)) return;
+      const m = mentionsLib.mentionAt(textarea.value, textarea.selectionStart);
+      if (!m) return;
+      ev.preventDefault();
+      openMention(m.target);
+    });
+    const preview = textarea.closest(".md-wrap")?.querySelector(".md-preview");
+    preview?.addEventListener("click", (ev) => {
+      const a = ev.target.closest("a.mention");
+      if (!a || a.classList.contains("unresolved")) return;
+      ev.preventDefault();
+      openMention(a.dataset.mention);
+    });
   }
 
-  function getNodeCenterRight(nodeId) {
-    try {
-      const el = getNodeElement(nodeId);
-      if (!el) return null;
-      const rect = el.getBoundingClientRect();
-      const cx = rect.left + rect.width;
-      const cy = rect.top + rect.height / 2;
-      return clientToCanvas(cx, cy);
-    } catch (e) { return null; }
+  // ───────────── Backlinks (lore editor) ─────────────
+  // "Mentioned in" panel under the lore header: chapters, notes and
+  // references whose body links to the selected lore entry or names it by
+  // title or alias (src/shared/backlinks.js). Refreshed when a lore entry is
+  // shown and after every save; only entries whose text changed are rescanned.
+  const backlinksLib = require('./src/shared/backlinks');
+  const backlinkIndex = backlinksLib.createBacklinkIndex();
+  let backlinksEl = null;
+  let backlinkResults = [];
+
+  function ensureBacklinksPanel() {
+    if (backlinksEl) return backlinksEl;
+    const pane = document.getElementById("lore-editor");
+    if (!pane) return null;
+    backlinksEl = document.createElement("details");
+    backlinksEl.id = "lore-backlinks";
+    backlinksEl.open = true;
+    backlinksEl.innerHTML = `<summary>Mentioned in <span class="count"></span></summary><div class="list" role="list"></div>`;
+    const header = pane.querySelector(".lore-header");
+    if (header) header.insertAdjacentElement("afterend", backlinksEl);
+    else pane.prepend(backlinksEl);
+    backlinksEl.querySelector(".list").addEventListener("click", (ev) => {
+      const row = ev.target.closest("[data-r]");
+      if (!row) return;
+      const result = backlinkResults[Number(row.dataset.r)];
+      const hit = result && result.hits[Number(row.dataset.h || 0)];
+      if (result && hit) jumpToBacklink(result, hit);
+    });
+    return backlinksEl;
   }
 
-  // Temporary drag state for creating a link
-  let _tempLink = { active: false, svgPath: null, fromNode: null, fromHandle: null };
-  // Drag state for moving an existing link's control points as a unit
-  let _dragLink = { active: false, linkId: null, startCanvas: null, startOffset: null };
-  // Connection editing state (for detach/reconnect)
-  let _editLink = { active: false, linkId: null, fromNode: null, fromHandle: null, toNode: null, toHandle: null };
-  // Box-selection state and group-drag state
-  let _boxSelect = { active: false, rectEl: null, startCanvas: null };
-  let _groupDrag = { active: false, nodeIds: [], startClientX: 0, startClientY: 0, startPositions: {} };
+  function backlinkSnippetHtml(snippet) {
+    const [s, e] = snippet.highlight;
+    const t = snippet.text;
+    return `${snippet.before ? "… " : ""}${escapeHtml(t.slice(0, s))}<mark>${escapeHtml(t.slice(s, e))}</mark>${escapeHtml(t.slice(e))}${snippet.after ? " …" : ""}`;
+  }
 
-  // Clear timeline selection
-  function clearTimelineSelection() {
+  function refreshBacklinks() {
+    const lore = findEntryByKey(state.selectedId);
+    if (!lore || lore.type !== "lore" || state.activeTab !== "lore") {
+      if (backlinksEl) backlinksEl.style.display = "none";
+      return;
+    }
+    const panel = ensureBacklinksPanel();
+    if (!panel) return;
+    let out;
     try {
-      // Clear previous selection classes
-      if (state.timelineSelection && Array.isArray(state.timelineSelection.ids)) {
-        for (const id of state.timelineSelection.ids) {
-          const el = getNodeElement(id);
-          if (el) el.classList.remove('multi-selected');
-        }
-      }
-      // Reset selection state
-      state.timelineSelection.ids = [];
-    } catch (e) { 
-      dbg('clearTimelineSelection error: ' + (e && e.message)); 
+      out = backlinkIndex.query(state.entries, lore, { keyOf: entryKey, lookup: loreLookup() });
+    } catch (e) {
+      dbg(`backlinks: query failed: ${e?.message || e}`);
+      return;
+    }
+    backlinkResults = out.results;
+    dbg(`backlinks: ${entryKey(lore)} -> ${backlinkResults.length} entries (${out.rescanned} rescanned)`);
+    const total = backlinkResults.reduce((n, r) => n + r.total, 0);
+    panel.style.display = "";
+    panel.querySelector(".count").textContent = total ? `(${total})` : "";
+    const list = panel.querySelector(".list");
+    if (!backlinkResults.length) {
+      list.innerHTML = `<div class="empty">No chapter, note or reference mentions this entry yet. Write @${escapeHtml(String(lore.title || "Name").split(/\s+/)[0])} or [[${escapeHtml(lore.title || "Title")}]] in a body to link it.</div>`;
+      return;
     }
+    list.innerHTML = backlinkResults.map((r, ri) => `
+      <div class="entry" role="listitem">
+        <div class="head" data-r="${ri}" data-h="0"><span class="badge">${escapeHtml(r.type)}</span><span class="title">${escapeHtml(r.title || "(Untitled)")}</span><span class="meta">${r.total}</span></div>
+        ${r.hits.map((h, hi) => `<div class="hit" data-r="${ri}" data-h="${hi}" title="Open at this mention"><span class="kind ${h.kind}">${h.kind}</span><span class="snippet">${backlinkSnippetHtml(h.snippet)}</span></div>`).join("")}
+        ${r.total > r.hits.length ? `<div class="more">+${r.total - r.hits.length} more</div>` : ""}
+      </div>`).join("");
   }
 
-  // Debug function to check current selection state
-  function debugTimelineSelection() {
-    try {
-      const selectionIds = (state.timelineSelection && state.timelineSelection.ids) || [];
-      dbg(`DEBUG-SELECTION: Current selection has ${selectionIds.length} nodes: [${selectionIds.join(', ')}]`);
-      
-      // Check if nodes actually have the multi-selected class
-      for (const nodeId of selectionIds) {
-        const el = getNodeElement(nodeId);
-        if (el) {
-          const hasClass = el.classList.contains('multi-selected');
-          dbg(`DEBUG-SELECTION: Node ${nodeId} element found, multi-selected class: ${hasClass}`);
-        } else {
-          dbg(`DEBUG-SELECTION: Node ${nodeId} element NOT FOUND`);
-        }
-      }
-      
-      // Check all nodes for selection state
-      const allNodeIds = Object.keys(state.timelineNodes || {});
-      for (const nodeId of allNodeIds) {
-        const el = getNodeElement(nodeId);
-        if (el && el.classList.contains('multi-selected')) {
-          dbg(`DEBUG-SELECTION: Found multi-selected node in DOM: ${nodeId}`);
-        }
-      }
-    } catch (e) {
-      dbg(`debugTimelineSelection error: ${e && e.message}`);
+  // Open the mentioning entry with the mention selected (same reveal as the
+  // Finder uses)
+  async function jumpToBacklink(result, hit) {
+    if (state.dirty) {
+      try { await saveToDisk(); } catch (e) { dbg(`backlinks: save before jump failed: ${e?.message || e}`); }
     }
+    const tab = typeTabMap[result.type];
+    if (tab && tab !== state.activeTab) switchTab(tab);
+    selectEntry(result.key);
+    setTimeout(() => revealFinderMatch({ entry: result.entry, field: "body", offset: hit.start, length: hit.end - hit.start }), 40);
   }
 
-  // Make debug function available globally for console access
-  window.debugTimelineSelection = debugTimelineSelection;
+  // ───────────── Lore Fields & Templates ─────────────
+  // Lore custom fields are typed and open-ended (src/shared/lore.fields.js);
+  // the editor renders them into #lore-fields from the selected entry's
+  // `fields`. Templates per lore kind (project.json `lore_templates`) add
+  // their fields when an entry's kind is set. The first four fields are
+  // mirrored into entry1name … entry4content for older files and the DB.
+  const loreFieldsLib = require('./src/shared/lore.fields');
+  const LORE_FIELD_TYPE_LABELS = { text: "Text", number: "Number", date: "Date", list: "List", link: "Link" };
+  let loreTemplates = null;
+  let loreTemplatesFile = null;
+  let loreTemplatesEl = null;
+  let loreTemplatesKind = null;  // kind selected in the templates dialog
+
+  function getLoreTemplates() {
+    if (loreTemplates && loreTemplatesFile === SAVE_FILE) return loreTemplates;
+    loreTemplatesFile = SAVE_FILE;
+    loreTemplates = loreFieldsLib.normalizeTemplates(readProjectJsonKey("lore_templates"));
+    return loreTemplates;
+  }
 
-  // Helpers to manage handles per-node
-  function addHandleToNode(nodeId, used, side = 'right') {
-    try {
-      if (!state.timelineNodes[nodeId]) state.timelineNodes[nodeId] = { entryId: null, x: 0, y: 0, color: null, handles: [] };
-      const hid = `h-${uid()}`;
-      state.timelineNodes[nodeId].handles = state.timelineNodes[nodeId].handles || [];
-      const obj = { id: hid, used: !!used, side: side };
-      state.timelineNodes[nodeId].handles.push(obj);
-      // Create DOM element for handle
-      const nodeEl = getNodeElement(nodeId);
-      if (nodeEl) {
-        const hEl = document.createElement('div');
-        hEl.className = 'conn-handle';
-        hEl.dataset.handleId = hid;
-        hEl.dataset.side = side;
-        hEl.classList.add(side);
-        hEl.title = 'Create link';
-        nodeEl.appendChild(hEl);
-        updateHandlesForNode(nodeId);
-      }
-      dbg(`timeline: addHandleToNode node=${nodeId} handle=${hid} used=${!!used}`);
-      return hid;
-    } catch (e) { dbg('addHandleToNode error: ' + (e && e.message)); return null; }
+  function setLoreTemplates(next) {
+    loreTemplates = loreFieldsLib.normalizeTemplates(next);
+    loreTemplatesFile = SAVE_FILE;
+    writeProjectJsonKey("lore_templates", loreTemplates);
   }
 
-  function updateHandlesForNode(nodeId) {
-    try {
-      const nodeEl = getNodeElement(nodeId);
-      if (!nodeEl) return;
-      const handles = (state.timelineNodes[nodeId] && state.timelineNodes[nodeId].handles) || [];
-      const els = Array.from(nodeEl.querySelectorAll('.conn-handle'));
-      // Remove orphaned DOM handles that don't exist in state
-      els.forEach(el => {
-        const hid = el.dataset.handleId;
-        if (!handles.find(h => h.id === hid)) {
-          el.remove();
-        }
-      });
-      // Add missing DOM elements
-      for (const h of handles) {
-        if (!els.find(e => e.dataset.handleId === h.id)) {
-          const hEl = document.createElement('div');
-          hEl.className = 'conn-handle';
-          hEl.dataset.handleId = h.id;
-          hEl.dataset.side = h.side || 'right';
-          hEl.classList.add(h.side || 'right');
-          hEl.title = 'Create link';
-          nodeEl.appendChild(hEl);
-        }
-      }
-      // Re-query and group by side
-      const finalEls = Array.from(nodeEl.querySelectorAll('.conn-handle'));
-      // Adjust node min-height so handles on either side don't overlap.
-      try {
-        const leftCount = handles.filter(h => (h.side || 'right') === 'left').length;
-        const rightCount = handles.filter(h => (h.side || 'right') === 'right').length;
-        const maxCount = Math.max(leftCount, rightCount, 1);
-        const base = 40; // base min height in px
-        const spacing = 20; // px per handle row
-        nodeEl.style.minHeight = `${Math.max(base, Math.round(base + (maxCount - 1) * spacing))}px`;
-      } catch (e) { /* best-effort */ }
-      const sides = ['left','right'];
-      for (const side of sides) {
-        const sideHandles = handles.filter(h => (h.side || 'right') === side);
-        const sideEls = finalEls.filter(e => (e.dataset.side || 'right') === side);
-        const count = Math.max(sideHandles.length, sideEls.length);
-        for (let i = 0; i < sideEls.length; i++) {
-          const el = sideEls[i];
-          // distribute vertically within side group
-          const topPct = ((i + 1) / (count + 1)) * 100;
-          el.style.top = `${topPct}%`;
-          const hid = el.dataset.handleId;
-          const hObj = handles.find(h => h.id === hid) || { used: false, side };
-          el.classList.toggle('used', !!hObj.used);
-          el.dataset.side = hObj.side || side;
-          el.classList.remove('left','right');
-          el.classList.add(hObj.side || side);
-        }
-      }
-    } catch (e) { dbg('updateHandlesForNode error: ' + (e && e.message)); }
+  function currentLore() {
+    const e = findEntryByKey(state.selectedId);
+    return e && e.type === "lore" ? e : null;
   }
 
-  function startLinkDrag(fromNodeId, fromHandleId) {
-    const svg = ensureTimelineSVG();
-    if (!svg) return;
-    
-    // Only reset edit state if we're not currently in an edit operation
-    if (!_editLink.active) {
-      _editLink.linkId = null;
-      _editLink.fromNode = null;
-      _editLink.fromHandle = null;
-      _editLink.toNode = null;
-      _editLink.toHandle = null;
-    }
-    
-    _tempLink.active = true;
-    _tempLink.fromNode = fromNodeId;
-    _tempLink.fromHandle = fromHandleId || null;
-    if (_tempLink.svgPath) try { _tempLink.svgPath.remove(); } catch(e){}
-    _tempLink.svgPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    _tempLink.svgPath.classList.add('temp');
-    svg.appendChild(_tempLink.svgPath);
-    dbg(`timeline: startLinkDrag fromNode=${fromNodeId} fromHandle=${_tempLink.fromHandle || '<none>'}`);
+  // The in-memory lore entry behind `entry` (which may be a copy read from
+  // disk), with `fields` filled in from the legacy keys if needed
+  function loreWithFields(entry) {
+    const live = (entry && findEntryByKey(entryKey(entry))) || entry;
+    if (live && !Array.isArray(live.fields)) live.fields = loreFieldsLib.readLoreFields(live);
+    return live;
   }
 
-  function updateTempLink(clientX, clientY) {
-    if (!_tempLink.active || !_tempLink.svgPath) return;
-    // Prefer the explicit handle position if we started from a handle, otherwise
-    // fall back to the center-right of the originating node (obscure case).
-  let fromPos = null;
-  if (_tempLink.fromHandle) fromPos = getHandlePositionOfNode(_tempLink.fromHandle);
-  if (!fromPos && _tempLink.fromNode) fromPos = getNodeCenterRight(_tempLink.fromNode);
-    if (!fromPos) return;
-    const toPos = clientToCanvas(clientX, clientY);
-    const d = computeLinkD(fromPos, toPos, { x: 0, y: 0 });
-    _tempLink.svgPath.setAttribute('d', d);
-    dbg(`timeline: updateTempLink from=${_tempLink.fromNode || '<unknown>'} fromHandle=${_tempLink.fromHandle || '<none>'} toClient=${clientX},${clientY} toCanvas=${Math.round(toPos.x)},${Math.round(toPos.y)}`);
+  function linkTargetLabel(key) {
+    const t = key ? findEntryByKey(key) : null;
+    return t ? (t.title || "(Untitled)") : null;
   }
 
-  function finishLinkDrag(clientX, clientY, targetNodeId, targetHandleId) {
-    if (!_tempLink.active) return;
-    try { if (_tempLink.svgPath) _tempLink.svgPath.remove(); } catch (e) {}
-    _tempLink.active = false;
-    const fromNode = _tempLink.fromNode;
-    const fromHandle = _tempLink.fromHandle || null;
-    _tempLink.fromNode = null;
-    _tempLink.fromHandle = null;
-    dbg(`timeline: finishLinkDrag fromNode=${fromNode} fromHandle=${fromHandle} targetNode=${targetNodeId} targetHandle=${targetHandleId} client=${clientX},${clientY}`);
-    if (!fromNode) return;
-    
-    if (!targetNodeId || targetNodeId === fromNode) {
-      dbg('timeline: finishLinkDrag ignored (no valid target or self-link)');
-      return; // ignore invalid
-    }
-    // Require both a valid source handle (we started from a handle) and a
-    // target handle (user must drop on a connection point). Otherwise ignore.
-    if (!fromHandle) {
-      dbg('timeline: finishLinkDrag ignored - no source handle recorded');
-      return;
+  // Link field text → entry key: exact title (lore first) or key; otherwise
+  // the text itself is kept
+  function resolveLinkInput(text, self) {
+    const t = String(text || "").trim();
+    if (!t) return "";
+    const lower = t.toLowerCase();
+    const byKey = findEntryByKey(t);
+    if (byKey && byKey !== self) return entryKey(byKey);
+    const matches = state.entries.filter(e => e !== self && String(e.title || "").trim().toLowerCase() === lower);
+    const hit = matches.find(e => e.type === "lore") || matches[0];
+    return hit ? entryKey(hit) : t;
+  }
+
+  function loreFieldsChanged(entry) {
+    loreFieldsLib.syncLegacyFields(entry);
+    touchSave();
+  }
+
+  function loreFieldControlHtml(f, i) {
+    const v = f.value;
+    switch (f.type) {
+      case "number": return `<input type="number" step="any" class="lf-value" data-i="${i}" value="${escapeHtml(v)}" aria-label="${escapeHtml(f.name || "Field")} value" />`;
+      case "date": return `<input type="date" class="lf-value" data-i="${i}" value="${escapeHtml(v)}" aria-label="${escapeHtml(f.name || "Field")} date" />`;
+      case "list": return `<input type="text" class="lf-value" data-i="${i}" value="${escapeHtml((Array.isArray(v) ? v : []).join(", "))}" placeholder="item, item, …" aria-label="${escapeHtml(f.name || "Field")} items" />`;
+      case "link": {
+        const label = v ? (linkTargetLabel(v) ?? v) : "";
+        return `<div class="lf-link"><input type="text" class="lf-value" data-i="${i}" list="lore-link-options" value="${escapeHtml(label)}" placeholder="Title or code of another entry" aria-label="${escapeHtml(f.name || "Field")} link" />` +
+          `<button type="button" class="btn small lf-open" data-i="${i}" title="Open linked entry"${linkTargetLabel(v) !== null ? "" : " disabled"}>↗</button></div>`;
+      }
+      default: return `<textarea class="lf-value body" data-i="${i}" rows="3" aria-label="${escapeHtml(f.name || "Field")} content">${escapeHtml(v)}</textarea>`;
     }
-    if (!targetHandleId) {
-      dbg('timeline: finishLinkDrag ignored - no target handle (must drop on a handle)');
-      return;
+  }
+
+  function renderLoreFields(entry = currentLore()) {
+    const box = el.loreFields;
+    if (!box) return;
+    const lore = entry ? loreWithFields(entry) : null;
+    const fields = lore ? lore.fields : [];
+    const tpl = lore ? loreFieldsLib.templateFor(getLoreTemplates(), lore.lore_kind) : null;
+
+    // Link suggestions: every other entry by title
+    let opts = document.getElementById("lore-link-options");
+    if (!opts) { opts = document.createElement("datalist"); opts.id = "lore-link-options"; document.body.appendChild(opts); }
+    opts.innerHTML = state.entries
+      .filter(e => e !== lore && e.title && ["chapter", "note", "reference", "lore"].includes(e.type))
+      .map(e => `<option value="${escapeHtml(e.title)}">${escapeHtml(e.type === "lore" ? (e.lore_kind || "lore") : e.type)}</option>`).join("");
+
+    const types = (sel) => loreFieldsLib.FIELD_TYPES.map(t => `<option value="${t}"${t === sel ? " selected" : ""}>${LORE_FIELD_TYPE_LABELS[t]}</option>`).join("");
+    box.innerHTML = fields.length ? fields.map((f, i) => `
+      <div class="pair lore-field" data-i="${i}">
+        <div class="lf-head">
+          <input class="small-name-input lf-name" data-i="${i}" value="${escapeHtml(f.name)}" placeholder="Field name" aria-label="Field ${i + 1} name" />
+          <select class="lf-type" data-i="${i}" aria-label="Field ${i + 1} type">${types(f.type)}</select>
+          <button type="button" class="btn small lf-up" data-i="${i}" title="Move up"${i ? "" : " disabled"}>↑</button>
+          <button type="button" class="btn small lf-remove" data-i="${i}" title="Remove field">×</button>
+        </div>
+        ${loreFieldControlHtml(f, i)}
+      </div>`).join("")
+      : `<div class="lore-fields-empty">No custom fields yet.</div>`;
+
+    const apply = document.getElementById("lore-template-apply");
+    if (apply) {
+      const missing = tpl && JSON.stringify(loreFieldsLib.applyTemplate(fields, tpl)) !== JSON.stringify(fields);
+      apply.hidden = !missing;
+      if (tpl) apply.textContent = `Apply “${tpl.kind}” template`;
     }
+  }
 
-    // Disallow creating a link if either source or target handle is already used
-    try {
-      const srcNode = state.timelineNodes[fromNode];
-      const dstNode = state.timelineNodes[targetNodeId];
-      const srcH = srcNode && srcNode.handles && srcNode.handles.find(h => h.id === fromHandle);
-      const dstH = dstNode && dstNode.handles && dstNode.handles.find(h => h.id === targetHandleId);
-      if (srcH && srcH.used) {
-        dbg(`timeline: finishLinkDrag ignored - source handle already used ${fromHandle} on node ${fromNode}`);
-        return;
-      }
-      if (dstH && dstH.used) {
-        dbg(`timeline: finishLinkDrag ignored - target handle already used ${targetHandleId} on node ${targetNodeId}`);
+  // Lay the selected entry's fields out by its kind's template (adds missing
+  // fields; values are kept)
+  function applyLoreTemplate(entry = currentLore()) {
+    if (!entry) return false;
+    const lore = loreWithFields(entry);
+    const tpl = loreFieldsLib.templateFor(getLoreTemplates(), lore.lore_kind);
+    if (!tpl) return false;
+    const next = loreFieldsLib.applyTemplate(lore.fields, tpl);
+    if (JSON.stringify(next) === JSON.stringify(lore.fields)) return false;
+    lore.fields = next;
+    dbg(`lore fields: applied "${tpl.kind}" template to ${entryKey(lore)}`);
+    loreFieldsChanged(lore);
+    renderLoreFields(lore);
+    return true;
+  }
+
+  function addLoreField() {
+    const lore = currentLore();
+    if (!lore) return;
+    loreWithFields(lore).fields.push(loreFieldsLib.makeField("", "text", ""));
+    loreFieldsChanged(lore);
+    renderLoreFields(lore);
+    el.loreFields.querySelector(`.lf-name[data-i="${lore.fields.length - 1}"]`)?.focus();
+  }
+
+  function wireLoreFields() {
+    const box = el.loreFields;
+    if (!box || box.dataset.wired) return;
+    box.dataset.wired = "1";
+    const fieldOf = (ev) => {
+      const lore = currentLore();
+      const i = Number(ev.target.closest("[data-i]")?.dataset.i);
+      return lore && Array.isArray(lore.fields) && lore.fields[i] ? { lore, i, f: lore.fields[i] } : null;
+    };
+    box.addEventListener("input", (ev) => {
+      const hit = fieldOf(ev);
+      if (!hit) return;
+      if (ev.target.classList.contains("lf-name")) hit.f.name = ev.target.value;
+      else if (ev.target.classList.contains("lf-value") && hit.f.type !== "link") hit.f.value = loreFieldsLib.normalizeValue(hit.f.type, ev.target.value);
+      else return;
+      loreFieldsChanged(hit.lore);
+    });
+    box.addEventListener("change", (ev) => {
+      const hit = fieldOf(ev);
+      if (!hit) return;
+      if (ev.target.classList.contains("lf-type")) {
+        hit.lore.fields[hit.i] = loreFieldsLib.makeField(hit.f.name, ev.target.value, hit.f.value);
+      } else if (ev.target.classList.contains("lf-value") && hit.f.type === "link") {
+        hit.f.value = resolveLinkInput(ev.target.value, hit.lore);
+      } else return;
+      loreFieldsChanged(hit.lore);
+      renderLoreFields(hit.lore);
+    });
+    box.addEventListener("click", (ev) => {
+      const btn = ev.target.closest("button[data-i]");
+      const hit = btn && fieldOf(ev);
+      if (!hit) return;
+      if (btn.classList.contains("lf-remove")) {
+        if (!loreFieldsLib.isEmptyField(hit.f) && !confirm(`Remove the field "${hit.f.name || "(unnamed)"}" and its value?`)) return;
+        hit.lore.fields.splice(hit.i, 1);
+      } else if (btn.classList.contains("lf-up") && hit.i > 0) {
+        const list = hit.lore.fields;
+        [list[hit.i - 1], list[hit.i]] = [list[hit.i], list[hit.i - 1]];
+      } else if (btn.classList.contains("lf-open")) {
+        const target = findEntryByKey(hit.f.value);
+        if (target) openEntry(target);
         return;
-      }
-    } catch (e) { dbg('finishLinkDrag used-handle check error: ' + (e && e.message)); }
+      } else return;
+      loreFieldsChanged(hit.lore);
+      renderLoreFields(hit.lore);
+    });
+    document.getElementById("lore-field-add")?.addEventListener("click", addLoreField);
+    document.getElementById("lore-template-apply")?.addEventListener("click", () => applyLoreTemplate());
+    document.getElementById("lore-templates-btn")?.addEventListener("click", () => showLoreTemplates());
+  }
 
-    const srcHandle = fromHandle;
-    const dstHandle = targetHandleId;
-    const lid = `ln-${uid()}`;
-  state.timelineLinks[lid] = { fromNode, fromHandle: srcHandle, toNode: targetNodeId, toHandle: dstHandle, cpOffset: { x: 0, y: 0 } };
-    dbg(`timeline: link created ${lid} ${fromNode}:${srcHandle} -> ${targetNodeId}:${dstHandle}`);
+  // Open any entry in its tab, writing pending edits first (selectEntry
+  // reloads from disk)
+  async function openEntry(entry) {
+    if (!entry) return;
+    if (state.dirty) {
+      try { await saveToDisk(); } catch (e) { dbg(`openEntry: save first failed: ${e?.message || e}`); }
+    }
+    const tab = typeTabMap[entry.type];
+    if (tab && tab !== state.activeTab) switchTab(tab);
+    selectEntry(entryKey(entry));
+  }
 
-    // Mark both source and target handles used and append new empty handles on the same sides
-    try {
-      // source
-      if (srcHandle && state.timelineNodes[fromNode]) {
-        const h = state.timelineNodes[fromNode].handles.find(h => h.id === srcHandle);
-        const srcSide = h && h.side ? h.side : 'right';
-        if (h) { h.used = true; dbg(`timeline: handle consumed ${srcHandle} on node ${fromNode}`); }
-        
-        // Only add new empty handle if there aren't enough unused handles on this side
-        const handles = state.timelineNodes[fromNode].handles || [];
-        const sameSideUnused = handles.filter(handle => handle.side === srcSide && !handle.used);
-        if (sameSideUnused.length === 0) {
-          const newH = addHandleToNode(fromNode, false, srcSide);
-          dbg(`timeline: appended new empty handle ${newH} to node ${fromNode} side=${srcSide}`);
-        } else {
-          dbg(`timeline: no new handle needed for node ${fromNode} side=${srcSide} (${sameSideUnused.length} unused handles available)`);
-        }
-      }
-      // target
-      if (dstHandle && state.timelineNodes[targetNodeId]) {
-        const h2 = state.timelineNodes[targetNodeId].handles.find(h => h.id === dstHandle);
-        const dstSide = h2 && h2.side ? h2.side : 'left';
-        if (h2) { h2.used = true; dbg(`timeline: handle consumed ${dstHandle} on node ${targetNodeId}`); }
-        
-        // Only add new empty handle if there aren't enough unused handles on this side
-        const handles2 = state.timelineNodes[targetNodeId].handles || [];
-        const sameSideUnused2 = handles2.filter(handle => handle.side === dstSide && !handle.used);
-        if (sameSideUnused2.length === 0) {
-          const newH2 = addHandleToNode(targetNodeId, false, dstSide);
-          dbg(`timeline: appended new empty handle ${newH2} to node ${targetNodeId} side=${dstSide}`);
-        } else {
-          dbg(`timeline: no new handle needed for node ${targetNodeId} side=${dstSide} (${sameSideUnused2.length} unused handles available)`);
-        }
-      }
-    } catch (e) { dbg('finishLinkDrag handle update error: ' + (e && e.message)); }
+  // Templates dialog: kinds on the left, the selected kind's fields on the
+  // right. Every edit is saved to project.json right away.
+  function ensureLoreTemplates() {
+    if (loreTemplatesEl) return loreTemplatesEl;
+    loreTemplatesEl = document.createElement("div");
+    loreTemplatesEl.id = "lore-templates";
+    loreTemplatesEl.innerHTML = `
+      <div class="card" role="dialog" aria-modal="true" aria-label="Lore templates">
+        <div class="row">
+          <strong>Lore templates</strong>
+          <span class="meta">Fields added to lore entries of each kind</span>
+        </div>
+        <div class="panes">
+          <div class="kinds">
+            <div class="list" id="lt-kinds"></div>
+            <div class="row">
+              <input id="lt-new-kind" type="text" placeholder="New kind…" />
+              <button class="btn" id="lt-add-kind" type="button">Add</button>
+            </div>
+          </div>
+          <div class="fields">
+            <div class="list" id="lt-fields"></div>
+            <div class="row">
+              <button class="btn" id="lt-add-field" type="button">+ Field</button>
+              <button class="btn" id="lt-from-entry" type="button" title="Use the fields of the lore entry being edited">From current entry</button>
+              <span class="spacer"></span>
+              <button class="btn danger" id="lt-delete-kind" type="button">Delete template</button>
+            </div>
+          </div>
+        </div>
+        <div class="row">
+          <button class="btn" id="lt-reset" type="button">Restore defaults</button>
+          <span class="spacer"></span>
+          <button class="btn" id="lt-close" type="button">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(loreTemplatesEl);
+    const q = (sel) => loreTemplatesEl.querySelector(sel);
+    const selected = () => loreFieldsLib.templateFor(getLoreTemplates(), loreTemplatesKind);
+    const commit = (templates) => {
+      setLoreTemplates(templates);
+      renderLoreTemplates();
+      renderLoreFields();
+    };
+    const withSelected = (fn) => {
+      const list = getLoreTemplates().map(t => ({ kind: t.kind, fields: t.fields.map(f => Object.assign({}, f)) }));
+      const t = loreFieldsLib.templateFor(list, loreTemplatesKind);
+      if (!t) return;
+      fn(t, list);
+      commit(list);
+    };
 
-    // If this was a connection edit, log handle states of all involved nodes AFTER handles are updated
-    dbg(`timeline: FINISHLINKDRAG - checking edit context: ${window._editContext ? 'exists' : 'null'}`);
-    if (window._editContext && window._editContext.active) {
-      const sourceNode = window._editContext.sourceNode;
-      const originalTargetNode = window._editContext.originalTargetNode;
-      const newTargetNode = window._editContext.newTargetNode;
-      
-      dbg(`timeline: EDIT COMPLETE - logging handle states for all involved nodes AFTER handle updates`);
-      
-      // Log source node handle state
-      const sourceHandles = state.timelineNodes[sourceNode]?.handles || [];
-      dbg(`timeline: EDIT COMPLETE - SOURCE node ${sourceNode}: ${sourceHandles.length} handles: ${sourceHandles.map(h => `${h.id}(${h.used?'used':'unused'})`).join(', ')}`);
-      
-      // Log original target node handle state (if different from new target)
-      if (originalTargetNode && originalTargetNode !== newTargetNode) {
-        const originalTargetHandles = state.timelineNodes[originalTargetNode]?.handles || [];
-        dbg(`timeline: EDIT COMPLETE - ORIGINAL TARGET node ${originalTargetNode}: ${originalTargetHandles.length} handles: ${originalTargetHandles.map(h => `${h.id}(${h.used?'used':'unused'})`).join(', ')}`);
+    q("#lt-close").addEventListener("click", hideLoreTemplates);
+    loreTemplatesEl.addEventListener("click", (ev) => { if (ev.target === loreTemplatesEl) hideLoreTemplates(); });
+    q("#lt-kinds").addEventListener("click", (ev) => {
+      const row = ev.target.closest("[data-kind]");
+      if (!row) return;
+      loreTemplatesKind = row.dataset.kind;
+      renderLoreTemplates();
+    });
+    const addKind = () => {
+      const kind = q("#lt-new-kind").value.trim();
+      if (!kind) return;
+      q("#lt-new-kind").value = "";
+      if (!loreFieldsLib.templateFor(getLoreTemplates(), kind)) commit(getLoreTemplates().concat([{ kind, fields: [] }]));
+      loreTemplatesKind = kind;
+      renderLoreTemplates();
+    };
+    q("#lt-add-kind").addEventListener("click", addKind);
+    q("#lt-new-kind").addEventListener("keydown", (ev) => { if (ev.key === "Enter") addKind(); });
+    q("#lt-delete-kind").addEventListener("click", () => {
+      const t = selected();
+      if (!t || !confirm(`Delete the "${t.kind}" template? Existing entries keep their fields.`)) return;
+      loreTemplatesKind = null;
+      commit(getLoreTemplates().filter(x => x !== t));
+    });
+    q("#lt-reset").addEventListener("click", () => {
+      if (!confirm("Replace all templates with the built-in Character and Location templates?")) return;
+      loreTemplatesKind = null;
+      commit(loreFieldsLib.DEFAULT_TEMPLATES);
+    });
+    q("#lt-add-field").addEventListener("click", () => {
+      withSelected(t => t.fields.push({ name: `Field ${t.fields.length + 1}`, type: "text" }));
+      const names = loreTemplatesEl.querySelectorAll("#lt-fields .lt-name");
+      names[names.length - 1]?.select();
+    });
+    q("#lt-from-entry").addEventListener("click", () => {
+      const lore = currentLore() && loreWithFields(currentLore());
+      if (!lore) return;
+      withSelected(t => { t.fields = lore.fields.filter(f => f.name.trim()).map(f => ({ name: f.name.trim(), type: f.type })); });
+    });
+    const fieldsList = q("#lt-fields");
+    fieldsList.addEventListener("change", (ev) => {
+      const i = Number(ev.target.closest("[data-i]")?.dataset.i);
+      if (!Number.isInteger(i)) return;
+      if (ev.target.classList.contains("lt-name")) {
+        const name = ev.target.value.trim();
+        if (!name) { renderLoreTemplates(); return; }
+        withSelected(t => { t.fields[i].name = name; });
+      } else if (ev.target.classList.contains("lt-type")) {
+        withSelected(t => { t.fields[i].type = ev.target.value; });
       }
-      
-      // Log new target node handle state
-      const newTargetHandles = state.timelineNodes[newTargetNode]?.handles || [];
-      dbg(`timeline: EDIT COMPLETE - NEW TARGET node ${newTargetNode}: ${newTargetHandles.length} handles: ${newTargetHandles.map(h => `${h.id}(${h.used?'used':'unused'})`).join(', ')}`);
-      
-      // Clear the edit context
-      window._editContext = null;
-    }
+    });
+    fieldsList.addEventListener("click", (ev) => {
+      const btn = ev.target.closest("button[data-i]");
+      if (!btn) return;
+      const i = Number(btn.dataset.i);
+      if (btn.classList.contains("lt-remove")) withSelected(t => { t.fields.splice(i, 1); });
+      else if (btn.classList.contains("lt-up") && i > 0) withSelected(t => { [t.fields[i - 1], t.fields[i]] = [t.fields[i], t.fields[i - 1]]; });
+    });
+    return loreTemplatesEl;
+  }
 
-    renderAllLinks();
-    touchSave(); // Save timeline changes
-    // Also immediately save timeline data to ensure persistence
-    try { saveToDisk(); } catch (e) { dbg('timeline: immediate save after node removal failed: ' + (e?.message || e)); }
+  function renderLoreTemplates() {
+    if (!loreTemplatesEl) return;
+    const templates = getLoreTemplates();
+    if (!loreFieldsLib.templateFor(templates, loreTemplatesKind)) loreTemplatesKind = templates[0]?.kind || null;
+    const sel = loreFieldsLib.templateFor(templates, loreTemplatesKind);
+    loreTemplatesEl.querySelector("#lt-kinds").innerHTML = templates.length
+      ? templates.map(t => `<div class="kind${t === sel ? " active" : ""}" data-kind="${escapeHtml(t.kind)}"><span>${escapeHtml(t.kind)}</span><span class="meta">${t.fields.length}</span></div>`).join("")
+      : `<div class="empty">No templates.</div>`;
+    const types = (cur) => loreFieldsLib.FIELD_TYPES.map(t => `<option value="${t}"${t === cur ? " selected" : ""}>${LORE_FIELD_TYPE_LABELS[t]}</option>`).join("");
+    loreTemplatesEl.querySelector("#lt-fields").innerHTML = !sel
+      ? `<div class="empty">Add a kind to define its fields.</div>`
+      : (sel.fields.length
+        ? sel.fields.map((f, i) => `<div class="lt-field" data-i="${i}">
+            <input type="text" class="lt-name" value="${escapeHtml(f.name)}" aria-label="Field name" />
+            <select class="lt-type" aria-label="Field type">${types(f.type)}</select>
+            <button type="button" class="btn small lt-up" data-i="${i}" title="Move up"${i ? "" : " disabled"}>↑</button>
+            <button type="button" class="btn small lt-remove" data-i="${i}" title="Remove">×</button>
+          </div>`).join("")
+        : `<div class="empty">No fields in “${escapeHtml(sel.kind)}” yet.</div>`);
+    ["#lt-add-field", "#lt-delete-kind"].forEach(s => { loreTemplatesEl.querySelector(s).disabled = !sel; });
+    loreTemplatesEl.querySelector("#lt-from-entry").disabled = !sel || !currentLore();
   }
 
-  // ─────────────── Timeline Save/Load ───────────────
-  // Deduplicated: keep only this definition of saveTimelineData
-  function saveTimelineData() {
-    if (!fs || !path || !SAVE_FILE) {
-      dbg('timeline: saveTimelineData skipped (missing fs/path/SAVE_FILE)');
-      return;
-    }
+  function showLoreTemplates() {
+    ensureLoreTemplates();
+    const lore = currentLore();
+    if (lore && lore.lore_kind && loreFieldsLib.templateFor(getLoreTemplates(), lore.lore_kind)) loreTemplatesKind = lore.lore_kind;
+    loreTemplatesEl.style.display = "flex";
+    renderLoreTemplates();
+  }
 
-    try {
-      const dataDir = path.dirname(SAVE_FILE); // .../workspace/data
-      const timelineFile = path.join(dataDir, 'timeline.json');
+  function hideLoreTemplates() {
+    if (!loreTemplatesEl) return;
+    loreTemplatesEl.style.display = "none";
+  }
 
-      // Build nodes payload: map nodeId -> { entryCode, x, y, color, handles }
-      const nodesOut = {};
-      for (const [nodeId, node] of Object.entries(state.timelineNodes || {})) {
-        if (!node) continue;
+  // ───────────── Lore Kinds ─────────────
+  // The Lore sidebar groups entries by `lore_kind` (src/shared/lore.kinds.js)
+  // in collapsible sections, with a kind filter above the list. The kind
+  // manager renames a kind on every entry and assigns icons and colors
+  // (project.json `lore_kind_styles`), shown in the sidebar and on
+  // relationship-web nodes.
+  const loreKindsLib = require('./src/shared/lore.kinds');
+  let loreKindStyles = null;
+  let loreKindStylesFile = null;
+  let loreKindFilter = null;             // kind key the sidebar shows, null = all
+  const collapsedLoreKinds = new Set();  // kind keys folded in the sidebar
+  let loreKindBarEl = null;
+  let loreKindsEl = null;
+
+  function getLoreKindStyles() {
+    if (loreKindStyles && loreKindStylesFile === SAVE_FILE) return loreKindStyles;
+    loreKindStylesFile = SAVE_FILE;
+    loreKindStyles = loreKindsLib.normalizeKindStyles(readProjectJsonKey("lore_kind_styles"));
+    return loreKindStyles;
+  }
 
-        // Try to resolve a real entry so we can store its code
-        const entry = findEntryByKey(node.entryId);
-        const entryCode =
-          (entry && entry.code) ? entry.code :
-          (typeof node.entryId === 'string' ? node.entryId : null);
+  function setLoreKindStyles(next) {
+    loreKindStyles = loreKindsLib.normalizeKindStyles(next);
+    loreKindStylesFile = SAVE_FILE;
+    writeProjectJsonKey("lore_kind_styles", loreKindStyles);
+  }
 
-        nodesOut[nodeId] = {
-          entryCode,
-          x: node.x ?? 0,
-          y: node.y ?? 0,
-          color: node.color || null,
-          handles: node.handles || []
-        };
-      }
+  function loreKindStyle(kind) {
+    return getLoreKindStyles()[loreKindsLib.kindKey(kind)] || {};
+  }
 
-      // Build links payload: mostly a direct copy
-      const linksOut = {};
-      for (const [linkId, link] of Object.entries(state.timelineLinks || {})) {
-        if (!link) continue;
-        linksOut[linkId] = {
-          fromNode: link.fromNode,
-          fromHandle: link.fromHandle,
-          toNode: link.toNode,
-          toHandle: link.toHandle,
-          cpOffset: link.cpOffset || { x: 0, y: 0 }
-        };
-      }
+  // Kind of a sidebar entry (read from disk) as currently edited
+  function loreKindOf(e) {
+    const live = findEntryByKey(entryKey(e));
+    const kind = live && live.lore_kind !== undefined ? live.lore_kind : (e.lore_kind ?? e.lore_type);
+    return String(kind || "").trim();
+  }
 
-      const meta = state.timeline || {};
-      const payload = {
-        id:          meta.id || null,
-        code:        meta.code || null,
-        title:       meta.title || '',
-        description: meta.description || '',
-        nodes: nodesOut,
-        links: linksOut
-      };
+  // "👤 character" for badges and web nodes
+  function loreKindText(kind) {
+    const label = String(kind || "").trim() || "lore";
+    const icon = loreKindStyle(kind).icon;
+    return icon ? `${icon} ${label}` : label;
+  }
 
-      fs.writeFileSync(timelineFile, JSON.stringify(payload, null, 2), 'utf8');
-      dbg(
-        `timeline: saveTimelineData wrote ${Object.keys(nodesOut).length}` +
-        ` nodes and ${Object.keys(linksOut).length} links to ${timelineFile}`
-      );
-    } catch (e) {
-      dbg('timeline: saveTimelineData failed: ' + (e && e.message));
+  function renderLoreKindBar(entries) {
+    if (!loreKindBarEl) {
+      if (!el.entryList || !el.entryList.parentNode) return;
+      loreKindBarEl = document.createElement("div");
+      loreKindBarEl.id = "lore-kind-bar";
+      loreKindBarEl.className = "lore-kind-bar";
+      loreKindBarEl.innerHTML = `
+        <select id="lore-kind-filter" aria-label="Show lore of kind"></select>
+        <button class="btn small" id="lore-kinds-btn" type="button" title="Rename kinds and set their icons and colors">Kinds…</button>
+      `;
+      el.entryList.parentNode.insertBefore(loreKindBarEl, el.entryList);
+      loreKindBarEl.querySelector("#lore-kind-filter").addEventListener("change", (ev) => {
+        const v = ev.target.value;
+        loreKindFilter = v ? v.slice(2) : null;
+        renderList();
+      });
+      loreKindBarEl.querySelector("#lore-kinds-btn").addEventListener("click", showLoreKinds);
     }
+    loreKindBarEl.hidden = state.activeTab !== "lore";
+    if (loreKindBarEl.hidden) return;
+    const groups = loreKindsLib.groupByKind(entries, loreKindOf);
+    if (loreKindFilter !== null && !groups.some(g => g.key === loreKindFilter)) loreKindFilter = null;
+    // kind keys are prefixed so the "no kind" key '' differs from "all"
+    loreKindBarEl.querySelector("#lore-kind-filter").innerHTML =
+      `<option value="">All kinds (${entries.length})</option>` +
+      groups.map(g => `<option value="k:${escapeHtml(g.key)}"${g.key === loreKindFilter ? " selected" : ""}>${escapeHtml(g.key ? loreKindText(g.label) : "No kind")} (${g.entries.length})</option>`).join("");
   }
 
-  // --- Relationship Web Selector and Marker UI ---
-  function updateTimelineSelector() {
-    dbg('updateTimelineSelector: TOP OF FUNCTION');
-  dbg(`updateTimelineSelector: state.timelines = ${JSON.stringify(state.timelines)}`);
-  // Relationship web selector UI
-  const selector = document.getElementById('timeline-selector');
-  if (!selector) {
-    dbg('updateTimelineSelector: timeline-selector element not found');
-    return;
+  function filterByLoreKind(entries) {
+    if (loreKindFilter === null) return entries;
+    return entries.filter(e => loreKindsLib.kindKey(loreKindOf(e)) === loreKindFilter);
   }
-  selector.innerHTML = '';
-  if (!state.timelines) state.timelines = [];
-  dbg(`updateTimelineSelector: state.timelines.length=${state.timelines.length}`);
-  // Render a button for each relationship web
-  for (const t of state.timelines) {
-    dbg(`updateTimelineSelector: rendering selector button for code=${t.code}, title=${t.title}`);
-    const btn = document.createElement('button');
-    btn.className = 'timeline-selector-btn';
-    btn.textContent = t.title || t.code;
-    btn.dataset.code = t.code;
-    if (state.timeline && state.timeline.code === t.code) {
-      btn.classList.add('selected');
+
+  // Sidebar sections: one header per kind, its entries below unless folded
+  function renderLoreGroups(list, renderItem) {
+    for (const g of loreKindsLib.groupByKind(list, loreKindOf)) {
+      const collapsed = collapsedLoreKinds.has(g.key);
+      const style = getLoreKindStyles()[g.key] || {};
+      const li = document.createElement("li");
+      li.className = "kind-group" + (collapsed ? " collapsed" : "");
+      li.dataset.kind = g.key;
+      li.setAttribute("role", "button");
+      li.setAttribute("aria-expanded", String(!collapsed));
+      if (style.color) li.style.setProperty("--kind-color", style.color);
+      li.innerHTML = `
+        <span class="caret" aria-hidden="true">${collapsed ? "▸" : "▾"}</span>
+        ${style.icon ? `<span class="icon" aria-hidden="true">${escapeHtml(style.icon)}</span>` : ""}
+        <span class="label">${escapeHtml(g.label || "No kind")}</span>
+        <span class="count">${g.entries.length}</span>`;
+      li.addEventListener("click", () => {
+        if (collapsedLoreKinds.has(g.key)) collapsedLoreKinds.delete(g.key);
+        else collapsedLoreKinds.add(g.key);
+        renderList();
+      });
+      el.entryList.appendChild(li);
+      if (!collapsed) g.entries.forEach(renderItem);
     }
-    btn.title = 'Select relationship web';
-    btn.onclick = () => selectTimeline(t.code);
-    selector.appendChild(btn);
   }
 
-  // Wire up create button (above line)
-  // Enable create button for timeline creation
-  const createBtn = document.getElementById('timeline-create-btn');
-  if (createBtn) {
-    createBtn.disabled = false;
-    createBtn.title = '';
-    createBtn.onclick = async () => {
-      dbg('Timeline create button pressed');
-      // 1. Find timeline directory and count existing timeline*.json files
-      const dir = path.dirname(SAVE_FILE);
-      let maxIndex = 0;
-      let used = new Set();
-      if (fs && fs.existsSync(dir)) {
-        const files = fs.readdirSync(dir);
-        for (const f of files) {
-          const m = f.match(/^timeline(\d*)\.json$/);
-          if (m) {
-            const idx = m[1] ? parseInt(m[1], 10) : 1;
-            used.add(idx);
-            if (idx > maxIndex) maxIndex = idx;
-          }
-        }
-      }
-      // Find the lowest available index (fill gaps)
-      let nextIndex = 1;
-      while (used.has(nextIndex)) nextIndex++;
-      // 2. Compute id and code
-      const id = nextIndex;
-      const projectId = state.project?.id || 1;
-      const projectStr = String(projectId).padStart(4, '0');
-      const code = `TMLPRJ-${projectStr}-${String(id).padStart(6, '0')}`;
-      // 3. Compute filename
-      const timelineFile = nextIndex === 1
-        ? path.join(dir, 'timeline.json')
-        : path.join(dir, `timeline${nextIndex}.json`);
-      // 4. Build timeline object
-      const entry = {
-        id,
-        code,
-        title: `Relationship Web ${id}`,
-        description: 'Project timeline visualization',
-        nodes: {},
-        links: {},
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        type: 'relationshipweb'
-      };
-      // 5. Write file
-      if (fs && fs.writeFileSync) {
-        fs.writeFileSync(timelineFile, JSON.stringify(entry, null, 2), 'utf8');
-        dbg('Created new timeline file: ' + timelineFile);
-      }
-      // 6. Add to state
-      if (!state.entries) state.entries = [];
-      state.entries.push(entry);
-      if (!state.timelines) state.timelines = [];
-      state.timelines.push({ id, code, title: entry.title });
+  // Rename (or merge into) a kind on every lore entry, carrying its style
+  // and template along, then save once
+  async function renameLoreKind(from, to) {
+    const fromKey = loreKindsLib.kindKey(from);
+    const toKey = loreKindsLib.kindKey(to);
+    if (!fromKey || !toKey) return;
+    flushEditorToState();
+    const changed = loreKindsLib.renameKind(state.entries, from, to);
+    for (const e of changed) e.updated_at = nowISO();
+    setLoreKindStyles(loreKindsLib.renameKindStyles(getLoreKindStyles(), from, to));
+    const templates = getLoreTemplates();
+    const tpl = loreFieldsLib.templateFor(templates, from);
+    if (tpl && fromKey !== toKey && !loreFieldsLib.templateFor(templates, to)) {
+      setLoreTemplates(templates.map(t => (t === tpl ? { kind: String(to).trim(), fields: t.fields } : t)));
+    }
+    if (loreKindFilter === fromKey) loreKindFilter = toKey;
+    if (collapsedLoreKinds.delete(fromKey)) collapsedLoreKinds.add(toKey);
+    if (changed.length) {
+      refreshEditorAfterBulkEdit(new Set(changed.map(entryKey)));
       state.dirty = true;
-      markDirty();
-      scheduleAutosave();
-      // 7. Select new timeline and update UI
-      if (typeof selectTimeline === 'function') selectTimeline(code);
-      if (typeof updateTimelineSelector === 'function') updateTimelineSelector();
-    };
+      try { await saveToDisk(); } catch (e) { dbg(`lore kinds: save failed: ${e?.message || e}`); }
+    } else {
+      renderList();
+    }
+    dbg(`lore kinds: renamed "${from}" -> "${to}" (${changed.length} entries)`);
+    if (loreKindsEl) {
+      const status = loreKindsEl.querySelector("#lore-kinds-status");
+      status.textContent = `Renamed “${from}” to “${String(to).trim()}” — ${changed.length} entr${changed.length === 1 ? "y" : "ies"} updated`;
+      status.dataset.sticky = "1";
+      renderLoreKinds();
+    }
   }
-  // Wire up delete button (below line)
-  const deleteBtn = document.getElementById('timeline-delete-btn');
-  if (deleteBtn) {
-    deleteBtn.onclick = () => {
-      if (state.timeline && state.timeline.code) {
-        if (confirm('Delete this relationship web? This cannot be undone.')) {
-          deleteTimeline(state.timeline.code);
-        }
-      }
+
+  function ensureLoreKinds() {
+    if (loreKindsEl) return loreKindsEl;
+    loreKindsEl = document.createElement("div");
+    loreKindsEl.id = "lore-kinds";
+    loreKindsEl.innerHTML = `
+      <div class="card" role="dialog" aria-modal="true" aria-label="Lore kinds">
+        <div class="row">
+          <strong>Lore kinds</strong>
+          <span class="meta">Rename a kind to change it on every entry; renaming onto another kind merges them</span>
+        </div>
+        <div id="lore-kinds-list" class="list" aria-label="Kinds"></div>
+        <div class="row">
+          <span class="status" id="lore-kinds-status"></span>
+          <button class="btn" id="lore-kinds-close" type="button">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(loreKindsEl);
+    loreKindsEl.querySelector("#lore-kinds-close").addEventListener("click", hideLoreKinds);
+    loreKindsEl.addEventListener("click", (ev) => { if (ev.target === loreKindsEl) hideLoreKinds(); });
+    const list = loreKindsEl.querySelector("#lore-kinds-list");
+    const styleUpdate = (key, patch) => {
+      const styles = Object.assign({}, getLoreKindStyles());
+      styles[key] = Object.assign({}, styles[key], patch);
+      setLoreKindStyles(styles);
+      renderLoreKinds();
+      renderList();
     };
+    list.addEventListener("change", (ev) => {
+      const row = ev.target.closest("[data-kind]");
+      if (!row) return;
+      const key = row.dataset.kind;
+      if (ev.target.classList.contains("kind-name")) {
+        const to = ev.target.value.trim();
+        if (!to || to === row.dataset.label) { ev.target.value = row.dataset.label; return; }
+        renameLoreKind(row.dataset.label, to);
+      } else if (ev.target.classList.contains("kind-icon")) {
+        styleUpdate(key, { icon: ev.target.value });
+      } else if (ev.target.classList.contains("kind-color")) {
+        styleUpdate(key, { color: ev.target.value });
+      }
+    });
+    list.addEventListener("click", (ev) => {
+      const row = ev.target.closest("[data-kind]");
+      if (row && ev.target.closest(".kind-unstyle")) styleUpdate(row.dataset.kind, { icon: "", color: "" });
+    });
+    return loreKindsEl;
   }
 
-  // --- Relationship Web Entry Visualization (all webs) ---
-  const bar = document.getElementById('timeline-bottom-bar');
-  if (!bar) {
-    dbg('updateTimelineSelector: timeline-bottom-bar element not found');
-    return;
+  function renderLoreKinds() {
+    if (!loreKindsEl) return;
+    const list = loreKindsEl.querySelector("#lore-kinds-list");
+    const groups = loreKindsLib.groupByKind(state.entries.filter(e => e.type === "lore"), e => e.lore_kind).filter(g => g.key);
+    const styles = getLoreKindStyles();
+    list.innerHTML = groups.length ? "" : `<div class="meta">No lore entry has a kind yet — set one in the Lore editor's type field.</div>`;
+    groups.forEach((g, i) => {
+      const style = styles[g.key] || {};
+      const icons = loreKindsLib.KIND_ICONS.includes(style.icon) || !style.icon ? loreKindsLib.KIND_ICONS : [style.icon, ...loreKindsLib.KIND_ICONS];
+      const row = document.createElement("div");
+      row.className = "kind-row";
+      row.dataset.kind = g.key;
+      row.dataset.label = g.label;
+      row.innerHTML = `
+        <select class="kind-icon" title="Icon" aria-label="Icon for ${escapeHtml(g.label)}">
+          <option value="">—</option>
+          ${icons.map(ic => `<option value="${escapeHtml(ic)}"${ic === style.icon ? " selected" : ""}>${escapeHtml(ic)}</option>`).join("")}
+        </select>
+        <input type="color" class="kind-color" value="${escapeHtml(style.color || TAG_PALETTE[i % TAG_PALETTE.length])}" title="Color"${style.color ? "" : ' data-unset="1"'} />
+        <input type="text" class="kind-name" value="${escapeHtml(g.label)}" spellcheck="false" aria-label="Rename kind" />
+        <span class="meta">${g.entries.length} entr${g.entries.length === 1 ? "y" : "ies"}</span>
+        <span class="spacer"></span>
+        ${style.icon || style.color ? `<button type="button" class="btn kind-unstyle" title="Remove icon and color">No style</button>` : ""}
+      `;
+      list.appendChild(row);
+    });
+    const status = loreKindsEl.querySelector("#lore-kinds-status");
+    if (!status.dataset.sticky) status.textContent = `${groups.length} kind${groups.length === 1 ? "" : "s"}`;
+    delete status.dataset.sticky;
   }
-  dbg('updateTimelineSelector: found timeline-bottom-bar');
-  bar.querySelectorAll('.timeline-entry-marker').forEach(el => el.remove());
 
-  // Place all markers for all timelines
-  // horizontalLine is now initialized globally after DOMContentLoaded
-  if (!horizontalLine) {
-    dbg('updateTimelineSelector: .timeline-horizontal-line not found');
-    return;
+  function showLoreKinds() {
+    ensureLoreKinds();
+    flushEditorToState();
+    loreKindsEl.style.display = "flex";
+    renderLoreKinds();
   }
-  dbg('updateTimelineSelector: found .timeline-horizontal-line');
-  horizontalLine.querySelectorAll('.timeline-entry-marker').forEach(el => el.remove());
 
-  if (!state.timelines || state.timelines.length === 0) {
-    dbg('updateTimelineSelector: no timelines to display');
-    return;
+  function hideLoreKinds() {
+    if (!loreKindsEl) return;
+    loreKindsEl.style.display = "none";
   }
-  dbg(`updateTimelineSelector: about to render ${state.timelines.length} markers`);
 
-  // For each timeline, place a marker
-  let lineWidth = horizontalLine.offsetWidth;
-  let lineHeight = horizontalLine.offsetHeight;
-  dbg(`updateTimelineSelector: horizontalLine.offsetWidth=${horizontalLine.offsetWidth}, offsetHeight=${horizontalLine.offsetHeight}`);
-  if (!lineWidth || lineWidth < 10) {
-    lineWidth = 400; // fallback width
-    dbg('updateTimelineSelector: using fallback lineWidth=400');
+  // ───────────── History Modal (project snapshots) ─────────────
+  // Snapshots are written by the main process before every Save Back
+  // (see src/main/snapshots.js). Restores land in the workspace; a
+  // subsequent Save Back writes them to the project folder.
+  let historyEl = null;
+  let historySnapList = null;
+  let historyDiffList = null;
+  let historySelectedId = null;
+
+  const HISTORY_REASON_LABELS = {
+    saveBack: "Save Back",
+    autoSaveBack: "Auto save-back",
+    preRestore: "Before restore",
+  };
+
+  function escapeHtml(s) {
+    return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
   }
-  if (!lineHeight || lineHeight < 2) {
-    lineHeight = 2; // fallback height
-    dbg('updateTimelineSelector: using fallback lineHeight=2');
+
+  function ensureHistory() {
+    if (historyEl) return historyEl;
+    historyEl = document.createElement("div");
+    historyEl.id = "history";
+    historyEl.innerHTML = `
+      <div class="card" role="dialog" aria-modal="true" aria-label="History">
+        <div class="row">
+          <strong class="heading">History</strong>
+          <span class="meta">Snapshots taken before each Save Back</span>
+          <span class="spacer"></span>
+          <label class="scope"><input type="checkbox" id="history-show-same" /> Show unchanged</label>
+          <button id="history-restore-all" class="btn danger" disabled>Restore whole project</button>
+          <button id="history-close" class="btn">Close</button>
+        </div>
+        <div class="panes">
+          <div id="history-snapshots" class="list" role="listbox" aria-label="Snapshots"></div>
+          <div id="history-diff" class="list" aria-label="Changes"></div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(historyEl);
+
+    historySnapList = historyEl.querySelector("#history-snapshots");
+    historyDiffList = historyEl.querySelector("#history-diff");
+
+    historyEl.querySelector("#history-close").addEventListener("click", hideHistory);
+    historyEl.addEventListener("click", (ev) => { if (ev.target === historyEl) hideHistory(); });
+    historyEl.querySelector("#history-show-same").addEventListener("change", () => {
+      if (historySelectedId) renderHistoryDiff(historySelectedId);
+    });
+    historyEl.querySelector("#history-restore-all").addEventListener("click", async () => {
+      if (!historySelectedId) return;
+      if (!confirm("Replace the whole workspace with this snapshot?\nThe current workspace is snapshotted first, so this can be undone.")) return;
+      await restoreFromHistory(historySelectedId, null);
+    });
+
+    return historyEl;
   }
-  dbg(`updateTimelineSelector: using lineWidth=${lineWidth}, lineHeight=${lineHeight}`);
-  const margin = 24; // px from left/right
-  const usableWidth = Math.max(1, lineWidth - 2 * margin);
-  const n = state.timelines.length;
-  dbg(`updateTimelineSelector: rendering ${n} timeline selector buttons, lineWidth=${lineWidth}, usableWidth=${usableWidth}`);
-  // Only create selector buttons here, no markers or dots
-}
 
-  function loadTimelineData() {
-    if (!path || !fs) return;
-    
-    // Always clear existing timeline data first
-    clearTimelineData();
-    
-    try {
-      const timelineFile = path.join(path.dirname(SAVE_FILE), 'timeline.json');
-      if (!fs.existsSync(timelineFile)) {
-        dbg('timeline: no timeline.json found, timeline cleared');
-        return;
-      }
-      
-      const data = JSON.parse(fs.readFileSync(timelineFile, 'utf8'));
-      dbg(`timeline: loading ${Object.keys(data.nodes || {}).length} nodes and ${Object.keys(data.links || {}).length} links`);
-      
-      // Restore timeline metadata
-      if (!state.timeline) state.timeline = {};
-      state.timeline.id = data.id || state.timeline.id;
-      state.timeline.code = data.code || state.timeline.code;
-      state.timeline.title = data.title || state.timeline.title;
-      state.timeline.description = data.description || state.timeline.description;
-      
-      // Fix legacy timeline format: ensure id is numeric
-      if (typeof state.timeline.id === 'string') {
-        state.timeline.id = 1; // Convert string id to numeric
-        dbg(`timeline: converted legacy string id to numeric: ${state.timeline.id}`);
-      }
-      
-      // Track node ID mapping from saved to actual (needed when IDs change)
-      const nodeIdMapping = {};
-      
-      // Restore nodes
-      for (const [savedNodeId, nodeData] of Object.entries(data.nodes || {})) {
-        // Find entry by code
-        const entry = state.entries.find(e => e.code === nodeData.entryCode);
-        if (!entry) {
-          dbg(`timeline: skipping node ${savedNodeId} - entry with code ${nodeData.entryCode} not found`);
-          continue;
-        }
-        
-        dbg(`timeline: loadTimelineData - recreating node ${savedNodeId} for entry code=${entry.code} type=${entry.type}`);
-        
-        // Create the timeline node but override the auto-generated ID with the saved one
-        const actualNode = createTimelineNodeForEntryWithId(entry, nodeData.x, nodeData.y, savedNodeId, nodeData.color, nodeData.handles);
-        if (actualNode) {
-          nodeIdMapping[savedNodeId] = actualNode.nodeId;
-          dbg(`timeline: loadTimelineData - mapped saved node ${savedNodeId} to actual node ${actualNode.nodeId}`);
-        }
-      }
-      
-      // Restore links with corrected node IDs
-      for (const [linkId, linkData] of Object.entries(data.links || {})) {
-        const fromNodeId = nodeIdMapping[linkData.fromNode] || linkData.fromNode;
-        const toNodeId = nodeIdMapping[linkData.toNode] || linkData.toNode;
-        
-        // Only restore link if both nodes exist
-        if (state.timelineNodes[fromNodeId] && state.timelineNodes[toNodeId]) {
-          state.timelineLinks[linkId] = {
-            ...linkData,
-            fromNode: fromNodeId,
-            toNode: toNodeId
-          };
-          dbg(`timeline: loadTimelineData - restored link ${linkId}: ${fromNodeId}:${linkData.fromHandle} -> ${toNodeId}:${linkData.toHandle}`);
-        } else {
-          dbg(`timeline: loadTimelineData - skipping link ${linkId} - missing nodes (from: ${fromNodeId} exists: ${!!state.timelineNodes[fromNodeId]}, to: ${toNodeId} exists: ${!!state.timelineNodes[toNodeId]})`);
-        }
-      }
-      
-      renderAllLinks();
-      if (typeof updateTimelineSelector === 'function') {
-        dbg('loadTimelineData: calling updateTimelineSelector');
-        updateTimelineSelector();
-      } else {
-        dbg('loadTimelineData: updateTimelineSelector not defined');
-      }
-      dbg('timeline: load completed successfully');
-    } catch (e) {
-      dbg(`timeline: load failed: ${e?.message || e}`);
+  async function showHistory() {
+    ensureHistory();
+    historyEl.style.display = "flex";
+    historySelectedId = null;
+    historyEl.querySelector("#history-restore-all").disabled = true;
+    historyDiffList.innerHTML = `<div class="item"><span class="meta">Select a snapshot to compare it with the workspace</span></div>`;
+    historySnapList.innerHTML = `<div class="item"><span class="meta">Loading…</span></div>`;
+
+    // Flush pending edits so the comparison reflects what's on screen
+    if (state.dirty) { try { await saveToDisk(); } catch (e) { dbg(`history: pre-open save failed: ${e?.message || e}`); } }
+
+    const r = await ipcRenderer.invoke("snapshots:list").catch(e => ({ ok: false, error: String(e) }));
+    if (!r?.ok) {
+      historySnapList.innerHTML = `<div class="item"><span class="meta">${escapeHtml(r?.error || "Failed to list snapshots")}</span></div>`;
+      return;
+    }
+    historySnapList.innerHTML = "";
+    if (!r.snapshots.length) {
+      historySnapList.innerHTML = `<div class="item"><span class="meta">No snapshots yet — one is taken on the next Save Back</span></div>`;
+      return;
+    }
+    for (const s of r.snapshots) {
+      const row = document.createElement("div");
+      row.className = "item";
+      row.dataset.id = s.id;
+      row.innerHTML = `
+        <div class="left">
+          <span class="badge">${escapeHtml(HISTORY_REASON_LABELS[s.reason] || s.reason)}</span>
+          <span class="title">${escapeHtml(new Date(s.createdAt).toLocaleString())}</span>
+        </div>
+        <div class="meta">${timeAgo(s.createdAt)} • ${s.fileCount} files</div>
+      `;
+      row.addEventListener("click", () => {
+        historySnapList.querySelectorAll(".item.selected").forEach(n => n.classList.remove("selected"));
+        row.classList.add("selected");
+        historySelectedId = s.id;
+        historyEl.querySelector("#history-restore-all").disabled = false;
+        renderHistoryDiff(s.id);
+      });
+      historySnapList.appendChild(row);
     }
   }
 
-  // Helper to remove a connection and clean up handles
-  function removeConnection(linkId, skipAutoAddHandles = false) {
-    try {
-      const link = state.timelineLinks[linkId];
-      if (!link) return;
-      
-      dbg(`timeline: removing connection ${linkId}`);
-      
-      // Free up the handles by marking them unused and removing them
-      const srcNode = state.timelineNodes[link.fromNode];
-      const dstNode = state.timelineNodes[link.toNode];
-      
-      if (srcNode && link.fromHandle) {
-        const handles = srcNode.handles || [];
-        const handleIdx = handles.findIndex(h => h.id === link.fromHandle);
-        if (handleIdx >= 0) {
-          const handleObj = handles[handleIdx];
-          handles.splice(handleIdx, 1);
-          dbg(`timeline: removed handle ${link.fromHandle} from node ${link.fromNode}`);
-          
-          // Only auto-add replacement handle if not in editing mode
-          if (!skipAutoAddHandles) {
-            const handleSide = handleObj.side || 'right';
-            addHandleToNode(link.fromNode, false, handleSide);
-            dbg(`timeline: added replacement handle to node ${link.fromNode} side=${handleSide}`);
-          }
-          
-          updateHandlesForNode(link.fromNode);
-        }
+  function hideHistory() {
+    if (!historyEl) return;
+    historyEl.style.display = "none";
+  }
+
+  async function renderHistoryDiff(id) {
+    historyDiffList.innerHTML = `<div class="item"><span class="meta">Comparing…</span></div>`;
+    const r = await ipcRenderer.invoke("snapshots:diff", { id }).catch(e => ({ ok: false, error: String(e) }));
+    if (id !== historySelectedId) return; // a newer selection superseded this one
+    if (!r?.ok) {
+      historyDiffList.innerHTML = `<div class="item"><span class="meta">${escapeHtml(r?.error || "Diff failed")}</span></div>`;
+      return;
+    }
+    const showSame = !!historyEl.querySelector("#history-show-same")?.checked;
+    const rows = r.entries.filter(d => showSame || d.status !== "same");
+    historyDiffList.innerHTML = "";
+    if (!rows.length) {
+      historyDiffList.innerHTML = `<div class="item"><span class="meta">Workspace matches this snapshot</span></div>`;
+      return;
+    }
+    const statusText = {
+      changed: "changed since snapshot",
+      removed: "deleted since snapshot",
+      added: "created after snapshot",
+      same: "unchanged",
+    };
+    for (const d of rows) {
+      const row = document.createElement("div");
+      row.className = `item status-${d.status}`;
+      let words = "";
+      if (d.status === "changed" && (d.snapshotWords || d.currentWords)) {
+        const delta = (d.currentWords || 0) - (d.snapshotWords || 0);
+        words = ` • ${d.snapshotWords} → ${d.currentWords} words (${delta >= 0 ? "+" : ""}${delta})`;
       }
-      
-      if (dstNode && link.toHandle) {
-        const handles = dstNode.handles || [];
-        const handleIdx = handles.findIndex(h => h.id === link.toHandle);
-        if (handleIdx >= 0) {
-          const handleObj = handles[handleIdx];
-          handles.splice(handleIdx, 1);
-          dbg(`timeline: removed handle ${link.toHandle} from node ${link.toNode}`);
-          
-          // Only auto-add replacement handle if not in editing mode
-          if (!skipAutoAddHandles) {
-            const handleSide = handleObj.side || 'left';
-            addHandleToNode(link.toNode, false, handleSide);
-            dbg(`timeline: added replacement handle to node ${link.toNode} side=${handleSide}`);
-          }
-          
-          updateHandlesForNode(link.toNode);
-        }
+      row.innerHTML = `
+        <div class="left">
+          <span class="badge">${escapeHtml(d.kind)}</span>
+          <span class="title">${escapeHtml(d.title || d.path)}</span>
+        </div>
+        <div class="meta">${statusText[d.status] || d.status}${words}</div>
+      `;
+      if (d.status !== "same") {
+        const btn = document.createElement("button");
+        btn.className = "btn";
+        btn.textContent = d.status === "added" ? "Remove" : "Restore";
+        btn.title = d.path;
+        btn.addEventListener("click", async (ev) => {
+          ev.stopPropagation();
+          const verb = d.status === "added" ? "Remove" : "Restore";
+          if (!confirm(`${verb} "${d.title || d.path}" from the snapshot?`)) return;
+          await restoreFromHistory(id, [d.path]);
+        });
+        row.querySelector(".meta").appendChild(btn);
       }
-      
-      // Remove the link itself
-      delete state.timelineLinks[linkId];
-      renderAllLinks();
-      touchSave(); // Save timeline changes
-      // Also immediately save timeline data to ensure persistence
-      try { saveToDisk(); } catch (e) { dbg('timeline: immediate save after link removal failed: ' + (e?.message || e)); }
-    } catch (e) {
-      dbg('removeConnection error: ' + (e && e.message));
+      historyDiffList.appendChild(row);
     }
   }
 
-  // Selection helpers (box-select + group move)
-  function clearTimelineSelection() {
+  // paths = null restores the whole project
+  async function restoreFromHistory(id, paths) {
     try {
-      const prev = state.timelineSelection && state.timelineSelection.ids ? state.timelineSelection.ids : [];
-      for (const id of prev) {
-        const el = getNodeElement(id);
-        if (el) el.classList.remove('multi-selected');
-      }
-    } catch (e) { /* best-effort */ }
-    state.timelineSelection = { ids: [] };
-    // hide rect if present
-    try { if (_boxSelect.rectEl) _boxSelect.rectEl.classList.remove('visible'); } catch (e) {}
+      // Stop pending autosaves from writing stale in-memory entries over the restored files
+      clearTimeout(autosaveDebounce);
+      const r = await ipcRenderer.invoke("snapshots:restore", { id, paths }).catch(e => ({ ok: false, error: String(e) }));
+      if (!r?.ok) throw new Error(r?.error || "Restore failed");
+      dbg(`history: restored ${r.restored} file(s) from snapshot ${id}`);
+      state.dirty = false;
+      await appLoadFromDisk();
+      el.saveState && (el.saveState.textContent = "Restored from history — Save Back to keep");
+      renderHistoryDiff(id);
+    } catch (err) {
+      dbg(`history: restore failed: ${err?.message || err}`);
+      alert(`Restore failed:\n${err?.message || err}`);
+    }
   }
-  
-  function clearTimelineData() {
-    dbg('timeline: clearing all timeline data');
-    // Clear state
-    state.timelineNodes = {};
-    state.timelineLinks = {};
-    state.timelineSelection.ids = [];
-    state.timeline = {}; // Clear timeline metadata
-    
-    // Clear DOM
-    const canvas = ensureTimelineCanvas();
-    if (canvas) {
-      canvas.querySelectorAll('.timeline-node').forEach(n => n.remove());
-      // Clear any existing SVG links
-      const existingSvg = canvas.querySelector('svg');
-      if (existingSvg) {
-        existingSvg.remove();
-      }
+
+  // ───────────── Export Modal ─────────────
+  // Format + section picker for File → Export…; rendering and the save
+  // dialog live in the main process (project:export, src/main/export.js).
+  let exportEl = null;
+  const EXPORT_FORMAT_OPTIONS = [
+    ["md", "Markdown (.md)"],
+    ["txt", "Plain text (.txt)"],
+    ["html", "Standalone HTML (.html)"],
+    ["epub", "EPUB 3 e-book (.epub)"],
+    ["docx", "Word manuscript (.docx)"],
+  ];
+  // Sections each binary format can carry (text formats take them all);
+  // EPUB is chapters only, with lore as a glossary appendix; DOCX is the
+  // bare manuscript in submission format
+  const EXPORT_FORMAT_SECTIONS = {
+    epub: ["chapters", "lore"],
+    docx: ["chapters"],
+  };
+  const EXPORT_SECTION_OPTIONS = [
+    ["chapters", "Chapters"],
+    ["synopses", "Chapter synopses"],
+    ["notes", "Notes (appendix)"],
+    ["refs", "References (appendix)"],
+    ["lore", "Lore (appendix)"],
+  ];
+  // Remembered for the session so repeated exports keep the same choices
+  const exportChoice = { format: "md", include: { chapters: true, synopses: false, notes: false, refs: false, lore: false } };
+
+  function ensureExportDialog() {
+    if (exportEl) return exportEl;
+    exportEl = document.createElement("div");
+    exportEl.id = "export-dialog";
+    exportEl.innerHTML = `
+      <div class="card" role="dialog" aria-modal="true" aria-label="Export">
+        <strong>Export project</strong>
+        <fieldset class="formats"><legend>Format</legend></fieldset>
+        <fieldset class="sections"><legend>Include</legend></fieldset>
+        <div class="row">
+          <span class="status" id="export-status"></span>
+          <button class="btn" id="export-cancel" type="button">Cancel</button>
+          <button class="btn primary" id="export-go" type="button">Export…</button>
+        </div>
+      </div>
+    `;
+    const formats = exportEl.querySelector(".formats");
+    for (const [value, label] of EXPORT_FORMAT_OPTIONS) {
+      const row = document.createElement("label");
+      row.innerHTML = `<input type="radio" name="export-format" value="${value}" /> ${label}`;
+      formats.appendChild(row);
+    }
+    const sections = exportEl.querySelector(".sections");
+    for (const [key, label] of EXPORT_SECTION_OPTIONS) {
+      const row = document.createElement("label");
+      row.innerHTML = `<input type="checkbox" data-section="${key}" /> ${label}`;
+      sections.appendChild(row);
     }
+    document.body.appendChild(exportEl);
+
+    exportEl.querySelector("#export-cancel").addEventListener("click", hideExportDialog);
+    exportEl.addEventListener("click", (ev) => { if (ev.target === exportEl) hideExportDialog(); });
+    exportEl.querySelector("#export-go").addEventListener("click", runExport);
+    exportEl.querySelectorAll('input[name="export-format"]').forEach(r => r.addEventListener("change", syncExportSections));
+    return exportEl;
   }
 
-  function selectAllTimelineNodes() {
-    const ids = Object.keys(state.timelineNodes || {});
-    state.timelineSelection.ids = ids.slice();
-    for (const id of ids) {
-      const el = getNodeElement(id);
-      if (el) el.classList.add('multi-selected');
-    }
+  // Grey out sections the chosen format can't carry
+  function syncExportSections() {
+    const fmt = exportEl.querySelector('input[name="export-format"]:checked')?.value || "md";
+    const allowed = EXPORT_FORMAT_SECTIONS[fmt];
+    exportEl.querySelectorAll("input[data-section]").forEach(c => {
+      c.disabled = !!allowed && !allowed.includes(c.dataset.section);
+    });
   }
 
-  function _installBoxSelectHandlers(canvas) {
-    if (!canvas) return;
-    if (canvas.dataset.tlBoxSelectInstalled) return;
-    canvas.dataset.tlBoxSelectInstalled = '1';
+  function showExportDialog() {
+    ensureExportDialog();
+    exportEl.querySelectorAll('input[name="export-format"]').forEach(r => { r.checked = r.value === exportChoice.format; });
+    exportEl.querySelectorAll("input[data-section]").forEach(c => { c.checked = !!exportChoice.include[c.dataset.section]; });
+    syncExportSections();
+    exportEl.querySelector("#export-status").textContent = "";
+    exportEl.querySelector("#export-go").disabled = false;
+    exportEl.style.display = "flex";
+  }
 
-    // ensure selection rect element exists
-    if (!_boxSelect.rectEl) {
-      const r = document.createElement('div');
-      r.className = 'timeline-selection-rect';
-      r.style.position = 'absolute';
-      r.style.left = '0px'; r.style.top = '0px'; r.style.width = '0px'; r.style.height = '0px';
-      r.style.pointerEvents = 'none';
-      canvas.appendChild(r);
-      _boxSelect.rectEl = r;
+  function hideExportDialog() {
+    if (!exportEl) return;
+    exportEl.style.display = "none";
+  }
+
+  async function runExport() {
+    const status = exportEl.querySelector("#export-status");
+    const go = exportEl.querySelector("#export-go");
+    exportChoice.format = exportEl.querySelector('input[name="export-format"]:checked')?.value || "md";
+    exportEl.querySelectorAll("input[data-section]").forEach(c => { exportChoice.include[c.dataset.section] = c.checked; });
+    const allowed = EXPORT_FORMAT_SECTIONS[exportChoice.format];
+    const inc = {};
+    for (const [key, on] of Object.entries(exportChoice.include)) inc[key] = on && (!allowed || allowed.includes(key));
+    if (!inc.chapters && !inc.notes && !inc.refs && !inc.lore) {
+      status.textContent = "Pick at least one section.";
+      return;
+    }
+    go.disabled = true;
+    status.textContent = "Exporting…";
+    try {
+      // Export reads the workspace, so flush the editor first
+      if (state.dirty) await saveToDisk();
+      const r = await ipcRenderer.invoke("project:export", { format: exportChoice.format, include: inc })
+        .catch(e => ({ ok: false, error: String(e) }));
+      if (!r?.ok) throw new Error(r?.error || "Export failed");
+      if (r.canceled) { status.textContent = ""; return; }
+      dbg(`export: wrote ${exportChoice.format} → ${r.filePath}`);
+      hideExportDialog();
+      alert(`Exported to:\n${r.filePath}`);
+    } catch (err) {
+      dbg(`export failed: ${err?.message || err}`);
+      status.textContent = err?.message || String(err);
+    } finally {
+      go.disabled = false;
     }
+  }
 
-    canvas.addEventListener('pointerdown', (ev) => {
-      try {
-        if (ev.button !== 0) return; // left only
-        // If user clicked on a node, handle, link path, or interactive control, don't start box-select here
-        const tgt = ev.target && ev.target.closest ? ev.target.closest('.timeline-node, .conn-handle, .color-btn, .color-panel') : null;
-        if (tgt) return;
-        // Ignore pointerdown on SVG link paths (they use .link/.interactive)
-        const linkHit = ev.target && ev.target.closest ? ev.target.closest('path.link, .link, path.temp, .temp') : null;
-        if (linkHit) {
-          dbg('box-select: pointerdown ignored on SVG link path');
-          return;
-        }
-        // Start box select
-        ev.preventDefault();
-        _boxSelect.active = true;
-        _boxSelect.startCanvas = clientToCanvas(ev.clientX, ev.clientY);
-        const r = _boxSelect.rectEl;
-        if (r) {
-          r.classList.add('visible');
-          r.style.left = `${_boxSelect.startCanvas.x}px`;
-          r.style.top = `${_boxSelect.startCanvas.y}px`;
-          r.style.width = '0px'; r.style.height = '0px';
-        }
-      } catch (e) { dbg('box select start error: ' + (e && e.message)); }
-    });
+  // ───────────── Import Modal ─────────────
+  // File → Import…: the main process reads the picked draft into text
+  // (project:importPick, src/main/import.js); splitting happens here so the
+  // preview updates live, and nothing is written until "Import" is pressed.
+  const importSplit = require('./src/shared/import.split');
+  let importEl = null;
+  // Current draft + split options; options are remembered for the session
+  const importChoice = { draft: null, mode: importSplit.IMPORT_SPLIT_DEFAULTS.mode, headingLevel: 0, separator: importSplit.IMPORT_SPLIT_DEFAULTS.separator };
+  let importChapters = [];
+
+  function ensureImportDialog() {
+    if (importEl) return importEl;
+    importEl = document.createElement("div");
+    importEl.id = "import-dialog";
+    importEl.innerHTML = `
+      <div class="card" role="dialog" aria-modal="true" aria-label="Import">
+        <strong>Import draft</strong>
+        <div class="file" id="import-file"></div>
+        <fieldset><legend>Split into chapters</legend>
+          <label><input type="radio" name="import-mode" value="headings" /> On headings
+            <select id="import-level">
+              <option value="0">Auto</option>
+              <option value="1"># Heading 1</option>
+              <option value="2">## Heading 2</option>
+              <option value="3">### Heading 3</option>
+            </select>
+          </label>
+          <label><input type="radio" name="import-mode" value="separator" /> On lines matching
+            <input type="text" id="import-separator" spellcheck="false" placeholder="regular expression" />
+          </label>
+        </fieldset>
+        <ol class="preview" id="import-preview"></ol>
+        <div class="row">
+          <span class="status" id="import-status"></span>
+          <button class="btn" id="import-cancel" type="button">Cancel</button>
+          <button class="btn primary" id="import-go" type="button">Import</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(importEl);
+
+    importEl.querySelector("#import-cancel").addEventListener("click", hideImportDialog);
+    importEl.addEventListener("click", (ev) => { if (ev.target === importEl) hideImportDialog(); });
+    importEl.querySelector("#import-go").addEventListener("click", runImport);
+    importEl.querySelectorAll('input[name="import-mode"]').forEach(r => r.addEventListener("change", renderImportPreview));
+    importEl.querySelector("#import-level").addEventListener("change", renderImportPreview);
+    importEl.querySelector("#import-separator").addEventListener("input", renderImportPreview);
+    return importEl;
+  }
 
-    window.addEventListener('pointermove', (ev) => {
-      try {
-        if (!_boxSelect.active) return;
-        ev.preventDefault();
-        const cur = clientToCanvas(ev.clientX, ev.clientY);
-        const sx = Math.min(_boxSelect.startCanvas.x, cur.x);
-        const sy = Math.min(_boxSelect.startCanvas.y, cur.y);
-        const w = Math.abs(cur.x - _boxSelect.startCanvas.x);
-        const h = Math.abs(cur.y - _boxSelect.startCanvas.y);
-        const r = _boxSelect.rectEl;
-        if (r) {
-          r.style.left = `${sx}px`;
-          r.style.top = `${sy}px`;
-          r.style.width = `${w}px`;
-          r.style.height = `${h}px`;
-        }
-      } catch (e) { /* best-effort */ }
+  // Re-split the draft with the current options and list the resulting chapters
+  function renderImportPreview() {
+    const list = importEl.querySelector("#import-preview");
+    const status = importEl.querySelector("#import-status");
+    const go = importEl.querySelector("#import-go");
+    importChoice.mode = importEl.querySelector('input[name="import-mode"]:checked')?.value || "headings";
+    importChoice.headingLevel = Number(importEl.querySelector("#import-level").value) || 0;
+    importChoice.separator = importEl.querySelector("#import-separator").value;
+    list.innerHTML = "";
+    try {
+      importChapters = importSplit.splitManuscript(importChoice.draft?.text || "", importChoice);
+    } catch (err) {
+      importChapters = [];
+      status.textContent = `Invalid pattern: ${err?.message || err}`;
+      go.disabled = true;
+      return;
+    }
+    const firstSeq = state.entries.filter(e => e.type === "chapter").length + 1;
+    importChapters.forEach((ch, i) => {
+      const li = document.createElement("li");
+      const first = ch.body.split("\n").find(l => l.trim()) || "";
+      li.innerHTML = `
+        <span class="title">${escapeHtml(ch.title || `Chapter ${firstSeq + i}`)}</span>
+        <span class="meta">${importSplit.countWords(ch.body).toLocaleString()} words</span>
+        <div class="snippet">${escapeHtml(first.slice(0, 140))}</div>
+      `;
+      list.appendChild(li);
     });
+    const words = importChapters.reduce((n, ch) => n + importSplit.countWords(ch.body), 0);
+    status.textContent = `${importChapters.length} chapter(s), ${words.toLocaleString()} words`;
+    go.disabled = !importChapters.length;
+    go.textContent = importChapters.length ? `Import ${importChapters.length} chapter(s)` : "Import";
+  }
 
-    window.addEventListener('pointerup', (ev) => {
-      try {
-        if (!_boxSelect.active) return;
-        _boxSelect.active = false;
-        const r = _boxSelect.rectEl;
-        if (!r) return;
-        // compute selection rect in canvas logical coords
-        const rx = parseFloat(r.style.left || 0);
-        const ry = parseFloat(r.style.top || 0);
-        const rw = parseFloat(r.style.width || 0);
-        const rh = parseFloat(r.style.height || 0);
-        // clear previous selection
-        clearTimelineSelection();
-        dbg(`box-select: starting selection in rect (${rx}, ${ry}, ${rw}, ${rh})`);
-        const ids = [];
-        for (const nid in state.timelineNodes) {
-          try {
-            const nodeEl = getNodeElement(nid);
-            if (!nodeEl) continue;
-            const nx = parseInt(nodeEl.style.left || 0, 10);
-            const ny = parseInt(nodeEl.style.top || 0, 10);
-            const nw = nodeEl.offsetWidth || 0;
-            const nh = nodeEl.offsetHeight || 0;
-            // Intersect test in logical coords
-            const overlap = !(nx + nw < rx || nx > rx + rw || ny + nh < ry || ny > ry + rh);
-            dbg(`box-select: node ${nid} at (${nx}, ${ny}, ${nw}, ${nh}) overlap=${overlap}`);
-            if (overlap) {
-              ids.push(nid);
-            }
-          } catch (e) { dbg(`box-select: error checking node ${nid}: ${e?.message}`); }
-        }
-        state.timelineSelection.ids = ids;
-        dbg(`box-select: COMPLETED - selected ${ids.length} nodes: [${ids.join(', ')}]`);
-        for (const id of ids) {
-          const el = getNodeElement(id);
-          if (el) {
-            el.classList.add('multi-selected');
-            dbg(`box-select: added multi-selected class to node ${id}`);
-          } else {
-            dbg(`box-select: WARNING - could not find element for selected node ${id}`);
-          }
-        }
-        // Debug the final selection state
-        setTimeout(() => debugTimelineSelection(), 100);
-        // hide rectangle
-        r.classList.remove('visible');
-      } catch (e) { dbg('box select finish error: ' + (e && e.message)); }
-    });
+  async function showImportDialog() {
+    if (!SAVE_FILE || !fs.existsSync(SAVE_FILE)) {
+      alert("Open or create a project before importing.");
+      return;
+    }
+    const r = await ipcRenderer.invoke("project:importPick").catch(e => ({ ok: false, error: String(e) }));
+    if (!r?.ok) { alert(`Import failed:\n${r?.error || "Could not read file"}`); return; }
+    if (r.canceled) return;
+    importChoice.draft = r;
+    ensureImportDialog();
+    // Plain text has no headings; fall back to the separator pattern
+    const mode = importSplit.detectHeadingLevel(r.text) ? importChoice.mode : "separator";
+    importEl.querySelectorAll('input[name="import-mode"]').forEach(x => { x.checked = x.value === mode; });
+    importEl.querySelector("#import-level").value = String(importChoice.headingLevel);
+    importEl.querySelector("#import-separator").value = importChoice.separator;
+    importEl.querySelector("#import-file").textContent = `${r.name} (${r.format.toUpperCase()})`;
+    renderImportPreview();
+    importEl.style.display = "flex";
   }
 
-  // Zoom helper: keep the logical point under (clientX,clientY) stable when scaling
-  function setTimelineScale(newScale, clientX, clientY) {
-    const canvas = ensureTimelineCanvas();
-    if (!canvas) return;
-    const rect = canvas.getBoundingClientRect();
-    const old = state.timelineViewport;
-    const s0 = old.scale;
-    const s1 = Math.max(0.25, Math.min(4, newScale));
-    // Compute logical coordinate of client point
-    const lx = (clientX - rect.left) / s0;
-    const ly = (clientY - rect.top) / s0;
-    // New tx/ty such that lx maps to same client point
-    const ntx = clientX - rect.left - lx * s1;
-    const nty = clientY - rect.top - ly * s1;
-    state.timelineViewport.scale = s1;
-    state.timelineViewport.tx = Math.round(ntx);
-    state.timelineViewport.ty = Math.round(nty);
-    // Clamp pan so transformed canvas stays inside its container
-    clampTimelinePan();
-    setTimelineTransform();
+  function hideImportDialog() {
+    if (!importEl) return;
+    importEl.style.display = "none";
+    importChoice.draft = null;
+    importChapters = [];
   }
 
-  function clampTimelinePan() {
+  // Append the previewed chapters after the existing ones, with sequential
+  // ids/codes in the same CHP-<project>-<id> form the loader uses
+  async function runImport() {
+    const status = importEl.querySelector("#import-status");
+    const go = importEl.querySelector("#import-go");
+    if (!importChapters.length) return;
+    go.disabled = true;
+    status.textContent = "Importing…";
     try {
-      const canvas = ensureTimelineCanvas();
-      if (!canvas) return;
-      const container = canvas.parentElement || canvas.closest('.timeline') || document.body;
-      const rect = container.getBoundingClientRect();
-      const cw = canvas.clientWidth * (state.timelineViewport.scale || 1);
-      const ch = canvas.clientHeight * (state.timelineViewport.scale || 1);
-      const containerW = rect.width;
-      const containerH = rect.height;
-
-      // If content smaller than container, center it; otherwise clamp between [container - content, 0]
-      let minTx, maxTx, minTy, maxTy;
-      if (cw <= containerW) {
-        minTx = maxTx = Math.round((containerW - cw) / 2);
-      } else {
-        minTx = Math.round(containerW - cw);
-        maxTx = 0;
-      }
-      if (ch <= containerH) {
-        minTy = maxTy = Math.round((containerH - ch) / 2);
-      } else {
-        minTy = Math.round(containerH - ch);
-        maxTy = 0;
-      }
-
-      state.timelineViewport.tx = Math.min(maxTx, Math.max(minTx, state.timelineViewport.tx || 0));
-      state.timelineViewport.ty = Math.min(maxTy, Math.max(minTy, state.timelineViewport.ty || 0));
-    } catch (e) { dbg('clampTimelinePan error: ' + (e && e.message)); }
+      if (state.dirty) await saveToDisk();
+      const chapters = state.entries.filter(e => e.type === "chapter");
+      const idOf = (e) => typeof e.id === "number" ? e.id : Number(String(e.code || e.id || "").match(/(\d+)$/)?.[1]) || 0;
+      let nextId = chapters.reduce((n, e) => Math.max(n, idOf(e)), 0) + 1;
+      let order = chapters.reduce((n, e) => Math.max(n, Number(e.order_index) || 0), -1) + 1;
+      const parentPad = String(Number(state.project?.id || state.project?.project_id) || 0).padStart(4, "0");
+      const created = [];
+      importChapters.forEach((ch, i) => {
+        const entry = buildNewEntry("chapter", chapters.length + i + 1, order++);
+        entry.id = nextId;
+        entry.code = `CHP-${parentPad}-${String(nextId).padStart(6, "0")}`;
+        nextId++;
+        if (ch.title) entry.title = ch.title;
+        entry.body = ch.body;
+        state.entries.push(entry);
+        created.push(entry);
+      });
+      normalizeOrderIndexes();
+      state.dirty = true;
+      await saveToDisk();
+      dbg(`import: created ${created.length} chapter(s) from ${importChoice.draft?.filePath}`);
+      hideImportDialog();
+      await appLoadFromDisk();
+      switchTab("chapters");
+      selectEntry(entryKey(created[0]));
+      el.saveState && (el.saveState.textContent = `Imported ${created.length} chapter(s)`);
+    } catch (err) {
+      dbg(`import failed: ${err?.message || err}`);
+      status.textContent = err?.message || String(err);
+    } finally {
+      go.disabled = false;
+    }
   }
 
-  // Create a visual node for an entry at (x,y) (canvas coordinates)
-  function createTimelineNodeForEntry(entry, x, y) {
-    const canvas = ensureTimelineCanvas();
-    if (!canvas) return null;
-    dbg(`timeline: createTimelineNodeForEntry received entry=${entry?.id} x=${x} y=${y}`);
+  // ───────────── Project Archive (.inkdoodle) ─────────────
+  // File → Export/Import Project Archive…; bundling, validation and code
+  // remapping live in the main process (src/main/archive.js).
+  async function exportProjectArchive() {
+    try {
+      // The bundle is built from the workspace, so flush the editor first
+      if (state.dirty) await saveToDisk();
+      const r = await ipcRenderer.invoke("project:exportArchive", {}).catch(e => ({ ok: false, error: String(e) }));
+      if (!r?.ok) throw new Error(r?.error || "Archive export failed");
+      if (r.canceled) return;
+      dbg(`archive: exported → ${r.filePath}`);
+      alert(`Project archive saved to:\n${r.filePath}`);
+    } catch (err) {
+      dbg(`archive export failed: ${err?.message || err}`);
+      alert(`Archive export failed:\n${err?.message || err}`);
+    }
+  }
 
-    const nodeId = `tn-${uid()}`;
-    const color = pickColorForEntry(entry);
+  async function importProjectArchive() {
+    try {
+      const r = await ipcRenderer.invoke("project:importArchive", {}).catch(e => ({ ok: false, error: String(e) }));
+      if (!r?.ok) throw new Error(r?.error || "Archive import failed");
+      if (r.canceled) return;
+      dbg(`archive: imported "${r.title}" → ${r.dir}${r.remapped ? ` (remapped ${r.remapped.from} → ${r.remapped.to})` : ""}`);
+      const note = r.remapped ? `\n\nIts codes collided with an existing project and were renumbered (${r.remapped.to}).` : "";
+      alert(`Imported "${r.title}" as ${r.name}.${note}`);
+      // The new folder shows up in the picker; open it so it can be loaded
+      await showProjectPicker();
+    } catch (err) {
+      dbg(`archive import failed: ${err?.message || err}`);
+      alert(`Archive import failed:\n${err?.message || err}`);
+    }
+  }
 
-    const node = document.createElement('div');
-    node.className = 'timeline-node';
-    node.style.left = `${x}px`;
-    node.style.top = `${y}px`;
-    node.style.background = color;
-    node.dataset.nodeId = nodeId;
-    node.dataset.entryId = entry.id;
+  // ───────────────── Login Modal (email-only MVP) ─────────────────
+  let loginModal = null;
 
-    const label = document.createElement('div');
-    label.className = 'node-label';
-    label.textContent = entry.title || '(Untitled)';
+  // Debug helper for login flow
+  function loginDbg(msg) {
+    try {
+      dbg(`[login] ${msg}`);
+    } catch (e) {
+      console.log("[login-debug]", msg);
+    }
+  }
 
-    const kind = document.createElement('div');
-    kind.className = 'node-kind';
-    kind.textContent = entry.lore_kind || (entry.type || 'lore');
+  function ensureLoginModal() {
+    if (loginModal) return loginModal;
 
-    const leftWrap = document.createElement('div');
-    leftWrap.style.display = 'flex';
-    leftWrap.style.flexDirection = 'column';
-    leftWrap.appendChild(label);
-    leftWrap.appendChild(kind);
+    // First remove any existing login modal
+    const existingModal = document.getElementById("login-modal-dynamic");
+    if (existingModal) existingModal.remove();
 
-    const remove = document.createElement('button');
-    remove.className = 'remove-btn';
-    remove.title = 'Remove from timeline';
-    remove.textContent = '×';
-    remove.addEventListener('click', (ev) => {
-      ev.stopPropagation();
-      removeTimelineNode(nodeId);
-    });
+    loginModal = document.createElement("div");
+    loginModal.id = "login-modal-dynamic";
+    loginModal.innerHTML = `
+      <div class="login-card" tabindex="-1">
+        <h2>Sign in to Ink Doodle</h2>
+        <p class="sub">Enter your email to load your projects from the cloud.</p>
+        <div class="input-wrap" tabindex="-1">
+          <input id="login-email-dynamic" 
+                 type="email" 
+                 placeholder="you@example.com" 
+                 spellcheck="false" 
+                 autocomplete="email" 
+                 autocapitalize="off"
+                 enterkeyhint="go"
+                 tabindex="1" />
+        </div>
+        <button id="login-btn-dynamic" class="btn primary" tabindex="2">Sign In</button>
+      </div>`;
+    document.body.appendChild(loginModal);
 
-  // NOTE: handles are created via addHandleToNode() which also manages state
+    const style = document.createElement("style");
+    style.textContent = `
+      #login-modal-dynamic { 
+        position: fixed; inset: 0; 
+        background: rgba(17,24,39,.85);
+        display: flex; 
+        align-items: center; 
+        justify-content: center; 
+        z-index: 2147483647;
+        -webkit-app-region: no-drag;
+      }
+      #login-modal-dynamic .login-card { 
+        position: relative;
+        background: #fff; 
+        padding: 24px 28px; 
+        border-radius: 12px;
+        width: min(340px,90vw); 
+        text-align: center; 
+        font-family: Inter,system-ui,sans-serif;
+        box-shadow: 0 20px 60px rgba(0,0,0,.35);
+        -webkit-app-region: no-drag;
+      }
+      #login-modal-dynamic h2 { 
+        margin: 0 0 4px; 
+        font-size: 20px; 
+        font-weight: 700; 
+      }
+      #login-modal-dynamic .sub { 
+        font-size: 13px; 
+        color: #6b7280; 
+        margin-bottom: 12px; 
+      }
+      #login-modal-dynamic .input-wrap {
+        margin: 16px 0;
+      }
+      #login-email-dynamic { 
+        width: 100%; 
+        padding: 10px; 
+        font-size: 14px; 
+        border: 1px solid #d1d5db;
+        border-radius: 8px; 
+        margin-bottom: 10px;
+        background: #fff;
+        position: relative;
+        z-index: 2147483647;
+        -webkit-app-region: no-drag;
+        -webkit-user-select: text;
+        user-select: text;
+      }
+      #login-btn-dynamic { 
+        padding: 8px 12px; 
+        border: none; 
+        border-radius: 8px;
+        background: #2563eb; 
+        color: #fff; 
+        cursor: pointer; 
+        font-weight: 600;
+        width: 100%;
+      }
+      #login-btn-dynamic:hover { 
+        background: #1d4ed8; 
+      }`;
+    document.head.appendChild(style);
 
-    // Color picker control (inline, expands a small hue slider)
-    const colorBtn = document.createElement('button');
-    colorBtn.className = 'color-btn';
-    colorBtn.title = 'Change color';
-    colorBtn.textContent = '◐';
+      const emailInput = loginModal.querySelector("#login-email-dynamic");
+      const loginButton = loginModal.querySelector("#login-btn-dynamic");
+      
+      dbg("login-modal: elements initialized");
 
-    const colorPanel = document.createElement('div');
-    colorPanel.className = 'color-panel';
+      // Helper to validate email format
+      const isValidEmail = (email) => {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+      };
 
-    const hueInput = document.createElement('input');
-    hueInput.type = 'range';
-    hueInput.min = 0; hueInput.max = 360; hueInput.step = 1;
+      // Handle Enter key in email input 
+      emailInput.addEventListener("keydown", async (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          loginButton.click();
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          hideLoginModal();
+        }
+      });
 
-    const swatch = document.createElement('span');
-    swatch.className = 'color-swatch';
+      loginButton.addEventListener("click", async () => {
+        const email = emailInput.value.trim();
+        if (!email || !email.includes('@')) {
+          alert("Please enter a valid email address.");
+          emailInput.focus();
+          return;
+        }
 
-    colorPanel.appendChild(hueInput);
-    colorPanel.appendChild(swatch);
+        // Disable input and button while logging in
+        emailInput.disabled = true;
+        loginButton.disabled = true;
+        loginButton.textContent = "Signing in...";
 
-    // helpers: HSL <-> HEX
-    function hslToRgb(h, s, l) {
-      s /= 100; l /= 100;
-      const k = n => (n + h / 30) % 12;
-      const a = s * Math.min(l, 1 - l);
-      const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
-      return { r: Math.round(255 * f(0)), g: Math.round(255 * f(8)), b: Math.round(255 * f(4)) };
-    }
-    function rgbToHex(r,g,b){ return '#'+ [r,g,b].map(x => x.toString(16).padStart(2,'0')).join(''); }
-    function hexToRgbObj(hex) { const c = hex.replace('#',''); return { r: parseInt(c.slice(0,2),16), g: parseInt(c.slice(2,4),16), b: parseInt(c.slice(4,6),16) }; }
-    function rgbToHsl(r,g,b){ r/=255; g/=255; b/=255; const max=Math.max(r,g,b), min=Math.min(r,g,b); let h=0,s=0,l=(max+min)/2; if(max!==min){ const d=max-min; s = l>0.5? d/(2-max-min) : d/(max+min); switch(max){ case r: h=(g-b)/d + (g<b?6:0); break; case g: h=(b-r)/d + 2; break; case b: h=(r-g)/d + 4; break; } h = Math.round(h*60); } return { h: h, s: Math.round(s*100), l: Math.round(l*100) } }
+        dbg(`login: attempting for ${email}`);
+        try {
+          const res = await ipcRenderer.invoke("auth:login", { email });
+          if (!res?.ok) {
+            // Re-enable on error
+            emailInput.disabled = false;
+            loginButton.disabled = false;
+            loginButton.textContent = "Sign In";
+            return alert(res?.error || "Login failed.");
+          }
 
-    // initialize color value (use stored if present)
-    let initialHue = 220; // fallback
-    try {
-      const existing = state.timelineNodes && state.timelineNodes[nodeId] && state.timelineNodes[nodeId].color;
-      if (existing) {
-        // convert hex -> hsl
-        const rgb = hexToRgbObj(existing);
-        const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
-        initialHue = Number.isFinite(hsl.h) ? hsl.h : initialHue;
-      } else {
-        // pick base color and derive hue
-        const base = pickColorForEntry(entry);
-        const rgb = hexToRgb(base);
-        const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
-        initialHue = Number.isFinite(hsl.h) ? hsl.h : initialHue;
-      }
-    } catch (e) { /* best-effort */ }
+          state.authUser = res.user;
+          dbg(`login -> ${res.user.email}`);
 
-    hueInput.value = initialHue;
-    const applyHue = (h) => {
-      const rgb = hslToRgb(Number(h), 75, 50);
-      const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
-      node.style.background = hex;
-      swatch.style.background = hex;
-      // store in-memory
-      state.timelineNodes[nodeId] = state.timelineNodes[nodeId] || {};
-      state.timelineNodes[nodeId].color = hex;
-      touchSave(); // Save timeline color changes
-    };
-    applyHue(initialHue);
+          // Hide login modal and show project picker
+          hideLoginModal();
+          hideProjectPicker(); // Hide any existing picker first
 
-    hueInput.addEventListener('input', (ev) => {
-      ev.stopPropagation();
-      applyHue(ev.target.value);
-    });
+          // Reset state for next time
+          emailInput.disabled = false;
+          emailInput.value = "";
+          loginButton.disabled = false;
+          loginButton.textContent = "Sign In";
 
-    // toggle panel
-    colorBtn.addEventListener('click', (ev) => {
-      ev.stopPropagation();
-      colorPanel.classList.toggle('visible');
-    });
+          // Immediately show picker after a successful login
+          dbg("login: showing project picker now");
+          ensureProjectPicker();
+          showProjectPicker();
+        } catch (e) {
+          // Re-enable on error
+          emailInput.disabled = false;
+          loginButton.disabled = false;
+          loginButton.textContent = "Sign In";
+          alert(`Login error:\n${e?.message || e}`);
+        }
+      });
 
-    // close panel when clicking elsewhere
-    document.addEventListener('click', (ev) => {
-      try { if (!colorPanel.contains(ev.target) && !colorBtn.contains(ev.target)) colorPanel.classList.remove('visible'); } catch (e) {}
-    });
+      return loginModal;
+  }
 
-    node.appendChild(leftWrap);
-    node.appendChild(remove);
+  function showLoginModal() {
+    loginDbg("Showing login modal");
+    ensureLoginModal();
+    
+    // Ensure modal exists and is properly configured before showing
+    if (!loginModal) {
+      loginDbg("ERROR: Modal creation failed");
+      return;
+    }
+    
+    // Reset state and clear any existing input values
+    const emailInput = loginModal.querySelector("#login-email-dynamic");
+    const loginButton = loginModal.querySelector("#login-btn-dynamic");
+    
+    if (!emailInput || !loginButton) {
+      loginDbg("ERROR: Required modal elements not found");
+      return;
+    }
 
-    // Pointer dragging for moving node
-  let dragging = false;
-  let start = { x: 0, y: 0 };
-  let orig = { x: 0, y: 0 };
-    node.addEventListener('pointerdown', (ev) => {
-      // If pointerdown originated on the remove button or color controls,
-      // don't start a node-drag; let those controls handle the event.
-      try {
-        if (ev.target && ev.target.closest) {
-          if (ev.target.closest('.remove-btn') || ev.target.closest('.color-btn') || ev.target.closest('.color-panel') || ev.target.closest('.conn-handle')) return;
-        }
-      } catch (e) { /* best-effort */ }
-  ev.preventDefault();
-  node.setPointerCapture(ev.pointerId);
-  const nodeId = node.dataset.nodeId;
-      dbg(`node-drag: pointerdown on node ${nodeId}`);
-      dbg(`node-drag: selection state - ids: [${(state.timelineSelection?.ids || []).join(', ')}]`);
-      dbg(`node-drag: checking if node ${nodeId} is in selection: ${state.timelineSelection && Array.isArray(state.timelineSelection.ids) && state.timelineSelection.ids.includes(nodeId)}`);
-      
-      // If this node is part of the selection, start a group drag
-      if (state.timelineSelection && Array.isArray(state.timelineSelection.ids) && state.timelineSelection.ids.includes(nodeId)) {
-        dbg(`group-drag: STARTING group drag with ${state.timelineSelection.ids.length} nodes: [${state.timelineSelection.ids.join(', ')}]`);
-        _groupDrag.active = true;
-        _groupDrag.nodeIds = state.timelineSelection.ids.slice();
-        _groupDrag.startClientX = ev.clientX;
-        _groupDrag.startClientY = ev.clientY;
-        _groupDrag.startPositions = {};
-        for (const nid of _groupDrag.nodeIds) {
-          const eln = getNodeElement(nid);
-          if (eln) {
-            const pos = { x: parseInt(eln.style.left || 0, 10), y: parseInt(eln.style.top || 0, 10) };
-            _groupDrag.startPositions[nid] = pos;
-            dbg(`group-drag: recorded start position for node ${nid}: (${pos.x}, ${pos.y})`);
-          } else {
-            dbg(`group-drag: WARNING - could not find element for node ${nid}`);
-          }
-        }
-        // don't start single-node dragging
-        return;
-      }
-
-      // Single-node drag (fallback)
-      dbg(`single-node-drag: STARTING single node drag for ${nodeId}`);
-      dragging = true;
-      // store raw client start and precise origin (float) for free dragging
-      start = { x: ev.clientX, y: ev.clientY };
-      orig = { x: parseFloat(node.style.left || 0), y: parseFloat(node.style.top || 0) };
-    });
-    node.addEventListener('pointermove', (ev) => {
-      if (_groupDrag.active) {
-        ev.preventDefault();
-        const s = state.timelineViewport.scale || 1;
-        const dx = (ev.clientX - _groupDrag.startClientX) / s;
-        const dy = (ev.clientY - _groupDrag.startClientY) / s;
-        dbg(`group-drag: MOVING ${_groupDrag.nodeIds.length} nodes by delta (${Math.round(dx)}, ${Math.round(dy)})`);
-        for (const nid of _groupDrag.nodeIds) {
-          try {
-            const pos = _groupDrag.startPositions[nid];
-            if (!pos) {
-              dbg(`group-drag: WARNING - no start position for node ${nid}`);
-              continue;
-            }
-            // free-drag: do not snap while moving
-            const nx = pos.x + dx;
-            const ny = pos.y + dy;
-            const eln = getNodeElement(nid);
-            if (eln) {
-              eln.style.left = `${nx}px`;
-              eln.style.top = `${ny}px`;
-              // dbg(`group-drag: moved node ${nid} to (${Math.round(nx)}, ${Math.round(ny)})`);
-            } else {
-              dbg(`group-drag: WARNING - could not find element for node ${nid}`);
-            }
-          } catch (e) { dbg(`group-drag: error moving node ${nid}: ${e?.message}`); }
-        }
-        try { renderAllLinks(); } catch (e) { dbg(`group-drag: error rendering links: ${e?.message}`); }
-        return;
-      }
+    // Reset input state
+    emailInput.value = "";
+    emailInput.disabled = false;
+    loginButton.disabled = false;
+    loginButton.textContent = "Sign In";
+    
+    // Show the modal
+    loginModal.style.display = "flex";
+    
+    // Ensure modal is actually visible
+    if (loginModal.style.display !== "flex") {
+      loginDbg("ERROR: Failed to show modal");
+      return;
+    }
 
-      if (!dragging) return;
-      ev.preventDefault();
-      // Movement: free dragging (no per-frame snap), compute logical delta
-      const s = state.timelineViewport.scale || 1;
-      const dx = (ev.clientX - start.x) / s;
-      const dy = (ev.clientY - start.y) / s;
-      const nx = orig.x + dx;
-      const ny = orig.y + dy;
-      node.style.left = `${nx}px`;
-      node.style.top = `${ny}px`;
-      // update link visuals while dragging
-      try { renderAllLinks(); } catch (e) { /* best-effort */ }
-    });
-    node.addEventListener('pointerup', (ev) => {
-      // If group dragging, persist all moved nodes
-      if (_groupDrag.active) {
-        dbg(`group-drag: COMPLETING group drag for ${_groupDrag.nodeIds.length} nodes`);
-        _groupDrag.active = false;
-        try { node.releasePointerCapture(ev.pointerId); } catch (e) {}
-        for (const nid of _groupDrag.nodeIds) {
-          try {
-            const eln = getNodeElement(nid);
-            if (!eln) {
-              dbg(`group-drag: WARNING - could not find element for node ${nid} during completion`);
-              continue;
-            }
-            // snap to grid on drop
-            const px = parseFloat(eln.style.left || 0);
-            const py = parseFloat(eln.style.top || 0);
-            const sx = snapToGrid(px, TIMELINE.grid);
-            const sy = snapToGrid(py, TIMELINE.grid);
-            eln.style.left = `${sx}px`;
-            eln.style.top = `${sy}px`;
-            state.timelineNodes[nid] = state.timelineNodes[nid] || {};
-            state.timelineNodes[nid].x = sx;
-            state.timelineNodes[nid].y = sy;
-            dbg(`group-drag: finalized node ${nid} position at (${sx}, ${sy})`);
-          } catch (e) { dbg(`group-drag: error finalizing node ${nid}: ${e?.message}`); }
-        }
-        _groupDrag.nodeIds = [];
-        _groupDrag.startPositions = {};
-        try { renderAllLinks(); } catch (e) { dbg(`group-drag: error rendering links after completion: ${e?.message}`); }
-        touchSave(); // Save timeline position changes
-        dbg(`group-drag: COMPLETED group drag operation`);
-        return;
-      }
-      if (!dragging) return;
-      dragging = false;
-      try { node.releasePointerCapture(ev.pointerId); } catch (e) {}
-      // snap final position to grid and persist
+    // Focus email input after a short delay to ensure modal is ready
+    setTimeout(() => {
       try {
-        const id = node.dataset.nodeId;
-        const px = parseFloat(node.style.left || 0);
-        const py = parseFloat(node.style.top || 0);
-        const sx = snapToGrid(px, TIMELINE.grid);
-        const sy = snapToGrid(py, TIMELINE.grid);
-        node.style.left = `${sx}px`;
-        node.style.top = `${sy}px`;
-        state.timelineNodes[id] = state.timelineNodes[id] || {};
-        state.timelineNodes[id].x = sx;
-        state.timelineNodes[id].y = sy;
-        try { renderAllLinks(); } catch (e) { /* best-effort */ }
-        touchSave(); // Save timeline position changes
-      } catch (e) { /* best-effort */ }
-    });
+        emailInput.focus();
+      } catch (e) {
+        loginDbg("Warning: Could not focus email input");
+      }
+    }, 100);
+    
+    loginDbg("Login modal shown successfully");
+  }
 
-  canvas.appendChild(node);
+  function hideLoginModal() {
+    if (!loginModal) {
+      loginDbg("No modal to hide");
+      return;
+    }
 
-  // Attach color button/panel to node (after append so absolute positions work)
-  node.appendChild(colorBtn);
-  node.appendChild(colorPanel);
+    loginDbg("Hiding login modal");
+    
+    // Reset state when hiding
+    const emailInput = loginModal.querySelector("#login-email-dynamic");
+    const loginButton = loginModal.querySelector("#login-btn-dynamic");
+    
+    if (emailInput && loginButton) {
+      emailInput.value = "";
+      emailInput.disabled = false;
+      loginButton.disabled = false;
+      loginButton.textContent = "Sign In";
+    }
 
-    // store in-memory (initialize handles list)
-    const entryKeyVal = entryKey(entry);
-    dbg(`timeline: createTimelineNodeForEntry - storing entryKey=${entryKeyVal} for entry id=${entry?.id} code=${entry?.code} type=${entry?.type}`);
-    state.timelineNodes[nodeId] = { entryId: entryKeyVal, x, y, color, handles: [] };
-    // create the initial empty handles on both sides so user can connect from either side
-    try {
-      addHandleToNode(nodeId, false, 'left');
-      addHandleToNode(nodeId, false, 'right');
-    } catch (e) { dbg('createTimelineNodeForEntry addHandle failed: ' + (e && e.message)); }
-    dbg(`timeline: node created id=${nodeId} entry=${entry?.id} entryKey=${entryKeyVal} pos=${x},${y} color=${color} -> debug.log`);
-    touchSave(); // Save timeline changes
-    // Also immediately save timeline data to ensure persistence
-    try { saveToDisk(); } catch (e) { dbg('timeline: immediate save failed: ' + (e?.message || e)); }
-    return nodeId;
+    loginModal.style.display = "none";
+    loginDbg("Login modal hidden and state reset");
   }
 
-  // Version of createTimelineNodeForEntry that allows specifying nodeId and color (for loading)
-  function createTimelineNodeForEntryWithId(entry, x, y, forcedNodeId, forcedColor, savedHandles) {
-    const canvas = ensureTimelineCanvas();
-    if (!canvas) return null;
-    dbg(`timeline: createTimelineNodeForEntryWithId received entry=${entry?.id} x=${x} y=${y} forcedNodeId=${forcedNodeId} forcedColor=${forcedColor} handles=${savedHandles?.length || 0}`);
-
-    const nodeId = forcedNodeId || `tn-${uid()}`;
-    const color = forcedColor || pickColorForEntry(entry);
+  // Autosave tunables
+  const AUTOSAVE_IDLE_MS = 1500;      // wait after edits
+  const AUTOSAVE_FAILSAFE_MS = 20000; // if still dirty after this, force save
+  let autosaveDebounce = null;
+  let failsafeTimer = null;
 
-    const node = document.createElement('div');
-    node.className = 'timeline-node';
-    node.style.left = `${x}px`;
-    node.style.top = `${y}px`;
-    node.style.background = color;
-    node.dataset.nodeId = nodeId;
-    node.dataset.entryId = entry.id;
+  // ───────────────── DOM ─────────────────
+  const $  = (s) => document.querySelector(s);
+  const $$ = (s) => document.querySelectorAll(s);
 
-    const label = document.createElement('div');
-    label.className = 'node-label';
-    label.textContent = entry.title || '(Untitled)';
+  const el = {
+    projectName: $("#project-name"),
+    entryList: $("#entry-list"),
+    empty: $("#empty-state"),
+  // Only the main writing tabs (chapters/notes/references). Lore subtabs are wired separately.
+  tabs: document.querySelectorAll('.tabs-writing .tab'),
+    newBtn: $("#new-btn"),
+    quickCreate: $$("#empty-state [data-new]"),
+    // Editor fields
+    titleInput: $("#title-input"),
+    status: $("#status"),
+    tags: $("#tags"),
+    synopsis: $("#synopsis"),
+    body: $("#body"),
+    wordTarget: $("#word-target"),
+    // Notes-only
+    noteCategory: $("#note-category"),
+    notePin: $("#note-pin"),
+    // References-only
+    referenceType: $("#reference-type"),
+    sourceLink: $("#source-link"),
+    // Labels/wrappers
+    statusWrapper: $("#status-wrapper"),
+    tagsWrapper: $("#tags-wrapper"),
+    noteCategoryWrapper: $("#note-category-wrapper"),
+    notePinWrapper: $("#note-pin-wrapper"),
+    referenceTypeWrapper: $("#reference-type-wrapper"),
+    sourceLinkLabel: $("#source-link-label"),
+    synopsisLabel: $("#synopsis-label"),
+    bodyLabel: $("#body-label"),
+    wordTargetWrapper: $("#word-target-wrapper"),
+    // Status/footer
+    wordCount: $("#word-count"),
+    saveState: $("#save-state"),
+    lastSaved: $("#last-saved"),
+    saveBtn: $("#save-btn"),
+    deleteBtn: $("#editor-delete-btn"),
+    historyBtn: $("#editor-history-btn"),
+    loreHistoryBtn: $("#lore-history-btn"),
 
-    const kind = document.createElement('div');
-    kind.className = 'node-kind';
-    kind.textContent = entry.lore_kind || (entry.type || 'lore');
+    // Word goal (bottom bar)
+    goalWrap: $("#goal-wrap"),
+    wordGoal: $("#word-goal"),
+    goalProgress: $("#goal-progress"),
+    goalFill: $("#goal-fill"),
+    goalPct: $("#goal-pct"),
 
-    const leftWrap = document.createElement('div');
-    leftWrap.style.display = 'flex';
-    leftWrap.style.flexDirection = 'column';
-    leftWrap.appendChild(label);
-    leftWrap.appendChild(kind);
+   // Settings UI
+    settingsBtn: $("#settings-btn"),
+    settingsModal: $("#settings-modal"),
+    settingsClose: $("#settings-close"),
+    // Unified toggle + select + label
+    appearanceMode: $("#appearance-mode"),
+    appearanceSelect: $("#appearance-select"),
+    appearanceLabel: $("#appearance-label"),
+    // Keep background sliders
+    bgOpacity: $("#bg-opacity"),
+    bgBlur: $("#bg-blur"),
+    editorDim: $("#dim-editor"),
+    // Buttons inside modal
+    settingsDone: $("#settings-done"),
+    settingsReset: $("#settings-reset"),
+    // Lore editor UI
+    loreEditor: $("#lore-editor"),
+    loreSwitchBtn: $("#switch-to-lore-btn"),
+    loreBackBtn: $("#lore-back-btn"),
+  loreBody: $("#lore-body"),
+  loreKind: $("#lore-kind-input"),
+  loreTitle: $("#lore-title-input"),
+  loreTags: $("#lore-tags"),
+  loreAliases: $("#lore-aliases"),
+  loreSummary: $("#lore-summary"),
+  // Custom fields container (rendered by renderLoreFields)
+  loreFields: $("#lore-fields"),
+  tabsWriting: document.querySelector('.tabs-writing'),
+  tabsLore: document.querySelector('.tabs-lore'),
+  // Top-level app tabs (Story / Lore / Timeline)
+  topTabs: document.querySelector('.top-tabs'),
+  topTabButtons: document.querySelectorAll('.top-tabs .top-tab'),
+  timeline: document.getElementById('timeline'),
+  timelineCanvas: document.getElementById('timeline-canvas'),
+  };
 
-    const remove = document.createElement('button');
-    remove.className = 'remove-btn';
-    remove.title = 'Remove from timeline';
-    remove.textContent = '×';
-    remove.addEventListener('click', (ev) => {
-      ev.stopPropagation();
-      removeTimelineNode(nodeId);
-    });
+  // In-memory nodes placed on the timeline (keyed by a generated node id)
+  state.timelineNodes = {}; // { nodeId: { entryId, x, y, color } }
 
-    // Color picker control (simplified for loaded nodes)
-    const colorBtn = document.createElement('button');
-    colorBtn.className = 'color-btn';
-    colorBtn.title = 'Change color';
-    colorBtn.textContent = '◐';
+  // Timeline viewport: logical scale and translation (in screen pixels)
+  state.timelineViewport = { scale: 1, tx: 0, ty: 0 };
 
-    const colorPanel = document.createElement('div');
-    colorPanel.className = 'color-panel';
+  // Timeline config
+  const TIMELINE = {
+    grid: 6, // pixels (finer snap for smoother movement)
+    palette: [ '#FF3B30', '#FF9500', '#FFCC00', '#34C759', '#0A84FF', '#5856D6', '#AF52DE' ],
+    jitter: 8 // hue/saturation jitter amount
+  };
 
-    const hueInput = document.createElement('input');
-    hueInput.type = 'range';
-    hueInput.min = 0; hueInput.max = 360; hueInput.step = 1;
+  // Utility: pick base color from palette (by entry id hash) and jitter slightly
+  function pickColorForEntry(entry) {
+    try {
+      const hash = String(entry.id || entry.code || entry.title || Math.random()).split("").reduce((a,c)=>a+ c.charCodeAt(0),0);
+      const base = TIMELINE.palette[Math.abs(hash) % TIMELINE.palette.length];
+      // Convert hex -> hsl, jitter, back to hex (simple approach)
+      const rgb = hexToRgb(base);
+      if (!rgb) return base;
+      // apply small random jitter using entry id for determinism
+      const rnd = (n) => Math.floor((Math.abs(hash + n) % 100) / 100 * TIMELINE.jitter) - (TIMELINE.jitter/2);
+      const r = clamp(rgb.r + rnd(1), 30, 230);
+      const g = clamp(rgb.g + rnd(2), 30, 230);
+      const b = clamp(rgb.b + rnd(3), 30, 230);
+      return rgbToHex(r,g,b);
+    } catch (e) { return TIMELINE.palette[0]; }
+  }
+  function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+  function hexToRgb(hex) {
+    if (!hex) return null;
+    const h = hex.replace('#','');
+    if (h.length === 3) {
+      return { r: parseInt(h[0]+h[0],16), g: parseInt(h[1]+h[1],16), b: parseInt(h[2]+h[2],16) };
+    }
+    return { r: parseInt(h.slice(0,2),16), g: parseInt(h.slice(2,4),16), b: parseInt(h.slice(4,6),16) };
+  }
+  function rgbToHex(r,g,b){ return '#'+ [r,g,b].map(x => x.toString(16).padStart(2,'0')).join(''); }
 
-    const swatch = document.createElement('span');
-    swatch.className = 'color-swatch';
+  // Ensure timeline canvas exists after DOMContentLoaded (some HTML may be injected later)
+  function ensureTimelineCanvas() {
+    if (!el.timelineCanvas) el.timelineCanvas = document.getElementById('timeline-canvas');
+    // Initialize box select handlers when canvas is first found
+    if (el.timelineCanvas) {
+      _installBoxSelectHandlers(el.timelineCanvas);
+    }
+    return el.timelineCanvas;
+  }
 
-    colorPanel.appendChild(hueInput);
-    colorPanel.appendChild(swatch);
+  function setTimelineTransform() {
+    const canvas = ensureTimelineCanvas();
+    if (!canvas) return;
+    const { scale, tx, ty } = state.timelineViewport;
+    canvas.style.transform = `translate(${tx}px, ${ty}px) scale(${scale})`;
+  }
 
-    // Color picker functionality (copied from createTimelineNodeForEntry)
-    function hslToRgb(h, s, l) {
-      s /= 100; l /= 100;
-      const k = n => (n + h / 30) % 12;
-      const a = s * Math.min(l, 1 - l);
-      const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
-      return { r: Math.round(255 * f(0)), g: Math.round(255 * f(8)), b: Math.round(255 * f(4)) };
+  // Convert a screen/client coordinate to canvas logical coordinates (accounting for transform)
+  function clientToCanvas(clientX, clientY) {
+    const canvas = ensureTimelineCanvas();
+    if (!canvas) return { x: 0, y: 0 };
+    const rect = canvas.getBoundingClientRect();
+    const { scale } = state.timelineViewport;
+    const lx = (clientX - rect.left) / (scale || 1);
+    const ly = (clientY - rect.top) / (scale || 1);
+    return { x: lx, y: ly };
+  }
+
+  // Links model: store link objects and render them in an SVG overlay
+  state.timelineLinks = {}; // { linkId: { from: nodeId, to: nodeId } }
+  // Selection model: ids of nodes currently selected (for box-select / group-move)
+  state.timelineSelection = { ids: [] };
+
+  function ensureTimelineSVG() {
+    const canvas = ensureTimelineCanvas();
+    if (!canvas) return null;
+    let svg = canvas.querySelector('svg.timeline-svg');
+    if (!svg) {
+      svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      svg.classList.add('timeline-svg', 'interactive');
+      svg.setAttribute('width', '100%');
+      svg.setAttribute('height', '100%');
+      svg.setAttribute('preserveAspectRatio', 'none');
+      canvas.insertBefore(svg, canvas.firstChild);
     }
-    function rgbToHex(r,g,b){ return '#'+ [r,g,b].map(x => x.toString(16).padStart(2,'0')).join(''); }
-    function hexToRgbObj(hex) { const c = hex.replace('#',''); return { r: parseInt(c.slice(0,2),16), g: parseInt(c.slice(2,4),16), b: parseInt(c.slice(4,6),16) }; }
-    function rgbToHsl(r,g,b){ r/=255; g/=255; b/=255; const max=Math.max(r,g,b), min=Math.min(r,g,b); let h=0,s=0,l=(max+min)/2; if(max!==min){ const d=max-min; s = l>0.5? d/(2-max-min) : d/(max+min); switch(max){ case r: h=(g-b)/d + (g<b?6:0); break; case g: h=(b-r)/d + 2; break; case b: h=(r-g)/d + 4; break; } h = Math.round(h*60); } return { h: h, s: Math.round(s*100), l: Math.round(l*100) } }
+    return svg;
+  }
 
-    let initialHue = 220;
+  function getNodeElement(nodeId) {
+    const canvas = ensureTimelineCanvas();
+    if (!canvas) return null;
+    return canvas.querySelector(`[data-node-id="${nodeId}"]`);
+  }
+
+  // Compute logical canvas position for a specific handle id by locating the
+  // handle DOM element and converting its client center to canvas coords.
+  function getHandlePositionOfNode(handleId) {
     try {
-      const rgb = hexToRgbObj(color);
-      const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
-      initialHue = Number.isFinite(hsl.h) ? hsl.h : initialHue;
-    } catch (e) { /* use default */ }
+      if (!handleId) return null;
+      const el = document.querySelector(`[data-handle-id="${handleId}"]`);
+      if (!el) return null;
+      const rect = el.getBoundingClientRect();
+      const cx = rect.left + rect.width / 2;
+      const cy = rect.top + rect.height / 2;
+      return clientToCanvas(cx, cy);
+    } catch (e) {
+      dbg('getHandlePositionOfNode error: ' + (e && e.message));
+      return null;
+    }
+  }
 
-    hueInput.value = initialHue;
-    swatch.style.background = color;
+  function drawLinkPath(svg, fromPt, toPt, cls = 'link') {
+    // wrapper to create an SVG path element from a precomputed d string
+    const d = computeLinkD(fromPt, toPt, { x: 0, y: 0 });
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', d);
+    path.classList.add(cls);
+    return path;
+  }
 
-    colorBtn.addEventListener('click', (ev) => {
-      ev.stopPropagation();
-      const isOpen = colorPanel.style.display === 'block';
-      colorPanel.style.display = isOpen ? 'none' : 'block';
-      if (!isOpen) hueInput.focus();
-    });
+  // Compute the cubic-bezier path `d` string for a link between two points.
+  // cpOffset translates both control points (does not move anchors) so the
+  // overall curve shape can be shifted without moving endpoints.
+  function computeLinkD(fromPt, toPt, cpOffset) {
+    cpOffset = cpOffset || { x: 0, y: 0 };
+    const dx = Math.max(60, Math.abs(toPt.x - fromPt.x));
+    let c1x = fromPt.x + dx * 0.35;
+    let c1y = fromPt.y;
+    let c2x = toPt.x - dx * 0.35;
+    let c2y = toPt.y;
+    c1x += cpOffset.x; c1y += cpOffset.y;
+    c2x += cpOffset.x; c2y += cpOffset.y;
+    return `M ${fromPt.x} ${fromPt.y} C ${c1x} ${c1y}, ${c2x} ${c2y}, ${toPt.x} ${toPt.y}`;
+  }
 
-    hueInput.addEventListener('input', () => {
-      const hue = Number(hueInput.value) || 0;
-      const rgb = hslToRgb(hue, 80, 60);
-      const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
-      swatch.style.background = hex;
-      node.style.background = hex;
-      if (state.timelineNodes[nodeId]) {
-        state.timelineNodes[nodeId].color = hex;
+  function renderAllLinks() {
+    const svg = ensureTimelineSVG();
+    if (!svg) return;
+    // clear existing persistent paths and their labels
+    svg.querySelectorAll('path.link, text.link-label').forEach(p => p.remove());
+
+
+    for (const lid in state.timelineLinks) {
+      const ln = state.timelineLinks[lid];
+      const a = getHandlePositionOfNode(ln.fromHandle || ln.fromNode);
+      const b = getHandlePositionOfNode(ln.toHandle || ln.toNode);
+      if (!a || !b) continue;
+      const cp = ln.cpOffset || { x: 0, y: 0 };
+      const d = computeLinkD(a, b, cp);
+      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      path.setAttribute('d', d);
+      path.classList.add('link');
+      // Make interactive for dragging
+      path.classList.add('interactive');
+      path.dataset.linkId = lid;
+      path.id = `link-path-${lid}`;
+      // type/color/style/direction (see Link Inspector)
+      const look = linkLook(ln);
+      path.style.stroke = look.color;
+      const dash = webLinks.dashArray(look.style);
+      if (dash) path.setAttribute('stroke-dasharray', dash);
+      if (look.direction !== 'none') {
+        const arrow = `url(#${ensureLinkArrow(svg, look.color)})`;
+        path.setAttribute('marker-end', arrow);
+        if (look.direction === 'two-way') path.setAttribute('marker-start', arrow);
       }
-      touchSave();
-    });
+      svg.appendChild(path);
 
-    hueInput.addEventListener('blur', () => {
-      colorPanel.style.display = 'none';
-    });
+      if (look.label) {
+        // centered along the path, just above the line
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.classList.add('link-label');
+        text.dataset.linkId = lid;
+        text.style.fill = look.color;
+        const tp = document.createElementNS('http://www.w3.org/2000/svg', 'textPath');
+        tp.setAttribute('href', `#${path.id}`);
+        tp.setAttribute('startOffset', '50%');
+        tp.setAttribute('text-anchor', 'middle');
+        tp.textContent = look.label;
+        text.setAttribute('dy', '-6');
+        text.appendChild(tp);
+        svg.appendChild(text);
+      }
+    }
+    if (webMatrixVisible()) renderWebMatrix();
+  }
 
-    // Node dragging functionality (copied from createTimelineNodeForEntry)
-    let dragging = false;
-    node.addEventListener('pointerdown', (ev) => {
-      if (ev.button !== 0) return;
-      const target = ev.target;
-      if (target.classList.contains('remove-btn') || target.classList.contains('color-btn') || 
-          target.closest('.color-panel') || target.classList.contains('conn-handle')) return;
-      ev.preventDefault();
-      try { node.setPointerCapture(ev.pointerId); } catch (e) {}
-      dragging = true;
-      const rect = canvas.getBoundingClientRect();
-      const startX = ev.clientX - rect.left - parseFloat(node.style.left || 0);
-      const startY = ev.clientY - rect.top - parseFloat(node.style.top || 0);
-      
-      const moveHandler = (ev) => {
-        if (!dragging) return;
-        const rect = canvas.getBoundingClientRect();
-        const newX = ev.clientX - rect.left - startX;
-        const newY = ev.clientY - rect.top - startY;
-        node.style.left = `${newX}px`;
-        node.style.top = `${newY}px`;
-        try { renderAllLinks(); } catch (e) { /* best-effort */ }
-      };
-      
-      node.addEventListener('pointermove', moveHandler);
-      node.addEventListener('pointerup', (ev) => {
-        if (!dragging) return;
-        dragging = false;
-        try { node.releasePointerCapture(ev.pointerId); } catch (e) {}
-        node.removeEventListener('pointermove', moveHandler);
-        const px = parseFloat(node.style.left || 0);
-        const py = parseFloat(node.style.top || 0);
-        const sx = snapToGrid(px, TIMELINE.grid);
-        const sy = snapToGrid(py, TIMELINE.grid);
-        node.style.left = `${sx}px`;
-        node.style.top = `${sy}px`;
-        state.timelineNodes[nodeId] = state.timelineNodes[nodeId] || {};
-        state.timelineNodes[nodeId].x = sx;
-        state.timelineNodes[nodeId].y = sy;
-        try { renderAllLinks(); } catch (e) { /* best-effort */ }
-        touchSave();
-      });
-    });
+  function getNodeCenterRight(nodeId) {
+    try {
+      const el = getNodeElement(nodeId);
+      if (!el) return null;
+      const rect = el.getBoundingClientRect();
+      const cx = rect.left + rect.width;
+      const cy = rect.top + rect.height / 2;
+      return clientToCanvas(cx, cy);
+    } catch (e) { return null; }
+  }
 
-    // Add UI elements to node
-    node.appendChild(leftWrap);
-    node.appendChild(remove);
-    canvas.appendChild(node);
-    
-    // Attach color button/panel to node (after append so absolute positions work)
-    node.appendChild(colorBtn);
-    node.appendChild(colorPanel);
+  // Temporary drag state for creating a link
+  let _tempLink = { active: false, svgPath: null, fromNode: null, fromHandle: null };
+  // Drag state for moving an existing link's control points as a unit
+  let _dragLink = { active: false, linkId: null, startCanvas: null, startOffset: null };
+  // Connection editing state (for detach/reconnect)
+  let _editLink = { active: false, linkId: null, fromNode: null, fromHandle: null, toNode: null, toHandle: null, props: null };
+  // Box-selection state and group-drag state
+  let _boxSelect = { active: false, rectEl: null, startCanvas: null };
+  let _groupDrag = { active: false, nodeIds: [], startClientX: 0, startClientY: 0, startPositions: {} };
 
-    // Store in-memory state
-    const entryKeyVal = entryKey(entry);
-    dbg(`timeline: createTimelineNodeForEntryWithId - storing entryKey=${entryKeyVal} for entry id=${entry?.id} code=${entry?.code} type=${entry?.type}`);
-    state.timelineNodes[nodeId] = { entryId: entryKeyVal, x, y, color, handles: [] };
-    
-    // Restore saved handles or create default ones
+  // Clear timeline selection
+  function clearTimelineSelection() {
     try {
-      if (savedHandles && savedHandles.length > 0) {
-        // Restore saved handles with exact IDs and states
-        for (const handleData of savedHandles) {
-          const hid = handleData.id;
-          const used = handleData.used;
-          const side = handleData.side || 'right';
-          
-          // Add to state
-          state.timelineNodes[nodeId].handles.push({ id: hid, used, side });
-          
-          // Create DOM element
-          const hEl = document.createElement('div');
-          hEl.className = 'conn-handle';
-          hEl.dataset.handleId = hid;
-          hEl.dataset.side = side;
-          hEl.classList.add(side);
-          if (used) hEl.classList.add('used');
-          hEl.title = 'Create link';
-          node.appendChild(hEl);
-          
-          dbg(`timeline: createTimelineNodeForEntryWithId - restored handle ${hid} used=${used} side=${side}`);
+      // Clear previous selection classes
+      if (state.timelineSelection && Array.isArray(state.timelineSelection.ids)) {
+        for (const id of state.timelineSelection.ids) {
+          const el = getNodeElement(id);
+          if (el) el.classList.remove('multi-selected');
         }
-        updateHandlesForNode(nodeId);
-      } else {
-        // Create default handles for new nodes
-        addHandleToNode(nodeId, false, 'left');
-        addHandleToNode(nodeId, false, 'right');
-        dbg(`timeline: createTimelineNodeForEntryWithId - created default handles`);
       }
-    } catch (e) { dbg('createTimelineNodeForEntryWithId handle restoration failed: ' + (e && e.message)); }
-    
-    dbg(`timeline: loaded node created id=${nodeId} entry=${entry?.id} entryKey=${entryKeyVal} pos=${x},${y} color=${color}`);
-    touchSave(); // Save timeline changes
-    return { nodeId, entryKey: entryKeyVal };
+      // Reset selection state
+      state.timelineSelection.ids = [];
+    } catch (e) { 
+      dbg('clearTimelineSelection error: ' + (e && e.message)); 
+    }
   }
 
-  function snapToGrid(v, grid) { return Math.round(v / grid) * grid; }
-
-  function removeTimelineNode(nodeId) {
+  // Debug function to check current selection state
+  function debugTimelineSelection() {
     try {
-      // First, find and remove all links involving this node using existing removeConnection
-      const linksToRemove = [];
-      for (const [linkId, linkData] of Object.entries(state.timelineLinks || {})) {
-        if (linkData.fromNode === nodeId || linkData.toNode === nodeId) {
-          linksToRemove.push(linkId);
-          dbg(`timeline: removeTimelineNode - found link to remove: ${linkId} (from=${linkData.fromNode} to=${linkData.toNode})`);
-        }
-      }
+      const selectionIds = (state.timelineSelection && state.timelineSelection.ids) || [];
+      dbg(`DEBUG-SELECTION: Current selection has ${selectionIds.length} nodes: [${selectionIds.join(', ')}]`);
       
-      // Use the existing removeConnection function for each link
-      for (const linkId of linksToRemove) {
-        removeConnection(linkId, true); // skipAutoAddHandles=true since node is being deleted
+      // Check if nodes actually have the multi-selected class
+      for (const nodeId of selectionIds) {
+        const el = getNodeElement(nodeId);
+        if (el) {
+          const hasClass = el.classList.contains('multi-selected');
+          dbg(`DEBUG-SELECTION: Node ${nodeId} element found, multi-selected class: ${hasClass}`);
+        } else {
+          dbg(`DEBUG-SELECTION: Node ${nodeId} element NOT FOUND`);
+        }
       }
       
-      const canvas = ensureTimelineCanvas();
-      const node = canvas.querySelector(`[data-node-id="${nodeId}"]`);
-      if (node) node.remove();
-      
-      // Remove any remaining stale links (belt and suspenders)
-      cleanupStaleLinks();
-      
-      try { renderAllLinks(); } catch (e) { /* best-effort */ }
-      delete state.timelineNodes[nodeId];
-      dbg(`timeline: node removed id=${nodeId}, cleaned up ${linksToRemove.length} links`);
-      touchSave(); // Save timeline changes
-    } catch (e) { dbg('removeTimelineNode error: ' + (e && e.message)); }
-  }
-
-  // Clean up links that reference non-existent nodes
-  function cleanupStaleLinks() {
-    const linksToRemove = [];
-    for (const [linkId, linkData] of Object.entries(state.timelineLinks || {})) {
-      if (!state.timelineNodes[linkData.fromNode] || !state.timelineNodes[linkData.toNode]) {
-        linksToRemove.push(linkId);
-        dbg(`timeline: cleanupStaleLinks - marking link ${linkId} for removal (missing nodes: from=${linkData.fromNode} to=${linkData.toNode})`);
+      // Check all nodes for selection state
+      const allNodeIds = Object.keys(state.timelineNodes || {});
+      for (const nodeId of allNodeIds) {
+        const el = getNodeElement(nodeId);
+        if (el && el.classList.contains('multi-selected')) {
+          dbg(`DEBUG-SELECTION: Found multi-selected node in DOM: ${nodeId}`);
+        }
       }
-    }
-    
-    for (const linkId of linksToRemove) {
-      delete state.timelineLinks[linkId];
-      dbg(`timeline: cleanupStaleLinks - removed stale link ${linkId}`);
-    }
-    
-    if (linksToRemove.length > 0) {
-      dbg(`timeline: cleanupStaleLinks - removed ${linksToRemove.length} stale links`);
+    } catch (e) {
+      dbg(`debugTimelineSelection error: ${e && e.message}`);
     }
   }
 
-  // Handle drop from sidebar entries (they are HTML5 drag sources)
-  function installTimelineDropHandlers() {
-    const canvas = ensureTimelineCanvas();
-    if (!canvas) return;
-
-    // Avoid installing handlers multiple times (initTimelineHandlers is called
-    // repeatedly during startup). Mark the canvas once handlers are installed.
-    if (canvas.dataset.tlHandlersInstalled) {
-      dbg('installTimelineDropHandlers: handlers already installed — skipping');
-      return;
-    }
-    canvas.dataset.tlHandlersInstalled = '1';
+  // Make debug function available globally for console access
+  window.debugTimelineSelection = debugTimelineSelection;
 
-    canvas.addEventListener('dragover', (ev) => {
-      // allow drop
-      ev.preventDefault(); // allow drop
-    });
+  // Helpers to manage handles per-node
+  function addHandleToNode(nodeId, used, side = 'right') {
+    try {
+      if (!state.timelineNodes[nodeId]) state.timelineNodes[nodeId] = { entryId: null, x: 0, y: 0, color: null, handles: [] };
+      const hid = `h-${uid()}`;
+      state.timelineNodes[nodeId].handles = state.timelineNodes[nodeId].handles || [];
+      const obj = { id: hid, used: !!used, side: side };
+      state.timelineNodes[nodeId].handles.push(obj);
+      // Create DOM element for handle
+      const nodeEl = getNodeElement(nodeId);
+      if (nodeEl) {
+        const hEl = document.createElement('div');
+        hEl.className = 'conn-handle';
+        hEl.dataset.handleId = hid;
+        hEl.dataset.side = side;
+        hEl.classList.add(side);
+        hEl.title = 'Create link';
+        nodeEl.appendChild(hEl);
+        updateHandlesForNode(nodeId);
+      }
+      dbg(`timeline: addHandleToNode node=${nodeId} handle=${hid} used=${!!used}`);
+      return hid;
+    } catch (e) { dbg('addHandleToNode error: ' + (e && e.message)); return null; }
+  }
 
-    canvas.addEventListener('drop', (ev) => {
-      ev.preventDefault();
+  function updateHandlesForNode(nodeId) {
+    try {
+      const nodeEl = getNodeElement(nodeId);
+      if (!nodeEl) return;
+      const handles = (state.timelineNodes[nodeId] && state.timelineNodes[nodeId].handles) || [];
+      const els = Array.from(nodeEl.querySelectorAll('.conn-handle'));
+      // Remove orphaned DOM handles that don't exist in state
+      els.forEach(el => {
+        const hid = el.dataset.handleId;
+        if (!handles.find(h => h.id === hid)) {
+          el.remove();
+        }
+      });
+      // Add missing DOM elements
+      for (const h of handles) {
+        if (!els.find(e => e.dataset.handleId === h.id)) {
+          const hEl = document.createElement('div');
+          hEl.className = 'conn-handle';
+          hEl.dataset.handleId = h.id;
+          hEl.dataset.side = h.side || 'right';
+          hEl.classList.add(h.side || 'right');
+          hEl.title = 'Create link';
+          nodeEl.appendChild(hEl);
+        }
+      }
+      // Re-query and group by side
+      const finalEls = Array.from(nodeEl.querySelectorAll('.conn-handle'));
+      // Adjust node min-height so handles on either side don't overlap.
       try {
-        const data = ev.dataTransfer.getData('text/plain');
-        dbg(`timeline: drop event data='${String(data)}' at client=${ev.clientX},${ev.clientY}`);
-        if (!data) return;
-        // data may be entry id
-        const entryId = isNaN(Number(data)) ? data : Number(data);
-        const entry = findEntryByKey(entryId) || state.entries.find(e => e.id === entryId || String(e.id) === String(entryId));
-        dbg(`timeline: resolved entry for drop -> ${entry ? `id=${entry.id} type=${entry.type}` : 'null'}`);
-        if (!entry) { dbg('timeline: drop ignored — no entry resolved'); return; }
-
-        // compute canvas-local logical coordinates accounting for transform
-        const local = clientToCanvas(ev.clientX, ev.clientY);
-        const localX = snapToGrid(local.x, TIMELINE.grid);
-        const localY = snapToGrid(local.y, TIMELINE.grid);
-
-        dbg(`timeline: creating node for entry id=${entry.id} code=${entry.code} type=${entry.type} title="${entry.title}" at local=${localX},${localY}`);
-        createTimelineNodeForEntry(entry, localX, localY);
-      } catch (e) { dbg('timeline drop error: ' + (e && e.message)); }
-    });
+        const leftCount = handles.filter(h => (h.side || 'right') === 'left').length;
+        const rightCount = handles.filter(h => (h.side || 'right') === 'right').length;
+        const maxCount = Math.max(leftCount, rightCount, 1);
+        const base = 40; // base min height in px
+        const spacing = 20; // px per handle row
+        nodeEl.style.minHeight = `${Math.max(base, Math.round(base + (maxCount - 1) * spacing))}px`;
+      } catch (e) { /* best-effort */ }
+      const sides = ['left','right'];
+      for (const side of sides) {
+        const sideHandles = handles.filter(h => (h.side || 'right') === side);
+        const sideEls = finalEls.filter(e => (e.dataset.side || 'right') === side);
+        const count = Math.max(sideHandles.length, sideEls.length);
+        for (let i = 0; i < sideEls.length; i++) {
+          const el = sideEls[i];
+          // distribute vertically within side group
+          const topPct = ((i + 1) / (count + 1)) * 100;
+          el.style.top = `${topPct}%`;
+          const hid = el.dataset.handleId;
+          const hObj = handles.find(h => h.id === hid) || { used: false, side };
+          el.classList.toggle('used', !!hObj.used);
+          el.dataset.side = hObj.side || side;
+          el.classList.remove('left','right');
+          el.classList.add(hObj.side || side);
+        }
+      }
+    } catch (e) { dbg('updateHandlesForNode error: ' + (e && e.message)); }
+  }
+
+  function startLinkDrag(fromNodeId, fromHandleId) {
+    const svg = ensureTimelineSVG();
+    if (!svg) return;
+    
+    // Only reset edit state if we're not currently in an edit operation
+    if (!_editLink.active) {
+      _editLink.linkId = null;
+      _editLink.fromNode = null;
+      _editLink.fromHandle = null;
+      _editLink.toNode = null;
+      _editLink.toHandle = null;
+      _editLink.props = null;
+    }
+    
+    _tempLink.active = true;
+    _tempLink.fromNode = fromNodeId;
+    _tempLink.fromHandle = fromHandleId || null;
+    if (_tempLink.svgPath) try { _tempLink.svgPath.remove(); } catch(e){}
+    _tempLink.svgPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    _tempLink.svgPath.classList.add('temp');
+    svg.appendChild(_tempLink.svgPath);
+    dbg(`timeline: startLinkDrag fromNode=${fromNodeId} fromHandle=${_tempLink.fromHandle || '<none>'}`);
+  }
+
+  function updateTempLink(clientX, clientY) {
+    if (!_tempLink.active || !_tempLink.svgPath) return;
+    // Prefer the explicit handle position if we started from a handle, otherwise
+    // fall back to the center-right of the originating node (obscure case).
+  let fromPos = null;
+  if (_tempLink.fromHandle) fromPos = getHandlePositionOfNode(_tempLink.fromHandle);
+  if (!fromPos && _tempLink.fromNode) fromPos = getNodeCenterRight(_tempLink.fromNode);
+    if (!fromPos) return;
+    const toPos = clientToCanvas(clientX, clientY);
+    const d = computeLinkD(fromPos, toPos, { x: 0, y: 0 });
+    _tempLink.svgPath.setAttribute('d', d);
+    dbg(`timeline: updateTempLink from=${_tempLink.fromNode || '<unknown>'} fromHandle=${_tempLink.fromHandle || '<none>'} toClient=${clientX},${clientY} toCanvas=${Math.round(toPos.x)},${Math.round(toPos.y)}`);
+  }
+
+  function finishLinkDrag(clientX, clientY, targetNodeId, targetHandleId) {
+    if (!_tempLink.active) return;
+    try { if (_tempLink.svgPath) _tempLink.svgPath.remove(); } catch (e) {}
+    _tempLink.active = false;
+    const fromNode = _tempLink.fromNode;
+    const fromHandle = _tempLink.fromHandle || null;
+    _tempLink.fromNode = null;
+    _tempLink.fromHandle = null;
+    dbg(`timeline: finishLinkDrag fromNode=${fromNode} fromHandle=${fromHandle} targetNode=${targetNodeId} targetHandle=${targetHandleId} client=${clientX},${clientY}`);
+    if (!fromNode) return;
+    
+    if (!targetNodeId || targetNodeId === fromNode) {
+      dbg('timeline: finishLinkDrag ignored (no valid target or self-link)');
+      return; // ignore invalid
+    }
+    // Require both a valid source handle (we started from a handle) and a
+    // target handle (user must drop on a connection point). Otherwise ignore.
+    if (!fromHandle) {
+      dbg('timeline: finishLinkDrag ignored - no source handle recorded');
+      return;
+    }
+    if (!targetHandleId) {
+      dbg('timeline: finishLinkDrag ignored - no target handle (must drop on a handle)');
+      return;
+    }
+
+    // Disallow creating a link if either source or target handle is already used
+    try {
+      const srcNode = state.timelineNodes[fromNode];
+      const dstNode = state.timelineNodes[targetNodeId];
+      const srcH = srcNode && srcNode.handles && srcNode.handles.find(h => h.id === fromHandle);
+      const dstH = dstNode && dstNode.handles && dstNode.handles.find(h => h.id === targetHandleId);
+      if (srcH && srcH.used) {
+        dbg(`timeline: finishLinkDrag ignored - source handle already used ${fromHandle} on node ${fromNode}`);
+        return;
+      }
+      if (dstH && dstH.used) {
+        dbg(`timeline: finishLinkDrag ignored - target handle already used ${targetHandleId} on node ${targetNodeId}`);
+        return;
+      }
+    } catch (e) { dbg('finishLinkDrag used-handle check error: ' + (e && e.message)); }
+
+    const srcHandle = fromHandle;
+    const dstHandle = targetHandleId;
+    const lid = `ln-${uid()}`;
+  state.timelineLinks[lid] = { fromNode, fromHandle: srcHandle, toNode: targetNodeId, toHandle: dstHandle, cpOffset: { x: 0, y: 0 }, ...(_editLink.props || {}) };
+    _editLink.props = null;
+    dbg(`timeline: link created ${lid} ${fromNode}:${srcHandle} -> ${targetNodeId}:${dstHandle}`);
+
+    // Mark both source and target handles used and append new empty handles on the same sides
+    try {
+      // source
+      if (srcHandle && state.timelineNodes[fromNode]) {
+        const h = state.timelineNodes[fromNode].handles.find(h => h.id === srcHandle);
+        const srcSide = h && h.side ? h.side : 'right';
+        if (h) { h.used = true; dbg(`timeline: handle consumed ${srcHandle} on node ${fromNode}`); }
+        
+        // Only add new empty handle if there aren't enough unused handles on this side
+        const handles = state.timelineNodes[fromNode].handles || [];
+        const sameSideUnused = handles.filter(handle => handle.side === srcSide && !handle.used);
+        if (sameSideUnused.length === 0) {
+          const newH = addHandleToNode(fromNode, false, srcSide);
+          dbg(`timeline: appended new empty handle ${newH} to node ${fromNode} side=${srcSide}`);
+        } else {
+          dbg(`timeline: no new handle needed for node ${fromNode} side=${srcSide} (${sameSideUnused.length} unused handles available)`);
+        }
+      }
+      // target
+      if (dstHandle && state.timelineNodes[targetNodeId]) {
+        const h2 = state.timelineNodes[targetNodeId].handles.find(h => h.id === dstHandle);
+        const dstSide = h2 && h2.side ? h2.side : 'left';
+        if (h2) { h2.used = true; dbg(`timeline: handle consumed ${dstHandle} on node ${targetNodeId}`); }
+        
+        // Only add new empty handle if there aren't enough unused handles on this side
+        const handles2 = state.timelineNodes[targetNodeId].handles || [];
+        const sameSideUnused2 = handles2.filter(handle => handle.side === dstSide && !handle.used);
+        if (sameSideUnused2.length === 0) {
+          const newH2 = addHandleToNode(targetNodeId, false, dstSide);
+          dbg(`timeline: appended new empty handle ${newH2} to node ${targetNodeId} side=${dstSide}`);
+        } else {
+          dbg(`timeline: no new handle needed for node ${targetNodeId} side=${dstSide} (${sameSideUnused2.length} unused handles available)`);
+        }
+      }
+    } catch (e) { dbg('finishLinkDrag handle update error: ' + (e && e.message)); }
+
+    // If this was a connection edit, log handle states of all involved nodes AFTER handles are updated
+    dbg(`timeline: FINISHLINKDRAG - checking edit context: ${window._editContext ? 'exists' : 'null'}`);
+    if (window._editContext && window._editContext.active) {
+      const sourceNode = window._editContext.sourceNode;
+      const originalTargetNode = window._editContext.originalTargetNode;
+      const newTargetNode = window._editContext.newTargetNode;
+      
+      dbg(`timeline: EDIT COMPLETE - logging handle states for all involved nodes AFTER handle updates`);
+      
+      // Log source node handle state
+      const sourceHandles = state.timelineNodes[sourceNode]?.handles || [];
+      dbg(`timeline: EDIT COMPLETE - SOURCE node ${sourceNode}: ${sourceHandles.length} handles: ${sourceHandles.map(h => `${h.id}(${h.used?'used':'unused'})`).join(', ')}`);
+      
+      // Log original target node handle state (if different from new target)
+      if (originalTargetNode && originalTargetNode !== newTargetNode) {
+        const originalTargetHandles = state.timelineNodes[originalTargetNode]?.handles || [];
+        dbg(`timeline: EDIT COMPLETE - ORIGINAL TARGET node ${originalTargetNode}: ${originalTargetHandles.length} handles: ${originalTargetHandles.map(h => `${h.id}(${h.used?'used':'unused'})`).join(', ')}`);
+      }
+      
+      // Log new target node handle state
+      const newTargetHandles = state.timelineNodes[newTargetNode]?.handles || [];
+      dbg(`timeline: EDIT COMPLETE - NEW TARGET node ${newTargetNode}: ${newTargetHandles.length} handles: ${newTargetHandles.map(h => `${h.id}(${h.used?'used':'unused'})`).join(', ')}`);
+      
+      // Clear the edit context
+      window._editContext = null;
+    }
+
+    renderAllLinks();
+    touchSave(); // Save timeline changes
+    // Also immediately save timeline data to ensure persistence
+    try { saveToDisk(); } catch (e) { dbg('timeline: immediate save after node removal failed: ' + (e?.message || e)); }
+  }
+
+  // ───────────── Relationship Webs ─────────────
+  // A project can hold several webs, one file each (src/shared/webs.js).
+  // state.timelines lists them and state.selectedTimelineCode picks the one
+  // on the canvas (kept in project.json as `selectedGraph`);
+  // loadTimelineData/saveTimelineData read and write that web's file.
+  const websLib = require('./src/shared/webs');
+  let webRenameInput = null;
+
+  // Web files on disk → state.timelines [{ id, code, title, file, index }]
+  function scanWebs() {
+    const dir = path.dirname(SAVE_FILE);
+    let names = [];
+    try { names = fs.readdirSync(dir); } catch (e) { dbg(`webs: cannot list ${dir}: ${e?.message || e}`); }
+    state.timelines = websLib.listWebFiles(names).map(({ file, index }) => {
+      let data = {};
+      try { data = readJsonWithRecovery(path.join(dir, file)) || {}; } catch (e) { dbg(`webs: cannot read ${file}: ${e?.message || e}`); }
+      return {
+        id: typeof data.id === 'number' ? data.id : index,
+        code: data.code || websLib.webCode(state.project?.id || 1, index),
+        title: data.title || `Relationship Web ${index}`,
+        file,
+        index,
+      };
+    });
+    return state.timelines;
+  }
+
+  function currentWeb() {
+    const webs = state.timelines || [];
+    return webs.find(t => t.code === state.selectedTimelineCode) || webs[0] || null;
+  }
+
+  function currentWebFile() {
+    const web = currentWeb();
+    return path.join(path.dirname(SAVE_FILE), web ? web.file : websLib.webFileName(1));
+  }
+
+  // Project load: list the webs and show the selected one
+  function loadWebs() {
+    scanWebs();
+    const stored = readProjectJsonKey('selectedGraph');
+    const pick = state.timelines.find(t => t.code === stored) || state.timelines[0];
+    state.selectedTimelineCode = pick ? pick.code : null;
+    loadTimelineData();
+    updateTimelineSelector();
+  }
+
+  // Show another web; the current one is saved to its own file first
+  function selectTimeline(code) {
+    const web = (state.timelines || []).find(t => t.code === code);
+    if (!web) { dbg(`webs: no web ${code}`); return; }
+    if (code !== state.selectedTimelineCode) {
+      finishArrangeAnimation();
+      saveTimelineData();
+    }
+    showWeb(code);
+  }
+
+  function showWeb(code) {
+    hideLinkInspector();
+    hideMatrixEditor();
+    state.selectedTimelineCode = code;
+    writeProjectJsonKey('selectedGraph', code);
+    loadTimelineData();
+    updateTimelineSelector();
+    if (webMatrixVisible()) renderWebMatrix();
+    dbg(`webs: showing ${code}`);
+  }
+
+  // New empty web, or a copy of `source` (a state.timelines item) → code
+  function createWeb(source = null) {
+    const dir = path.dirname(SAVE_FILE);
+    saveTimelineData();
+    let names = [];
+    try { names = fs.readdirSync(dir); } catch (e) { /* no data dir yet */ }
+    const index = websLib.nextWebIndex(names);
+    const code = websLib.webCode(state.project?.id || 1, index);
+    const titles = (state.timelines || []).map(t => t.title);
+    const now = nowISO();
+    let web;
+    if (source) {
+      const data = readJsonWithRecovery(path.join(dir, source.file)) || {};
+      web = websLib.copyWeb(data, { id: index, code, title: websLib.uniqueWebTitle(source.title, titles), now });
+    } else {
+      web = {
+        id: index, code, title: websLib.uniqueWebTitle(`Relationship Web ${index}`, titles),
+        description: '', nodes: {}, links: {}, settings: {},
+        created_at: now, updated_at: now, type: 'relationshipweb',
+      };
+    }
+    try {
+      writeJsonAtomicSync(path.join(dir, websLib.webFileName(index)), web);
+    } catch (e) {
+      dbg(`webs: create failed: ${e?.message || e}`);
+      alert(`Could not create the web:\n${e?.message || e}`);
+      return null;
+    }
+    dbg(`webs: created ${code} "${web.title}"${source ? ` from ${source.code}` : ''}`);
+    scanWebs();
+    showWeb(code);
+    touchSave();
+    return code;
+  }
+
+  function renameWeb(code, title) {
+    const web = (state.timelines || []).find(t => t.code === code);
+    const next = String(title || '').trim();
+    if (!web || !next || next === web.title) return;
+    if (code === state.selectedTimelineCode) {
+      state.timeline.title = next;
+      saveTimelineData();
+    } else {
+      try {
+        const file = path.join(path.dirname(SAVE_FILE), web.file);
+        const data = readJsonWithRecovery(file) || {};
+        writeJsonAtomicSync(file, { ...data, title: next, updated_at: nowISO() });
+      } catch (e) { dbg(`webs: rename failed: ${e?.message || e}`); return; }
+    }
+    dbg(`webs: renamed ${code} "${web.title}" -> "${next}"`);
+    scanWebs();
+    updateTimelineSelector();
+    touchSave();
+  }
+
+  function deleteWeb(code) {
+    const webs = state.timelines || [];
+    const web = webs.find(t => t.code === code);
+    if (!web) return;
+    if (webs.length < 2) { alert('A project keeps at least one relationship web.'); return; }
+    if (!confirm(`Delete the relationship web “${web.title}”? This cannot be undone.`)) return;
+    hideLinkInspector(); // may save a pending label into the web being deleted
+    try {
+      unlinkWithBackupSync(path.join(path.dirname(SAVE_FILE), web.file));
+    } catch (e) {
+      dbg(`webs: delete failed: ${e?.message || e}`);
+      alert(`Could not delete the web:\n${e?.message || e}`);
+      return;
+    }
+    dbg(`webs: deleted ${code} (${web.file})`);
+    const i = webs.indexOf(web);
+    const wasShown = code === state.selectedTimelineCode;
+    scanWebs();
+    // the deleted web is not saved on the way out
+    if (wasShown) showWeb(state.timelines[Math.min(i, state.timelines.length - 1)].code);
+    else updateTimelineSelector();
+    touchSave();
+  }
+
+  // Toolbar above the canvas: web picker and web actions
+  function renderWebPicker() {
+    const select = document.getElementById('web-select');
+    if (!select) return;
+    const webs = state.timelines || [];
+    select.innerHTML = webs.map(t => `<option value="${escapeHtml(t.code)}">${escapeHtml(t.title)}</option>`).join('');
+    const web = currentWeb();
+    if (web) select.value = web.code;
+    select.disabled = !webs.length;
+    const del = document.getElementById('web-delete');
+    if (del) del.disabled = webs.length < 2;
+  }
+
+  function startWebRename() {
+    const web = currentWeb();
+    const select = document.getElementById('web-select');
+    if (!web || !select || webRenameInput) return;
+    webRenameInput = document.createElement('input');
+    webRenameInput.type = 'text';
+    webRenameInput.className = 'web-rename';
+    webRenameInput.value = web.title;
+    webRenameInput.setAttribute('aria-label', 'Web name');
+    select.hidden = true;
+    select.after(webRenameInput);
+    const done = (commit) => {
+      if (!webRenameInput) return;
+      const input = webRenameInput;
+      webRenameInput = null; // before remove(): removing it may fire blur
+      input.remove();
+      const value = input.value;
+      select.hidden = false;
+      if (commit) renameWeb(web.code, value);
+    };
+    webRenameInput.addEventListener('keydown', (ev) => {
+      if (ev.key === 'Enter') { ev.preventDefault(); done(true); }
+      else if (ev.key === 'Escape') { ev.preventDefault(); ev.stopPropagation(); done(false); }
+    });
+    webRenameInput.addEventListener('blur', () => done(true));
+    webRenameInput.focus();
+    webRenameInput.select();
+  }
+
+  function wireWebPicker() {
+    const select = document.getElementById('web-select');
+    if (!select || select.dataset.wired) return;
+    select.dataset.wired = '1';
+    select.addEventListener('change', () => selectTimeline(select.value));
+    select.addEventListener('dblclick', startWebRename);
+    document.getElementById('web-new')?.addEventListener('click', () => createWeb());
+    document.getElementById('web-rename')?.addEventListener('click', startWebRename);
+    document.getElementById('web-duplicate')?.addEventListener('click', () => { const web = currentWeb(); if (web) createWeb(web); });
+    document.getElementById('web-delete')?.addEventListener('click', () => { const web = currentWeb(); if (web) deleteWeb(web.code); });
+  }
+
+  // ─────────────── Timeline Save/Load ───────────────
+  // Deduplicated: keep only this definition of saveTimelineData
+  function saveTimelineData() {
+    if (!fs || !path || !SAVE_FILE) {
+      dbg('timeline: saveTimelineData skipped (missing fs/path/SAVE_FILE)');
+      return;
+    }
+
+    try {
+      const timelineFile = currentWebFile(); // .../workspace/data/timeline<N>.json
+
+      // Build nodes payload: map nodeId -> { entryCode, x, y, color, handles }
+      const nodesOut = {};
+      for (const [nodeId, node] of Object.entries(state.timelineNodes || {})) {
+        if (!node) continue;
+
+        // Try to resolve a real entry so we can store its code
+        const entry = findEntryByKey(node.entryId);
+        const entryCode =
+          (entry && entry.code) ? entry.code :
+          (typeof node.entryId === 'string' ? node.entryId : null);
+
+        nodesOut[nodeId] = {
+          entryCode,
+          x: node.x ?? 0,
+          y: node.y ?? 0,
+          color: node.color || null,
+          handles: node.handles || [],
+          ...(node.pinned ? { pinned: true } : {})
+        };
+      }
+
+      // Build links payload: mostly a direct copy
+      const linksOut = {};
+      for (const [linkId, link] of Object.entries(state.timelineLinks || {})) {
+        if (!link) continue;
+        linksOut[linkId] = {
+          fromNode: link.fromNode,
+          fromHandle: link.fromHandle,
+          toNode: link.toNode,
+          toHandle: link.toHandle,
+          cpOffset: link.cpOffset || { x: 0, y: 0 },
+          ...webLinks.pickLinkProps(link)
+        };
+      }
+
+      const meta = state.timeline || {};
+      const payload = {
+        id:          meta.id || null,
+        code:        meta.code || null,
+        title:       meta.title || '',
+        description: meta.description || '',
+        nodes: nodesOut,
+        links: linksOut,
+        settings:    Object.assign({}, meta.settings, { chronology: chronologySettings() }),
+        created_at:  meta.created_at || nowISO(),
+        updated_at:  nowISO(),
+        type:        'relationshipweb'
+      };
+
+      writeJsonAtomicSync(timelineFile, payload);
+      dbg(
+        `timeline: saveTimelineData wrote ${Object.keys(nodesOut).length}` +
+        ` nodes and ${Object.keys(linksOut).length} links to ${timelineFile}`
+      );
+    } catch (e) {
+      dbg('timeline: saveTimelineData failed: ' + (e && e.message));
+    }
+  }
+
+  // --- Relationship Web Selector and Marker UI ---
+  function updateTimelineSelector() {
+    dbg('updateTimelineSelector: TOP OF FUNCTION');
+  dbg(`updateTimelineSelector: state.timelines = ${JSON.stringify(state.timelines)}`);
+  renderWebPicker();
+  // Relationship web selector UI
+  const selector = document.getElementById('timeline-selector');
+  if (!selector) {
+    dbg('updateTimelineSelector: timeline-selector element not found');
+    return;
+  }
+  selector.innerHTML = '';
+  if (!state.timelines) state.timelines = [];
+  dbg(`updateTimelineSelector: state.timelines.length=${state.timelines.length}`);
+  // Render a button for each relationship web
+  for (const t of state.timelines) {
+    dbg(`updateTimelineSelector: rendering selector button for code=${t.code}, title=${t.title}`);
+    const btn = document.createElement('button');
+    btn.className = 'timeline-selector-btn';
+    btn.textContent = t.title || t.code;
+    btn.dataset.code = t.code;
+    if (state.timeline && state.timeline.code === t.code) {
+      btn.classList.add('selected');
+    }
+    btn.title = 'Select relationship web';
+    btn.onclick = () => selectTimeline(t.code);
+    selector.appendChild(btn);
+  }
+
+  // Wire up create button (above line)
+  // Enable create button for timeline creation
+  const createBtn = document.getElementById('timeline-create-btn');
+  if (createBtn) {
+    createBtn.disabled = false;
+    createBtn.title = '';
+    createBtn.onclick = () => {
+      dbg('Timeline create button pressed');
+      createWeb();
+    };
+  }
+  // Wire up delete button (below line)
+  const deleteBtn = document.getElementById('timeline-delete-btn');
+  if (deleteBtn) {
+    deleteBtn.onclick = () => {
+      if (state.timeline && state.timeline.code) {
+        deleteWeb(state.timeline.code);
+      }
+    };
+  }
+
+  // --- Relationship Web Entry Visualization (all webs) ---
+  const bar = document.getElementById('timeline-bottom-bar');
+  if (!bar) {
+    dbg('updateTimelineSelector: timeline-bottom-bar element not found');
+    return;
+  }
+  dbg('updateTimelineSelector: found timeline-bottom-bar');
+  bar.querySelectorAll('.timeline-entry-marker').forEach(el => el.remove());
+
+  // Place all markers for all timelines
+  // horizontalLine is now initialized globally after DOMContentLoaded
+  if (!horizontalLine) {
+    dbg('updateTimelineSelector: .timeline-horizontal-line not found');
+    return;
+  }
+  dbg('updateTimelineSelector: found .timeline-horizontal-line');
+  horizontalLine.querySelectorAll('.timeline-entry-marker').forEach(el => el.remove());
+
+  if (!state.timelines || state.timelines.length === 0) {
+    dbg('updateTimelineSelector: no timelines to display');
+    return;
+  }
+  dbg(`updateTimelineSelector: about to render ${state.timelines.length} markers`);
+
+  // For each timeline, place a marker
+  let lineWidth = horizontalLine.offsetWidth;
+  let lineHeight = horizontalLine.offsetHeight;
+  dbg(`updateTimelineSelector: horizontalLine.offsetWidth=${horizontalLine.offsetWidth}, offsetHeight=${horizontalLine.offsetHeight}`);
+  if (!lineWidth || lineWidth < 10) {
+    lineWidth = 400; // fallback width
+    dbg('updateTimelineSelector: using fallback lineWidth=400');
+  }
+  if (!lineHeight || lineHeight < 2) {
+    lineHeight = 2; // fallback height
+    dbg('updateTimelineSelector: using fallback lineHeight=2');
+  }
+  dbg(`updateTimelineSelector: using lineWidth=${lineWidth}, lineHeight=${lineHeight}`);
+  const margin = 24; // px from left/right
+  const usableWidth = Math.max(1, lineWidth - 2 * margin);
+  const n = state.timelines.length;
+  dbg(`updateTimelineSelector: rendering ${n} timeline selector buttons, lineWidth=${lineWidth}, usableWidth=${usableWidth}`);
+  // Only create selector buttons here, no markers or dots
+}
+
+  function loadTimelineData() {
+    if (!path || !fs) return;
+    
+    // Always clear existing timeline data first
+    clearTimelineData();
+    
+    try {
+      const web = currentWeb();
+      const timelineFile = currentWebFile();
+      if (!fs.existsSync(timelineFile)) {
+        dbg(`timeline: no ${path.basename(timelineFile)} found, timeline cleared`);
+        return;
+      }
+      
+      const data = readJsonWithRecovery(timelineFile);
+      dbg(`timeline: loading ${Object.keys(data.nodes || {}).length} nodes and ${Object.keys(data.links || {}).length} links`);
+      
+      // Restore timeline metadata
+      if (!state.timeline) state.timeline = {};
+      state.timeline.id = data.id || (web && web.id) || state.timeline.id;
+      state.timeline.code = data.code || (web && web.code) || state.timeline.code;
+      state.timeline.title = data.title || (web && web.title) || state.timeline.title;
+      state.timeline.description = data.description || state.timeline.description;
+      state.timeline.settings = data.settings || {};
+      state.timeline.created_at = data.created_at || state.timeline.created_at;
+      adoptChronology(state.timeline.settings);
+      
+      // Fix legacy timeline format: ensure id is numeric
+      if (typeof state.timeline.id === 'string') {
+        state.timeline.id = web ? web.index : 1; // Convert string id to numeric
+        dbg(`timeline: converted legacy string id to numeric: ${state.timeline.id}`);
+      }
+      
+      // Track node ID mapping from saved to actual (needed when IDs change)
+      const nodeIdMapping = {};
+      
+      // Restore nodes
+      for (const [savedNodeId, nodeData] of Object.entries(data.nodes || {})) {
+        // Find entry by code
+        const entry = state.entries.find(e => e.code === nodeData.entryCode);
+        if (!entry) {
+          dbg(`timeline: skipping node ${savedNodeId} - entry with code ${nodeData.entryCode} not found`);
+          continue;
+        }
+        
+        dbg(`timeline: loadTimelineData - recreating node ${savedNodeId} for entry code=${entry.code} type=${entry.type}`);
+        
+        // Create the timeline node but override the auto-generated ID with the saved one
+        const actualNode = createTimelineNodeForEntryWithId(entry, nodeData.x, nodeData.y, savedNodeId, nodeData.color, nodeData.handles);
+        if (actualNode) {
+          nodeIdMapping[savedNodeId] = actualNode.nodeId;
+          if (nodeData.pinned) setNodePinned(actualNode.nodeId, true);
+          dbg(`timeline: loadTimelineData - mapped saved node ${savedNodeId} to actual node ${actualNode.nodeId}`);
+        }
+      }
+      
+      // Restore links with corrected node IDs
+      for (const [linkId, linkData] of Object.entries(data.links || {})) {
+        const fromNodeId = nodeIdMapping[linkData.fromNode] || linkData.fromNode;
+        const toNodeId = nodeIdMapping[linkData.toNode] || linkData.toNode;
+        
+        // Only restore link if both nodes exist
+        if (state.timelineNodes[fromNodeId] && state.timelineNodes[toNodeId]) {
+          state.timelineLinks[linkId] = {
+            ...linkData,
+            fromNode: fromNodeId,
+            toNode: toNodeId
+          };
+          dbg(`timeline: loadTimelineData - restored link ${linkId}: ${fromNodeId}:${linkData.fromHandle} -> ${toNodeId}:${linkData.toHandle}`);
+        } else {
+          dbg(`timeline: loadTimelineData - skipping link ${linkId} - missing nodes (from: ${fromNodeId} exists: ${!!state.timelineNodes[fromNodeId]}, to: ${toNodeId} exists: ${!!state.timelineNodes[toNodeId]})`);
+        }
+      }
+      
+      renderAllLinks();
+      resetWebHistory();
+      if (typeof updateTimelineSelector === 'function') {
+        dbg('loadTimelineData: calling updateTimelineSelector');
+        updateTimelineSelector();
+      } else {
+        dbg('loadTimelineData: updateTimelineSelector not defined');
+      }
+      dbg('timeline: load completed successfully');
+    } catch (e) {
+      dbg(`timeline: load failed: ${e?.message || e}`);
+    }
+  }
+
+  // Helper to remove a connection and clean up handles
+  function removeConnection(linkId, skipAutoAddHandles = false) {
+    try {
+      const link = state.timelineLinks[linkId];
+      if (!link) return;
+      
+      dbg(`timeline: removing connection ${linkId}`);
+      
+      // Free up the handles by marking them unused and removing them
+      const srcNode = state.timelineNodes[link.fromNode];
+      const dstNode = state.timelineNodes[link.toNode];
+      
+      if (srcNode && link.fromHandle) {
+        const handles = srcNode.handles || [];
+        const handleIdx = handles.findIndex(h => h.id === link.fromHandle);
+        if (handleIdx >= 0) {
+          const handleObj = handles[handleIdx];
+          handles.splice(handleIdx, 1);
+          dbg(`timeline: removed handle ${link.fromHandle} from node ${link.fromNode}`);
+          
+          // Only auto-add replacement handle if not in editing mode
+          if (!skipAutoAddHandles) {
+            const handleSide = handleObj.side || 'right';
+            addHandleToNode(link.fromNode, false, handleSide);
+            dbg(`timeline: added replacement handle to node ${link.fromNode} side=${handleSide}`);
+          }
+          
+          updateHandlesForNode(link.fromNode);
+        }
+      }
+      
+      if (dstNode && link.toHandle) {
+        const handles = dstNode.handles || [];
+        const handleIdx = handles.findIndex(h => h.id === link.toHandle);
+        if (handleIdx >= 0) {
+          const handleObj = handles[handleIdx];
+          handles.splice(handleIdx, 1);
+          dbg(`timeline: removed handle ${link.toHandle} from node ${link.toNode}`);
+          
+          // Only auto-add replacement handle if not in editing mode
+          if (!skipAutoAddHandles) {
+            const handleSide = handleObj.side || 'left';
+            addHandleToNode(link.toNode, false, handleSide);
+            dbg(`timeline: added replacement handle to node ${link.toNode} side=${handleSide}`);
+          }
+          
+          updateHandlesForNode(link.toNode);
+        }
+      }
+      
+      // Remove the link itself
+      delete state.timelineLinks[linkId];
+      renderAllLinks();
+      touchSave(); // Save timeline changes
+      // Also immediately save timeline data to ensure persistence
+      try { saveToDisk(); } catch (e) { dbg('timeline: immediate save after link removal failed: ' + (e?.message || e)); }
+    } catch (e) {
+      dbg('removeConnection error: ' + (e && e.message));
+    }
+  }
+
+  // Selection helpers (box-select + group move)
+  function clearTimelineSelection() {
+    try {
+      const prev = state.timelineSelection && state.timelineSelection.ids ? state.timelineSelection.ids : [];
+      for (const id of prev) {
+        const el = getNodeElement(id);
+        if (el) el.classList.remove('multi-selected');
+      }
+    } catch (e) { /* best-effort */ }
+    state.timelineSelection = { ids: [] };
+    // hide rect if present
+    try { if (_boxSelect.rectEl) _boxSelect.rectEl.classList.remove('visible'); } catch (e) {}
+  }
+  
+  function clearTimelineData() {
+    dbg('timeline: clearing all timeline data');
+    // Clear state
+    state.timelineNodes = {};
+    state.timelineLinks = {};
+    state.timelineSelection.ids = [];
+    state.timeline = {}; // Clear timeline metadata
+    // edits of the previous web can't be undone on this one
+    if (arrangeAnim) { cancelAnimationFrame(arrangeAnim.frame); arrangeAnim = null; }
+    resetWebHistory();
+    
+    // Clear DOM
+    const canvas = ensureTimelineCanvas();
+    if (canvas) {
+      canvas.querySelectorAll('.timeline-node').forEach(n => n.remove());
+      // Clear any existing SVG links
+      const existingSvg = canvas.querySelector('svg');
+      if (existingSvg) {
+        existingSvg.remove();
+      }
+    }
+  }
+
+  function selectAllTimelineNodes() {
+    const ids = Object.keys(state.timelineNodes || {});
+    state.timelineSelection.ids = ids.slice();
+    for (const id of ids) {
+      const el = getNodeElement(id);
+      if (el) el.classList.add('multi-selected');
+    }
+  }
+
+  function _installBoxSelectHandlers(canvas) {
+    if (!canvas) return;
+    if (canvas.dataset.tlBoxSelectInstalled) return;
+    canvas.dataset.tlBoxSelectInstalled = '1';
+
+    // ensure selection rect element exists
+    if (!_boxSelect.rectEl) {
+      const r = document.createElement('div');
+      r.className = 'timeline-selection-rect';
+      r.style.position = 'absolute';
+      r.style.left = '0px'; r.style.top = '0px'; r.style.width = '0px'; r.style.height = '0px';
+      r.style.pointerEvents = 'none';
+      canvas.appendChild(r);
+      _boxSelect.rectEl = r;
+    }
+
+    canvas.addEventListener('pointerdown', (ev) => {
+      try {
+        if (ev.button !== 0) return; // left only
+        // If user clicked on a node, handle, link path, or interactive control, don't start box-select here
+        const tgt = ev.target && ev.target.closest ? ev.target.closest('.timeline-node, .conn-handle, .color-btn, .color-panel') : null;
+        if (tgt) return;
+        // Ignore pointerdown on SVG link paths (they use .link/.interactive)
+        const linkHit = ev.target && ev.target.closest ? ev.target.closest('path.link, .link, path.temp, .temp') : null;
+        if (linkHit) {
+          dbg('box-select: pointerdown ignored on SVG link path');
+          return;
+        }
+        // Start box select
+        ev.preventDefault();
+        _boxSelect.active = true;
+        _boxSelect.startCanvas = clientToCanvas(ev.clientX, ev.clientY);
+        const r = _boxSelect.rectEl;
+        if (r) {
+          r.classList.add('visible');
+          r.style.left = `${_boxSelect.startCanvas.x}px`;
+          r.style.top = `${_boxSelect.startCanvas.y}px`;
+          r.style.width = '0px'; r.style.height = '0px';
+        }
+      } catch (e) { dbg('box select start error: ' + (e && e.message)); }
+    });
+
+    window.addEventListener('pointermove', (ev) => {
+      try {
+        if (!_boxSelect.active) return;
+        ev.preventDefault();
+        const cur = clientToCanvas(ev.clientX, ev.clientY);
+        const sx = Math.min(_boxSelect.startCanvas.x, cur.x);
+        const sy = Math.min(_boxSelect.startCanvas.y, cur.y);
+        const w = Math.abs(cur.x - _boxSelect.startCanvas.x);
+        const h = Math.abs(cur.y - _boxSelect.startCanvas.y);
+        const r = _boxSelect.rectEl;
+        if (r) {
+          r.style.left = `${sx}px`;
+          r.style.top = `${sy}px`;
+          r.style.width = `${w}px`;
+          r.style.height = `${h}px`;
+        }
+      } catch (e) { /* best-effort */ }
+    });
+
+    window.addEventListener('pointerup', (ev) => {
+      try {
+        if (!_boxSelect.active) return;
+        _boxSelect.active = false;
+        const r = _boxSelect.rectEl;
+        if (!r) return;
+        // compute selection rect in canvas logical coords
+        const rx = parseFloat(r.style.left || 0);
+        const ry = parseFloat(r.style.top || 0);
+        const rw = parseFloat(r.style.width || 0);
+        const rh = parseFloat(r.style.height || 0);
+        // clear previous selection
+        clearTimelineSelection();
+        dbg(`box-select: starting selection in rect (${rx}, ${ry}, ${rw}, ${rh})`);
+        const ids = [];
+        for (const nid in state.timelineNodes) {
+          try {
+            const nodeEl = getNodeElement(nid);
+            if (!nodeEl) continue;
+            const nx = parseInt(nodeEl.style.left || 0, 10);
+            const ny = parseInt(nodeEl.style.top || 0, 10);
+            const nw = nodeEl.offsetWidth || 0;
+            const nh = nodeEl.offsetHeight || 0;
+            // Intersect test in logical coords
+            const overlap = !(nx + nw < rx || nx > rx + rw || ny + nh < ry || ny > ry + rh);
+            dbg(`box-select: node ${nid} at (${nx}, ${ny}, ${nw}, ${nh}) overlap=${overlap}`);
+            if (overlap) {
+              ids.push(nid);
+            }
+          } catch (e) { dbg(`box-select: error checking node ${nid}: ${e?.message}`); }
+        }
+        state.timelineSelection.ids = ids;
+        dbg(`box-select: COMPLETED - selected ${ids.length} nodes: [${ids.join(', ')}]`);
+        for (const id of ids) {
+          const el = getNodeElement(id);
+          if (el) {
+            el.classList.add('multi-selected');
+            dbg(`box-select: added multi-selected class to node ${id}`);
+          } else {
+            dbg(`box-select: WARNING - could not find element for selected node ${id}`);
+          }
+        }
+        // Debug the final selection state
+        setTimeout(() => debugTimelineSelection(), 100);
+        // hide rectangle
+        r.classList.remove('visible');
+      } catch (e) { dbg('box select finish error: ' + (e && e.message)); }
+    });
+  }
+
+  // Zoom helper: keep the logical point under (clientX,clientY) stable when scaling
+  function setTimelineScale(newScale, clientX, clientY) {
+    const canvas = ensureTimelineCanvas();
+    if (!canvas) return;
+    const rect = canvas.getBoundingClientRect();
+    const old = state.timelineViewport;
+    const s0 = old.scale;
+    const s1 = Math.max(0.25, Math.min(4, newScale));
+    // Compute logical coordinate of client point
+    const lx = (clientX - rect.left) / s0;
+    const ly = (clientY - rect.top) / s0;
+    // New tx/ty such that lx maps to same client point
+    const ntx = clientX - rect.left - lx * s1;
+    const nty = clientY - rect.top - ly * s1;
+    state.timelineViewport.scale = s1;
+    state.timelineViewport.tx = Math.round(ntx);
+    state.timelineViewport.ty = Math.round(nty);
+    // Clamp pan so transformed canvas stays inside its container
+    clampTimelinePan();
+    setTimelineTransform();
+  }
+
+  function clampTimelinePan() {
+    try {
+      const canvas = ensureTimelineCanvas();
+      if (!canvas) return;
+      const container = canvas.parentElement || canvas.closest('.timeline') || document.body;
+      const rect = container.getBoundingClientRect();
+      const cw = canvas.clientWidth * (state.timelineViewport.scale || 1);
+      const ch = canvas.clientHeight * (state.timelineViewport.scale || 1);
+      const containerW = rect.width;
+      const containerH = rect.height;
+
+      // If content smaller than container, center it; otherwise clamp between [container - content, 0]
+      let minTx, maxTx, minTy, maxTy;
+      if (cw <= containerW) {
+        minTx = maxTx = Math.round((containerW - cw) / 2);
+      } else {
+        minTx = Math.round(containerW - cw);
+        maxTx = 0;
+      }
+      if (ch <= containerH) {
+        minTy = maxTy = Math.round((containerH - ch) / 2);
+      } else {
+        minTy = Math.round(containerH - ch);
+        maxTy = 0;
+      }
+
+      state.timelineViewport.tx = Math.min(maxTx, Math.max(minTx, state.timelineViewport.tx || 0));
+      state.timelineViewport.ty = Math.min(maxTy, Math.max(minTy, state.timelineViewport.ty || 0));
+    } catch (e) { dbg('clampTimelinePan error: ' + (e && e.message)); }
+  }
+
+  // Create a visual node for an entry at (x,y) (canvas coordinates)
+  function createTimelineNodeForEntry(entry, x, y) {
+    const canvas = ensureTimelineCanvas();
+    if (!canvas) return null;
+    dbg(`timeline: createTimelineNodeForEntry received entry=${entry?.id} x=${x} y=${y}`);
+
+    const nodeId = `tn-${uid()}`;
+    // the kind's color when one is assigned (Lore Kinds), else per entry
+    const color = loreKindStyle(entry.lore_kind).color || pickColorForEntry(entry);
+
+    const node = document.createElement('div');
+    node.className = 'timeline-node';
+    node.style.left = `${x}px`;
+    node.style.top = `${y}px`;
+    node.style.background = color;
+    node.dataset.nodeId = nodeId;
+    node.dataset.entryId = entry.id;
+
+    const label = document.createElement('div');
+    label.className = 'node-label';
+    label.textContent = entry.title || '(Untitled)';
+
+    const kind = document.createElement('div');
+    kind.className = 'node-kind';
+    kind.textContent = entry.lore_kind ? loreKindText(entry.lore_kind) : (entry.type || 'lore');
+
+    const leftWrap = document.createElement('div');
+    leftWrap.style.display = 'flex';
+    leftWrap.style.flexDirection = 'column';
+    leftWrap.appendChild(label);
+    leftWrap.appendChild(kind);
+
+    const remove = document.createElement('button');
+    remove.className = 'remove-btn';
+    remove.title = 'Remove from timeline';
+    remove.textContent = '×';
+    remove.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      removeTimelineNode(nodeId);
+    });
+
+  // NOTE: handles are created via addHandleToNode() which also manages state
+
+    // Color picker control (inline, expands a small hue slider)
+    const colorBtn = document.createElement('button');
+    colorBtn.className = 'color-btn';
+    colorBtn.title = 'Change color';
+    colorBtn.textContent = '◐';
+
+    const colorPanel = document.createElement('div');
+    colorPanel.className = 'color-panel';
+
+    const hueInput = document.createElement('input');
+    hueInput.type = 'range';
+    hueInput.min = 0; hueInput.max = 360; hueInput.step = 1;
+
+    const swatch = document.createElement('span');
+    swatch.className = 'color-swatch';
+
+    colorPanel.appendChild(hueInput);
+    colorPanel.appendChild(swatch);
+
+    // helpers: HSL <-> HEX
+    function hslToRgb(h, s, l) {
+      s /= 100; l /= 100;
+      const k = n => (n + h / 30) % 12;
+      const a = s * Math.min(l, 1 - l);
+      const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+      return { r: Math.round(255 * f(0)), g: Math.round(255 * f(8)), b: Math.round(255 * f(4)) };
+    }
+    function rgbToHex(r,g,b){ return '#'+ [r,g,b].map(x => x.toString(16).padStart(2,'0')).join(''); }
+    function hexToRgbObj(hex) { const c = hex.replace('#',''); return { r: parseInt(c.slice(0,2),16), g: parseInt(c.slice(2,4),16), b: parseInt(c.slice(4,6),16) }; }
+    function rgbToHsl(r,g,b){ r/=255; g/=255; b/=255; const max=Math.max(r,g,b), min=Math.min(r,g,b); let h=0,s=0,l=(max+min)/2; if(max!==min){ const d=max-min; s = l>0.5? d/(2-max-min) : d/(max+min); switch(max){ case r: h=(g-b)/d + (g<b?6:0); break; case g: h=(b-r)/d + 2; break; case b: h=(r-g)/d + 4; break; } h = Math.round(h*60); } return { h: h, s: Math.round(s*100), l: Math.round(l*100) } }
+
+    // initialize color value (use stored if present)
+    let initialHue = 220; // fallback
+    try {
+      const existing = state.timelineNodes && state.timelineNodes[nodeId] && state.timelineNodes[nodeId].color;
+      if (existing) {
+        // convert hex -> hsl
+        const rgb = hexToRgbObj(existing);
+        const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
+        initialHue = Number.isFinite(hsl.h) ? hsl.h : initialHue;
+      } else {
+        // pick base color and derive hue
+        const base = color;
+        const rgb = hexToRgb(base);
+        const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
+        initialHue = Number.isFinite(hsl.h) ? hsl.h : initialHue;
+      }
+    } catch (e) { /* best-effort */ }
+
+    hueInput.value = initialHue;
+    const applyHue = (h) => {
+      const rgb = hslToRgb(Number(h), 75, 50);
+      const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+      node.style.background = hex;
+      swatch.style.background = hex;
+      // store in-memory
+      state.timelineNodes[nodeId] = state.timelineNodes[nodeId] || {};
+      state.timelineNodes[nodeId].color = hex;
+      touchSave(); // Save timeline color changes
+    };
+    applyHue(initialHue);
+
+    hueInput.addEventListener('input', (ev) => {
+      ev.stopPropagation();
+      applyHue(ev.target.value);
+    });
+    // one history step per slider release, not per input event
+    hueInput.addEventListener('change', () => recordWebEdit('Color node'));
+
+    // toggle panel
+    colorBtn.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      colorPanel.classList.toggle('visible');
+    });
+
+    // close panel when clicking elsewhere
+    document.addEventListener('click', (ev) => {
+      try { if (!colorPanel.contains(ev.target) && !colorBtn.contains(ev.target)) colorPanel.classList.remove('visible'); } catch (e) {}
+    });
+
+    node.appendChild(leftWrap);
+    node.appendChild(remove);
+
+    // Pointer dragging for moving node
+  let dragging = false;
+  let start = { x: 0, y: 0 };
+  let orig = { x: 0, y: 0 };
+    node.addEventListener('pointerdown', (ev) => {
+      // If pointerdown originated on the remove button or color controls,
+      // don't start a node-drag; let those controls handle the event.
+      try {
+        if (ev.target && ev.target.closest) {
+          if (ev.target.closest('.remove-btn') || ev.target.closest('.color-btn') || ev.target.closest('.color-panel') || ev.target.closest('.conn-handle') || ev.target.closest('.pin-btn')) return;
+        }
+      } catch (e) { /* best-effort */ }
+  ev.preventDefault();
+  node.setPointerCapture(ev.pointerId);
+  const nodeId = node.dataset.nodeId;
+      dbg(`node-drag: pointerdown on node ${nodeId}`);
+      dbg(`node-drag: selection state - ids: [${(state.timelineSelection?.ids || []).join(', ')}]`);
+      dbg(`node-drag: checking if node ${nodeId} is in selection: ${state.timelineSelection && Array.isArray(state.timelineSelection.ids) && state.timelineSelection.ids.includes(nodeId)}`);
+      
+      // If this node is part of the selection, start a group drag
+      if (state.timelineSelection && Array.isArray(state.timelineSelection.ids) && state.timelineSelection.ids.includes(nodeId)) {
+        dbg(`group-drag: STARTING group drag with ${state.timelineSelection.ids.length} nodes: [${state.timelineSelection.ids.join(', ')}]`);
+        _groupDrag.active = true;
+        _groupDrag.nodeIds = state.timelineSelection.ids.slice();
+        _groupDrag.startClientX = ev.clientX;
+        _groupDrag.startClientY = ev.clientY;
+        _groupDrag.startPositions = {};
+        for (const nid of _groupDrag.nodeIds) {
+          const eln = getNodeElement(nid);
+          if (eln) {
+            const pos = { x: parseInt(eln.style.left || 0, 10), y: parseInt(eln.style.top || 0, 10) };
+            _groupDrag.startPositions[nid] = pos;
+            dbg(`group-drag: recorded start position for node ${nid}: (${pos.x}, ${pos.y})`);
+          } else {
+            dbg(`group-drag: WARNING - could not find element for node ${nid}`);
+          }
+        }
+        // don't start single-node dragging
+        return;
+      }
+
+      // Single-node drag (fallback)
+      dbg(`single-node-drag: STARTING single node drag for ${nodeId}`);
+      dragging = true;
+      // store raw client start and precise origin (float) for free dragging
+      start = { x: ev.clientX, y: ev.clientY };
+      orig = { x: parseFloat(node.style.left || 0), y: parseFloat(node.style.top || 0) };
+    });
+    node.addEventListener('pointermove', (ev) => {
+      if (_groupDrag.active) {
+        ev.preventDefault();
+        const s = state.timelineViewport.scale || 1;
+        const dx = (ev.clientX - _groupDrag.startClientX) / s;
+        const dy = (ev.clientY - _groupDrag.startClientY) / s;
+        dbg(`group-drag: MOVING ${_groupDrag.nodeIds.length} nodes by delta (${Math.round(dx)}, ${Math.round(dy)})`);
+        for (const nid of _groupDrag.nodeIds) {
+          try {
+            const pos = _groupDrag.startPositions[nid];
+            if (!pos) {
+              dbg(`group-drag: WARNING - no start position for node ${nid}`);
+              continue;
+            }
+            // free-drag: do not snap while moving
+            const nx = pos.x + dx;
+            const ny = pos.y + dy;
+            const eln = getNodeElement(nid);
+            if (eln) {
+              eln.style.left = `${nx}px`;
+              eln.style.top = `${ny}px`;
+              // dbg(`group-drag: moved node ${nid} to (${Math.round(nx)}, ${Math.round(ny)})`);
+            } else {
+              dbg(`group-drag: WARNING - could not find element for node ${nid}`);
+            }
+          } catch (e) { dbg(`group-drag: error moving node ${nid}: ${e?.message}`); }
+        }
+        try { renderAllLinks(); } catch (e) { dbg(`group-drag: error rendering links: ${e?.message}`); }
+        return;
+      }
+
+      if (!dragging) return;
+      ev.preventDefault();
+      // Movement: free dragging (no per-frame snap), compute logical delta
+      const s = state.timelineViewport.scale || 1;
+      const dx = (ev.clientX - start.x) / s;
+      const dy = (ev.clientY - start.y) / s;
+      const nx = orig.x + dx;
+      const ny = orig.y + dy;
+      node.style.left = `${nx}px`;
+      node.style.top = `${ny}px`;
+      // update link visuals while dragging
+      try { renderAllLinks(); } catch (e) { /* best-effort */ }
+    });
+    node.addEventListener('pointerup', (ev) => {
+      // If group dragging, persist all moved nodes
+      if (_groupDrag.active) {
+        dbg(`group-drag: COMPLETING group drag for ${_groupDrag.nodeIds.length} nodes`);
+        _groupDrag.active = false;
+        try { node.releasePointerCapture(ev.pointerId); } catch (e) {}
+        for (const nid of _groupDrag.nodeIds) {
+          try {
+            const eln = getNodeElement(nid);
+            if (!eln) {
+              dbg(`group-drag: WARNING - could not find element for node ${nid} during completion`);
+              continue;
+            }
+            // snap to grid on drop
+            const px = parseFloat(eln.style.left || 0);
+            const py = parseFloat(eln.style.top || 0);
+            const sx = snapToGrid(px, TIMELINE.grid);
+            const sy = snapToGrid(py, TIMELINE.grid);
+            eln.style.left = `${sx}px`;
+            eln.style.top = `${sy}px`;
+            state.timelineNodes[nid] = state.timelineNodes[nid] || {};
+            state.timelineNodes[nid].x = sx;
+            state.timelineNodes[nid].y = sy;
+            dbg(`group-drag: finalized node ${nid} position at (${sx}, ${sy})`);
+          } catch (e) { dbg(`group-drag: error finalizing node ${nid}: ${e?.message}`); }
+        }
+        _groupDrag.nodeIds = [];
+        _groupDrag.startPositions = {};
+        try { renderAllLinks(); } catch (e) { dbg(`group-drag: error rendering links after completion: ${e?.message}`); }
+        recordWebEdit('Move nodes');
+        touchSave(); // Save timeline position changes
+        dbg(`group-drag: COMPLETED group drag operation`);
+        return;
+      }
+      if (!dragging) return;
+      dragging = false;
+      try { node.releasePointerCapture(ev.pointerId); } catch (e) {}
+      // snap final position to grid and persist
+      try {
+        const id = node.dataset.nodeId;
+        const px = parseFloat(node.style.left || 0);
+        const py = parseFloat(node.style.top || 0);
+        const sx = snapToGrid(px, TIMELINE.grid);
+        const sy = snapToGrid(py, TIMELINE.grid);
+        node.style.left = `${sx}px`;
+        node.style.top = `${sy}px`;
+        state.timelineNodes[id] = state.timelineNodes[id] || {};
+        state.timelineNodes[id].x = sx;
+        state.timelineNodes[id].y = sy;
+        try { renderAllLinks(); } catch (e) { /* best-effort */ }
+        recordWebEdit('Move node');
+        touchSave(); // Save timeline position changes
+      } catch (e) { /* best-effort */ }
+    });
+
+  canvas.appendChild(node);
+
+  // Attach color button/panel to node (after append so absolute positions work)
+  node.appendChild(colorBtn);
+  node.appendChild(colorPanel);
+  attachPinButton(node, nodeId);
+
+    // store in-memory (initialize handles list)
+    const entryKeyVal = entryKey(entry);
+    dbg(`timeline: createTimelineNodeForEntry - storing entryKey=${entryKeyVal} for entry id=${entry?.id} code=${entry?.code} type=${entry?.type}`);
+    state.timelineNodes[nodeId] = { entryId: entryKeyVal, x, y, color, handles: [] };
+    // create the initial empty handles on both sides so user can connect from either side
+    try {
+      addHandleToNode(nodeId, false, 'left');
+      addHandleToNode(nodeId, false, 'right');
+    } catch (e) { dbg('createTimelineNodeForEntry addHandle failed: ' + (e && e.message)); }
+    dbg(`timeline: node created id=${nodeId} entry=${entry?.id} entryKey=${entryKeyVal} pos=${x},${y} color=${color} -> debug.log`);
+    touchSave(); // Save timeline changes
+    // Also immediately save timeline data to ensure persistence
+    try { saveToDisk(); } catch (e) { dbg('timeline: immediate save failed: ' + (e?.message || e)); }
+    return nodeId;
+  }
+
+  // Version of createTimelineNodeForEntry that allows specifying nodeId and color (for loading)
+  function createTimelineNodeForEntryWithId(entry, x, y, forcedNodeId, forcedColor, savedHandles) {
+    const canvas = ensureTimelineCanvas();
+    if (!canvas) return null;
+    dbg(`timeline: createTimelineNodeForEntryWithId received entry=${entry?.id} x=${x} y=${y} forcedNodeId=${forcedNodeId} forcedColor=${forcedColor} handles=${savedHandles?.length || 0}`);
+
+    const nodeId = forcedNodeId || `tn-${uid()}`;
+    const color = forcedColor || pickColorForEntry(entry);
+
+    const node = document.createElement('div');
+    node.className = 'timeline-node';
+    node.style.left = `${x}px`;
+    node.style.top = `${y}px`;
+    node.style.background = color;
+    node.dataset.nodeId = nodeId;
+    node.dataset.entryId = entry.id;
+
+    const label = document.createElement('div');
+    label.className = 'node-label';
+    label.textContent = entry.title || '(Untitled)';
+
+    const kind = document.createElement('div');
+    kind.className = 'node-kind';
+    kind.textContent = entry.lore_kind ? loreKindText(entry.lore_kind) : (entry.type || 'lore');
+
+    const leftWrap = document.createElement('div');
+    leftWrap.style.display = 'flex';
+    leftWrap.style.flexDirection = 'column';
+    leftWrap.appendChild(label);
+    leftWrap.appendChild(kind);
+
+    const remove = document.createElement('button');
+    remove.className = 'remove-btn';
+    remove.title = 'Remove from timeline';
+    remove.textContent = '×';
+    remove.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      removeTimelineNode(nodeId);
+    });
+
+    // Color picker control (simplified for loaded nodes)
+    const colorBtn = document.createElement('button');
+    colorBtn.className = 'color-btn';
+    colorBtn.title = 'Change color';
+    colorBtn.textContent = '◐';
+
+    const colorPanel = document.createElement('div');
+    colorPanel.className = 'color-panel';
+
+    const hueInput = document.createElement('input');
+    hueInput.type = 'range';
+    hueInput.min = 0; hueInput.max = 360; hueInput.step = 1;
+
+    const swatch = document.createElement('span');
+    swatch.className = 'color-swatch';
+
+    colorPanel.appendChild(hueInput);
+    colorPanel.appendChild(swatch);
+
+    // Color picker functionality (copied from createTimelineNodeForEntry)
+    function hslToRgb(h, s, l) {
+      s /= 100; l /= 100;
+      const k = n => (n + h / 30) % 12;
+      const a = s * Math.min(l, 1 - l);
+      const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+      return { r: Math.round(255 * f(0)), g: Math.round(255 * f(8)), b: Math.round(255 * f(4)) };
+    }
+    function rgbToHex(r,g,b){ return '#'+ [r,g,b].map(x => x.toString(16).padStart(2,'0')).join(''); }
+    function hexToRgbObj(hex) { const c = hex.replace('#',''); return { r: parseInt(c.slice(0,2),16), g: parseInt(c.slice(2,4),16), b: parseInt(c.slice(4,6),16) }; }
+    function rgbToHsl(r,g,b){ r/=255; g/=255; b/=255; const max=Math.max(r,g,b), min=Math.min(r,g,b); let h=0,s=0,l=(max+min)/2; if(max!==min){ const d=max-min; s = l>0.5? d/(2-max-min) : d/(max+min); switch(max){ case r: h=(g-b)/d + (g<b?6:0); break; case g: h=(b-r)/d + 2; break; case b: h=(r-g)/d + 4; break; } h = Math.round(h*60); } return { h: h, s: Math.round(s*100), l: Math.round(l*100) } }
+
+    let initialHue = 220;
+    try {
+      const rgb = hexToRgbObj(color);
+      const hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
+      initialHue = Number.isFinite(hsl.h) ? hsl.h : initialHue;
+    } catch (e) { /* use default */ }
+
+    hueInput.value = initialHue;
+    swatch.style.background = color;
+
+    colorBtn.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      const isOpen = colorPanel.style.display === 'block';
+      colorPanel.style.display = isOpen ? 'none' : 'block';
+      if (!isOpen) hueInput.focus();
+    });
+
+    hueInput.addEventListener('input', () => {
+      const hue = Number(hueInput.value) || 0;
+      const rgb = hslToRgb(hue, 80, 60);
+      const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+      swatch.style.background = hex;
+      node.style.background = hex;
+      if (state.timelineNodes[nodeId]) {
+        state.timelineNodes[nodeId].color = hex;
+      }
+      touchSave();
+    });
+
+    hueInput.addEventListener('change', () => recordWebEdit('Color node'));
+
+    hueInput.addEventListener('blur', () => {
+      colorPanel.style.display = 'none';
+    });
+
+    // Node dragging functionality (copied from createTimelineNodeForEntry)
+    let dragging = false;
+    node.addEventListener('pointerdown', (ev) => {
+      if (ev.button !== 0) return;
+      const target = ev.target;
+      if (target.classList.contains('remove-btn') || target.classList.contains('color-btn') || 
+          target.closest('.color-panel') || target.classList.contains('conn-handle') || target.closest('.pin-btn')) return;
+      ev.preventDefault();
+      try { node.setPointerCapture(ev.pointerId); } catch (e) {}
+      dragging = true;
+      const rect = canvas.getBoundingClientRect();
+      const startX = ev.clientX - rect.left - parseFloat(node.style.left || 0);
+      const startY = ev.clientY - rect.top - parseFloat(node.style.top || 0);
+      
+      const moveHandler = (ev) => {
+        if (!dragging) return;
+        const rect = canvas.getBoundingClientRect();
+        const newX = ev.clientX - rect.left - startX;
+        const newY = ev.clientY - rect.top - startY;
+        node.style.left = `${newX}px`;
+        node.style.top = `${newY}px`;
+        try { renderAllLinks(); } catch (e) { /* best-effort */ }
+      };
+      
+      node.addEventListener('pointermove', moveHandler);
+      node.addEventListener('pointerup', (ev) => {
+        if (!dragging) return;
+        dragging = false;
+        try { node.releasePointerCapture(ev.pointerId); } catch (e) {}
+        node.removeEventListener('pointermove', moveHandler);
+        const px = parseFloat(node.style.left || 0);
+        const py = parseFloat(node.style.top || 0);
+        const sx = snapToGrid(px, TIMELINE.grid);
+        const sy = snapToGrid(py, TIMELINE.grid);
+        node.style.left = `${sx}px`;
+        node.style.top = `${sy}px`;
+        state.timelineNodes[nodeId] = state.timelineNodes[nodeId] || {};
+        state.timelineNodes[nodeId].x = sx;
+        state.timelineNodes[nodeId].y = sy;
+        try { renderAllLinks(); } catch (e) { /* best-effort */ }
+        recordWebEdit('Move node');
+        touchSave();
+      });
+    });
+
+    // Add UI elements to node
+    node.appendChild(leftWrap);
+    node.appendChild(remove);
+    canvas.appendChild(node);
+    
+    // Attach color button/panel to node (after append so absolute positions work)
+    node.appendChild(colorBtn);
+    node.appendChild(colorPanel);
+    attachPinButton(node, nodeId);
+
+    // Store in-memory state
+    const entryKeyVal = entryKey(entry);
+    dbg(`timeline: createTimelineNodeForEntryWithId - storing entryKey=${entryKeyVal} for entry id=${entry?.id} code=${entry?.code} type=${entry?.type}`);
+    state.timelineNodes[nodeId] = { entryId: entryKeyVal, x, y, color, handles: [] };
+    
+    // Restore saved handles or create default ones
+    try {
+      if (savedHandles && savedHandles.length > 0) {
+        // Restore saved handles with exact IDs and states
+        for (const handleData of savedHandles) {
+          const hid = handleData.id;
+          const used = handleData.used;
+          const side = handleData.side || 'right';
+          
+          // Add to state
+          state.timelineNodes[nodeId].handles.push({ id: hid, used, side });
+          
+          // Create DOM element
+          const hEl = document.createElement('div');
+          hEl.className = 'conn-handle';
+          hEl.dataset.handleId = hid;
+          hEl.dataset.side = side;
+          hEl.classList.add(side);
+          if (used) hEl.classList.add('used');
+          hEl.title = 'Create link';
+          node.appendChild(hEl);
+          
+          dbg(`timeline: createTimelineNodeForEntryWithId - restored handle ${hid} used=${used} side=${side}`);
+        }
+        updateHandlesForNode(nodeId);
+      } else {
+        // Create default handles for new nodes
+        addHandleToNode(nodeId, false, 'left');
+        addHandleToNode(nodeId, false, 'right');
+        dbg(`timeline: createTimelineNodeForEntryWithId - created default handles`);
+      }
+    } catch (e) { dbg('createTimelineNodeForEntryWithId handle restoration failed: ' + (e && e.message)); }
+    
+    dbg(`timeline: loaded node created id=${nodeId} entry=${entry?.id} entryKey=${entryKeyVal} pos=${x},${y} color=${color}`);
+    touchSave(); // Save timeline changes
+    return { nodeId, entryKey: entryKeyVal };
+  }
+
+  function snapToGrid(v, grid) { return Math.round(v / grid) * grid; }
+
+  function removeTimelineNode(nodeId) {
+    try {
+      // First, find and remove all links involving this node using existing removeConnection
+      const linksToRemove = [];
+      for (const [linkId, linkData] of Object.entries(state.timelineLinks || {})) {
+        if (linkData.fromNode === nodeId || linkData.toNode === nodeId) {
+          linksToRemove.push(linkId);
+          dbg(`timeline: removeTimelineNode - found link to remove: ${linkId} (from=${linkData.fromNode} to=${linkData.toNode})`);
+        }
+      }
+      
+      // Use the existing removeConnection function for each link
+      for (const linkId of linksToRemove) {
+        removeConnection(linkId, true); // skipAutoAddHandles=true since node is being deleted
+      }
+      
+      const canvas = ensureTimelineCanvas();
+      const node = canvas.querySelector(`[data-node-id="${nodeId}"]`);
+      if (node) node.remove();
+      
+      // Remove any remaining stale links (belt and suspenders)
+      cleanupStaleLinks();
+      
+      try { renderAllLinks(); } catch (e) { /* best-effort */ }
+      delete state.timelineNodes[nodeId];
+      dbg(`timeline: node removed id=${nodeId}, cleaned up ${linksToRemove.length} links`);
+      recordWebEdit('Remove node');
+      touchSave(); // Save timeline changes
+    } catch (e) { dbg('removeTimelineNode error: ' + (e && e.message)); }
+  }
+
+  // Clean up links that reference non-existent nodes
+  function cleanupStaleLinks() {
+    const linksToRemove = [];
+    for (const [linkId, linkData] of Object.entries(state.timelineLinks || {})) {
+      if (!state.timelineNodes[linkData.fromNode] || !state.timelineNodes[linkData.toNode]) {
+        linksToRemove.push(linkId);
+        dbg(`timeline: cleanupStaleLinks - marking link ${linkId} for removal (missing nodes: from=${linkData.fromNode} to=${linkData.toNode})`);
+      }
+    }
+    
+    for (const linkId of linksToRemove) {
+      delete state.timelineLinks[linkId];
+      dbg(`timeline: cleanupStaleLinks - removed stale link ${linkId}`);
+    }
+    
+    if (linksToRemove.length > 0) {
+      dbg(`timeline: cleanupStaleLinks - removed ${linksToRemove.length} stale links`);
+    }
+  }
+
+  // Handle drop from sidebar entries (they are HTML5 drag sources)
+  function installTimelineDropHandlers() {
+    const canvas = ensureTimelineCanvas();
+    if (!canvas) return;
+
+    // Avoid installing handlers multiple times (initTimelineHandlers is called
+    // repeatedly during startup). Mark the canvas once handlers are installed.
+    if (canvas.dataset.tlHandlersInstalled) {
+      dbg('installTimelineDropHandlers: handlers already installed — skipping');
+      return;
+    }
+    canvas.dataset.tlHandlersInstalled = '1';
+
+    canvas.addEventListener('dragover', (ev) => {
+      // allow drop
+      ev.preventDefault(); // allow drop
+    });
+
+    canvas.addEventListener('drop', (ev) => {
+      ev.preventDefault();
+      try {
+        const data = ev.dataTransfer.getData('text/plain');
+        dbg(`timeline: drop event data='${String(data)}' at client=${ev.clientX},${ev.clientY}`);
+        if (!data) return;
+        // data may be entry id
+        const entryId = isNaN(Number(data)) ? data : Number(data);
+        const entry = findEntryByKey(entryId) || state.entries.find(e => e.id === entryId || String(e.id) === String(entryId));
+        dbg(`timeline: resolved entry for drop -> ${entry ? `id=${entry.id} type=${entry.type}` : 'null'}`);
+        if (!entry) { dbg('timeline: drop ignored — no entry resolved'); return; }
+
+        // compute canvas-local logical coordinates accounting for transform
+        const local = clientToCanvas(ev.clientX, ev.clientY);
+        const localX = snapToGrid(local.x, TIMELINE.grid);
+        const localY = snapToGrid(local.y, TIMELINE.grid);
+
+        dbg(`timeline: creating node for entry id=${entry.id} code=${entry.code} type=${entry.type} title="${entry.title}" at local=${localX},${localY}`);
+        createTimelineNodeForEntry(entry, localX, localY);
+        recordWebEdit('Add node');
+      } catch (e) { dbg('timeline drop error: ' + (e && e.message)); }
+    });
 
     // Unified connection interaction system: creation, editing, deletion
     if (!canvas.dataset.tlConnectionHandlersInstalled) {
@@ -2685,6 +5116,7 @@ function dbg(msg) {
             // Alt+click to delete connection
             if (ev.altKey && !ev.shiftKey) {
               removeConnection(linkId);
+              recordWebEdit('Delete link');
               dbg(`timeline: connection deleted via Alt+click ${linkId}`);
               return;
             }
@@ -2698,6 +5130,7 @@ function dbg(msg) {
               _editLink.fromHandle = link.fromHandle;
               _editLink.toNode = link.toNode;
               _editLink.toHandle = link.toHandle;
+              _editLink.props = webLinks.pickLinkProps(link); // label/type/look survive the reconnect
               
               // Remove the existing connection
               removeConnection(linkId);
@@ -2753,6 +5186,7 @@ function dbg(msg) {
               // Alt+click to delete the connection
               if (ev.altKey) {
                 removeConnection(connectionId);
+                recordWebEdit('Delete link');
                 dbg(`timeline: connection deleted via Alt+click on handle ${connectionId}`);
                 return;
               }
@@ -2764,6 +5198,7 @@ function dbg(msg) {
               _editLink.fromHandle = connection.fromHandle;
               _editLink.toNode = connection.toNode;
               _editLink.toHandle = connection.toHandle;
+              _editLink.props = webLinks.pickLinkProps(connection);
               
               dbg(`timeline: EDIT SETUP - connection ${connectionId} from ${connection.fromNode}:${connection.fromHandle} to ${connection.toNode}:${connection.toHandle}`);
               
@@ -2833,6 +5268,7 @@ function dbg(msg) {
         try {
           // Handle temporary link completion
           if (_tempLink.active) {
+            const editing = _editLink.active;
             dbg(`timeline: POINTER UP - temp link active, fromNode=${_tempLink.fromNode}, fromHandle=${_tempLink.fromHandle}`);
             dbg(`timeline: POINTER UP - editLink active=${_editLink.active}, linkId=${_editLink.linkId}`);
             
@@ -2909,156 +5345,1490 @@ function dbg(msg) {
                 _editLink.active = false; // Let finishLinkDrag handle the reconnection
               }
             }
-            
-            finishLinkDrag(ev.clientX, ev.clientY, targetId, targetHandleId);
-            return;
-          }
-          
-          // Handle connection editing completion
-          if (_editLink.active) {
-            _editLink.active = false;
-            _editLink.linkId = null;
-            _editLink.fromNode = null;
-            _editLink.fromHandle = null;
-            _editLink.toNode = null;
-            _editLink.toHandle = null;
-            dbg('timeline: connection edit ended');
-            return;
-          }
-          
-          // Handle connection drag completion
-          if (_dragLink.active) {
-            _dragLink.active = false;
-            _dragLink.linkId = null;
-            _dragLink.startCanvas = null;
-            _dragLink.startOffset = null;
-            dbg('timeline: connection drag ended');
+            
+            finishLinkDrag(ev.clientX, ev.clientY, targetId, targetHandleId);
+            recordWebEdit(editing ? 'Edit link' : 'Add link');
+            return;
+          }
+          
+          // Handle connection editing completion
+          if (_editLink.active) {
+            _editLink.active = false;
+            _editLink.linkId = null;
+            _editLink.fromNode = null;
+            _editLink.fromHandle = null;
+            _editLink.toNode = null;
+            _editLink.toHandle = null;
+            dbg('timeline: connection edit ended');
+            return;
+          }
+          
+          // Handle connection drag completion
+          if (_dragLink.active) {
+            _dragLink.active = false;
+            _dragLink.linkId = null;
+            _dragLink.startCanvas = null;
+            _dragLink.startOffset = null;
+            recordWebEdit('Bend link');
+            dbg('timeline: connection drag ended');
+          }
+        } catch (e) { dbg('unified connection pointerup error: ' + (e && e.message)); }
+      });
+    }
+  }
+
+  // Initialize timeline handlers after DOM ready; also attempt immediately and add a short fallback
+  function initTimelineHandlers() {
+    try { installTimelineDropHandlers(); } catch (e) { dbg('installTimelineDropHandlers failed: ' + (e && e.message)); }
+    // Ensure transform initialised
+    setTimelineTransform();
+    // ensure box-select handlers are installed for the canvas
+    try { _installBoxSelectHandlers(ensureTimelineCanvas()); } catch (e) { dbg('installBoxSelectHandlers failed: ' + (e && e.message)); }
+
+    // Keyboard shortcuts for selection
+    try {
+      document.addEventListener('keydown', (ev) => {
+        // Escape clears selection
+        if (ev.key === 'Escape') {
+          clearTimelineSelection();
+        }
+        // Ctrl/Cmd + A selects all
+        if ((ev.ctrlKey || ev.metaKey) && ev.key.toLowerCase() === 'a') {
+          ev.preventDefault();
+          selectAllTimelineNodes();
+        }
+      });
+    } catch (e) { /* best-effort */ }
+    // Install wheel zoom and middle-button pan handlers on the canvas (single install)
+    try {
+      const canvas = ensureTimelineCanvas();
+      if (canvas && !canvas.dataset.tlPanZoomInstalled) {
+        canvas.dataset.tlPanZoomInstalled = '1';
+
+        // Wheel: plain wheel -> zoom centered on viewport center; Ctrl+wheel -> zoom at mouse
+        canvas.addEventListener('wheel', (ev) => {
+          try {
+            ev.preventDefault();
+            const rect = canvas.getBoundingClientRect();
+            const centerX = rect.left + rect.width / 2;
+            const centerY = rect.top + rect.height / 2;
+            const delta = ev.deltaY;
+            const factor = delta < 0 ? 1.12 : 1 / 1.12;
+            const cur = state.timelineViewport.scale || 1;
+            const target = cur * factor;
+            if (ev.ctrlKey || ev.metaKey) {
+              setTimelineScale(target, ev.clientX, ev.clientY);
+            } else {
+              setTimelineScale(target, centerX, centerY);
+            }
+          } catch (e) { dbg('timeline wheel error: ' + (e && e.message)); }
+        }, { passive: false });
+
+        // Middle-button panning (pointer events)
+        let panning = false;
+        let panStart = { x: 0, y: 0 };
+        let panOrig = { tx: 0, ty: 0 };
+        canvas.addEventListener('pointerdown', (ev) => {
+          try {
+            if (ev.button !== 1) return; // only middle button
+            ev.preventDefault();
+            canvas.setPointerCapture(ev.pointerId);
+            panning = true;
+            panStart = { x: ev.clientX, y: ev.clientY };
+            panOrig = { tx: state.timelineViewport.tx || 0, ty: state.timelineViewport.ty || 0 };
+          } catch (e) { /* best-effort */ }
+        });
+        canvas.addEventListener('pointermove', (ev) => {
+          try {
+            if (!panning) return;
+            ev.preventDefault();
+            const dx = ev.clientX - panStart.x;
+            const dy = ev.clientY - panStart.y;
+            state.timelineViewport.tx = Math.round(panOrig.tx + dx);
+            state.timelineViewport.ty = Math.round(panOrig.ty + dy);
+            // clamp to container so we can't pan under UI
+            clampTimelinePan();
+            setTimelineTransform();
+          } catch (e) { /* best-effort */ }
+        });
+        canvas.addEventListener('pointerup', (ev) => {
+          try {
+            if (!panning) return;
+            panning = false;
+            try { canvas.releasePointerCapture(ev.pointerId); } catch (__) {}
+          } catch (e) { /* best-effort */ }
+        });
+      }
+    } catch (e) { dbg('install pan/zoom handlers failed: ' + (e && e.message)); }
+  }
+
+  // Try immediately (if canvas already present)
+  initTimelineHandlers();
+
+  // Also bind to DOMContentLoaded in case elements are added later
+  document.addEventListener('DOMContentLoaded', initTimelineHandlers);
+
+  // Fallback attempt after a short delay in case of timing issues
+  setTimeout(initTimelineHandlers, 500);
+
+  // Top-level document capture handler as a safety net: handle clicks on
+  // writing tabs even if other binding steps fail or run too late. This is
+  // deliberately installed early and guarded to avoid double-install.
+  try {
+    if (!state._docTabHandlerInstalled) {
+      document.addEventListener('click', (e) => {
+        try {
+          const btn = e.target && e.target.closest ? e.target.closest('.tabs-writing .tab[data-tab], .top-tabs .top-tab[data-tab]') : null;
+          if (!btn) return;
+          const t = btn.dataset.tab;
+          dbg(`docTopLevelTabHandler click -> tab=${t}`);
+          if (!t) return;
+          if (t === state.activeTab) { dbg(`docTopLevelTabHandler -> already active ${t}`); return; }
+          // call switchTab if available
+          try { if (typeof switchTab === 'function') switchTab(t); else dbg('docTopLevelTabHandler: switchTab not defined yet'); } catch (er) { dbg('docTopLevelTabHandler error: ' + (er && er.message)); }
+          // If timeline tab is activated, refresh timeline selector
+          if (t === 'timeline' && typeof updateTimelineSelector === 'function') {
+            dbg('Tab switched to timeline: calling updateTimelineSelector');
+            updateTimelineSelector();
           }
-        } catch (e) { dbg('unified connection pointerup error: ' + (e && e.message)); }
+        } catch (err) { dbg('docTopLevelTabHandler outer error: ' + (err && err.message)); }
+      }, true);
+      state._docTabHandlerInstalled = true;
+      dbg('docTopLevelTabHandler installed');
+    }
+  } catch (e) { dbg('Failed to install docTopLevelTabHandler: ' + (e && e.message)); }
+
+  // ───────────── Relationship Matrix ─────────────
+  // Alternate view of the relationship web: a table with every node as a
+  // row and a column (src/shared/web.matrix.js). Clicking a cell edits the
+  // links between that pair — add one in either direction, set its
+  // relationship type, or remove it. Edits go straight into
+  // state.timelineLinks and are written through saveTimelineData.
+  const webMatrix = require('./src/shared/web.matrix');
+  let matrixEditorEl = null;
+  let matrixCell = null; // { row, col } node ids of the cell being edited
+
+  // An unused connection handle on `side` of a node, marked used; a spare
+  // empty one is kept on that side like finishLinkDrag does
+  function claimHandle(nodeId, side) {
+    const node = state.timelineNodes[nodeId];
+    if (!node) return null;
+    node.handles = node.handles || [];
+    const free = node.handles.find(h => (h.side || 'right') === side && !h.used);
+    const hid = free ? free.id : addHandleToNode(nodeId, true, side);
+    if (free) free.used = true;
+    if (!node.handles.some(h => (h.side || 'right') === side && !h.used)) addHandleToNode(nodeId, false, side);
+    updateHandlesForNode(nodeId);
+    return hid;
+  }
+
+  // Link two nodes without a drag (right handle → left handle) → link id
+  function createTimelineLink(fromNode, toNode, props = {}) {
+    if (!state.timelineNodes[fromNode] || !state.timelineNodes[toNode] || fromNode === toNode) return null;
+    const lid = `ln-${uid()}`;
+    state.timelineLinks[lid] = Object.assign({
+      fromNode, fromHandle: claimHandle(fromNode, 'right'),
+      toNode, toHandle: claimHandle(toNode, 'left'),
+      cpOffset: { x: 0, y: 0 },
+    }, props);
+    dbg(`timeline: link created ${lid} ${fromNode} -> ${toNode} (matrix)`);
+    return lid;
+  }
+
+  function webMatrixVisible() {
+    const box = document.getElementById('web-matrix');
+    return !!box && !box.classList.contains('hidden');
+  }
+
+  function setWebView(view) {
+    const matrix = view === 'matrix';
+    const chronology = view === 'chronology';
+    document.getElementById('web-matrix')?.classList.toggle('hidden', !matrix);
+    document.getElementById('chronology')?.classList.toggle('hidden', !chronology);
+    for (const [id, on] of [['web-view-web', !matrix && !chronology], ['web-view-matrix', matrix], ['web-view-chronology', chronology]]) {
+      const b = document.getElementById(id);
+      if (b) { b.classList.toggle('active', on); b.setAttribute('aria-pressed', String(on)); }
+    }
+    hideMatrixEditor();
+    if (matrix) renderWebMatrix();
+    else if (chronology) { renderChronology(); fitChronology(); }
+    else renderAllLinks();
+  }
+
+  function matrixRowLabel(r) {
+    const icon = r.entry && r.entry.lore_kind ? loreKindStyle(r.entry.lore_kind).icon : '';
+    return `${icon ? `<span class="mx-icon" aria-hidden="true">${escapeHtml(icon)}</span>` : ''}${escapeHtml(r.label)}`;
+  }
+
+  function matrixRows() {
+    return webMatrix.matrixRows(state.timelineNodes, (n) => findEntryByKey(n && n.entryId));
+  }
+
+  function renderWebMatrix(withEditor = true) {
+    const box = document.getElementById('web-matrix');
+    if (!box || box.classList.contains('hidden')) return;
+    let types = document.getElementById('relationship-types');
+    if (!types) { types = document.createElement('datalist'); types.id = 'relationship-types'; document.body.appendChild(types); }
+    types.innerHTML = webMatrix.knownTypes(state.timelineLinks, [...getLinkTypes().map(t => t.name), ...webMatrix.RELATIONSHIP_TYPES]).map(t => `<option value="${escapeHtml(t)}"></option>`).join('');
+
+    const rows = matrixRows();
+    if (!rows.length) {
+      box.innerHTML = `<div class="mx-empty">Nothing on this web yet — drag lore entries onto the canvas, then relate them here.</div>`;
+      return;
+    }
+    const cell = (r, c) => {
+      if (r.nodeId === c.nodeId) return `<td class="mx-self" aria-hidden="true"></td>`;
+      const links = webMatrix.linksBetween(state.timelineLinks, r.nodeId, c.nodeId);
+      const rels = links.map(l => `<span class="mx-rel ${l.dir}">${l.dir === 'out' ? '→' : '←'} ${escapeHtml([l.link.type, l.link.label].filter(Boolean).join(' · ') || 'linked')}</span>`).join('');
+      const editing = matrixCell && matrixCell.row === r.nodeId && matrixCell.col === c.nodeId;
+      return `<td class="mx-cell${links.length ? ' linked' : ''}${editing ? ' editing' : ''}" data-row="${escapeHtml(r.nodeId)}" data-col="${escapeHtml(c.nodeId)}" title="${escapeHtml(r.label)} ↔ ${escapeHtml(c.label)}" tabindex="0">${rels}</td>`;
+    };
+    box.innerHTML = `
+      <div class="mx-scroll">
+        <table class="mx-table">
+          <thead><tr><th class="mx-corner"><span class="meta">${rows.length} on this web</span></th>${rows.map(c => `<th scope="col"><div>${matrixRowLabel(c)}</div></th>`).join('')}</tr></thead>
+          <tbody>${rows.map(r => `<tr><th scope="row">${matrixRowLabel(r)}</th>${rows.map(c => cell(r, c)).join('')}</tr>`).join('')}</tbody>
+        </table>
+      </div>`;
+    if (matrixCell && withEditor) {
+      if (state.timelineNodes[matrixCell.row] && state.timelineNodes[matrixCell.col]) renderMatrixEditor();
+      else hideMatrixEditor();
+    }
+  }
+
+  function ensureMatrixEditor() {
+    if (matrixEditorEl) return matrixEditorEl;
+    matrixEditorEl = document.createElement('div');
+    matrixEditorEl.id = 'matrix-cell-editor';
+    matrixEditorEl.className = 'matrix-cell-editor';
+    matrixEditorEl.setAttribute('role', 'dialog');
+    matrixEditorEl.setAttribute('aria-label', 'Edit relationship');
+    document.body.appendChild(matrixEditorEl);
+    matrixEditorEl.addEventListener('change', (ev) => {
+      const row = ev.target.closest('[data-link]');
+      const link = row && state.timelineLinks[row.dataset.link];
+      if (!link || !ev.target.classList.contains('mx-type')) return;
+      const type = ev.target.value.trim();
+      if (type) link.type = type;
+      else delete link.type;
+      recordWebEdit('Edit link');
+      // the table only: rebuilding the editor would swallow a click on it
+      touchSave();
+      saveTimelineData();
+      renderWebMatrix(false);
+    });
+    matrixEditorEl.addEventListener('click', (ev) => {
+      const btn = ev.target.closest('button');
+      if (!btn || !matrixCell) return;
+      if (btn.classList.contains('mx-close')) { hideMatrixEditor(); return; }
+      if (btn.classList.contains('mx-inspect')) {
+        const r = btn.getBoundingClientRect();
+        showLinkInspector(btn.closest('[data-link]').dataset.link, r.left, r.bottom);
+        return;
+      }
+      if (btn.classList.contains('mx-remove')) {
+        removeConnection(btn.closest('[data-link]').dataset.link);
+        recordWebEdit('Delete link');
+        renderWebMatrix();
+        return;
+      }
+      if (btn.classList.contains('mx-add')) {
+        const out = btn.dataset.dir === 'out';
+        const lid = createTimelineLink(out ? matrixCell.row : matrixCell.col, out ? matrixCell.col : matrixCell.row);
+        if (!lid) return;
+        recordWebEdit('Add link');
+        saveWebMatrixEdit();
+        matrixEditorEl.querySelector(`[data-link="${lid}"] .mx-type`)?.focus();
+      }
+    });
+    return matrixEditorEl;
+  }
+
+  function saveWebMatrixEdit() {
+    renderAllLinks();
+    touchSave();
+    saveTimelineData();
+    renderWebMatrix();
+  }
+
+  function renderMatrixEditor() {
+    if (!matrixEditorEl || !matrixCell) return;
+    const rows = matrixRows();
+    const a = rows.find(r => r.nodeId === matrixCell.row);
+    const b = rows.find(r => r.nodeId === matrixCell.col);
+    if (!a || !b) { hideMatrixEditor(); return; }
+    const links = webMatrix.linksBetween(state.timelineLinks, a.nodeId, b.nodeId);
+    const name = (r) => `<strong>${escapeHtml(r.label)}</strong>`;
+    matrixEditorEl.innerHTML = `
+      <div class="row">${name(a)} <span class="meta">and</span> ${name(b)}<span class="spacer"></span><button type="button" class="btn small mx-close" title="Close">×</button></div>
+      ${links.length ? links.map(l => `
+        <div class="mx-link" data-link="${escapeHtml(l.linkId)}">
+          <span class="dir">${l.dir === 'out' ? `${escapeHtml(a.label)} → ${escapeHtml(b.label)}` : `${escapeHtml(b.label)} → ${escapeHtml(a.label)}`}</span>
+          <input type="text" class="mx-type" list="relationship-types" value="${escapeHtml(l.link.type || '')}" placeholder="relationship (ally, rival, parent…)" aria-label="Relationship type" />
+          <button type="button" class="btn small mx-inspect" title="Label, color and style…">⋯</button>
+          <button type="button" class="btn small mx-remove" title="Remove link">×</button>
+        </div>`).join('') : `<div class="meta">Not connected.</div>`}
+      <div class="row">
+        <button type="button" class="btn small mx-add" data-dir="out">+ ${escapeHtml(a.label)} → ${escapeHtml(b.label)}</button>
+        <button type="button" class="btn small mx-add" data-dir="in">+ ${escapeHtml(b.label)} → ${escapeHtml(a.label)}</button>
+      </div>`;
+    const td = document.querySelector(`#web-matrix td[data-row="${CSS.escape(a.nodeId)}"][data-col="${CSS.escape(b.nodeId)}"]`);
+    if (td) {
+      const r = td.getBoundingClientRect();
+      const w = matrixEditorEl.offsetWidth || 320;
+      matrixEditorEl.style.left = `${Math.max(8, Math.min(r.left, window.innerWidth - w - 8))}px`;
+      matrixEditorEl.style.top = `${Math.min(r.bottom + 4, window.innerHeight - matrixEditorEl.offsetHeight - 8)}px`;
+    }
+  }
+
+  function openMatrixCell(row, col) {
+    ensureMatrixEditor();
+    matrixCell = { row, col };
+    matrixEditorEl.style.display = 'flex';
+    renderWebMatrix();
+  }
+
+  function hideMatrixEditor() {
+    const had = !!matrixCell;
+    matrixCell = null;
+    if (matrixEditorEl) matrixEditorEl.style.display = 'none';
+    if (had) document.querySelectorAll('#web-matrix td.editing').forEach(td => td.classList.remove('editing'));
+  }
+
+  function wireWebMatrix() {
+    const box = document.getElementById('web-matrix');
+    if (!box || box.dataset.wired) return;
+    box.dataset.wired = '1';
+    document.getElementById('web-view-web')?.addEventListener('click', () => setWebView('web'));
+    document.getElementById('web-view-matrix')?.addEventListener('click', () => setWebView('matrix'));
+    const open = (ev) => {
+      const td = ev.target.closest('td.mx-cell');
+      if (td) openMatrixCell(td.dataset.row, td.dataset.col);
+    };
+    box.addEventListener('click', open);
+    box.addEventListener('keydown', (ev) => { if (ev.key === 'Enter' || ev.key === ' ') { ev.preventDefault(); open(ev); } });
+    document.addEventListener('mousedown', (ev) => {
+      if (matrixCell && !ev.target.closest('#matrix-cell-editor, #web-matrix td.mx-cell, #link-inspector, #link-types')) hideMatrixEditor();
+    });
+  }
+
+  // ───────────── Link Inspector ─────────────
+  // What a line on the relationship web means (src/shared/web.links.js):
+  // label, relationship type from the project palette (project.json
+  // `link_types`), direction, color and line style. renderAllLinks draws
+  // them; double-clicking a line opens the inspector, and File → Link
+  // Types… edits the palette.
+  const webLinks = require('./src/shared/web.links');
+  let linkTypes = null;
+  let linkTypesFile = null;
+  let linkInspectorEl = null;
+  let inspectedLinkId = null;
+  let inspectedLabelDirty = false; // label typed but not yet saved
+  let linkTypesEl = null;
+
+  function getLinkTypes() {
+    if (linkTypes && linkTypesFile === SAVE_FILE) return linkTypes;
+    linkTypesFile = SAVE_FILE;
+    linkTypes = webLinks.normalizeLinkTypes(readProjectJsonKey("link_types"));
+    return linkTypes;
+  }
+
+  function setLinkTypes(next) {
+    linkTypes = webLinks.normalizeLinkTypes(next);
+    linkTypesFile = SAVE_FILE;
+    writeProjectJsonKey("link_types", linkTypes);
+  }
+
+  function linkLook(link) {
+    return webLinks.resolveLinkLook(link, getLinkTypes());
+  }
+
+  // Arrowhead marker in the link color (one per color, kept in <defs>) → id
+  function ensureLinkArrow(svg, color) {
+    const id = `link-arrow-${String(color).replace('#', '')}`;
+    if (svg.querySelector(`#${id}`)) return id;
+    let defs = svg.querySelector('defs');
+    if (!defs) { defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs'); svg.insertBefore(defs, svg.firstChild); }
+    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
+    marker.id = id;
+    marker.setAttribute('viewBox', '0 0 10 10');
+    marker.setAttribute('refX', '8');
+    marker.setAttribute('refY', '5');
+    marker.setAttribute('markerWidth', '4');
+    marker.setAttribute('markerHeight', '4');
+    marker.setAttribute('orient', 'auto-start-reverse');
+    const tip = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    tip.setAttribute('d', 'M 0 0 L 10 5 L 0 10 z');
+    tip.setAttribute('fill', color);
+    marker.appendChild(tip);
+    defs.appendChild(marker);
+    return id;
+  }
+
+  function linkEndLabel(nodeId) {
+    const node = state.timelineNodes[nodeId];
+    const entry = node && findEntryByKey(node.entryId);
+    return (entry && entry.title) || '(Untitled)';
+  }
+
+  // Set (or, for '' / null, clear) link props, redraw and save
+  function updateLink(linkId, patch) {
+    const link = state.timelineLinks[linkId];
+    if (!link) return;
+    for (const [k, v] of Object.entries(patch)) {
+      if (v === '' || v == null) delete link[k];
+      else link[k] = v;
+    }
+    recordWebEdit('Edit link');
+    renderAllLinks();
+    touchSave();
+    saveTimelineData();
+  }
+
+  function ensureLinkInspector() {
+    if (linkInspectorEl) return linkInspectorEl;
+    linkInspectorEl = document.createElement('div');
+    linkInspectorEl.id = 'link-inspector';
+    linkInspectorEl.className = 'matrix-cell-editor link-inspector';
+    linkInspectorEl.setAttribute('role', 'dialog');
+    linkInspectorEl.setAttribute('aria-label', 'Link');
+    document.body.appendChild(linkInspectorEl);
+    linkInspectorEl.addEventListener('input', (ev) => {
+      // label redraws as you type; saved on change
+      if (ev.target.classList.contains('li-label') && state.timelineLinks[inspectedLinkId]) {
+        state.timelineLinks[inspectedLinkId].label = ev.target.value;
+        inspectedLabelDirty = true;
+        renderAllLinks();
+      }
+    });
+    linkInspectorEl.addEventListener('change', (ev) => {
+      const t = ev.target;
+      if (!inspectedLinkId) return;
+      if (t.classList.contains('li-label')) { inspectedLabelDirty = false; updateLink(inspectedLinkId, { label: t.value.trim() }); }
+      else if (t.classList.contains('li-type')) { updateLink(inspectedLinkId, { type: t.value }); renderLinkInspector(); }
+      else if (t.classList.contains('li-direction')) updateLink(inspectedLinkId, { direction: t.value });
+      else if (t.classList.contains('li-style')) updateLink(inspectedLinkId, { style: t.value });
+      else if (t.classList.contains('li-color')) { updateLink(inspectedLinkId, { color: t.value }); renderLinkInspector(); }
+    });
+    linkInspectorEl.addEventListener('click', (ev) => {
+      const btn = ev.target.closest('button');
+      if (!btn || !inspectedLinkId) return;
+      if (btn.classList.contains('li-close')) hideLinkInspector();
+      else if (btn.classList.contains('li-color-reset')) { updateLink(inspectedLinkId, { color: '' }); renderLinkInspector(); }
+      else if (btn.classList.contains('li-types')) showLinkTypes();
+      else if (btn.classList.contains('li-delete')) {
+        removeConnection(inspectedLinkId);
+        recordWebEdit('Delete link');
+        hideLinkInspector();
+      }
+    });
+    return linkInspectorEl;
+  }
+
+  function renderLinkInspector() {
+    const link = linkInspectorEl && state.timelineLinks[inspectedLinkId];
+    if (!link) { hideLinkInspector(); return; }
+    const palette = getLinkTypes();
+    const type = link.type ? webLinks.linkTypeFor(palette, link.type) : null;
+    const look = linkLook(link);
+    const typeOptions = palette.map(t => t.name);
+    if (link.type && !type) typeOptions.push(link.type);
+    const opt = (value, text, cur) => `<option value="${escapeHtml(value)}"${value === (cur || '') ? ' selected' : ''}>${escapeHtml(text)}</option>`;
+    const inherited = (v) => `Type default (${v})`;
+    linkInspectorEl.innerHTML = `
+      <div class="row"><strong>${escapeHtml(linkEndLabel(link.fromNode))} → ${escapeHtml(linkEndLabel(link.toNode))}</strong><span class="spacer"></span><button type="button" class="btn small li-close" title="Close">×</button></div>
+      <label class="li-field"><span>Label</span><input type="text" class="li-label" value="${escapeHtml(link.label || '')}" placeholder="e.g. sworn brothers" /></label>
+      <label class="li-field"><span>Type</span><select class="li-type">${opt('', '(none)', link.type)}${typeOptions.map(n => opt(n, n, link.type)).join('')}</select></label>
+      <label class="li-field"><span>Direction</span><select class="li-direction">
+        ${opt('', inherited((type && type.direction) || 'none'), link.direction)}
+        ${opt('one-way', 'One-way →', link.direction)}${opt('two-way', 'Two-way ↔', link.direction)}${opt('none', 'None', link.direction)}
+      </select></label>
+      <label class="li-field"><span>Style</span><select class="li-style">
+        ${opt('', inherited((type && type.style) || 'solid'), link.style)}
+        ${webLinks.LINK_STYLES.map(st => opt(st, st[0].toUpperCase() + st.slice(1), link.style)).join('')}
+      </select></label>
+      <div class="li-field"><span>Color</span><input type="color" class="li-color" value="${escapeHtml(look.color)}" aria-label="Link color" />
+        ${link.color ? `<button type="button" class="btn small li-color-reset" title="Use the type's color">Type color</button>` : `<span class="meta">${type ? 'from type' : 'default'}</span>`}</div>
+      <div class="row"><button type="button" class="btn small li-types">Edit types…</button><span class="spacer"></span><button type="button" class="btn small li-delete">Delete link</button></div>`;
+  }
+
+  // Open the inspector for a link, next to client point (x, y)
+  function showLinkInspector(linkId, x, y) {
+    if (!state.timelineLinks[linkId]) return;
+    ensureLinkInspector();
+    if (inspectedLinkId !== linkId) hideLinkInspector();
+    inspectedLinkId = linkId;
+    linkInspectorEl.style.display = 'flex';
+    renderLinkInspector();
+    const w = linkInspectorEl.offsetWidth || 320;
+    const h = linkInspectorEl.offsetHeight || 260;
+    linkInspectorEl.style.left = `${Math.max(8, Math.min(x + 8, window.innerWidth - w - 8))}px`;
+    linkInspectorEl.style.top = `${Math.max(8, Math.min(y + 8, window.innerHeight - h - 8))}px`;
+    linkInspectorEl.querySelector('.li-label')?.focus();
+  }
+
+  function hideLinkInspector() {
+    // closing before the label input's change event still saves the label
+    if (inspectedLabelDirty && inspectedLinkId) {
+      const label = linkInspectorEl.querySelector('.li-label');
+      updateLink(inspectedLinkId, { label: label ? label.value.trim() : '' });
+    }
+    inspectedLabelDirty = false;
+    inspectedLinkId = null;
+    if (linkInspectorEl) linkInspectorEl.style.display = 'none';
+  }
+
+  function ensureLinkTypes() {
+    if (linkTypesEl) return linkTypesEl;
+    linkTypesEl = document.createElement("div");
+    linkTypesEl.id = "link-types";
+    linkTypesEl.innerHTML = `
+      <div class="card" role="dialog" aria-modal="true" aria-label="Link types">
+        <div class="row">
+          <strong>Link types</strong>
+          <span class="meta">Relationship types for the web; renaming a type renames it on every link</span>
+        </div>
+        <div id="link-types-list" class="list" aria-label="Link types"></div>
+        <div class="row">
+          <button class="btn" id="link-types-add" type="button">Add type</button>
+          <span class="status" id="link-types-status"></span>
+          <button class="btn" id="link-types-close" type="button">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(linkTypesEl);
+    linkTypesEl.querySelector("#link-types-close").addEventListener("click", hideLinkTypes);
+    linkTypesEl.addEventListener("click", (ev) => { if (ev.target === linkTypesEl) hideLinkTypes(); });
+    const commit = (next) => {
+      setLinkTypes(next);
+      renderLinkTypes();
+      renderAllLinks();
+      if (inspectedLinkId) renderLinkInspector();
+    };
+    linkTypesEl.querySelector("#link-types-add").addEventListener("click", () => {
+      const types = getLinkTypes();
+      let name = "new type";
+      for (let n = 2; webLinks.linkTypeFor(types, name); n++) name = `new type ${n}`;
+      commit([...types, { name, color: TAG_PALETTE[types.length % TAG_PALETTE.length], style: "solid", direction: "none" }]);
+      const inputs = linkTypesEl.querySelectorAll(".lt-name");
+      const last = inputs[inputs.length - 1];
+      if (last) { last.focus(); last.select(); }
+    });
+    const list = linkTypesEl.querySelector("#link-types-list");
+    list.addEventListener("change", (ev) => {
+      const row = ev.target.closest("[data-index]");
+      if (!row) return;
+      const types = getLinkTypes().map(t => Object.assign({}, t));
+      const t = types[Number(row.dataset.index)];
+      if (!t) return;
+      if (ev.target.classList.contains("lt-name")) {
+        const to = ev.target.value.trim();
+        const clash = types.some(x => x !== t && x.name.toLowerCase() === to.toLowerCase());
+        if (!to || clash) { ev.target.value = t.name; return; }
+        const n = webLinks.renameLinkType(state.timelineLinks, t.name, to);
+        t.name = to;
+        if (n) { touchSave(); saveTimelineData(); }
+      } else if (ev.target.classList.contains("lt-color")) t.color = ev.target.value;
+      else if (ev.target.classList.contains("lt-style")) t.style = ev.target.value;
+      else if (ev.target.classList.contains("lt-direction")) t.direction = ev.target.value;
+      commit(types);
+    });
+    list.addEventListener("click", (ev) => {
+      const row = ev.target.closest("[data-index]");
+      if (row && ev.target.closest(".lt-remove")) commit(getLinkTypes().filter((_, i) => i !== Number(row.dataset.index)));
+    });
+    return linkTypesEl;
+  }
+
+  function renderLinkTypes() {
+    if (!linkTypesEl) return;
+    const list = linkTypesEl.querySelector("#link-types-list");
+    const types = getLinkTypes();
+    const counts = new Map();
+    for (const l of Object.values(state.timelineLinks || {})) {
+      if (l && l.type) counts.set(l.type.toLowerCase(), (counts.get(l.type.toLowerCase()) || 0) + 1);
+    }
+    const opt = (value, text, cur) => `<option value="${value}"${value === cur ? " selected" : ""}>${text}</option>`;
+    list.innerHTML = types.length ? "" : `<div class="meta">No link types — add one to give lines a meaning.</div>`;
+    types.forEach((t, i) => {
+      const n = counts.get(t.name.toLowerCase()) || 0;
+      const row = document.createElement("div");
+      row.className = "kind-row";
+      row.dataset.index = String(i);
+      row.innerHTML = `
+        <input type="color" class="lt-color" value="${escapeHtml(t.color)}" title="Color" />
+        <input type="text" class="lt-name" value="${escapeHtml(t.name)}" spellcheck="false" aria-label="Type name" />
+        <select class="lt-style" aria-label="Line style">${webLinks.LINK_STYLES.map(st => opt(st, st, t.style)).join("")}</select>
+        <select class="lt-direction" aria-label="Direction">${opt("one-way", "one-way →", t.direction)}${opt("two-way", "two-way ↔", t.direction)}${opt("none", "no arrow", t.direction)}</select>
+        <span class="meta">${n} link${n === 1 ? "" : "s"} here</span>
+        <span class="spacer"></span>
+        <button type="button" class="btn lt-remove" title="Remove from the palette (links keep the name)">Remove</button>
+      `;
+      list.appendChild(row);
+    });
+    linkTypesEl.querySelector("#link-types-status").textContent = `${types.length} type${types.length === 1 ? "" : "s"}`;
+  }
+
+  function showLinkTypes() {
+    ensureLinkTypes();
+    linkTypesEl.style.display = "flex";
+    renderLinkTypes();
+  }
+
+  function hideLinkTypes() {
+    if (!linkTypesEl) return;
+    linkTypesEl.style.display = "none";
+  }
+
+  function wireLinkInspector() {
+    const timelineEl = document.getElementById('timeline');
+    if (!timelineEl || timelineEl.dataset.linkInspectorWired) return;
+    timelineEl.dataset.linkInspectorWired = '1';
+    timelineEl.addEventListener('dblclick', (ev) => {
+      // the path under the pointer may have been redrawn since the first click
+      const hit = (ev.target && ev.target.closest && ev.target.closest('path.link')) ||
+        document.elementFromPoint(ev.clientX, ev.clientY)?.closest?.('path.link');
+      if (!hit || !hit.dataset.linkId) return;
+      ev.preventDefault();
+      showLinkInspector(hit.dataset.linkId, ev.clientX, ev.clientY);
+    });
+    document.getElementById('web-link-types')?.addEventListener('click', showLinkTypes);
+    document.getElementById('web-export-btn')?.addEventListener('click', showWebExport);
+    document.addEventListener('mousedown', (ev) => {
+      if (inspectedLinkId && !ev.target.closest('#link-inspector, #link-types')) hideLinkInspector();
+    });
+  }
+
+  // ───────────── Web History ─────────────
+  // Undo/redo for the canvas (src/shared/web.history.js): adding, moving and
+  // removing nodes, creating, reshaping, editing and deleting links, node
+  // colors and pins, and arrangements. Each finished edit calls
+  // recordWebEdit; Ctrl+Z / Ctrl+Shift+Z on the focused canvas step through
+  // the last WEB_HISTORY_LIMIT of them. Switching or reloading a web starts a
+  // fresh history.
+  const webHistoryLib = require('./src/shared/web.history');
+  const webHistory = webHistoryLib.createWebHistory();
+
+  function recordWebEdit(label) {
+    const cmd = webHistory.record(label, state.timelineNodes, state.timelineLinks);
+    if (cmd) {
+      dbg(`timeline: history + ${label} (${Object.keys(cmd.nodes).length} nodes, ${Object.keys(cmd.links).length} links)`);
+      renderArrangeMenu();
+    }
+  }
+
+  function resetWebHistory() {
+    webHistory.reset(state.timelineNodes, state.timelineLinks);
+    renderArrangeMenu();
+  }
+
+  // Put nodes and links back as { id: record | null } says, on the canvas too
+  function applyWebRecords({ nodes, links }) {
+    for (const [id, rec] of Object.entries(nodes)) {
+      let nodeEl = getNodeElement(id);
+      if (!rec) {
+        if (nodeEl) nodeEl.remove();
+        delete state.timelineNodes[id];
+        state.timelineSelection.ids = state.timelineSelection.ids.filter(n => n !== id);
+        continue;
+      }
+      if (!nodeEl) {
+        // a removed node comes back for its entry, unless that entry is gone
+        const entry = findEntryByKey(rec.entryId);
+        if (!entry) { dbg(`timeline: history cannot restore node ${id} (entry ${rec.entryId} missing)`); continue; }
+        createTimelineNodeForEntryWithId(entry, rec.x, rec.y, id, rec.color, rec.handles);
+        nodeEl = getNodeElement(id);
+      }
+      state.timelineNodes[id] = rec;
+      if (nodeEl) {
+        nodeEl.style.left = `${rec.x}px`;
+        nodeEl.style.top = `${rec.y}px`;
+        if (rec.color) {
+          nodeEl.style.background = rec.color;
+          const swatch = nodeEl.querySelector('.color-swatch');
+          if (swatch) swatch.style.background = rec.color;
+        }
+      }
+      updateHandlesForNode(id);
+      setNodePinned(id, !!rec.pinned);
+    }
+    for (const [id, rec] of Object.entries(links)) {
+      if (rec) state.timelineLinks[id] = rec;
+      else delete state.timelineLinks[id];
+    }
+    cleanupStaleLinks();
+    try { renderAllLinks(); } catch (e) { /* best-effort */ }
+    if (webMatrixVisible()) renderWebMatrix();
+  }
+
+  function stepWebHistory(dir) {
+    finishArrangeAnimation();
+    if (inspectedLinkId) hideLinkInspector();
+    // an edit that never got recorded is kept as one before stepping past it
+    recordWebEdit('Edit');
+    const step = dir < 0 ? webHistory.undo() : webHistory.redo();
+    if (!step) return;
+    applyWebRecords(step);
+    webHistory.rebase(state.timelineNodes, state.timelineLinks);
+    dbg(`timeline: ${dir < 0 ? 'undo' : 'redo'} ${step.label}`);
+    renderArrangeMenu();
+    touchSave();
+  }
+
+  function undoWebEdit() { stepWebHistory(-1); }
+  function redoWebEdit() { stepWebHistory(1); }
+
+  function wireWebHistory() {
+    const canvas = ensureTimelineCanvas();
+    if (!canvas || canvas.dataset.historyWired) return;
+    canvas.dataset.historyWired = '1';
+    // nodes cancel the default pointerdown, so focus the canvas by hand
+    canvas.addEventListener('pointerdown', () => { try { canvas.focus({ preventScroll: true }); } catch (e) {} });
+    canvas.addEventListener('keydown', (ev) => {
+      if (!(ev.ctrlKey || ev.metaKey) || ev.altKey || ev.key.toLowerCase() !== 'z') return;
+      // text fields keep their own undo
+      if (ev.target.closest && ev.target.closest('textarea, [contenteditable="true"], input:not([type="range"])')) return;
+      ev.preventDefault();
+      if (ev.shiftKey) redoWebEdit();
+      else undoWebEdit();
+    });
+  }
+
+  // ───────────── Arrange ─────────────
+  // Auto-layouts for the web canvas (src/shared/web.layout.js), picked from
+  // the Arrange menu above the canvas. Nodes glide to their new places and
+  // land on the snap grid; pinned nodes (the 📌 on a node) stay put. An
+  // arrangement is one step in the web history, so Undo arrange or Ctrl+Z
+  // on the canvas takes it back.
+  const webLayout = require('./src/shared/web.layout');
+  const ARRANGE_MS = 450;
+  let arrangeAnim = null; // { frame, moves } while nodes are gliding
+
+  function setNodePinned(nodeId, pinned) {
+    const node = state.timelineNodes[nodeId];
+    if (!node) return;
+    if (pinned) node.pinned = true;
+    else delete node.pinned;
+    const nodeEl = getNodeElement(nodeId);
+    if (!nodeEl) return;
+    nodeEl.classList.toggle('pinned', !!pinned);
+    const btn = nodeEl.querySelector('.pin-btn');
+    if (btn) {
+      btn.title = pinned ? 'Unpin (Arrange moves this node again)' : 'Pin (Arrange leaves this node where it is)';
+      btn.setAttribute('aria-pressed', String(!!pinned));
+    }
+  }
+
+  // The pin toggle on a node (added by both node builders)
+  function attachPinButton(nodeEl, nodeId) {
+    const btn = document.createElement('button');
+    btn.className = 'pin-btn';
+    btn.type = 'button';
+    btn.textContent = '📌';
+    btn.title = 'Pin (Arrange leaves this node where it is)';
+    btn.setAttribute('aria-pressed', 'false');
+    btn.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      const node = state.timelineNodes[nodeId];
+      setNodePinned(nodeId, !(node && node.pinned));
+      recordWebEdit(node && node.pinned ? 'Pin node' : 'Unpin node');
+      touchSave();
+    });
+    nodeEl.appendChild(btn);
+  }
+
+  // Canvas nodes with their drawn size, and the links between them
+  function layoutInput() {
+    const nodes = [];
+    for (const [id, n] of Object.entries(state.timelineNodes || {})) {
+      const nodeEl = getNodeElement(id);
+      if (!n || !nodeEl) continue;
+      const entry = findEntryByKey(n.entryId);
+      nodes.push({
+        id,
+        x: parseFloat(nodeEl.style.left) || 0,
+        y: parseFloat(nodeEl.style.top) || 0,
+        w: nodeEl.offsetWidth || 120,
+        h: nodeEl.offsetHeight || 40,
+        kind: entry && entry.type === 'lore' ? entry.lore_kind : '',
+        pinned: !!n.pinned,
       });
     }
+    const edges = Object.values(state.timelineLinks || {}).map(l => ({ from: l.fromNode, to: l.toNode }));
+    return { nodes, edges };
+  }
+
+  function arrangeWeb(key) {
+    finishArrangeAnimation();
+    const { nodes, edges } = layoutInput();
+    const target = webLayout.runLayout(key, nodes, edges, { kindKey: loreKindsLib.kindKey });
+    const moves = {};
+    // the canvas has no negative side: nodes left or above it can't be reached
+    for (const [id, p] of Object.entries(target)) {
+      moves[id] = { x: Math.max(0, snapToGrid(p.x, TIMELINE.grid)), y: Math.max(0, snapToGrid(p.y, TIMELINE.grid)) };
+    }
+    if (!Object.keys(moves).length) return;
+    dbg(`timeline: arrange ${key} moved ${Object.keys(moves).length} of ${nodes.length} nodes`);
+    animateNodesTo(moves);
+  }
+
+  // Glide nodes to { nodeId: { x, y } }, then store and save the positions
+  function animateNodesTo(moves) {
+    const from = {};
+    for (const id of Object.keys(moves)) {
+      const nodeEl = getNodeElement(id);
+      if (nodeEl) from[id] = { x: parseFloat(nodeEl.style.left) || 0, y: parseFloat(nodeEl.style.top) || 0 };
+    }
+    const reduced = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const t0 = performance.now();
+    arrangeAnim = { frame: 0, moves };
+    const step = (now) => {
+      const t = reduced ? 1 : Math.min(1, (now - t0) / ARRANGE_MS);
+      const k = 1 - Math.pow(1 - t, 3); // ease-out
+      for (const [id, p] of Object.entries(from)) {
+        const nodeEl = getNodeElement(id);
+        if (!nodeEl) continue;
+        nodeEl.style.left = `${p.x + (moves[id].x - p.x) * k}px`;
+        nodeEl.style.top = `${p.y + (moves[id].y - p.y) * k}px`;
+      }
+      try { renderAllLinks(); } catch (e) { /* best-effort */ }
+      if (t < 1) arrangeAnim.frame = requestAnimationFrame(step);
+      else finishArrangeAnimation();
+    };
+    arrangeAnim.frame = requestAnimationFrame(step);
   }
 
-  // Initialize timeline handlers after DOM ready; also attempt immediately and add a short fallback
-  function initTimelineHandlers() {
-    try { installTimelineDropHandlers(); } catch (e) { dbg('installTimelineDropHandlers failed: ' + (e && e.message)); }
-    // Ensure transform initialised
-    setTimelineTransform();
-    // ensure box-select handlers are installed for the canvas
-    try { _installBoxSelectHandlers(ensureTimelineCanvas()); } catch (e) { dbg('installBoxSelectHandlers failed: ' + (e && e.message)); }
+  // Jump a running animation to its end, persist the positions and record
+  // the arrangement
+  function finishArrangeAnimation() {
+    if (!arrangeAnim) return;
+    const { frame, moves } = arrangeAnim;
+    arrangeAnim = null;
+    cancelAnimationFrame(frame);
+    for (const [id, p] of Object.entries(moves)) {
+      const nodeEl = getNodeElement(id);
+      if (nodeEl) { nodeEl.style.left = `${p.x}px`; nodeEl.style.top = `${p.y}px`; }
+      if (state.timelineNodes[id]) { state.timelineNodes[id].x = p.x; state.timelineNodes[id].y = p.y; }
+    }
+    try { renderAllLinks(); } catch (e) { /* best-effort */ }
+    recordWebEdit('Arrange');
+    touchSave();
+  }
 
-    // Keyboard shortcuts for selection
-    try {
-      document.addEventListener('keydown', (ev) => {
-        // Escape clears selection
-        if (ev.key === 'Escape') {
-          clearTimelineSelection();
-        }
-        // Ctrl/Cmd + A selects all
-        if ((ev.ctrlKey || ev.metaKey) && ev.key.toLowerCase() === 'a') {
-          ev.preventDefault();
-          selectAllTimelineNodes();
-        }
+  function renderArrangeMenu() {
+    const select = document.getElementById('web-arrange');
+    if (!select) return;
+    const undoable = webHistory.peekUndo()?.label === 'Arrange';
+    select.innerHTML = `<option value="">Arrange…</option>` +
+      webLayout.LAYOUTS.map(l => `<option value="${l.key}">${escapeHtml(l.label)}</option>`).join('') +
+      `<option value="undo"${undoable ? '' : ' disabled'}>Undo arrange</option>`;
+    select.value = '';
+  }
+
+  function wireArrange() {
+    const select = document.getElementById('web-arrange');
+    if (!select || select.dataset.wired) return;
+    select.dataset.wired = '1';
+    renderArrangeMenu();
+    select.addEventListener('change', () => {
+      const key = select.value;
+      select.value = '';
+      if (key === 'undo') undoWebEdit();
+      else if (key) arrangeWeb(key);
+    });
+  }
+
+  // ───────────── Web Export ─────────────
+  // File → Export Relationship Web… (or Export… above the canvas): the web
+  // as drawn — node boxes, colors, curved links with their labels — goes to
+  // src/shared/web.export.js as a plain graph and comes back as SVG, DOT or
+  // GraphML text. PNG is that SVG drawn on an offscreen canvas at the chosen
+  // scale. The main process only asks where to save (web:export).
+  const webExport = require('./src/shared/web.export');
+  const PNG_MAX_SIDE = 16384; // Chromium's canvas limit
+  let webExportEl = null;
+  // Remembered for the session so repeated exports keep the same choices
+  const webExportChoice = { format: "svg", scale: 2 };
+
+  // The current web as { title, nodes, links } in canvas coordinates
+  function buildWebGraph() {
+    const canvas = ensureTimelineCanvas();
+    // link paths come from the drawn handles, so only while the canvas is on screen
+    const drawn = !!canvas && canvas.getClientRects().length > 0;
+    const nodes = [];
+    for (const [id, n] of Object.entries(state.timelineNodes || {})) {
+      const nodeEl = getNodeElement(id);
+      if (!n || !nodeEl) continue;
+      const entry = findEntryByKey(n.entryId) || {};
+      let color = n.color;
+      if (!color) {
+        const m = /rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(getComputedStyle(nodeEl).backgroundColor || "");
+        color = m ? rgbToHex(+m[1], +m[2], +m[3]) : null;
+      }
+      nodes.push({
+        id,
+        code: entry.code || "",
+        title: entry.title || "(Untitled)",
+        kind: entry.type === "lore" ? entry.lore_kind || "" : "",
+        type: entry.type || "",
+        x: parseFloat(nodeEl.style.left) || 0,
+        y: parseFloat(nodeEl.style.top) || 0,
+        w: nodeEl.offsetWidth || 120,
+        h: nodeEl.offsetHeight || 40,
+        color,
       });
-    } catch (e) { /* best-effort */ }
-    // Install wheel zoom and middle-button pan handlers on the canvas (single install)
+    }
+    const links = Object.entries(state.timelineLinks || {}).map(([id, ln]) => {
+      const look = linkLook(ln);
+      let d = null;
+      if (drawn) {
+        const a = getHandlePositionOfNode(ln.fromHandle || ln.fromNode);
+        const b = getHandlePositionOfNode(ln.toHandle || ln.toNode);
+        if (a && b) d = computeLinkD(a, b, ln.cpOffset);
+      }
+      return {
+        id, from: ln.fromNode, to: ln.toNode,
+        label: look.label || "", type: ln.type || "",
+        color: look.color, style: look.style, direction: look.direction, d,
+      };
+    });
+    return { title: (state.timeline && state.timeline.title) || "Relationship web", nodes, links };
+  }
+
+  // SVG text → PNG bytes, drawn offscreen at `scale`
+  function rasterizeSvg(svgText, scale) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([svgText], { type: "image/svg+xml" }));
+      const img = new Image();
+      img.onload = () => {
+        try {
+          const w = Math.ceil(img.naturalWidth * scale);
+          const h = Math.ceil(img.naturalHeight * scale);
+          if (w > PNG_MAX_SIDE || h > PNG_MAX_SIDE) throw new Error("The web is too large for this scale — pick a smaller one.");
+          const c = document.createElement("canvas");
+          c.width = w;
+          c.height = h;
+          const ctx = c.getContext("2d");
+          ctx.scale(scale, scale);
+          ctx.drawImage(img, 0, 0);
+          c.toBlob((blob) => {
+            if (!blob) { reject(new Error("Could not encode the PNG.")); return; }
+            blob.arrayBuffer().then(buf => resolve(new Uint8Array(buf)), reject);
+          }, "image/png");
+        } catch (e) {
+          reject(e);
+        } finally {
+          URL.revokeObjectURL(url);
+        }
+      };
+      img.onerror = () => { URL.revokeObjectURL(url); reject(new Error("Could not draw the web as an image.")); };
+      img.src = url;
+    });
+  }
+
+  function ensureWebExport() {
+    if (webExportEl) return webExportEl;
+    webExportEl = document.createElement("div");
+    webExportEl.id = "web-export";
+    webExportEl.innerHTML = `
+      <div class="card" role="dialog" aria-modal="true" aria-label="Export relationship web">
+        <strong>Export relationship web</strong>
+        <fieldset class="formats"><legend>Format</legend></fieldset>
+        <label class="scale">PNG scale
+          <select id="web-export-scale">${webExport.PNG_SCALES.map(s => `<option value="${s}">${s}×</option>`).join("")}</select>
+        </label>
+        <div class="row">
+          <span class="status" id="web-export-status"></span>
+          <button class="btn" id="web-export-cancel" type="button">Cancel</button>
+          <button class="btn primary" id="web-export-go" type="button">Export…</button>
+        </div>
+      </div>
+    `;
+    const formats = webExportEl.querySelector(".formats");
+    for (const [value, f] of Object.entries(webExport.WEB_EXPORT_FORMATS)) {
+      const row = document.createElement("label");
+      row.innerHTML = `<input type="radio" name="web-export-format" value="${value}" /> ${escapeHtml(f.label)}`;
+      formats.appendChild(row);
+    }
+    document.body.appendChild(webExportEl);
+
+    webExportEl.querySelector("#web-export-cancel").addEventListener("click", hideWebExport);
+    webExportEl.addEventListener("click", (ev) => { if (ev.target === webExportEl) hideWebExport(); });
+    webExportEl.querySelector("#web-export-go").addEventListener("click", runWebExport);
+    webExportEl.querySelectorAll('input[name="web-export-format"]').forEach(r => r.addEventListener("change", syncWebExportScale));
+    return webExportEl;
+  }
+
+  // The scale only applies to PNG
+  function syncWebExportScale() {
+    const fmt = webExportEl.querySelector('input[name="web-export-format"]:checked')?.value;
+    webExportEl.querySelector("#web-export-scale").disabled = fmt !== "png";
+  }
+
+  function showWebExport() {
+    ensureWebExport();
+    webExportEl.querySelectorAll('input[name="web-export-format"]').forEach(r => { r.checked = r.value === webExportChoice.format; });
+    webExportEl.querySelector("#web-export-scale").value = String(webExportChoice.scale);
+    syncWebExportScale();
+    webExportEl.querySelector("#web-export-status").textContent = Object.keys(state.timelineNodes || {}).length ? "" : "This web is empty.";
+    webExportEl.querySelector("#web-export-go").disabled = false;
+    webExportEl.style.display = "flex";
+  }
+
+  function hideWebExport() {
+    if (!webExportEl) return;
+    webExportEl.style.display = "none";
+  }
+
+  async function runWebExport() {
+    const status = webExportEl.querySelector("#web-export-status");
+    const go = webExportEl.querySelector("#web-export-go");
+    webExportChoice.format = webExportEl.querySelector('input[name="web-export-format"]:checked')?.value || "svg";
+    webExportChoice.scale = parseInt(webExportEl.querySelector("#web-export-scale").value, 10) || 1;
+    go.disabled = true;
+    status.textContent = "Exporting…";
     try {
-      const canvas = ensureTimelineCanvas();
-      if (canvas && !canvas.dataset.tlPanZoomInstalled) {
-        canvas.dataset.tlPanZoomInstalled = '1';
+      finishArrangeAnimation();
+      const graph = buildWebGraph();
+      let data;
+      if (webExportChoice.format === "dot") data = webExport.webToDot(graph);
+      else if (webExportChoice.format === "graphml") data = webExport.webToGraphML(graph);
+      else {
+        data = webExport.webToSvg(graph);
+        if (webExportChoice.format === "png") data = await rasterizeSvg(data, webExportChoice.scale);
+      }
+      const r = await ipcRenderer.invoke("web:export", { format: webExportChoice.format, name: graph.title, data })
+        .catch(e => ({ ok: false, error: String(e) }));
+      if (!r?.ok) throw new Error(r?.error || "Export failed");
+      if (r.canceled) { status.textContent = ""; return; }
+      dbg(`web export: wrote ${webExportChoice.format} (${graph.nodes.length} nodes, ${graph.links.length} links) → ${r.filePath}`);
+      hideWebExport();
+      alert(`Exported to:\n${r.filePath}`);
+    } catch (err) {
+      dbg(`web export failed: ${err?.message || err}`);
+      status.textContent = err?.message || String(err);
+    } finally {
+      go.disabled = false;
+    }
+  }
 
-        // Wheel: plain wheel -> zoom centered on viewport center; Ctrl+wheel -> zoom at mouse
-        canvas.addEventListener('wheel', (ev) => {
-          try {
-            ev.preventDefault();
-            const rect = canvas.getBoundingClientRect();
-            const centerX = rect.left + rect.width / 2;
-            const centerY = rect.top + rect.height / 2;
-            const delta = ev.deltaY;
-            const factor = delta < 0 ? 1.12 : 1 / 1.12;
-            const cur = state.timelineViewport.scale || 1;
-            const target = cur * factor;
-            if (ev.ctrlKey || ev.metaKey) {
-              setTimelineScale(target, ev.clientX, ev.clientY);
-            } else {
-              setTimelineScale(target, centerX, centerY);
-            }
-          } catch (e) { dbg('timeline wheel error: ' + (e && e.message)); }
-        }, { passive: false });
+  // ───────────── Story Chronology ─────────────
+  // In-world dates on chapters and lore (story_start / story_end and a
+  // story_lane plotline, see src/shared/calendar.js) and the Chronology view
+  // that lays dated entries out on swimlanes — one per plotline or per
+  // character — along the project's story calendar (project.json
+  // `story_calendar`). Every web also saves the calendar and the dates as
+  // settings.chronology, so they reach the database in timelines.settings;
+  // adoptChronology takes them back after a download.
+  const calendarLib = require('./src/shared/calendar');
+  const CHRONO_HEAD_W = 150; // lane name column
+  const CHRONO_ROW_H = 26;   // one stacked bar row
+  const CHRONO_MIN_BAR = 120; // px a bar claims when stacking (room for its title)
+  const STORY_INPUTS = [
+    ['story-start', 'story_start'], ['story-end', 'story_end'], ['story-lane', 'story_lane'],
+    ['lore-story-start', 'story_start'], ['lore-story-end', 'story_end'], ['lore-story-lane', 'story_lane'],
+  ];
+  let storyCalendar = null;
+  let storyCalendarFile = null;
+  let chronoPrefs = null; // { zoom, lanes } from project.json `chronology_view`
+  let chronoPrefsFile = null;
+  let chronoFrom = 0; // day number at the left edge of the bars
+  let chronoRulerFrame = 0;
+  let storyCalendarEl = null;
+
+  function getStoryCalendar() {
+    if (storyCalendar && storyCalendarFile === SAVE_FILE) return storyCalendar;
+    storyCalendarFile = SAVE_FILE;
+    storyCalendar = calendarLib.normalizeCalendar(readProjectJsonKey("story_calendar"));
+    return storyCalendar;
+  }
 
-        // Middle-button panning (pointer events)
-        let panning = false;
-        let panStart = { x: 0, y: 0 };
-        let panOrig = { tx: 0, ty: 0 };
-        canvas.addEventListener('pointerdown', (ev) => {
-          try {
-            if (ev.button !== 1) return; // only middle button
-            ev.preventDefault();
-            canvas.setPointerCapture(ev.pointerId);
-            panning = true;
-            panStart = { x: ev.clientX, y: ev.clientY };
-            panOrig = { tx: state.timelineViewport.tx || 0, ty: state.timelineViewport.ty || 0 };
-          } catch (e) { /* best-effort */ }
-        });
-        canvas.addEventListener('pointermove', (ev) => {
-          try {
-            if (!panning) return;
-            ev.preventDefault();
-            const dx = ev.clientX - panStart.x;
-            const dy = ev.clientY - panStart.y;
-            state.timelineViewport.tx = Math.round(panOrig.tx + dx);
-            state.timelineViewport.ty = Math.round(panOrig.ty + dy);
-            // clamp to container so we can't pan under UI
-            clampTimelinePan();
-            setTimelineTransform();
-          } catch (e) { /* best-effort */ }
-        });
-        canvas.addEventListener('pointerup', (ev) => {
-          try {
-            if (!panning) return;
-            panning = false;
-            try { canvas.releasePointerCapture(ev.pointerId); } catch (__) {}
-          } catch (e) { /* best-effort */ }
-        });
+  function setStoryCalendar(next) {
+    storyCalendar = calendarLib.normalizeCalendar(next);
+    storyCalendarFile = SAVE_FILE;
+    writeProjectJsonKey("story_calendar", storyCalendar);
+  }
+
+  function getChronoPrefs() {
+    if (chronoPrefs && chronoPrefsFile === SAVE_FILE) return chronoPrefs;
+    chronoPrefsFile = SAVE_FILE;
+    const stored = readProjectJsonKey("chronology_view") || {};
+    chronoPrefs = {
+      zoom: calendarLib.ZOOM_LEVELS.some(z => z.key === stored.zoom) ? stored.zoom : 'year',
+      lanes: stored.lanes === 'character' ? 'character' : 'plotline',
+    };
+    return chronoPrefs;
+  }
+
+  function setChronoPrefs(patch) {
+    chronoPrefs = Object.assign({}, getChronoPrefs(), patch);
+    writeProjectJsonKey("chronology_view", chronoPrefs);
+  }
+
+  // Fill the date/plotline inputs of both editors from an entry (null clears)
+  function fillStoryWhen(entry) {
+    const cal = getStoryCalendar();
+    const chapter = !!entry && entry.type === 'chapter';
+    document.getElementById('story-when-wrapper')?.classList.toggle('hidden', !chapter);
+    document.getElementById('story-lane-wrapper')?.classList.toggle('hidden', !chapter);
+    for (const [id, key] of STORY_INPUTS) {
+      const input = document.getElementById(id);
+      if (!input) continue;
+      const v = entry ? entry[key] : null;
+      input.value = key === 'story_lane' ? (v || '') : calendarLib.formatStoryDate(v, cal);
+      input.classList.remove('invalid');
+      input.title = '';
+    }
+    renderStoryLaneOptions();
+  }
+
+  function renderStoryLaneOptions() {
+    const list = document.getElementById('story-lanes');
+    if (!list) return;
+    const lanes = new Set((state.entries || []).map(e => String(e.story_lane || '').trim()).filter(Boolean));
+    list.innerHTML = [...lanes].sort().map(l => `<option value="${escapeHtml(l)}"></option>`).join('');
+  }
+
+  // A date/plotline input changed: store it on the selected entry. Text that
+  // doesn't parse is flagged and leaves the stored date alone.
+  function commitStoryInput(input, key) {
+    const e = findEntryByKey(state.selectedId);
+    if (!e || (e.type !== 'chapter' && e.type !== 'lore')) return;
+    const cal = getStoryCalendar();
+    const text = input.value.trim();
+    let value = key === 'story_lane' ? (text || null) : null;
+    if (key !== 'story_lane' && text) {
+      value = calendarLib.parseStoryDate(text, cal);
+      input.classList.toggle('invalid', !value);
+      input.title = value ? '' : `Not a date in the story calendar — try "1204", "${cal.months[0].name} 1204" or "3 ${cal.months[0].name} 1204"`;
+      if (!value) return;
+      input.value = calendarLib.formatStoryDate(value, cal);
+    }
+    if (JSON.stringify(e[key] || null) === JSON.stringify(value)) return;
+    e[key] = value;
+    dbg(`chronology: ${entryKey(e)} ${key} = ${JSON.stringify(value)}`);
+    touchSave();
+    if (key === 'story_lane') renderStoryLaneOptions();
+    if (chronologyVisible()) renderChronology();
+  }
+
+  function isCharacter(e) {
+    return !!e && e.type === 'lore' && /^(character|person|people)/.test(loreKindsLib.kindKey(e.lore_kind));
+  }
+
+  // Swimlanes an entry sits on → [lane name]. Character lanes come from the
+  // characters a chapter mentions, a lore entry's link fields, or the
+  // character itself.
+  function chronoLanesOf(e, mode) {
+    if (mode !== 'character') return [String(e.story_lane || '').trim() || 'Unassigned'];
+    const keys = new Set();
+    if (isCharacter(e)) keys.add(entryKey(e));
+    for (const k of Object.values(e.lore_links || {})) keys.add(k);
+    for (const f of Array.isArray(e.fields) ? e.fields : []) if (f && f.type === 'link' && f.value) keys.add(f.value);
+    const names = [...keys].map(k => findEntryByKey(k)).filter(isCharacter).map(c => c.title || 'Untitled');
+    return names.length ? [...new Set(names)] : ['No character'];
+  }
+
+  function chronologyVisible() {
+    const box = document.getElementById('chronology');
+    return !!box && !box.classList.contains('hidden');
+  }
+
+  function renderChronology() {
+    if (!chronologyVisible()) return;
+    const cal = getStoryCalendar();
+    const prefs = getChronoPrefs();
+    const scale = calendarLib.pxPerDay(prefs.zoom, cal);
+    const zoomSel = document.getElementById('chrono-zoom');
+    if (zoomSel && !zoomSel.options.length) {
+      zoomSel.innerHTML = calendarLib.ZOOM_LEVELS.map(z => `<option value="${z.key}">${z.label}</option>`).join('');
+    }
+    if (zoomSel) zoomSel.value = prefs.zoom;
+    const lanesSel = document.getElementById('chrono-lanes');
+    if (lanesSel) lanesSel.value = prefs.lanes;
+
+    const dated = [];
+    let undated = 0;
+    for (const e of state.entries || []) {
+      if (e.type !== 'chapter' && e.type !== 'lore') continue;
+      const span = calendarLib.entrySpan(e, cal);
+      if (span) dated.push({ e, span });
+      else if (e.type === 'chapter') undated++;
+    }
+    const undatedEl = document.getElementById('chrono-undated');
+    if (undatedEl) undatedEl.textContent = undated ? `${undated} chapter${undated === 1 ? '' : 's'} without a date` : '';
+
+    // leave half a screen of room on both sides of the dated range
+    const scroller = document.getElementById('chrono-scroll');
+    const pad = Math.ceil(((scroller && scroller.clientWidth) || 800) / 2 / scale);
+    const first = dated.length ? Math.min(...dated.map(d => d.span[0])) : calendarLib.daysInYear(cal);
+    const last = dated.length ? Math.max(...dated.map(d => d.span[1])) : first + calendarLib.daysInYear(cal);
+    chronoFrom = first - pad;
+    const width = CHRONO_HEAD_W + (last + pad - chronoFrom) * scale;
+
+    const lanes = new Map();
+    for (const d of dated) {
+      for (const name of chronoLanesOf(d.e, prefs.lanes)) {
+        if (!lanes.has(name)) lanes.set(name, []);
+        lanes.get(name).push(d);
       }
-    } catch (e) { dbg('install pan/zoom handlers failed: ' + (e && e.message)); }
+    }
+    const fallback = prefs.lanes === 'character' ? 'No character' : 'Unassigned';
+    const names = [...lanes.keys()].sort((a, b) => (a === fallback) - (b === fallback) || a.localeCompare(b, undefined, { sensitivity: 'base' }));
+
+    const body = document.getElementById('chrono-body');
+    const ruler = document.getElementById('chrono-ruler');
+    if (ruler) ruler.style.width = `${width}px`;
+    if (!body) return;
+    body.style.width = `${width}px`;
+    if (!names.length) {
+      body.innerHTML = `<div class="chrono-empty">No dated chapters or lore yet — give an entry a "When" in the editor to place it here.</div>`;
+      renderChronoRuler();
+      return;
+    }
+    body.innerHTML = names.map(name => {
+      const items = lanes.get(name);
+      const xs = items.map(d => {
+        const x = CHRONO_HEAD_W + (d.span[0] - chronoFrom) * scale;
+        return [x, x + Math.max((d.span[1] - d.span[0] + 1) * scale, CHRONO_MIN_BAR)];
+      });
+      const rows = calendarLib.stackSpans(xs);
+      const height = (Math.max(0, ...rows) + 1) * CHRONO_ROW_H + 8;
+      const bars = items.map((d, i) => {
+        const e = d.e;
+        const color = e.type === 'lore' ? loreKindStyle(e.lore_kind).color : 'var(--accent)';
+        const when = [e.story_start, e.story_end].map(x => calendarLib.formatStoryDate(x, cal)).filter(Boolean).join(' – ');
+        const w = Math.max((d.span[1] - d.span[0] + 1) * scale, 6);
+        return `<button type="button" class="chrono-event ${e.type}" data-key="${escapeHtml(entryKey(e))}"
+          style="left:${xs[i][0]}px; top:${4 + rows[i] * CHRONO_ROW_H}px; --bar-w:${w}px; --kind-color:${color}"
+          title="${escapeHtml(`${e.title || 'Untitled'} — ${when}`)}"><span class="bar"></span><span class="name">${escapeHtml(e.title || 'Untitled')}</span></button>`;
+      }).join('');
+      return `<div class="chrono-lane" style="height:${height}px"><div class="chrono-lane-head" title="${escapeHtml(name)}">${escapeHtml(name)}</div>${bars}</div>`;
+    }).join('');
+    renderChronoRuler();
   }
 
-  // Try immediately (if canvas already present)
-  initTimelineHandlers();
+  // Only the ticks inside the scrolled viewport are drawn (a day-zoom ruler
+  // over centuries would be millions of ticks)
+  function renderChronoRuler() {
+    const ruler = document.getElementById('chrono-ruler');
+    const scroller = document.getElementById('chrono-scroll');
+    if (!ruler || !scroller) return;
+    const cal = getStoryCalendar();
+    const zoom = getChronoPrefs().zoom;
+    const scale = calendarLib.pxPerDay(zoom, cal);
+    const left = Math.max(0, scroller.scrollLeft - CHRONO_HEAD_W);
+    const from = chronoFrom + left / scale;
+    const to = from + scroller.clientWidth / scale;
+    ruler.innerHTML = calendarLib.ticks(Math.floor(from), Math.ceil(to), zoom, cal).map(t =>
+      `<span class="chrono-tick${t.major ? ' major' : ''}" style="left:${CHRONO_HEAD_W + (t.day - chronoFrom) * scale}px">${escapeHtml(t.label)}</span>`
+    ).join('');
+  }
 
-  // Also bind to DOMContentLoaded in case elements are added later
-  document.addEventListener('DOMContentLoaded', initTimelineHandlers);
+  // Scroll so the dated entries (or the first of them) are in view
+  function fitChronology() {
+    const scroller = document.getElementById('chrono-scroll');
+    if (!scroller) return;
+    const lefts = [...document.querySelectorAll('#chrono-body .chrono-event')].map(b => parseFloat(b.style.left) || 0);
+    scroller.scrollLeft = lefts.length ? Math.max(0, Math.min(...lefts) - CHRONO_HEAD_W - 24) : 0;
+    renderChronoRuler();
+  }
 
-  // Fallback attempt after a short delay in case of timing issues
-  setTimeout(initTimelineHandlers, 500);
+  // Zoom around the day in the middle of the viewport
+  function setChronoZoom(zoom) {
+    const scroller = document.getElementById('chrono-scroll');
+    const cal = getStoryCalendar();
+    const before = calendarLib.pxPerDay(getChronoPrefs().zoom, cal);
+    const mid = scroller ? chronoFrom + (scroller.scrollLeft + scroller.clientWidth / 2 - CHRONO_HEAD_W) / before : null;
+    setChronoPrefs({ zoom });
+    renderChronology();
+    if (scroller && mid !== null) {
+      const after = calendarLib.pxPerDay(zoom, cal);
+      scroller.scrollLeft = Math.max(0, CHRONO_HEAD_W + (mid - chronoFrom) * after - scroller.clientWidth / 2);
+      renderChronoRuler();
+    }
+  }
 
-  // Top-level document capture handler as a safety net: handle clicks on
-  // writing tabs even if other binding steps fail or run too late. This is
-  // deliberately installed early and guarded to avoid double-install.
-  try {
-    if (!state._docTabHandlerInstalled) {
-      document.addEventListener('click', (e) => {
-        try {
-          const btn = e.target && e.target.closest ? e.target.closest('.tabs-writing .tab[data-tab], .top-tabs .top-tab[data-tab]') : null;
-          if (!btn) return;
-          const t = btn.dataset.tab;
-          dbg(`docTopLevelTabHandler click -> tab=${t}`);
-          if (!t) return;
-          if (t === state.activeTab) { dbg(`docTopLevelTabHandler -> already active ${t}`); return; }
-          // call switchTab if available
-          try { if (typeof switchTab === 'function') switchTab(t); else dbg('docTopLevelTabHandler: switchTab not defined yet'); } catch (er) { dbg('docTopLevelTabHandler error: ' + (er && er.message)); }
-          // If timeline tab is activated, refresh timeline selector
-          if (t === 'timeline' && typeof updateTimelineSelector === 'function') {
-            dbg('Tab switched to timeline: calling updateTimelineSelector');
-            updateTimelineSelector();
-          }
-        } catch (err) { dbg('docTopLevelTabHandler outer error: ' + (err && err.message)); }
-      }, true);
-      state._docTabHandlerInstalled = true;
-      dbg('docTopLevelTabHandler installed');
+  // What a web saves as settings.chronology (→ timelines.settings)
+  function chronologySettings() {
+    const events = {};
+    for (const e of state.entries || []) {
+      if (!e.code || (e.type !== 'chapter' && e.type !== 'lore')) continue;
+      if (!e.story_start && !e.story_lane) continue;
+      const ev = {};
+      if (e.story_start) ev.start = e.story_start;
+      if (e.story_end) ev.end = e.story_end;
+      if (e.story_lane) ev.lane = e.story_lane;
+      events[e.code] = ev;
     }
-  } catch (e) { dbg('Failed to install docTopLevelTabHandler: ' + (e && e.message)); }
+    return Object.assign({ calendar: getStoryCalendar() }, getChronoPrefs(), { events });
+  }
+
+  // A web downloaded from the database carries settings.chronology: take
+  // its calendar if the project has none and its dates for entries that
+  // have none locally
+  function adoptChronology(settings) {
+    const chrono = settings && settings.chronology;
+    if (!chrono || typeof chrono !== 'object') return;
+    if (chrono.calendar && readProjectJsonKey("story_calendar") === undefined) setStoryCalendar(chrono.calendar);
+    let n = 0;
+    for (const [code, ev] of Object.entries(chrono.events || {})) {
+      const e = (state.entries || []).find(x => x.code === code);
+      if (!e || !ev || e.story_start || e.story_lane) continue;
+      if (ev.start) e.story_start = ev.start;
+      if (ev.end) e.story_end = ev.end;
+      if (ev.lane) e.story_lane = ev.lane;
+      n++;
+    }
+    if (n) {
+      dbg(`chronology: restored dates of ${n} entr${n === 1 ? 'y' : 'ies'} from web settings`);
+      touchSave();
+    }
+  }
+
+  // Calendar dialog: months (name, days) and eras (name, abbreviation,
+  // first year). Every edit is saved to project.json right away; dates are
+  // stored as year/month/day, so they follow renamed months and eras.
+  function ensureStoryCalendar() {
+    if (storyCalendarEl) return storyCalendarEl;
+    storyCalendarEl = document.createElement("div");
+    storyCalendarEl.id = "story-calendar";
+    storyCalendarEl.innerHTML = `
+      <div class="card" role="dialog" aria-modal="true" aria-label="Story calendar">
+        <div class="row">
+          <strong>Story calendar</strong>
+          <span class="meta">Months and eras used for in-world dates</span>
+        </div>
+        <div class="panes">
+          <div>
+            <div class="row"><span class="section">Months</span><span class="spacer"></span><button class="btn" id="sc-add-month" type="button">Add month</button></div>
+            <div class="list" id="sc-months" aria-label="Months"></div>
+          </div>
+          <div>
+            <div class="row"><span class="section">Eras</span><span class="spacer"></span><button class="btn" id="sc-add-era" type="button">Add era</button></div>
+            <div class="list" id="sc-eras" aria-label="Eras"></div>
+            <div class="meta">An era runs from its first year (counted from year 1) until the next era begins. "12 AE" is the 12th year of the era abbreviated AE.</div>
+          </div>
+        </div>
+        <div class="row">
+          <button class="btn" id="sc-reset" type="button" title="Twelve Gregorian months, no eras">Reset</button>
+          <span class="status" id="sc-status"></span>
+          <button class="btn" id="sc-close" type="button">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(storyCalendarEl);
+    storyCalendarEl.querySelector("#sc-close").addEventListener("click", hideStoryCalendar);
+    storyCalendarEl.addEventListener("click", (ev) => { if (ev.target === storyCalendarEl) hideStoryCalendar(); });
+    const commit = (next) => {
+      setStoryCalendar(next);
+      renderStoryCalendar();
+      fillStoryWhen(findEntryByKey(state.selectedId));
+      renderChronology();
+    };
+    const copy = () => JSON.parse(JSON.stringify(getStoryCalendar()));
+    storyCalendarEl.querySelector("#sc-add-month").addEventListener("click", () => {
+      const cal = copy();
+      cal.months.push({ name: `Month ${cal.months.length + 1}`, days: 30 });
+      commit(cal);
+    });
+    storyCalendarEl.querySelector("#sc-add-era").addEventListener("click", () => {
+      const cal = copy();
+      const last = cal.eras[cal.eras.length - 1];
+      cal.eras.push({ name: `Era ${cal.eras.length + 1}`, abbr: '', start: last ? last.start + 1000 : 1 });
+      commit(cal);
+    });
+    storyCalendarEl.querySelector("#sc-reset").addEventListener("click", () => {
+      if (confirm("Reset the story calendar to twelve Gregorian months without eras?")) commit(calendarLib.DEFAULT_CALENDAR);
+    });
+    const onChange = (ev) => {
+      const row = ev.target.closest("[data-index]");
+      if (!row) return;
+      const cal = copy();
+      const list = row.dataset.list === "eras" ? cal.eras : cal.months;
+      const item = list[Number(row.dataset.index)];
+      if (!item || !ev.target.dataset.key) return;
+      item[ev.target.dataset.key] = ev.target.type === "number" ? Number(ev.target.value) : ev.target.value;
+      commit(cal);
+    };
+    const onClick = (ev) => {
+      const row = ev.target.closest("[data-index]");
+      if (!row || !ev.target.closest(".sc-remove")) return;
+      const cal = copy();
+      const list = row.dataset.list === "eras" ? cal.eras : cal.months;
+      list.splice(Number(row.dataset.index), 1);
+      if (!cal.months.length) return;
+      commit(cal);
+    };
+    for (const id of ["#sc-months", "#sc-eras"]) {
+      const list = storyCalendarEl.querySelector(id);
+      list.addEventListener("change", onChange);
+      list.addEventListener("click", onClick);
+    }
+    return storyCalendarEl;
+  }
+
+  function renderStoryCalendar() {
+    if (!storyCalendarEl) return;
+    const cal = getStoryCalendar();
+    storyCalendarEl.querySelector("#sc-months").innerHTML = cal.months.map((m, i) => `
+      <div class="kind-row" data-list="months" data-index="${i}">
+        <span class="meta">${i + 1}.</span>
+        <input type="text" data-key="name" value="${escapeHtml(m.name)}" spellcheck="false" aria-label="Month name" />
+        <input type="number" data-key="days" value="${m.days}" min="1" max="1000" aria-label="Days" />
+        <span class="meta">days</span>
+        <span class="spacer"></span>
+        <button type="button" class="btn sc-remove"${cal.months.length === 1 ? " disabled" : ""}>Remove</button>
+      </div>`).join("");
+    storyCalendarEl.querySelector("#sc-eras").innerHTML = cal.eras.length ? cal.eras.map((e, i) => `
+      <div class="kind-row" data-list="eras" data-index="${i}">
+        <input type="text" data-key="name" value="${escapeHtml(e.name)}" spellcheck="false" aria-label="Era name" />
+        <input type="text" data-key="abbr" class="sc-abbr" value="${escapeHtml(e.abbr)}" spellcheck="false" placeholder="abbr." aria-label="Abbreviation" />
+        <span class="meta">from year</span>
+        <input type="number" data-key="start" value="${e.start}" aria-label="First year" />
+        <span class="spacer"></span>
+        <button type="button" class="btn sc-remove">Remove</button>
+      </div>`).join("") : `<div class="meta">No eras — years are plain numbers.</div>`;
+    storyCalendarEl.querySelector("#sc-status").textContent = `${cal.months.length} months, ${calendarLib.daysInYear(cal)} days a year`;
+  }
+
+  function showStoryCalendar() {
+    ensureStoryCalendar();
+    storyCalendarEl.style.display = "flex";
+    renderStoryCalendar();
+  }
+
+  function hideStoryCalendar() {
+    if (!storyCalendarEl) return;
+    storyCalendarEl.style.display = "none";
+  }
+
+  function wireChronology() {
+    const box = document.getElementById('chronology');
+    if (!box || box.dataset.wired) return;
+    box.dataset.wired = '1';
+    for (const [id, key] of STORY_INPUTS) {
+      const input = document.getElementById(id);
+      input?.addEventListener('change', () => commitStoryInput(input, key));
+      input?.addEventListener('input', () => input.classList.remove('invalid'));
+    }
+    document.getElementById('web-view-chronology')?.addEventListener('click', () => setWebView('chronology'));
+    document.getElementById('chrono-zoom')?.addEventListener('change', (ev) => setChronoZoom(ev.target.value));
+    document.getElementById('chrono-lanes')?.addEventListener('change', (ev) => {
+      setChronoPrefs({ lanes: ev.target.value });
+      renderChronology();
+    });
+    document.getElementById('chrono-fit')?.addEventListener('click', fitChronology);
+    document.getElementById('chrono-calendar')?.addEventListener('click', showStoryCalendar);
+    document.getElementById('chrono-scroll')?.addEventListener('scroll', () => {
+      cancelAnimationFrame(chronoRulerFrame);
+      chronoRulerFrame = requestAnimationFrame(renderChronoRuler);
+    });
+    document.getElementById('chrono-body')?.addEventListener('click', (ev) => {
+      const bar = ev.target.closest('.chrono-event');
+      if (bar) openEntry(findEntryByKey(bar.dataset.key));
+    });
+  }
 
   // ───────────────── Utilities ─────────────────
   const nowISO = () => new Date().toISOString();
@@ -3165,7 +6935,7 @@ function dbg(msg) {
         const files = fs.readdirSync(dir).filter(f => f.endsWith(".json"));
         for (const file of files) {
           try {
-            const entry = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+            const entry = readJsonWithRecovery(path.join(dir, file));
             entry.type = type;
             entries.push(entry);
           } catch (e) {
@@ -3236,22 +7006,411 @@ function dbg(msg) {
       }
 
       #finder .scopes { display:flex; gap:8px; }
+      #finder .save-row { margin-top: 8px; }
+      #finder .save-row[hidden] { display: none; }
+      .saved-filters { display: flex; flex-wrap: wrap; gap: 6px; padding: 8px 12px; border-bottom: 1px solid var(--border); }
+      .saved-filters[hidden] { display: none; }
+      .saved-filter {
+        display: inline-flex; align-items: center; gap: 4px;
+        padding: 2px 4px 2px 10px; border: 1px solid var(--border); border-radius: 999px;
+        font-size: 12px; color: var(--muted); cursor: pointer; user-select: none;
+      }
+      .saved-filter:hover { color: var(--fg); background: var(--card); }
+      .saved-filter.active { color: var(--fg); border-color: var(--accent); background: color-mix(in oklab, var(--accent) 18%, var(--bg)); }
+      .saved-filter .remove { border: 0; background: transparent; color: inherit; cursor: pointer; padding: 0 4px; font-size: 13px; line-height: 1; }
+
+      /* Lore sidebar: kind filter and kind sections */
+      .lore-kind-bar { display: flex; gap: 6px; align-items: center; padding: 8px 12px; border-bottom: 1px solid var(--border); }
+      .lore-kind-bar[hidden] { display: none; }
+      .lore-kind-bar select { flex: 1; min-width: 0; padding: 4px 6px; border: 1px solid var(--border); border-radius: 6px; background: var(--card); color: var(--fg); }
+      .kind-group {
+        --kind-color: var(--muted);
+        display: flex; align-items: center; gap: 6px; padding: 8px 12px 4px;
+        font-size: 12px; font-weight: 600; text-transform: uppercase; letter-spacing: .04em;
+        color: var(--kind-color); cursor: pointer; user-select: none;
+      }
+      .kind-group .caret { width: 10px; color: var(--muted); }
+      .kind-group .count { margin-left: auto; font-weight: 400; color: var(--muted); }
+      .kind-group:hover .label { text-decoration: underline; }
+      .entry .badge.kind-badge { color: var(--kind-color); }
+
+      /* Relationship web: web/matrix toggle and the matrix view */
+      .web-toolbar { position: absolute; top: 8px; right: 8px; z-index: 20; display: flex; gap: 4px; }
+      .web-toolbar .web-select, .web-toolbar .web-rename { max-width: 200px; padding: 3px 6px; border: 1px solid var(--border); border-radius: 6px; background: var(--card); color: var(--fg); font-size: 12px; }
+      .web-toolbar .web-select[hidden] { display: none; }
+      .web-toolbar-sep { width: 1px; margin: 2px 4px; background: var(--border); }
+      .web-toolbar .btn.active { border-color: var(--accent); background: color-mix(in oklab, var(--accent) 18%, var(--bg)); }
+      .web-matrix { position: absolute; inset: 0; z-index: 10; background: var(--bg); overflow: auto; padding: 44px 12px 12px; }
+      .web-matrix.hidden { display: none; }
+      .web-matrix .mx-empty { padding: 24px; color: var(--muted); font-size: 13px; text-align: center; }
+      .mx-table { border-collapse: separate; border-spacing: 0; font-size: 12px; }
+      .mx-table th, .mx-table td { border-right: 1px solid var(--border); border-bottom: 1px solid var(--border); padding: 4px 6px; }
+      .mx-table th { background: var(--card); font-weight: 600; white-space: nowrap; }
+      .mx-table thead th { position: sticky; top: -44px; z-index: 2; vertical-align: bottom; }
+      .mx-table thead th > div { max-width: 120px; overflow: hidden; text-overflow: ellipsis; }
+      .mx-table tbody th { position: sticky; left: -12px; z-index: 1; text-align: left; max-width: 180px; overflow: hidden; text-overflow: ellipsis; }
+      .mx-table .mx-corner { left: -12px; z-index: 3; }
+      .mx-table .mx-icon { margin-right: 4px; }
+      .mx-cell { min-width: 72px; cursor: pointer; vertical-align: top; color: var(--muted); }
+      .mx-cell:hover, .mx-cell.editing { background: color-mix(in oklab, var(--accent) 12%, transparent); }
+      .mx-cell.linked { color: var(--fg); }
+      .mx-cell:empty::after { content: '—'; opacity: .4; }
+      .mx-self { background: repeating-linear-gradient(45deg, transparent 0 4px, var(--border) 4px 5px); }
+      .mx-rel { display: block; white-space: nowrap; }
+      .mx-rel.in { color: var(--muted); }
+      .matrix-cell-editor {
+        position: fixed; z-index: 1000; display: none; flex-direction: column; gap: 6px;
+        width: 340px; padding: 10px; border: 1px solid var(--border); border-radius: 8px;
+        background: var(--card); color: var(--fg); box-shadow: 0 8px 24px rgba(0,0,0,.18); font-size: 12px;
+      }
+      .matrix-cell-editor .row { display: flex; flex-wrap: wrap; gap: 6px; align-items: center; }
+      .matrix-cell-editor .spacer { flex: 1; }
+      .matrix-cell-editor .meta { color: var(--muted); }
+      .matrix-cell-editor .mx-link { display: grid; grid-template-columns: 1fr auto auto; gap: 4px; align-items: center; }
+      .matrix-cell-editor .mx-link .dir { grid-column: 1 / -1; color: var(--muted); }
+      .matrix-cell-editor .mx-type { min-width: 0; padding: 4px 6px; border: 1px solid var(--border); border-radius: 6px; background: var(--bg); color: var(--fg); }
+
+      /* Relationship web: link labels, the link inspector and link types */
+      .timeline-svg text.link-label { font-size: 12px; font-weight: 600; pointer-events: none; paint-order: stroke; stroke: var(--bg); stroke-width: 3px; }
+      .link-inspector { width: 300px; }
+      .link-inspector .li-field { display: grid; grid-template-columns: 72px 1fr auto; gap: 6px; align-items: center; }
+      .link-inspector .li-field > span:first-child { color: var(--muted); }
+      .link-inspector input[type=text], .link-inspector select { min-width: 0; padding: 4px 6px; border: 1px solid var(--border); border-radius: 6px; background: var(--bg); color: var(--fg); }
+      .link-inspector .li-color { width: 36px; height: 24px; padding: 0; border: 0; background: transparent; cursor: pointer; }
+      #link-types .card { width: min(680px, 94vw); display: flex; flex-direction: column; gap: 8px; }
+      #link-types .row { display: flex; gap: 8px; align-items: center; }
+      #link-types .list { max-height: 55vh; overflow: auto; border-top: 1px solid #f3f4f6; }
+      #link-types .kind-row { display: flex; gap: 8px; align-items: center; padding: 4px; }
+      #link-types .kind-row:hover { background: #f9fafb; }
+      #link-types .lt-name { width: 160px; font-weight: 600; padding: 6px 8px; font-size: 13px; border: 1px solid #e5e7eb; border-radius: 8px; outline: none; }
+      #link-types select { padding: 4px; font-size: 13px; border: 1px solid #e5e7eb; border-radius: 8px; }
+      #link-types .lt-color { width: 28px; height: 24px; padding: 0; border: 0; background: transparent; cursor: pointer; }
+      #link-types .spacer { flex: 1 1 auto; }
+      #link-types .meta { font-size: 12px; color: #6b7280; white-space: nowrap; }
+      #link-types .status { font-size: 12px; color: #6b7280; margin-right: auto; }
+
+      /* Relationship web: Arrange menu and pinned nodes */
+      .web-toolbar .web-arrange { padding: 3px 6px; border: 1px solid var(--border); border-radius: 6px; background: var(--card); color: var(--fg); font-size: 12px; }
+      .timeline-node .pin-btn { width: 20px; height: 20px; padding: 0; border: none; border-radius: 999px; background: rgba(255,255,255,0.18); font-size: 11px; line-height: 1; cursor: pointer; opacity: 0; filter: grayscale(1); }
+      .timeline-node:hover .pin-btn, .timeline-node .pin-btn:focus-visible { opacity: .8; }
+      .timeline-node.pinned .pin-btn { opacity: 1; filter: none; background: rgba(255,255,255,0.32); }
+      .timeline-node.pinned { outline: 2px dashed rgba(255,255,255,.7); outline-offset: 2px; }
+
+      /* Story chronology: in-world date inputs, the chronology view, calendar */
+      .story-when { display: flex; align-items: center; gap: 4px; }
+      .story-when .story-date { width: 150px; }
+      .lore-story-when #lore-story-lane { width: 140px; }
+      .story-date.invalid { border-color: #dc2626 !important; background: color-mix(in oklab, #dc2626 8%, var(--bg)); }
+      .chronology { position: absolute; inset: 0; z-index: 10; display: flex; flex-direction: column; background: var(--bg); padding-top: 40px; }
+      .chronology.hidden { display: none; }
+      .chrono-controls { display: flex; align-items: center; gap: 10px; padding: 6px 12px; border-bottom: 1px solid var(--border); font-size: 12px; }
+      .chrono-controls select { margin-left: 4px; padding: 2px 4px; border: 1px solid var(--border); border-radius: 6px; background: var(--card); color: var(--fg); }
+      .chrono-controls .spacer { flex: 1; }
+      .chrono-undated { color: var(--muted); }
+      .chrono-scroll { position: relative; flex: 1; overflow: auto; outline: none; }
+      .chrono-ruler { position: sticky; top: 0; z-index: 3; height: 26px; background: var(--card); border-bottom: 1px solid var(--border); }
+      .chrono-tick { position: absolute; top: 0; bottom: 0; padding: 6px 0 0 4px; border-left: 1px solid var(--border); font-size: 11px; color: var(--muted); white-space: nowrap; }
+      .chrono-tick.major { border-left-color: var(--fg); color: var(--fg); font-weight: 600; }
+      .chrono-lane { position: relative; border-bottom: 1px solid var(--border); }
+      .chrono-lane-head { position: sticky; left: 0; z-index: 2; width: ${CHRONO_HEAD_W - 10}px; height: 100%; padding: 6px 8px; box-sizing: border-box; background: var(--card); border-right: 1px solid var(--border); font-size: 12px; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .chrono-event { position: absolute; height: ${CHRONO_ROW_H - 4}px; display: flex; align-items: center; gap: 4px; padding: 0; border: 0; background: none; color: var(--fg); font-size: 12px; cursor: pointer; white-space: nowrap; }
+      .chrono-event .bar { width: var(--bar-w); min-width: 6px; height: 100%; border-radius: 4px; background: var(--kind-color); opacity: .85; }
+      .chrono-event.lore .bar { opacity: .55; }
+      .chrono-event:hover .name, .chrono-event:focus-visible .name { text-decoration: underline; }
+      .chrono-empty { padding: 24px; color: var(--muted); font-size: 13px; position: sticky; left: 0; width: max-content; }
+      #story-calendar .card { width: min(820px, 94vw); display: flex; flex-direction: column; gap: 8px; }
+      #story-calendar .row { display: flex; gap: 8px; align-items: center; }
+      #story-calendar .panes { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+      #story-calendar .section { font-weight: 600; font-size: 13px; }
+      #story-calendar .list { max-height: 50vh; overflow: auto; border-top: 1px solid #f3f4f6; }
+      #story-calendar .kind-row { display: flex; gap: 6px; align-items: center; padding: 4px; }
+      #story-calendar input { min-width: 0; padding: 4px 6px; font-size: 13px; border: 1px solid #e5e7eb; border-radius: 8px; }
+      #story-calendar input[type=text] { flex: 1; }
+      #story-calendar input[type=number] { width: 72px; }
+      #story-calendar .sc-abbr { flex: 0 0 56px !important; }
+      #story-calendar .spacer { flex: 0 0 auto; }
+      #story-calendar .meta { font-size: 12px; color: #6b7280; }
+      #story-calendar .status { font-size: 12px; color: #6b7280; margin-right: auto; }
+
+      /* Lore editor backlinks ("Mentioned in") */
+      #lore-backlinks { margin-top: 10px; border: 1px solid var(--border); border-radius: 8px; background: var(--card); }
+      #lore-backlinks > summary { padding: 6px 10px; font-size: 12px; font-weight: 600; color: var(--muted); cursor: pointer; user-select: none; }
+      #lore-backlinks .list { max-height: 240px; overflow: auto; border-top: 1px solid var(--border); }
+      #lore-backlinks .empty { padding: 8px 10px; font-size: 12px; color: var(--muted); }
+      #lore-backlinks .entry { padding: 6px 10px; border-bottom: 1px solid var(--border); }
+      #lore-backlinks .entry:last-child { border-bottom: 0; }
+      #lore-backlinks .head { display: flex; gap: 8px; align-items: center; cursor: pointer; font-size: 13px; }
+      #lore-backlinks .head .title { font-weight: 600; flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      #lore-backlinks .head .meta { font-size: 11px; color: var(--muted); }
+      #lore-backlinks .hit { display: flex; gap: 6px; align-items: baseline; padding: 3px 0 3px 12px; font-size: 12px; line-height: 1.45; cursor: pointer; border-radius: 4px; }
+      #lore-backlinks .hit:hover, #lore-backlinks .head:hover { background: color-mix(in oklab, var(--accent) 10%, transparent); }
+      #lore-backlinks .kind { flex: none; font-size: 10px; text-transform: uppercase; letter-spacing: .04em; color: var(--muted); min-width: 34px; }
+      #lore-backlinks .kind.link { color: var(--accent); }
+      #lore-backlinks mark { background: #fef08a; color: inherit; border-radius: 2px; }
+      #lore-backlinks .more { padding: 2px 0 2px 12px; font-size: 11px; color: var(--muted); }
       #finder .scope { font-size:12px; color:#6b7280; }
       #finder .list { margin-top: 8px; max-height: 50vh; overflow:auto; border-top:1px solid #f3f4f6; }
       #finder .item {
         padding: 10px 12px; display:flex; justify-content:space-between; align-items:center;
+        flex-wrap: wrap; cursor: pointer;
+      }
+      #finder .snippet {
+        flex-basis: 100%; margin-top: 4px;
+        font-size: 12px; line-height: 1.45; color: #374151;
+        overflow: hidden; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical;
+      }
+      #finder .snippet .field { color: #6b7280; margin-right: 6px; text-transform: uppercase; font-size: 10px; letter-spacing: .04em; }
+      #finder .snippet mark { background: #fef08a; color: inherit; border-radius: 2px; }
+
+      #finder .item:hover { background:#f9fafb; }
+      #finder .left { display:flex; gap:8px; align-items:center; }
+      #finder .badge {
+        font-size: 11px; color:#2563eb; border:1px solid #dbeafe; background:#eff6ff;
+        padding:2px 6px; border-radius:999px;
+      }
+
+      #finder .title { font-weight:600; }
+      #finder .meta { font-size:12px; color:#6b7280; }
+
+      /* History + Export + Import + Replace modals */
+      #history, #export-dialog, #import-dialog, #replace-dialog, #tag-manager, #lore-templates, #lore-kinds, #link-types, #story-calendar, #web-export {
+        position: fixed; inset: 0; z-index: 99997;
+        display: none; align-items: flex-start; justify-content: center;
+        background: rgba(17,24,39,.55);
+      }
+      #history .card, #export-dialog .card, #import-dialog .card, #replace-dialog .card, #tag-manager .card, #lore-templates .card, #lore-kinds .card, #link-types .card, #story-calendar .card, #web-export .card {
+        margin-top: 8vh;
+        width: min(1000px, 94vw);
+        background: #fff; color: #111827;
+        border: 1px solid #e5e7eb; border-radius: 12px;
+        box-shadow: 0 24px 80px rgba(0,0,0,.30);
+        padding: 12px;
+        font-family: Inter, system-ui, sans-serif;
+      }
+      #history .row { display: flex; gap: 8px; align-items: center; }
+      #history .spacer { flex: 1 1 auto; }
+      #history .scope { font-size:12px; color:#6b7280; }
+      #history .panes { display: grid; grid-template-columns: 280px 1fr; gap: 8px; margin-top: 8px; }
+      #history .list { max-height: 60vh; overflow:auto; border-top:1px solid #f3f4f6; }
+      #history .item {
+        padding: 8px 10px; display:flex; justify-content:space-between; align-items:center; gap: 8px;
         cursor: pointer;
       }
-
-      #finder .item:hover { background:#f9fafb; }
-      #finder .left { display:flex; gap:8px; align-items:center; }
-      #finder .badge {
+      #history .item:hover { background:#f9fafb; }
+      #history .item.selected { background:#eff6ff; }
+      #history .left { display:flex; gap:8px; align-items:center; min-width: 0; }
+      #history .badge {
+        font-size: 11px; color:#2563eb; border:1px solid #dbeafe; background:#eff6ff;
+        padding:2px 6px; border-radius:999px; white-space: nowrap;
+      }
+      #history .title { font-weight:600; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+      #history .meta { font-size:12px; color:#6b7280; display:flex; gap:8px; align-items:center; white-space: nowrap; }
+      #history .item.status-removed .title { color:#b91c1c; }
+      #history .item.status-added .title { color:#15803d; }
+      #export-dialog .card { width: min(480px, 92vw); }
+      #export-dialog fieldset { border: 1px solid #e5e7eb; border-radius: 8px; margin: 8px 0; padding: 8px 12px; }
+      #export-dialog legend { font-size: 12px; color: #6b7280; padding: 0 4px; }
+      #export-dialog label { display: flex; gap: 6px; align-items: center; font-size: 13px; padding: 2px 0; }
+      #export-dialog .row { display: flex; gap: 8px; align-items: center; justify-content: flex-end; }
+      #export-dialog .status { font-size: 12px; color: #6b7280; margin-right: auto; }
+      #web-export .card { width: min(420px, 92vw); }
+      #web-export fieldset { border: 1px solid #e5e7eb; border-radius: 8px; margin: 8px 0; padding: 8px 12px; }
+      #web-export legend { font-size: 12px; color: #6b7280; padding: 0 4px; }
+      #web-export label { display: flex; gap: 6px; align-items: center; font-size: 13px; padding: 2px 0; }
+      #web-export label.scale { margin: 4px 0 8px; }
+      #web-export .row { display: flex; gap: 8px; align-items: center; justify-content: flex-end; }
+      #web-export .status { font-size: 12px; color: #6b7280; margin-right: auto; }
+      #import-dialog .card { width: min(640px, 94vw); }
+      #import-dialog .file { font-size: 12px; color: #6b7280; margin-top: 4px; }
+      #import-dialog fieldset { border: 1px solid #e5e7eb; border-radius: 8px; margin: 8px 0; padding: 8px 12px; }
+      #import-dialog legend { font-size: 12px; color: #6b7280; padding: 0 4px; }
+      #import-dialog label { display: flex; gap: 6px; align-items: center; font-size: 13px; padding: 2px 0; }
+      #import-dialog #import-separator { flex: 1 1 auto; font-family: ui-monospace, monospace; }
+      #import-dialog .preview { max-height: 45vh; overflow: auto; margin: 8px 0; padding-left: 28px; border-top: 1px solid #f3f4f6; }
+      #import-dialog .preview li { padding: 4px 0; font-size: 13px; }
+      #import-dialog .preview .title { font-weight: 600; }
+      #import-dialog .preview .meta { font-size: 12px; color: #6b7280; margin-left: 6px; }
+      #import-dialog .preview .snippet { font-size: 12px; color: #6b7280; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      #import-dialog .row { display: flex; gap: 8px; align-items: center; justify-content: flex-end; }
+      #import-dialog .status { font-size: 12px; color: #6b7280; margin-right: auto; }
+      #replace-dialog .card { width: min(820px, 94vw); display: flex; flex-direction: column; gap: 8px; }
+      #replace-dialog .row { display: flex; gap: 8px; align-items: center; }
+      #replace-dialog input[type="text"] {
+        flex: 1; padding: 8px 10px; font-size: 14px;
+        border: 1px solid #e5e7eb; border-radius: 8px; outline: none;
+      }
+      #replace-dialog .opt, #replace-dialog .scope { font-size: 12px; color: #6b7280; display: flex; gap: 4px; align-items: center; white-space: nowrap; }
+      #replace-dialog .opt { font-family: ui-monospace, monospace; }
+      #replace-dialog .scopes { display: flex; gap: 8px; }
+      #replace-dialog .list { max-height: 50vh; overflow: auto; border-top: 1px solid #f3f4f6; }
+      #replace-dialog .entry { display: flex; gap: 8px; align-items: center; padding: 8px 4px 4px; position: sticky; top: 0; background: #fff; }
+      #replace-dialog .entry .badge {
         font-size: 11px; color:#2563eb; border:1px solid #dbeafe; background:#eff6ff;
         padding:2px 6px; border-radius:999px;
       }
-
-      #finder .title { font-weight:600; }
-      #finder .meta { font-size:12px; color:#6b7280; }
+      #replace-dialog .entry .title { font-weight: 600; }
+      #replace-dialog .occ { display: flex; gap: 8px; align-items: baseline; padding: 3px 4px 3px 24px; font-size: 12px; cursor: pointer; }
+      #replace-dialog .occ:hover { background: #f9fafb; }
+      #replace-dialog .occ .field { color: #6b7280; min-width: 70px; font-size: 11px; }
+      #replace-dialog .occ .ctx { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: #374151; }
+      #replace-dialog del { background: #fee2e2; color: #991b1b; }
+      #replace-dialog ins { background: #dcfce7; color: #166534; text-decoration: none; }
+      #replace-dialog .meta { font-size: 12px; color: #6b7280; padding: 6px 4px; }
+      #replace-dialog .status { font-size: 12px; color: #6b7280; margin-right: auto; }
+      #tag-manager .card { width: min(720px, 94vw); display: flex; flex-direction: column; gap: 8px; }
+      #tag-manager .row { display: flex; gap: 8px; align-items: center; }
+      #tag-manager #tag-filter { flex: 1; }
+      #tag-manager input[type="text"] { padding: 6px 8px; font-size: 13px; border: 1px solid #e5e7eb; border-radius: 8px; outline: none; }
+      #tag-manager .list { max-height: 55vh; overflow: auto; border-top: 1px solid #f3f4f6; }
+      #tag-manager .tag-row { display: flex; gap: 8px; align-items: center; padding: 4px; }
+      #tag-manager .tag-row:hover { background: #f9fafb; }
+      #tag-manager .tag-row .tag-name { width: 180px; font-weight: 600; }
+      #tag-manager .tag-color { width: 28px; height: 24px; padding: 0; border: 0; background: transparent; cursor: pointer; }
+      #tag-manager .tag-color[data-unset] { opacity: .35; }
+      #tag-manager .spacer { flex: 1 1 auto; }
+      #tag-manager .meta { font-size: 12px; color: #6b7280; white-space: nowrap; }
+      #tag-manager .tag-similar { font-size: 11px; color: #b45309; background: #fffbeb; border: 1px solid #fde68a; border-radius: 999px; padding: 1px 8px; cursor: pointer; }
+      #tag-manager .status { font-size: 12px; color: #6b7280; margin-right: auto; }
+      #lore-templates .card { width: min(760px, 94vw); display: flex; flex-direction: column; gap: 8px; }
+      #lore-templates .row { display: flex; gap: 8px; align-items: center; }
+      #lore-templates .spacer { flex: 1 1 auto; }
+      #lore-templates .meta { font-size: 12px; color: #6b7280; }
+      #lore-templates .panes { display: grid; grid-template-columns: 220px 1fr; gap: 8px; }
+      #lore-templates .kinds, #lore-templates .fields { display: flex; flex-direction: column; gap: 8px; min-width: 0; }
+      #lore-templates .list { height: 45vh; overflow: auto; border: 1px solid #f3f4f6; border-radius: 8px; padding: 4px; }
+      #lore-templates .kind { display: flex; justify-content: space-between; padding: 6px 8px; border-radius: 6px; cursor: pointer; }
+      #lore-templates .kind:hover { background: #f9fafb; }
+      #lore-templates .kind.active { background: #eff6ff; color: #1d4ed8; font-weight: 600; }
+      #lore-templates .lt-field { display: flex; gap: 6px; align-items: center; padding: 3px 0; }
+      #lore-templates .lt-name { flex: 1; }
+      #lore-templates input[type="text"], #lore-templates select { padding: 5px 8px; font-size: 13px; border: 1px solid #e5e7eb; border-radius: 8px; outline: none; min-width: 0; }
+      #lore-templates .kinds input[type="text"] { flex: 1; }
+      #lore-templates .empty { font-size: 12px; color: #6b7280; padding: 8px; }
+      #lore-kinds .card { width: min(640px, 94vw); display: flex; flex-direction: column; gap: 8px; }
+      #lore-kinds .row { display: flex; gap: 8px; align-items: center; }
+      #lore-kinds .list { max-height: 55vh; overflow: auto; border-top: 1px solid #f3f4f6; }
+      #lore-kinds .kind-row { display: flex; gap: 8px; align-items: center; padding: 4px; }
+      #lore-kinds .kind-row:hover { background: #f9fafb; }
+      #lore-kinds .kind-name { width: 200px; font-weight: 600; padding: 6px 8px; font-size: 13px; border: 1px solid #e5e7eb; border-radius: 8px; outline: none; }
+      #lore-kinds .kind-icon { padding: 4px; font-size: 14px; border: 1px solid #e5e7eb; border-radius: 8px; }
+      #lore-kinds .kind-color { width: 28px; height: 24px; padding: 0; border: 0; background: transparent; cursor: pointer; }
+      #lore-kinds .kind-color[data-unset] { opacity: .35; }
+      #lore-kinds .spacer { flex: 1 1 auto; }
+      #lore-kinds .meta { font-size: 12px; color: #6b7280; white-space: nowrap; }
+      #lore-kinds .status { font-size: 12px; color: #6b7280; margin-right: auto; }
+      .tag-chips { display: inline-flex; gap: 4px; flex-wrap: nowrap; overflow: hidden; margin-right: 6px; }
+      .tag-chip {
+        --tag-color: #9ca3af;
+        font-size: 11px; line-height: 16px; padding: 0 6px; border-radius: 999px; white-space: nowrap;
+        color: var(--tag-color); border: 1px solid var(--tag-color);
+        background: color-mix(in oklab, var(--tag-color) 14%, transparent);
+      }
+      .tag-chip.more { --tag-color: #9ca3af; }
+      .tag-suggest {
+        position: fixed; z-index: 99999; display: none;
+        background: #fff; color: #111827; border: 1px solid #e5e7eb; border-radius: 8px;
+        box-shadow: 0 8px 24px rgba(0,0,0,.18); padding: 4px 0; font: 13px Inter, system-ui, sans-serif;
+      }
+      .tag-suggest .opt { display: flex; justify-content: space-between; gap: 12px; align-items: center; padding: 4px 10px; cursor: pointer; }
+      .tag-suggest .opt.active, .tag-suggest .opt:hover { background: #eff6ff; }
+      .tag-suggest .meta { font-size: 11px; color: #6b7280; }
+
+      /* Revision drawer (editor history) */
+      #rev-drawer {
+        position: fixed; top: 0; right: 0; bottom: 0; z-index: 99990;
+        width: min(760px, 70vw);
+        display: none; flex-direction: column; gap: 8px;
+        background: #fff; color: #111827;
+        border-left: 1px solid #e5e7eb;
+        box-shadow: -12px 0 40px rgba(0,0,0,.18);
+        padding: 12px;
+        font-family: Inter, system-ui, sans-serif;
+      }
+      #rev-drawer.open { display: flex; }
+      #rev-drawer .rev-head, #rev-drawer .rev-controls, #rev-drawer .rev-col-head { display:flex; gap:8px; align-items:center; }
+      #rev-drawer .rev-controls label { font-size:12px; color:#6b7280; display:flex; gap:4px; align-items:center; }
+      #rev-drawer .rev-col-head { justify-content: space-between; margin-bottom: 4px; }
+      #rev-drawer .spacer { flex: 1 1 auto; }
+      #rev-drawer .meta { font-size:12px; color:#6b7280; }
+      #rev-drawer .rev-cols { flex: 1 1 auto; min-height: 0; display:grid; grid-template-columns: 1fr 1fr; gap: 8px; }
+      #rev-drawer .rev-col { display:flex; flex-direction:column; min-height:0; }
+      #rev-drawer .rev-text {
+        flex: 1 1 auto; overflow:auto; white-space: pre-wrap; word-wrap: break-word;
+        border: 1px solid #e5e7eb; border-radius: 8px; padding: 8px; font-size: 13px; line-height: 1.5;
+      }
+      #rev-drawer .del { background:#fee2e2; color:#991b1b; text-decoration: line-through; }
+      #rev-drawer .ins { background:#dcfce7; color:#166534; }
+
+      /* Markdown editing (story + lore body) */
+      .md-toolbar { display:flex; gap:4px; align-items:center; margin: 2px 0 6px; }
+      .md-toolbar .md-btn {
+        min-width: 28px; height: 26px; padding: 0 8px; font-size: 13px;
+        border: 1px solid var(--border, #e5e7eb); border-radius: 6px; background: var(--card, #fff); color: inherit; cursor: pointer;
+      }
+      .md-toolbar .md-btn:hover { background: rgba(99,102,241,.08); }
+      .md-toolbar .md-btn.active { background: #eef2ff; border-color: #c7d2fe; color: #3730a3; }
+      .md-toolbar .md-spacer { flex: 1 1 auto; }
+      .md-toolbar .md-modes { display:flex; gap:0; }
+      .md-toolbar .md-modes .md-btn { border-radius: 0; margin-left: -1px; }
+      .md-toolbar .md-modes .md-btn:first-child { border-radius: 6px 0 0 6px; }
+      .md-toolbar .md-modes .md-btn:last-child { border-radius: 0 6px 6px 0; }
+      .md-wrap { flex: 1; display:flex; gap: 8px; min-height: 260px; }
+      .md-wrap > textarea { flex: 1 1 0; min-width: 0; }
+      .md-preview {
+        flex: 1 1 0; min-width: 0; display: none; overflow: auto;
+        padding: 12px 16px; border: 1px solid var(--border, #e5e7eb); border-radius: var(--radius, 8px);
+        background: var(--card, #fff); box-shadow: var(--shadow-1, none);
+        font-family: Georgia, "Times New Roman", serif; font-size: 15px; line-height: 1.7;
+      }
+      .md-preview p { margin: 0 0 .8em; }
+      .md-preview h1, .md-preview h2, .md-preview h3 { margin: .6em 0 .4em; }
+      .md-preview blockquote { margin: .8em 1.5em; font-style: italic; opacity: .85; }
+      .md-preview hr.scene-break { border: 0; text-align: center; margin: 1.2em 0; }
+      .md-preview hr.scene-break::after { content: "* * *"; letter-spacing: .3em; }
+      .md-preview a.mention { color: #2563eb; text-decoration: underline dotted; text-underline-offset: 2px; cursor: pointer; }
+      .md-preview a.mention.unresolved { color: #b45309; cursor: help; }
+      .md-wrap[data-mode="split"] .md-preview,
+      .md-wrap[data-mode="preview"] .md-preview { display: block; }
+      .md-wrap[data-mode="preview"] > textarea { display: none; }
+
+      /* Focus mode: only the chapter body, centered */
+      body.focus-mode .topbar,
+      body.focus-mode .sidebar,
+      body.focus-mode .editor .editor-header,
+      body.focus-mode .editor #synopsis-label,
+      body.focus-mode .editor #synopsis,
+      body.focus-mode .editor #body-label,
+      body.focus-mode .editor .md-toolbar,
+      body.focus-mode .editor .bottom-bar,
+      body.focus-mode .editor .md-preview { display: none !important; }
+      body.focus-mode .main { grid-template-columns: 1fr; }
+      body.focus-mode .editor { padding: 24px 16px 64px; }
+      body.focus-mode .editor .md-wrap { position: relative; width: min(var(--focus-width, 72ch), 100%); margin: 0 auto; }
+      body.focus-mode .editor .md-wrap > #body {
+        display: block !important; resize: none; border: 0; box-shadow: none; background: transparent;
+        font-family: Georgia, "Times New Roman", serif; font-size: 18px; line-height: 1.8;
+        position: relative; z-index: 1;
+      }
+      body.focus-mode.focus-typewriter .editor .md-wrap > #body { padding-top: 40vh; padding-bottom: 40vh; }
+      #focus-mirror {
+        position: absolute; z-index: 0; overflow: hidden; pointer-events: none;
+        white-space: pre-wrap; overflow-wrap: break-word; visibility: hidden; color: var(--fg);
+      }
+      body.focus-mode.focus-dim #focus-mirror { visibility: visible; }
+      body.focus-mode.focus-dim .editor .md-wrap > #body { color: transparent; caret-color: var(--fg); }
+      #focus-mirror .fm-line { opacity: .28; transition: opacity .15s; }
+      #focus-mirror .fm-line.current { opacity: 1; }
+      #focus-hud {
+        position: fixed; left: 50%; bottom: 14px; transform: translateX(-50%); z-index: 9990;
+        display: none; gap: 12px; align-items: center;
+        padding: 6px 12px; border-radius: 999px; font: 12px Inter, system-ui, sans-serif;
+        background: rgba(17,24,39,.78); color: #f9fafb; opacity: .35; transition: opacity .2s;
+      }
+      #focus-hud:hover { opacity: 1; }
+      body.focus-mode #focus-hud { display: flex; }
+      #focus-hud label { display: flex; gap: 4px; align-items: center; }
+      #focus-hud input[type="range"] { width: 90px; }
+      #focus-hud button { font: inherit; color: inherit; background: transparent; border: 1px solid rgba(255,255,255,.3); border-radius: 999px; padding: 2px 10px; cursor: pointer; }
 
     `;
     document.head.appendChild(style);
@@ -3308,8 +7467,8 @@ function dbg(msg) {
 let savePrefsTimer = null;
 
 function getCurrentUIPrefs() {
-  const { mode, theme, bg, bgOpacity, bgBlur, editorDim } = state.uiPrefs;
-  return { mode, theme, bg, bgOpacity, bgBlur, editorDim };
+  const { mode, theme, bg, bgOpacity, bgBlur, editorDim, editorMode, focusWidth, focusTypewriter, focusDim } = state.uiPrefs;
+  return { mode, theme, bg, bgOpacity, bgBlur, editorDim, editorMode, focusWidth, focusTypewriter, focusDim };
 }
 
 async function loadUIPrefs() {
@@ -3324,7 +7483,12 @@ async function loadUIPrefs() {
       state.uiPrefs.bgOpacity = (typeof u.bgOpacity === "number") ? u.bgOpacity : state.uiPrefs.bgOpacity;
       state.uiPrefs.bgBlur    = (typeof u.bgBlur    === "number") ? u.bgBlur    : state.uiPrefs.bgBlur;
       state.uiPrefs.editorDim = !!(u.editorDim ?? state.uiPrefs.editorDim);
+      state.uiPrefs.editorMode = u.editorMode || state.uiPrefs.editorMode;
+      state.uiPrefs.focusWidth = (typeof u.focusWidth === "number") ? u.focusWidth : state.uiPrefs.focusWidth;
+      state.uiPrefs.focusTypewriter = !!(u.focusTypewriter ?? state.uiPrefs.focusTypewriter);
+      state.uiPrefs.focusDim = !!(u.focusDim ?? state.uiPrefs.focusDim);
       applyThemeAndBackground();
+      if (typeof applyEditorMode === "function") applyEditorMode();
       dbg("prefs:get -> applied ui_prefs from DB");
     } else {
       dbg("prefs:get -> no ui_prefs in DB; using defaults");
@@ -3567,7 +7731,7 @@ function saveUIPrefsDebounced() {
           const projectFile = path.join(dataDir, 'project.json');
           if (!fs.existsSync(projectFile)) {
             dbg(`[project-create] Writing project.json to ${projectFile}`);
-            fs.writeFileSync(projectFile, JSON.stringify(initialProjectData, null, 2), 'utf8');
+            writeJsonAtomicSync(projectFile, initialProjectData);
             await new Promise(resolve => setTimeout(resolve, 100)); // Small delay after write
           } else {
             dbg(`[project-create] project.json already exists at ${projectFile}`);
@@ -3737,7 +7901,7 @@ function saveUIPrefsDebounced() {
         try {
           const projectFile = path.join(item.dir, 'data', 'project.json');
           if (fs.existsSync(projectFile)) {
-            const data = JSON.parse(fs.readFileSync(projectFile, 'utf8'));
+            const data = readJsonWithRecovery(projectFile);
             displayTitle = data.project?.title || data.project?.name || item.name;
           }
         } catch (e) {
@@ -3776,7 +7940,7 @@ function saveUIPrefsDebounced() {
             let projectData;
             try {
               // Parse project JSON and tolerate missing/empty fields.
-              projectData = JSON.parse(fs.readFileSync(projectFile, 'utf8'));
+              projectData = readJsonWithRecovery(projectFile);
 
               // Ensure minimal shape so downstream code can read safely
               if (!projectData || typeof projectData !== 'object') projectData = {};
@@ -3787,7 +7951,7 @@ function saveUIPrefsDebounced() {
               if (!('selectedGraph' in projectData)) {
                 projectData.selectedGraph = null;
                 // Write back to disk immediately
-                fs.writeFileSync(projectFile, JSON.stringify(projectData, null, 2), 'utf8');
+                writeJsonAtomicSync(projectFile, projectData);
                 dbg('Initialized selectedGraph field in project.json');
               }
               // No migration or strict validation here — the app expects some fields may be empty
@@ -3899,8 +8063,12 @@ function saveUIPrefsDebounced() {
       const path = require('path');
       fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] renderList called, activeTab: ${state.activeTab}, selectedId: ${state.selectedId}, entries: ${state.entries.length}\n`);
     } catch (e) {}
-    const list = visibleEntries();
+    const filtered = applySavedFilter(visibleEntries());
+    const loreTab = state.activeTab === "lore";
+    const list = loreTab ? filterByLoreKind(filtered) : filtered;
     if (el.entryList) el.entryList.innerHTML = "";
+    renderSavedFilters();
+    renderLoreKindBar(filtered);
 
     // Hide the old empty overlay
     if (el.empty) { el.empty.classList.add("hidden"); el.empty.style.display = "none"; }
@@ -3912,7 +8080,7 @@ function saveUIPrefsDebounced() {
     } catch (e) { dbg(`renderList: failed to update sidebar header: ${e?.message || e}`); }
 
   dbg(`renderList — rendering ${list.length} visible entries (activeTab=${state.activeTab} selected=${state.selectedId})`);
-  list.forEach((e, idx) => {
+  const renderItem = (e) => {
     const li = document.createElement("li");
     li.className = "entry" + (entryKey(e) === state.selectedId ? " selected" : "");
     li.dataset.id = e.id;
@@ -3922,7 +8090,13 @@ function saveUIPrefsDebounced() {
     // Badge (show lore_kind for lore entries, otherwise show type)
     const badge = document.createElement("span");
     badge.className = "badge";
-    badge.textContent = e.type === 'lore' ? (e.lore_kind || 'lore') : e.type;
+    badge.textContent = e.type;
+    if (e.type === 'lore') {
+      const kind = loreKindOf(e);
+      const color = loreKindStyle(kind).color;
+      badge.textContent = loreKindText(kind);
+      if (color) { badge.classList.add('kind-badge'); badge.style.setProperty('--kind-color', color); }
+    }
 
     const t = document.createElement("span");
     t.className = "title";
@@ -3937,6 +8111,8 @@ function saveUIPrefsDebounced() {
 
     li.appendChild(badge);
     li.appendChild(t);
+    const chips = tagChipsHtml(e.tags, { onlyColored: true, max: 3 });
+    if (chips) li.insertAdjacentHTML("beforeend", chips);
     li.appendChild(m);
     li.appendChild(spacer);
 
@@ -3997,7 +8173,9 @@ function saveUIPrefsDebounced() {
     });
 
     el.entryList.appendChild(li);
-    });
+  };
+  if (loreTab) renderLoreGroups(list, renderItem);
+  else list.forEach(renderItem);
 
     // If there are no visible entries, and we're in Lore mode, show a helpful
     // empty placeholder with a quick +New button for the current lore subtab.
@@ -4095,7 +8273,7 @@ function saveUIPrefsDebounced() {
       const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
       for (const file of files) {
         try {
-          const candidate = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          const candidate = readJsonWithRecovery(path.join(dir, file));
           if (entryKey(candidate) === targetKey || candidate.id === idOrKey || String(candidate.id) === String(idOrKey)) {
             entryFile = path.join(dir, file);
             entryType = t;
@@ -4108,7 +8286,7 @@ function saveUIPrefsDebounced() {
     }
     if (entryFile) {
       try {
-        fs.unlinkSync(entryFile);
+        unlinkWithBackupSync(entryFile);
         dbg(`deleted ${entryType}: "${deletedTitle}" file=${entryFile}`);
       } catch (e) {
         dbg(`deleteEntry: failed to delete file ${entryFile}: ${e?.message || e}`);
@@ -4171,17 +8349,12 @@ function saveUIPrefsDebounced() {
   if (el.loreTitle) { if ('value' in el.loreTitle) el.loreTitle.value = ""; else el.loreTitle.textContent = ""; }
   if (el.loreKind) { if ('value' in el.loreKind) el.loreKind.value = ""; else el.loreKind.textContent = ""; }
   if (el.loreTags) { if ('value' in el.loreTags) el.loreTags.value = ""; else el.loreTags.textContent = ""; }
+  if (el.loreAliases) el.loreAliases.value = "";
   if (el.loreSummary) { if ('value' in el.loreSummary) el.loreSummary.value = ""; else el.loreSummary.textContent = ""; }
   if (el.loreBody) { if ('value' in el.loreBody) el.loreBody.value = ""; else el.loreBody.textContent = ""; }
-    // Clear custom paired fields
-    if (el.entry1name) { if ('value' in el.entry1name) el.entry1name.value = ""; else el.entry1name.textContent = ""; }
-    if (el.entry1content) { if ('value' in el.entry1content) el.entry1content.value = ""; else el.entry1content.textContent = ""; }
-    if (el.entry2name) { if ('value' in el.entry2name) el.entry2name.value = ""; else el.entry2name.textContent = ""; }
-    if (el.entry2content) { if ('value' in el.entry2content) el.entry2content.value = ""; else el.entry2content.textContent = ""; }
-    if (el.entry3name) { if ('value' in el.entry3name) el.entry3name.value = ""; else el.entry3name.textContent = ""; }
-    if (el.entry3content) { if ('value' in el.entry3content) el.entry3content.value = ""; else el.entry3content.textContent = ""; }
-    if (el.entry4name) { if ('value' in el.entry4name) el.entry4name.value = ""; else el.entry4name.textContent = ""; }
-    if (el.entry4content) { if ('value' in el.entry4content) el.entry4content.value = ""; else el.entry4content.textContent = ""; }
+    // Clear custom fields
+    if (el.loreFields) el.loreFields.innerHTML = "";
+    fillStoryWhen(null);
   }
 
   function selectEntry(idOrKey) {
@@ -4204,7 +8377,7 @@ function saveUIPrefsDebounced() {
       const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
       for (const file of files) {
         try {
-          const candidate = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          const candidate = readJsonWithRecovery(path.join(dir, file));
           if (entryKey(candidate) === idOrKey || candidate.id === idOrKey || String(candidate.id) === String(idOrKey)) {
             candidate.type = type.slice(0, -1); // e.g., 'chapters' -> 'chapter'
             entry = candidate;
@@ -4265,7 +8438,7 @@ function saveUIPrefsDebounced() {
         const path = require('path');
         fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] [populateEditor] Setting status.value to: ${statusValue}\n`);
         if (corrected && entry.__filepath) {
-          fs.writeFileSync(entry.__filepath, JSON.stringify(entry, null, 2), 'utf8');
+          writeJsonAtomicSync(entry.__filepath, entry);
           fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] [populateEditor] Corrected status written to file: ${entry.__filepath}\n`);
         }
       } catch (e) {}
@@ -4362,7 +8535,7 @@ function saveUIPrefsDebounced() {
         const fs = require('fs');
         const path = require('path');
         if (corrected && entry.__filepath) {
-          fs.writeFileSync(entry.__filepath, JSON.stringify(entry, null, 2), 'utf8');
+          writeJsonAtomicSync(entry.__filepath, entry);
           fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] [populateEditor] Corrected note category written to file: ${entry.__filepath}\n`);
         }
       } catch (e) {}
@@ -4403,7 +8576,7 @@ function saveUIPrefsDebounced() {
         const fs = require('fs');
         const path = require('path');
         if (corrected && entry.__filepath) {
-          fs.writeFileSync(entry.__filepath, JSON.stringify(entry, null, 2), 'utf8');
+          writeJsonAtomicSync(entry.__filepath, entry);
           fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] [populateEditor] Corrected reference type written to file: ${entry.__filepath}\n`);
         }
       } catch (e) {}
@@ -4468,6 +8641,7 @@ function saveUIPrefsDebounced() {
     if ('value' in el.loreTags) el.loreTags.value = (entry.tags || []).join(', '); else el.loreTags.textContent = (entry.tags || []).join(', ');
     try { fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] [populateEditor] loreTags now: ${el.loreTags.value || el.loreTags.textContent}\n`); } catch (e) {}
   }
+  if (el.loreAliases) el.loreAliases.value = (Array.isArray(entry.aliases) ? entry.aliases : []).join(', ');
   if (el.loreSummary) {
     try { fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] [populateEditor] Setting loreSummary to: ${entry.summary || ''}\n`); } catch (e) {}
     if ('value' in el.loreSummary) el.loreSummary.value = entry.summary || ''; else el.loreSummary.textContent = entry.summary || '';
@@ -4480,27 +8654,8 @@ function saveUIPrefsDebounced() {
     try { fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] [populateEditor] loreBody now: ${el.loreBody.value || el.loreBody.textContent}\n`); } catch (e) {}
   }
 
-  // Populate custom paired fields if present on the entry (handle both camelCase and snake_case)
-  for (let i = 1; i <= 4; i++) {
-    const nameKey = `entry${i}name`;
-    const nameKeySnake = `entry${i}_name`;
-    const contentKey = `entry${i}content`;
-    const contentKeySnake = `entry${i}_content`;
-    const elName = el[nameKey];
-    const elContent = el[contentKey];
-    const entryNameValue = entry[nameKey] || entry[nameKeySnake] || '';
-    const entryContentValue = entry[contentKey] || entry[contentKeySnake] || '';
-    if (elName) {
-      try { fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] [populateEditor] Setting ${nameKey} to: ${entryNameValue}\n`); } catch (e) {}
-      if ('value' in elName) elName.value = entryNameValue; else elName.textContent = entryNameValue;
-      try { fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] [populateEditor] ${nameKey} now: ${elName.value || elName.textContent}\n`); } catch (e) {}
-    }
-    if (elContent) {
-      try { fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] [populateEditor] Setting ${contentKey} to: ${entryContentValue}\n`); } catch (e) {}
-      if ('value' in elContent) elContent.value = entryContentValue; else elContent.textContent = entryContentValue;
-      try { fs.appendFileSync(path.join(process.cwd(), 'loadDebug.log'), `[${new Date().toISOString()}] [populateEditor] ${contentKey} now: ${elContent.value || elContent.textContent}\n`); } catch (e) {}
-    }
-  }
+  // Custom fields (typed, per lore kind template)
+  renderLoreFields(entry);
 
       // Ensure story editor hidden when lore is active (switchTab handles pane visibility)
       if (el.goalWrap) el.goalWrap.style.display = 'none';
@@ -4510,8 +8665,13 @@ function saveUIPrefsDebounced() {
       if (el.loreKind) el.loreKind.classList.add('hidden');
     }
 
+    // In-world dates and plotline (chapters and lore)
+    fillStoryWhen(entry);
+
     el.saveState && (el.saveState.textContent = "Autosaved");
     updateWordCount();
+    refreshMarkdownPreviews();
+    refreshBacklinks();
   }
 
   // ───────────────── Create ─────────────────
@@ -4528,7 +8688,7 @@ function saveUIPrefsDebounced() {
       const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
       for (const file of files) {
         try {
-          const candidate = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          const candidate = readJsonWithRecovery(path.join(dir, file));
           if (entryKey(candidate) === targetKey || candidate.id === idOrKey || String(candidate.id) === String(idOrKey)) {
             entry = candidate;
             entryFile = path.join(dir, file);
@@ -4541,7 +8701,7 @@ function saveUIPrefsDebounced() {
     }
     if (!entry || !entryFile) return;
     try {
-      fs.unlinkSync(entryFile);
+      unlinkWithBackupSync(entryFile);
       dbg(`deleted ${entryType}: "${entry.title || "(untitled)"}" file=${entryFile}`);
     } catch (e) {
       dbg(`deleteEntry: failed to delete file ${entryFile}: ${e?.message || e}`);
@@ -4859,6 +9019,8 @@ function switchToLore() {
       if (!entry.order_index) entry.order_index = 0;
       return entry;
     });
+    // Before mention links are rebuilt from the editor text
+    pinRenamedLoreLinks();
 
   // Update the currently selected entry
   const cur = findEntryByKey(state.selectedId);
@@ -4869,6 +9031,7 @@ function switchToLore() {
         cur.tags = parseTags(el.tags?.value);
         cur.synopsis = el.synopsis?.value || "";
         cur.body = el.body?.value || "";
+        updateLoreLinks(cur);
         // persist word goal
         if (el.wordGoal) {
           const g = parseInt(el.wordGoal.value, 10);
@@ -4879,6 +9042,7 @@ function switchToLore() {
         cur.category = el.noteCategory?.value?.trim() || "Misc";
         cur.pinned = !!el.notePin?.checked;
         cur.body = el.body?.value || "";
+        updateLoreLinks(cur);
       } else if (cur.type === "reference") {
         cur.tags = parseTags(el.tags?.value);
         cur.reference_type = el.referenceType?.value || "Glossary";
@@ -4893,14 +9057,12 @@ function switchToLore() {
           cur.title = el.loreTitle?.value || cur.title;
           cur.lore_kind = el.loreKind?.value || cur.lore_kind || '';
           cur.tags = parseTags(el.loreTags?.value || '');
+          if (el.loreAliases) cur.aliases = parseTags(el.loreAliases.value);
           cur.summary = el.loreSummary?.value || cur.summary || '';
           cur.body = el.loreBody?.value || cur.body || '';
-          for (let i = 1; i <= 4; i++) {
-            const n = `entry${i}name`;
-            const c = `entry${i}content`;
-            if (el[n]) cur[n] = el[n].value || cur[n] || '';
-            if (el[c]) cur[c] = el[c].value || cur[c] || '';
-          }
+          // Custom fields are edited in place on `cur.fields`; refresh the
+          // entryN mirror of the first four
+          if (Array.isArray(cur.fields)) loreFieldsLib.syncLegacyFields(cur);
         } catch (e) { /* best-effort */ }
       }
       cur.updated_at = nowISO();
@@ -4939,7 +9101,7 @@ function switchToLore() {
         const dir = path.dirname(SAVE_FILE);
         if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
         if (fs.existsSync(SAVE_FILE)) {
-          const data = JSON.parse(fs.readFileSync(SAVE_FILE, 'utf8'));
+          const data = readJsonWithRecovery(SAVE_FILE);
           if (data.chapters && data.notes && data.refs) {
             return {
               chapters: data.chapters,
@@ -5012,7 +9174,7 @@ function switchToLore() {
           entries: [],
           version: 1
         };
-        fs.writeFileSync(SAVE_FILE, JSON.stringify(initialData, null, 2), "utf8");
+        writeJsonAtomicSync(SAVE_FILE, initialData);
         const initDir = path.dirname(SAVE_FILE);
         dbg(`workspace:save — Initialized new project structure at: ${initDir}`);
       }
@@ -5165,11 +9327,15 @@ function switchToLore() {
               'created_at',
               'updated_at',
               'word_goal',
-              'synopsis'
+              'synopsis',
+              'lore_links',
+              'story_start',
+              'story_end',
+              'story_lane'
             ],
-            note: ['id','code','project_id','creator_id','title','content','body','tags','category','pinned','created_at','updated_at'],
+            note: ['id','code','project_id','creator_id','title','content','body','tags','category','pinned','lore_links','created_at','updated_at'],
             reference: ['id','code','project_id','creator_id','title','content','body','tags','reference_type','summary','source_link','created_at','updated_at'],
-            lore: ['id','code','project_id','creator_id','title','content','body','summary','tags','lore_kind','entry1name','entry1content','entry2name','entry2content','entry3name','entry3content','entry4name','entry4content','created_at','updated_at'],
+            lore: ['id','code','project_id','creator_id','title','content','body','summary','tags','aliases','lore_kind','fields','entry1name','entry1content','entry2name','entry2content','entry3name','entry3content','entry4name','entry4content','story_start','story_end','story_lane','created_at','updated_at'],
             relationshipweb: ['id','code','title','created_at','updated_at','description','nodes','links']
           };
 
@@ -5207,6 +9373,10 @@ function switchToLore() {
                 if (view.word_goal !== undefined) out.word_goal = view.word_goal;
                 else if (raw.word_goal !== undefined) out.word_goal = raw.word_goal;
                 else out.word_goal = 0;
+              } else if (k.startsWith('story_')) {
+                // in-world dates/plotline (see Story Chronology); cleared = null = omitted
+                const v = view[k] !== undefined ? view[k] : raw[k];
+                if (v) out[k] = v;
               } else {
                 if (view[k] !== undefined) out[k] = view[k];
                 else if (raw[k] !== undefined) out[k] = raw[k];
@@ -5271,6 +9441,7 @@ function switchToLore() {
             } else if (type === 'note') {
               if (view.category !== undefined) out.category = view.category;
               if (view.pinned !== undefined) out.pinned = !!view.pinned;
+              if (view.lore_links !== undefined) out.lore_links = view.lore_links;
             } else if (type === 'reference') {
               if (view.reference_type !== undefined) out.reference_type = view.reference_type;
               if (view.summary !== undefined) out.summary = view.summary;
@@ -5280,6 +9451,7 @@ function switchToLore() {
             // Lore-specific writable fields
             else if (type === 'lore') {
               if (view.lore_kind !== undefined) out.lore_kind = view.lore_kind;
+              if (view.fields !== undefined) out.fields = view.fields;
               // map up to four custom paired fields
               for (let i = 1; i <= 4; i++) {
                 const n = `entry${i}name`;
@@ -5325,6 +9497,9 @@ function switchToLore() {
             // tags
             loreOut.tags = Array.isArray(view.tags) ? view.tags.slice() : (Array.isArray(raw.tags) ? raw.tags.slice() : []);
 
+            // other names the entry goes by (mentions and backlinks match them)
+            loreOut.aliases = Array.isArray(view.aliases) ? view.aliases.slice() : (Array.isArray(raw.aliases) ? raw.aliases.slice() : []);
+
             // lore_type (legacy key name) prefer view.lore_kind -> raw.lore_kind -> raw.lore_type
             loreOut.lore_type = (view.lore_kind !== undefined) ? view.lore_kind : (raw.lore_kind !== undefined ? raw.lore_kind : (raw.lore_type !== undefined ? raw.lore_type : ''));
 
@@ -5338,6 +9513,16 @@ function switchToLore() {
               loreOut[contentField] = (view[vc] !== undefined) ? view[vc] : (raw[vc] !== undefined ? raw[vc] : (raw[contentField] !== undefined ? raw[contentField] : ''));
             }
 
+            // Typed custom fields (the Field N keys above mirror the first four)
+            if (Array.isArray(view.fields)) loreOut.fields = view.fields.map(f => Object.assign({}, f));
+            else if (Array.isArray(raw.fields)) loreOut.fields = raw.fields;
+
+            // In-world dates and plotline (see Story Chronology)
+            for (const k of ['story_start', 'story_end', 'story_lane']) {
+              const v = view[k] !== undefined ? view[k] : raw[k];
+              if (v) loreOut[k] = v;
+            }
+
             // timestamps
             loreOut.created_at = view.created_at || raw.created_at || nowISO();
             loreOut.updated_at = nowISO();
@@ -5359,7 +9544,8 @@ function switchToLore() {
   const view = entry;
   const rawToWrite = buildSanitizedRawForWrite(view);
         const entryFile = path.join(typeDir, filename);
-        fs.writeFileSync(entryFile, JSON.stringify(rawToWrite, null, 2), "utf8");
+        writeJsonAtomicSync(entryFile, rawToWrite);
+        recordRevision(view, rawToWrite);
         // Log exact file written for debugging of save-back behavior
         try { dbg(`workspace:save — wrote ${type}/${filename} (code=${rawToWrite.code ?? 'n/a'} id=${rawToWrite.id ?? 'n/a'})`); } catch (e) { /* best-effort */ }
       }
@@ -5385,7 +9571,7 @@ function switchToLore() {
       try {
         let existing = {};
         if (fs.existsSync(SAVE_FILE)) {
-          try { existing = JSON.parse(fs.readFileSync(SAVE_FILE, 'utf8')) || {}; } catch (e) { existing = {}; }
+          try { existing = readJsonWithRecovery(SAVE_FILE) || {}; } catch (e) { existing = {}; }
         }
         const merged = Object.assign({}, existing);
         // Only persist a minimal, allowed set of project-level keys to match the example format.
@@ -5415,10 +9601,10 @@ function switchToLore() {
             updated_at: raw.updated_at || view.updated_at || nowISO()
           };
         });
-        fs.writeFileSync(SAVE_FILE, JSON.stringify(merged, null, 2), "utf8");
+        writeJsonAtomicSync(SAVE_FILE, merged);
       } catch (e) {
         // Fallback to writing data directly
-        fs.writeFileSync(SAVE_FILE, JSON.stringify(data, null, 2), "utf8");
+        writeJsonAtomicSync(SAVE_FILE, data);
       }
       
       // Save timeline data
@@ -5435,6 +9621,7 @@ function switchToLore() {
       state.lastSavedAt = Date.now();
       dbg(`workspace:save — Successfully saved all changes to ${SAVE_FILE}`);
       renderList();
+      refreshBacklinks();
     } catch (err) {
       console.error(err);
       el.saveState && (el.saveState.textContent = "Save error");
@@ -5447,6 +9634,8 @@ function switchToLore() {
       dbg("Load skipped: no workspace path"); 
       return; 
     }
+    // the workspace may now hold another project's history files
+    revisionHashes.clear();
     
     try {
       if (!fs.existsSync(SAVE_FILE)) { 
@@ -5462,8 +9651,7 @@ function switchToLore() {
           throw new Error('Project file not found. Please create a new project.');
         }
 
-        const raw = fs.readFileSync(SAVE_FILE, "utf8");
-        data = JSON.parse(raw);
+        data = readJsonWithRecovery(SAVE_FILE);
         
         // Basic format validation
         if (!data || typeof data !== 'object') {
@@ -5487,7 +9675,7 @@ function switchToLore() {
             for (const file of files) {
               try {
                 const entryPath = path.join(typeDir, file);
-                const raw = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+                const raw = readJsonWithRecovery(entryPath);
 
                 // Backwards-compatibility mappings for legacy lore files
                 if (type === 'lore' && raw && typeof raw === 'object') {
@@ -5542,7 +9730,7 @@ function switchToLore() {
                 }
                 if (corrected) {
                   try {
-                    fs.writeFileSync(entryPath, JSON.stringify(raw, null, 2), 'utf8');
+                    writeJsonAtomicSync(entryPath, raw);
                   } catch (e) {
                     dbg(`workspace:load — failed to correct dropdown value in ${entryPath}: ${e.message}`);
                   }
@@ -5577,6 +9765,7 @@ function switchToLore() {
                   if (inferredType === 'lore') {
                     // prefer canonical key names with fallbacks
                     view.lore_kind = raw.lore_kind ?? raw.lore_type ?? raw.loreType ?? '';
+                    view.aliases = Array.isArray(raw.aliases) ? raw.aliases.slice() : [];
                     view.summary = raw.summary ?? raw.synopsis ?? '';
                     // map up to four paired fields
                     for (let i = 1; i <= 4; i++) {
@@ -5585,6 +9774,12 @@ function switchToLore() {
                       view[n] = raw[n] !== undefined ? raw[n] : (raw[`Field ${i} Name`] !== undefined ? raw[`Field ${i} Name`] : '');
                       view[c] = raw[c] !== undefined ? raw[c] : (raw[`Field ${i} Content`] !== undefined ? raw[`Field ${i} Content`] : '');
                     }
+                    // typed custom fields; files written before they existed
+                    // only have the four pairs above. When both exist, edits
+                    // made to the pairs outside the app win over `fields`.
+                    view.fields = loreFieldsLib.readLoreFields(raw);
+                    if (Array.isArray(raw.fields)) loreFieldsLib.adoptLegacyFields(view);
+                    loreFieldsLib.syncLegacyFields(view);
                   }
                 } catch (e) { /* best-effort */ }
 
@@ -5603,6 +9798,15 @@ function switchToLore() {
                   }
                 } catch (e) { /* best-effort */ }
 
+                // Resolved lore mentions (see Lore Mentions) ride along on the view
+                if ((view.type === 'chapter' || view.type === 'note') && raw.lore_links && typeof raw.lore_links === 'object') {
+                  view.lore_links = Object.assign({}, raw.lore_links);
+                }
+                // In-world dates and plotline (see Story Chronology)
+                if (view.type === 'chapter' || view.type === 'lore') {
+                  for (const k of ['story_start', 'story_end', 'story_lane']) if (raw[k]) view[k] = raw[k];
+                }
+
                 entries.push(view);
                 loadStats[type] = (loadStats[type] || 0) + 1;
                 dbg(`workspace:load — read ${type}/${file} (id=${view.id ?? 'n/a'} code=${view.code ?? 'n/a'})`);
@@ -5685,10 +9889,10 @@ function switchToLore() {
         // ensure per-item raw objects do not contain project-level metadata.
         function sanitizeRawForType(obj, type) {
           const allowed = {
-            chapter: ['id','code','project_id','creator_id','title','content','body','status','summary','synopsis','tags','created_at','updated_at','word_goal','order_index'],
-            note: ['id','code','project_id','creator_id','title','content','body','tags','category','pinned','created_at','updated_at','order_index'],
+            chapter: ['id','code','project_id','creator_id','title','content','body','status','summary','synopsis','tags','created_at','updated_at','word_goal','lore_links','story_start','story_end','story_lane','order_index'],
+            note: ['id','code','project_id','creator_id','title','content','body','tags','category','pinned','lore_links','created_at','updated_at','order_index'],
             reference: ['id','code','project_id','creator_id','title','content','body','tags','reference_type','summary','source_link','created_at','updated_at','order_index'],
-            lore: ['id','code','project_id','creator_id','title','content','body','summary','tags','lore_kind','entry1name','entry1content','entry2name','entry2content','entry3name','entry3content','entry4name','entry4content','created_at','updated_at','order_index']
+            lore: ['id','code','project_id','creator_id','title','content','body','summary','tags','aliases','lore_kind','fields','entry1name','entry1content','entry2name','entry2content','entry3name','entry3content','entry4name','entry4content','story_start','story_end','story_lane','created_at','updated_at','order_index']
           };
           const allow = allowed[type] || [];
           const out = {};
@@ -5738,6 +9942,7 @@ function switchToLore() {
 
       state.entries = Array.isArray(data?.entries) ? data.entries : [];
       normalizeOrderIndexes();
+      resetLoreTitles();
 
       const ui = data?.ui || {};
   state.activeTab = ui.activeTab || "chapters";
@@ -5765,8 +9970,8 @@ function switchToLore() {
 
   renderList(); /* Refreshes the sidebar and entry list after project load */
       
-      // Load timeline data
-      loadTimelineData();
+      // Load the relationship webs and show the selected one
+      loadWebs();
       
       // Initialize timeline metadata if it doesn't exist
       if (!state.timeline) {
@@ -5799,6 +10004,613 @@ function switchToLore() {
     }
   }
 
+  // ───────────────── Revision History (per entry) ─────────────────
+  // Every saveToDisk appends a revision of each entry's editable fields to
+  // <workspace>/history/<entryKey>.json (skipped when nothing changed).
+  // Recent revisions are kept as-is; older ones are thinned to one per hour.
+  const REVISION_FIELDS = [
+    'title', 'body', 'synopsis', 'summary', 'tags', 'lore_kind',
+    'entry1name', 'entry1content', 'entry2name', 'entry2content',
+    'entry3name', 'entry3content', 'entry4name', 'entry4content', 'fields',
+  ];
+  const REVISION_FIELD_LABELS = {
+    title: 'Title', body: 'Body', synopsis: 'Synopsis', summary: 'Summary', tags: 'Tags', lore_kind: 'Lore kind',
+    entry1name: 'Field 1 name', entry1content: 'Field 1 content', entry2name: 'Field 2 name', entry2content: 'Field 2 content',
+    entry3name: 'Field 3 name', entry3content: 'Field 3 content', entry4name: 'Field 4 name', entry4content: 'Field 4 content',
+    fields: 'Custom fields',
+  };
+  const REVISION_LIMITS = { keepRecent: 50, thinAfterMs: 60 * 60 * 1000, maxTotal: 300 };
+  // History file → hash of its newest revision's fields, read on first use, so
+  // saving an unchanged entry doesn't read its whole history
+  const revisionHashes = new Map();
+
+  function revisionHash(fields) {
+    return require('crypto').createHash('sha1').update(JSON.stringify(fields)).digest('hex');
+  }
+
+  // history/ never reaches the project directory or its snapshots; the main
+  // process keeps it per project (src/main/revisions.js)
+  function revisionFileFor(key) {
+    if (!WORKSPACE_DIR || !key) return null;
+    const safe = String(key).replace(/[^A-Za-z0-9_-]/g, '_');
+    return path.join(WORKSPACE_DIR, 'history', `${safe}.json`);
+  }
+
+  function readRevisions(key) {
+    const file = revisionFileFor(key);
+    try {
+      if (!file || !fs.existsSync(file)) return [];
+      const obj = readJsonWithRecovery(file);
+      return Array.isArray(obj?.revisions) ? obj.revisions : [];
+    } catch (e) {
+      dbg(`revisions: failed to read ${file}: ${e?.message || e}`);
+      return [];
+    }
+  }
+
+  // Snapshot the revisioned fields of an entry view (falling back to what was written)
+  function revisionFieldsOf(view, written) {
+    const out = {};
+    for (const k of REVISION_FIELDS) {
+      let v = view[k];
+      if (v === undefined && k === 'body') v = written?.content ?? written?.body;
+      if (v === undefined && k === 'lore_kind') v = written?.lore_type;
+      if (v === undefined) v = written?.[k];
+      if (v === undefined) continue;
+      out[k] = Array.isArray(v) ? v.slice() : v;
+    }
+    return out;
+  }
+
+  // Keep the newest `keepRecent` revisions, then at most one per hour beyond that
+  function pruneRevisions(revs) {
+    const recent = revs.slice(-REVISION_LIMITS.keepRecent);
+    const older = revs.slice(0, -REVISION_LIMITS.keepRecent);
+    const thinned = [];
+    let lastKept = -Infinity;
+    for (const r of older) {
+      const t = Date.parse(r.at) || 0;
+      if (t - lastKept >= REVISION_LIMITS.thinAfterMs) { thinned.push(r); lastKept = t; }
+    }
+    return thinned.concat(recent).slice(-REVISION_LIMITS.maxTotal);
+  }
+
+  function recordRevision(view, written) {
+    if (!['chapter', 'note', 'reference', 'lore'].includes(view?.type)) return;
+    try {
+      const key = entryKey(view);
+      const file = revisionFileFor(key);
+      if (!file) return;
+      const fields = revisionFieldsOf(view, written);
+      const hash = revisionHash(fields);
+      let revs = null;
+      if (!revisionHashes.has(file)) {
+        revs = readRevisions(key);
+        const last = revs[revs.length - 1];
+        revisionHashes.set(file, last ? revisionHash(last.fields) : null);
+      }
+      if (revisionHashes.get(file) === hash) return;
+      revs = revs || readRevisions(key);
+      revs.push({ at: nowISO(), fields });
+      ensureDir(file); // creates the parent history/ folder
+      writeJsonAtomicSync(file, { key, type: view.type, revisions: pruneRevisions(revs) });
+      revisionHashes.set(file, hash);
+    } catch (e) {
+      dbg(`revisions: failed to record revision for ${view?.code || view?.id}: ${e?.message || e}`);
+    }
+  }
+
+  // Word-level diff → [{ op: 'eq'|'del'|'ins', text }]. Whitespace runs are
+  // their own tokens so the output reproduces both inputs exactly. Common
+  // prefix/suffix are trimmed first; if the middle is still too large for
+  // the LCS table it is reported as one replaced block.
+  function diffWords(a, b) {
+    const tokenize = (s) => String(s ?? '').match(/\s+|[^\s]+/g) || [];
+    const A = tokenize(a), B = tokenize(b);
+    let pre = 0;
+    while (pre < A.length && pre < B.length && A[pre] === B[pre]) pre++;
+    let suf = 0;
+    while (suf < A.length - pre && suf < B.length - pre && A[A.length - 1 - suf] === B[B.length - 1 - suf]) suf++;
+    const midA = A.slice(pre, A.length - suf), midB = B.slice(pre, B.length - suf);
+    const ops = [];
+    const push = (op, text) => {
+      if (!text) return;
+      const prev = ops[ops.length - 1];
+      if (prev && prev.op === op) prev.text += text; else ops.push({ op, text });
+    };
+    push('eq', A.slice(0, pre).join(''));
+    const n = midA.length, m = midB.length;
+    if (n * m > 4000000) {
+      push('del', midA.join(''));
+      push('ins', midB.join(''));
+    } else {
+      // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+      const lcs = new Uint32Array((n + 1) * (m + 1));
+      for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+          lcs[i * (m + 1) + j] = midA[i] === midB[j]
+            ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+            : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+        }
+      }
+      let i = 0, j = 0;
+      while (i < n && j < m) {
+        if (midA[i] === midB[j]) { push('eq', midA[i]); i++; j++; }
+        else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) { push('del', midA[i]); i++; }
+        else { push('ins', midB[j]); j++; }
+      }
+      while (i < n) push('del', midA[i++]);
+      while (j < m) push('ins', midB[j++]);
+    }
+    push('eq', A.slice(A.length - suf).join(''));
+    return ops;
+  }
+
+  let revDrawer = null;
+  let revDrawerKey = null;
+
+  function revisionText(rev, field) {
+    const v = rev?.fields?.[field];
+    if (field === 'fields' && Array.isArray(v)) {
+      return v.map(f => `${f.name}: ${loreFieldsLib.fieldText(f, linkTargetLabel)}`).join('\n');
+    }
+    if (Array.isArray(v)) return v.join(', ');
+    return v == null ? '' : String(v);
+  }
+
+  function ensureRevisionDrawer() {
+    if (revDrawer) return revDrawer;
+    revDrawer = document.createElement('aside');
+    revDrawer.id = 'rev-drawer';
+    revDrawer.setAttribute('aria-label', 'Revision history');
+    revDrawer.innerHTML = `
+      <div class="rev-head">
+        <strong>Revisions</strong>
+        <span class="rev-entry meta"></span>
+        <span class="spacer"></span>
+        <button class="btn" id="rev-close" type="button">Close</button>
+      </div>
+      <div class="rev-controls">
+        <label>From <select id="rev-from"></select></label>
+        <label>To <select id="rev-to"></select></label>
+        <label>Field <select id="rev-field"></select></label>
+      </div>
+      <div class="rev-cols">
+        <div class="rev-col">
+          <div class="rev-col-head"><span class="meta" id="rev-from-label"></span><button class="btn" id="rev-restore-from" type="button">Restore</button></div>
+          <div class="rev-text" id="rev-left"></div>
+        </div>
+        <div class="rev-col">
+          <div class="rev-col-head"><span class="meta" id="rev-to-label"></span><button class="btn" id="rev-restore-to" type="button">Restore</button></div>
+          <div class="rev-text" id="rev-right"></div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(revDrawer);
+
+    revDrawer.querySelector('#rev-close').addEventListener('click', hideRevisionDrawer);
+    ['#rev-from', '#rev-to', '#rev-field'].forEach(sel =>
+      revDrawer.querySelector(sel).addEventListener('change', () => renderRevisionDiff(sel !== '#rev-field')));
+    revDrawer.querySelector('#rev-restore-from').addEventListener('click', () => restoreRevision(revDrawer.querySelector('#rev-from').value));
+    revDrawer.querySelector('#rev-restore-to').addEventListener('click', () => restoreRevision(revDrawer.querySelector('#rev-to').value));
+    return revDrawer;
+  }
+
+  async function showRevisionDrawer() {
+    const cur = findEntryByKey(state.selectedId);
+    if (!cur) return alert('Select an entry to see its revisions.');
+    // Flush pending edits so the newest revision matches the editor
+    if (state.dirty) { try { await saveToDisk(); } catch (e) { dbg(`revisions: pre-open save failed: ${e?.message || e}`); } }
+    ensureRevisionDrawer();
+    revDrawerKey = entryKey(cur);
+    revDrawer.querySelector('.rev-entry').textContent = cur.title || '(Untitled)';
+    const revs = readRevisions(revDrawerKey);
+    const fromSel = revDrawer.querySelector('#rev-from');
+    const toSel = revDrawer.querySelector('#rev-to');
+    fromSel.innerHTML = '';
+    toSel.innerHTML = '';
+    revs.forEach((r, idx) => {
+      const label = `#${idx + 1} — ${new Date(r.at).toLocaleString()}`;
+      fromSel.appendChild(new Option(label, String(idx)));
+      toSel.appendChild(new Option(label, String(idx)));
+    });
+    fromSel.value = String(Math.max(0, revs.length - 2));
+    toSel.value = String(Math.max(0, revs.length - 1));
+    revDrawer.classList.add('open');
+    renderRevisionDiff(true);
+  }
+
+  function hideRevisionDrawer() {
+    if (!revDrawer) return;
+    revDrawer.classList.remove('open');
+    revDrawerKey = null;
+  }
+
+  // refreshFields: rebuild the field list (only fields that differ, plus body/title)
+  function renderRevisionDiff(refreshFields) {
+    if (!revDrawer || !revDrawerKey) return;
+    const revs = readRevisions(revDrawerKey);
+    const left = revDrawer.querySelector('#rev-left');
+    const right = revDrawer.querySelector('#rev-right');
+    if (!revs.length) {
+      left.textContent = 'No revisions yet — one is recorded on every save.';
+      right.textContent = '';
+      return;
+    }
+    const a = revs[Number(revDrawer.querySelector('#rev-from').value)] || revs[0];
+    const b = revs[Number(revDrawer.querySelector('#rev-to').value)] || revs[revs.length - 1];
+    const fieldSel = revDrawer.querySelector('#rev-field');
+    if (refreshFields) {
+      const prev = fieldSel.value;
+      const present = REVISION_FIELDS.filter(k => (a.fields && k in a.fields) || (b.fields && k in b.fields));
+      const changed = present.filter(k => revisionText(a, k) !== revisionText(b, k));
+      fieldSel.innerHTML = '';
+      for (const k of present) {
+        const label = (REVISION_FIELD_LABELS[k] || k) + (changed.includes(k) ? ' •' : '');
+        fieldSel.appendChild(new Option(label, k));
+      }
+      fieldSel.value = present.includes(prev) ? prev : (changed.includes('body') ? 'body' : (changed[0] || present[0] || 'body'));
+    }
+    const field = fieldSel.value || 'body';
+    revDrawer.querySelector('#rev-from-label').textContent = new Date(a.at).toLocaleString();
+    revDrawer.querySelector('#rev-to-label').textContent = new Date(b.at).toLocaleString();
+
+    left.innerHTML = '';
+    right.innerHTML = '';
+    for (const part of diffWords(revisionText(a, field), revisionText(b, field))) {
+      if (part.op !== 'ins') {
+        const span = document.createElement('span');
+        if (part.op === 'del') span.className = 'del';
+        span.textContent = part.text;
+        left.appendChild(span);
+      }
+      if (part.op !== 'del') {
+        const span = document.createElement('span');
+        if (part.op === 'ins') span.className = 'ins';
+        span.textContent = part.text;
+        right.appendChild(span);
+      }
+    }
+  }
+
+  function restoreRevision(idxStr) {
+    const revs = readRevisions(revDrawerKey);
+    const rev = revs[Number(idxStr)];
+    const cur = findEntryByKey(revDrawerKey);
+    if (!rev || !cur) return;
+    if (!confirm(`Restore "${cur.title || '(Untitled)'}" to the revision from ${new Date(rev.at).toLocaleString()}?`)) return;
+    for (const [k, v] of Object.entries(rev.fields || {})) {
+      cur[k] = Array.isArray(v) ? v.slice() : v;
+    }
+    // Revisions from before typed fields only carry the entryN pairs
+    if (cur.type === "lore") {
+      loreFieldsLib.adoptLegacyFields(cur);
+      loreFieldsLib.syncLegacyFields(cur);
+    }
+    cur.updated_at = nowISO();
+    dbg(`revisions: restored ${revDrawerKey} to revision ${rev.at}`);
+    populateEditor(cur);
+    renderList();
+    touchSave();
+  }
+
+  // ───────────────── Markdown Editing ─────────────────
+  // Formatting toolbar, shortcuts and live preview for the story and lore
+  // body editors. The textarea still holds plain Markdown source (rendered by
+  // src/shared/markdown.js), so saving, DB upload and exports are unchanged.
+  const markdown = require('./src/shared/markdown');
+  const EDITOR_MODES = [["write", "Write"], ["split", "Split"], ["preview", "Preview"]];
+  const markdownEditors = [];   // [{ textarea, wrap, preview, toolbar }]
+
+  function attachMarkdownEditor(textarea) {
+    if (!textarea || markdownEditors.some(m => m.textarea === textarea)) return;
+    const toolbar = document.createElement("div");
+    toolbar.className = "md-toolbar";
+    toolbar.setAttribute("role", "toolbar");
+    toolbar.setAttribute("aria-label", "Formatting");
+    toolbar.innerHTML = `
+      <button type="button" class="md-btn" data-md="bold" title="Bold (Ctrl+B)"><b>B</b></button>
+      <button type="button" class="md-btn" data-md="italic" title="Italic (Ctrl+I)"><i>I</i></button>
+      <button type="button" class="md-btn" data-md="heading" title="Heading (Ctrl+Alt+H)">H</button>
+      <button type="button" class="md-btn" data-md="scene" title="Scene break (Ctrl+Shift+Enter)">⁂</button>
+      <span class="md-spacer"></span>
+      <div class="md-modes">${EDITOR_MODES.map(([v, label]) => `<button type="button" class="md-btn" data-mode="${v}">${label}</button>`).join("")}</div>
+    `;
+    const wrap = document.createElement("div");
+    wrap.className = "md-wrap";
+    const preview = document.createElement("div");
+    preview.className = "md-preview";
+    textarea.parentNode.insertBefore(toolbar, textarea);
+    textarea.parentNode.insertBefore(wrap, textarea);
+    wrap.appendChild(textarea);
+    wrap.appendChild(preview);
+
+    const editor = { textarea, wrap, preview, toolbar };
+    markdownEditors.push(editor);
+
+    // mousedown would steal focus (and the selection) from the textarea
+    toolbar.addEventListener("mousedown", (ev) => { if (ev.target.closest("[data-md]")) ev.preventDefault(); });
+    toolbar.addEventListener("click", (ev) => {
+      const act = ev.target.closest("[data-md]")?.dataset.md;
+      const mode = ev.target.closest("[data-mode]")?.dataset.mode;
+      if (act) applyMarkdownAction(textarea, act);
+      if (mode) setEditorMode(mode);
+    });
+    textarea.addEventListener("keydown", (ev) => {
+      const isMac = navigator.platform.toUpperCase().includes("MAC");
+      if (!(isMac ? ev.metaKey : ev.ctrlKey)) return;
+      let act = null;
+      if (ev.code === "KeyB" && !ev.shiftKey && !ev.altKey) act = "bold";
+      else if (ev.code === "KeyI" && !ev.shiftKey && !ev.altKey) act = "italic";
+      else if (ev.code === "KeyH" && ev.altKey) act = "heading";
+      else if (ev.key === "Enter" && ev.shiftKey) act = "scene";
+      if (!act) return;
+      ev.preventDefault();
+      applyMarkdownAction(textarea, act);
+    });
+    let pending = false;
+    textarea.addEventListener("input", () => {
+      if (pending) return;
+      pending = true;
+      requestAnimationFrame(() => { pending = false; renderMarkdownPreview(editor); });
+    });
+    // Double-click the preview to jump back to editing
+    preview.addEventListener("dblclick", () => {
+      if (wrap.dataset.mode === "preview") setEditorMode("write");
+      textarea.focus();
+    });
+    applyEditorMode();
+  }
+
+  function renderMarkdownPreview(editor) {
+    if (editor.wrap.dataset.mode === "write") return;
+    editor.preview.innerHTML = markdown.renderMarkdown(editor.textarea.value, { mentions: true })
+      || `<p class="muted">Nothing to preview yet.</p>`;
+    decorateMentionLinks(editor.preview);
+  }
+
+  function refreshMarkdownPreviews() {
+    markdownEditors.forEach(renderMarkdownPreview);
+  }
+
+  function applyEditorMode() {
+    const mode = EDITOR_MODES.some(([v]) => v === state.uiPrefs.editorMode) ? state.uiPrefs.editorMode : "write";
+    for (const m of markdownEditors) {
+      m.wrap.dataset.mode = mode;
+      m.toolbar.querySelectorAll("[data-mode]").forEach(b => b.classList.toggle("active", b.dataset.mode === mode));
+      // Formatting needs the source visible
+      m.toolbar.querySelectorAll("[data-md]").forEach(b => { b.disabled = mode === "preview"; });
+    }
+    refreshMarkdownPreviews();
+  }
+
+  function setEditorMode(mode) {
+    state.uiPrefs.editorMode = mode;
+    dbg(`editor: mode -> ${mode}`);
+    applyEditorMode();
+    saveUIPrefsDebounced();
+  }
+
+  // Replace [start, end) with `text` through insertText so the textarea's
+  // native undo stack keeps working and the usual input listeners save it
+  function replaceRange(textarea, start, end, text, selStart, selEnd) {
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
+    const ok = document.execCommand && document.execCommand("insertText", false, text);
+    if (!ok) {
+      textarea.setRangeText(text, start, end, "end");
+      textarea.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+    textarea.setSelectionRange(selStart, selEnd);
+  }
+
+  function applyMarkdownAction(textarea, act) {
+    const v = textarea.value;
+    const s = textarea.selectionStart;
+    const e = textarea.selectionEnd;
+    if (act === "bold" || act === "italic") {
+      const mk = act === "bold" ? "**" : "*";
+      const sel = v.slice(s, e);
+      // Already wrapped (markers inside or just outside the selection) → unwrap
+      if (sel.length > mk.length * 2 && sel.startsWith(mk) && sel.endsWith(mk)
+          && (act === "bold" || !sel.startsWith("**") || sel.startsWith("***"))) {
+        const inner = sel.slice(mk.length, -mk.length);
+        replaceRange(textarea, s, e, inner, s, s + inner.length);
+      } else if (v.slice(s - mk.length, s) === mk && v.slice(e, e + mk.length) === mk
+          && (act === "bold" || v.slice(s - 2, s) !== "**" || v.slice(s - 3, s) === "***")) {
+        replaceRange(textarea, s - mk.length, e + mk.length, sel, s - mk.length, e - mk.length);
+      } else {
+        replaceRange(textarea, s, e, `${mk}${sel}${mk}`, s + mk.length, e + mk.length);
+      }
+    } else if (act === "heading") {
+      // Cycle the current line: plain → # → ## → ### → plain
+      const ls = v.lastIndexOf("\n", s - 1) + 1;
+      const le = v.indexOf("\n", ls) === -1 ? v.length : v.indexOf("\n", ls);
+      const line = v.slice(ls, le);
+      const m = /^(#{1,3})\s+/.exec(line);
+      const text = m ? line.slice(m[0].length) : line;
+      const level = m ? m[1].length + 1 : 1;
+      const next = level > 3 ? text : `${"#".repeat(level)} ${text}`;
+      const caret = ls + next.length;
+      replaceRange(textarea, ls, le, next, caret, caret);
+    } else if (act === "scene") {
+      const before = v.slice(0, s);
+      const pre = !before || before.endsWith("\n\n") ? "" : before.endsWith("\n") ? "\n" : "\n\n";
+      const text = `${pre}* * *\n\n`;
+      replaceRange(textarea, s, e, text, s + text.length, s + text.length);
+    }
+  }
+
+  // ───────────────── Focus Mode ─────────────────
+  // View → Focus Mode: hides everything but the chapter body and centers it
+  // at `uiPrefs.focusWidth`. Optional typewriter scrolling and paragraph
+  // dimming both use a mirror of the textarea (#focus-mirror) laid out with
+  // the same metrics; the session counter hangs off updateWordCount.
+  let focusSession = null;      // { prev, startWords }
+  let focusHud = null;
+  let focusMirror = null;
+
+  function ensureFocusHud() {
+    if (focusHud) return focusHud;
+    focusHud = document.createElement("div");
+    focusHud.id = "focus-hud";
+    focusHud.innerHTML = `
+      <span id="focus-session">+0 this session</span>
+      <span id="focus-total">0 words</span>
+      <label title="Column width">Width <input type="range" id="focus-width" min="45" max="120" step="1" /></label>
+      <label><input type="checkbox" id="focus-typewriter" /> Typewriter</label>
+      <label><input type="checkbox" id="focus-dim" /> Dim</label>
+      <button type="button" id="focus-exit" title="Exit focus mode (Esc)">Exit</button>
+    `;
+    document.body.appendChild(focusHud);
+    focusHud.querySelector("#focus-width").addEventListener("input", (ev) => {
+      state.uiPrefs.focusWidth = Number(ev.target.value) || 72;
+      applyFocusPrefs();
+      saveUIPrefsDebounced();
+    });
+    focusHud.querySelector("#focus-typewriter").addEventListener("change", (ev) => {
+      state.uiPrefs.focusTypewriter = ev.target.checked;
+      applyFocusPrefs();
+      saveUIPrefsDebounced();
+    });
+    focusHud.querySelector("#focus-dim").addEventListener("change", (ev) => {
+      state.uiPrefs.focusDim = ev.target.checked;
+      applyFocusPrefs();
+      saveUIPrefsDebounced();
+    });
+    focusHud.querySelector("#focus-exit").addEventListener("click", exitFocusMode);
+    return focusHud;
+  }
+
+  function applyFocusPrefs() {
+    const p = state.uiPrefs;
+    document.body.style.setProperty("--focus-width", `${p.focusWidth || 72}ch`);
+    document.body.classList.toggle("focus-typewriter", !!p.focusTypewriter);
+    document.body.classList.toggle("focus-dim", !!p.focusDim);
+    if (focusHud) {
+      focusHud.querySelector("#focus-width").value = String(p.focusWidth || 72);
+      focusHud.querySelector("#focus-typewriter").checked = !!p.focusTypewriter;
+      focusHud.querySelector("#focus-dim").checked = !!p.focusDim;
+    }
+    syncFocusMirror();
+  }
+
+  function toggleFocusMode() {
+    if (focusSession) exitFocusMode();
+    else enterFocusMode();
+  }
+
+  function enterFocusMode() {
+    const cur = findEntryByKey(state.selectedId);
+    const editor = document.querySelector("section.editor");
+    if (!cur || cur.type !== "chapter" || !el.body || !editor || editor.classList.contains("hidden")) {
+      el.saveState && (el.saveState.textContent = "Open a chapter to use focus mode");
+      return;
+    }
+    const text = el.body.value || "";
+    focusSession = {
+      prev: {
+        activeTab: state.activeTab,
+        selectedId: state.selectedId,
+        listScroll: el.entryList ? el.entryList.scrollTop : 0,
+        editorScroll: editor.scrollTop,
+        bodyScroll: el.body.scrollTop,
+      },
+      startWords: text.trim() ? text.trim().split(/\s+/).length : 0,
+    };
+    ensureFocusHud();
+    document.body.classList.add("focus-mode");
+    applyFocusPrefs();
+    updateWordCount();
+    el.body.focus();
+    scrollFocusCaret();
+    dbg(`focus: entered for ${state.selectedId} (start words ${focusSession.startWords})`);
+  }
+
+  function exitFocusMode() {
+    if (!focusSession) return;
+    const { prev } = focusSession;
+    focusSession = null;
+    document.body.classList.remove("focus-mode", "focus-typewriter", "focus-dim");
+    // Finder (Ctrl+F) can change the entry while focused; put everything back
+    if (state.activeTab !== prev.activeTab) switchTab(prev.activeTab);
+    if (state.selectedId !== prev.selectedId) selectEntry(prev.selectedId);
+    if (el.entryList) el.entryList.scrollTop = prev.listScroll;
+    const editor = document.querySelector("section.editor");
+    if (editor) editor.scrollTop = prev.editorScroll;
+    // Only the scroll position goes back; the caret stays where writing stopped
+    if (state.selectedId === prev.selectedId && el.body) el.body.scrollTop = prev.bodyScroll;
+    refreshMarkdownPreviews();
+    dbg("focus: exited");
+  }
+
+  // Called from updateWordCount with the chapter's current word count
+  function updateFocusStats(words) {
+    if (!focusSession || !focusHud) return;
+    const delta = words - focusSession.startWords;
+    focusHud.querySelector("#focus-session").textContent = `${delta >= 0 ? "+" : "−"}${Math.abs(delta).toLocaleString()} this session`;
+    focusHud.querySelector("#focus-total").textContent = `${words.toLocaleString()} words`;
+  }
+
+  // Lay the mirror over the textarea with identical text metrics, one span
+  // per line, and mark the caret position
+  function syncFocusMirror() {
+    if (!focusSession || !el.body) return;
+    const ta = el.body;
+    const wrap = ta.parentNode;
+    if (!focusMirror) {
+      focusMirror = document.createElement("div");
+      focusMirror.id = "focus-mirror";
+      focusMirror.setAttribute("aria-hidden", "true");
+    }
+    if (focusMirror.parentNode !== wrap) wrap.insertBefore(focusMirror, ta);
+    const cs = getComputedStyle(ta);
+    for (const k of ["fontFamily", "fontSize", "fontWeight", "lineHeight", "letterSpacing", "paddingTop", "paddingRight", "paddingBottom", "paddingLeft", "borderTopWidth", "borderLeftWidth", "tabSize"]) {
+      focusMirror.style[k] = cs[k];
+    }
+    focusMirror.style.borderStyle = "solid";
+    focusMirror.style.borderColor = "transparent";
+    focusMirror.style.left = `${ta.offsetLeft}px`;
+    focusMirror.style.top = `${ta.offsetTop}px`;
+    // clientWidth excludes the scrollbar, so wrapping matches the textarea
+    focusMirror.style.width = `${ta.clientWidth + parseFloat(cs.borderLeftWidth) + parseFloat(cs.borderRightWidth)}px`;
+    focusMirror.style.height = `${ta.offsetHeight}px`;
+
+    const v = ta.value;
+    const caret = ta.selectionEnd;
+    const lineStart = v.lastIndexOf("\n", caret - 1) + 1;
+    let pos = 0;
+    focusMirror.innerHTML = v.split("\n").map(line => {
+      const start = pos;
+      pos += line.length + 1;
+      const current = start === lineStart;
+      const inner = current
+        ? `${escapeHtml(line.slice(0, caret - start))}<span id="focus-caret">\u200b</span>${escapeHtml(line.slice(caret - start))}`
+        : escapeHtml(line);
+      return `<span class="fm-line${current ? " current" : ""}">${inner}</span>`;
+    }).join("\n") + "\n";
+    focusMirror.scrollTop = ta.scrollTop;
+  }
+
+  // Typewriter scrolling: keep the caret's line at the middle of the view
+  function scrollFocusCaret() {
+    syncFocusMirror();
+    if (!focusSession || !state.uiPrefs.focusTypewriter || !focusMirror) return;
+    const marker = focusMirror.querySelector("#focus-caret");
+    if (!marker) return;
+    const lineH = parseFloat(getComputedStyle(el.body).lineHeight) || 24;
+    el.body.scrollTop = Math.max(0, marker.offsetTop - el.body.clientHeight / 2 + lineH / 2);
+    focusMirror.scrollTop = el.body.scrollTop;
+  }
+
+  if (el.body) {
+    for (const evName of ["input", "keyup", "click"]) {
+      el.body.addEventListener(evName, () => { if (focusSession) scrollFocusCaret(); });
+    }
+    el.body.addEventListener("scroll", () => { if (focusSession && focusMirror) focusMirror.scrollTop = el.body.scrollTop; });
+    window.addEventListener("resize", () => { if (focusSession) syncFocusMirror(); });
+  }
+
   // ───────────────── Autosave engine ─────────────────
   function markDirty() {
     state.dirty = true;
@@ -6064,6 +10876,12 @@ el.wordGoal?.addEventListener("input", () => {
       renderList();
     } catch (e) { dbg('loreKind input error: ' + (e && e.message)); }
   });
+  // Once the kind is settled, lay the fields out by that kind's template
+  el.loreKind?.addEventListener('change', () => {
+    try {
+      if (!applyLoreTemplate()) renderLoreFields();
+    } catch (e) { dbg('loreKind change error: ' + (e && e.message)); }
+  });
 
   // Lore title
   el.loreTitle?.addEventListener('input', () => {
@@ -6082,6 +10900,14 @@ el.wordGoal?.addEventListener("input", () => {
     touchSave();
   });
 
+  // Lore aliases (commit on blur, like tags)
+  el.loreAliases?.addEventListener('blur', () => {
+    const e = findEntryByKey(state.selectedId);
+    if (!e || e.type !== 'lore') return;
+    e.aliases = parseTags(el.loreAliases.value);
+    touchSave();
+  });
+
   // Lore summary
   el.loreSummary?.addEventListener('input', () => {
     const e = findEntryByKey(state.selectedId);
@@ -6099,58 +10925,20 @@ el.wordGoal?.addEventListener("input", () => {
     touchSave();
   });
 
-  // Custom paired fields: entry1..entry4 name + content
-  el.entry1name?.addEventListener('input', () => {
-    const e = findEntryByKey(state.selectedId);
-    if (!e || e.type !== 'lore') return;
-    e.entry1name = el.entry1name.value;
-    touchSave();
-  });
-  el.entry1content?.addEventListener('input', () => {
-    const e = findEntryByKey(state.selectedId);
-    if (!e || e.type !== 'lore') return;
-    e.entry1content = el.entry1content.value;
-    touchSave();
-  });
-
-  el.entry2name?.addEventListener('input', () => {
-    const e = findEntryByKey(state.selectedId);
-    if (!e || e.type !== 'lore') return;
-    e.entry2name = el.entry2name.value;
-    touchSave();
-  });
-  el.entry2content?.addEventListener('input', () => {
-    const e = findEntryByKey(state.selectedId);
-    if (!e || e.type !== 'lore') return;
-    e.entry2content = el.entry2content.value;
-    touchSave();
-  });
-
-  el.entry3name?.addEventListener('input', () => {
-    const e = findEntryByKey(state.selectedId);
-    if (!e || e.type !== 'lore') return;
-    e.entry3name = el.entry3name.value;
-    touchSave();
-  });
-  el.entry3content?.addEventListener('input', () => {
-    const e = findEntryByKey(state.selectedId);
-    if (!e || e.type !== 'lore') return;
-    e.entry3content = el.entry3content.value;
-    touchSave();
-  });
-
-  el.entry4name?.addEventListener('input', () => {
-    const e = findEntryByKey(state.selectedId);
-    if (!e || e.type !== 'lore') return;
-    e.entry4name = el.entry4name.value;
-    touchSave();
-  });
-  el.entry4content?.addEventListener('input', () => {
-    const e = findEntryByKey(state.selectedId);
-    if (!e || e.type !== 'lore') return;
-    e.entry4content = el.entry4content.value;
-    touchSave();
-  });
+  // Custom fields: delegated handlers on #lore-fields and its toolbar
+  wireLoreFields();
+
+  // Relationship web: web/matrix view toggle and matrix cell editing
+  wireWebMatrix();
+  // Relationship web: link inspector (double-click a line) and link types
+  wireLinkInspector();
+  // Relationship webs: picker, new / rename / duplicate / delete
+  wireWebPicker();
+  // Story chronology: in-world date inputs, chronology view, calendar
+  wireChronology();
+  // Relationship web: Arrange layouts, pinning, undo arrange
+  wireArrange();
+  wireWebHistory();
 
   // Top tabs (header) wiring — delegate clicks to switchTab
   try {
@@ -6453,6 +11241,19 @@ el.wordGoal?.addEventListener("input", () => {
     });
   }
 
+  // Markdown toolbar + preview on the story and lore body editors
+  attachMarkdownEditor(el.body);
+  attachMarkdownEditor(el.loreBody);
+  // Known-tag suggestions in both tag inputs
+  attachTagAutocomplete(el.tags);
+  attachTagAutocomplete(el.loreTags);
+  // @mentions / [[links]] to lore in chapter and note bodies
+  attachMentionSupport(el.body);
+
+  // Revision history drawer (story + lore editors)
+  el.historyBtn?.addEventListener("click", () => { showRevisionDrawer(); });
+  el.loreHistoryBtn?.addEventListener("click", () => { showRevisionDrawer(); });
+
   // Lore editor buttons
   el.loreSwitchBtn?.addEventListener('click', () => {
     dbg('loreSwitchBtn click');
@@ -6492,12 +11293,15 @@ el.wordGoal?.addEventListener("input", () => {
     }
 
     // Open Quick Finder (Ctrl/Cmd+F)
-    if (mod && e.key.toLowerCase() === "f") {
+    if (mod && !e.shiftKey && !e.altKey && e.key.toLowerCase() === "f") {
       e.preventDefault();
       showFinder("");
     }
 
-    // Dynamic ESC (B): close settings → finder → picker
+    // Dynamic ESC (B): close the first open one of settings → revisions → story
+    // calendar → link types → link inspector → matrix cell editor → lore kinds →
+    // lore templates → tags → replace → import → web export → export → history →
+    // finder → picker → focus mode
     if (e.key === "Escape") {
       // settings first
       if (el.settingsModal && !el.settingsModal.classList.contains("hidden")) {
@@ -6505,6 +11309,84 @@ el.wordGoal?.addEventListener("input", () => {
         el.settingsModal.classList.add("hidden");
         return;
       }
+      // revision drawer
+      if (revDrawer && revDrawer.classList.contains("open")) {
+        e.preventDefault();
+        hideRevisionDrawer();
+        return;
+      }
+      // story calendar
+      if (storyCalendarEl && storyCalendarEl.style.display === "flex") {
+        e.preventDefault();
+        hideStoryCalendar();
+        return;
+      }
+      // link types, then the link inspector
+      if (linkTypesEl && linkTypesEl.style.display === "flex") {
+        e.preventDefault();
+        hideLinkTypes();
+        return;
+      }
+      if (inspectedLinkId) {
+        e.preventDefault();
+        hideLinkInspector();
+        return;
+      }
+      // relationship matrix cell editor
+      if (matrixCell) {
+        e.preventDefault();
+        hideMatrixEditor();
+        return;
+      }
+      // lore kinds
+      if (loreKindsEl && loreKindsEl.style.display === "flex") {
+        e.preventDefault();
+        hideLoreKinds();
+        return;
+      }
+      // lore templates
+      if (loreTemplatesEl && loreTemplatesEl.style.display === "flex") {
+        e.preventDefault();
+        hideLoreTemplates();
+        return;
+      }
+      // tag manager
+      if (tagManagerEl && tagManagerEl.style.display === "flex") {
+        e.preventDefault();
+        hideTagManager();
+        return;
+      }
+      // find & replace
+      if (replaceEl && replaceEl.style.display === "flex") {
+        e.preventDefault();
+        hideReplaceDialog();
+        return;
+      }
+      // import
+      if (importEl && importEl.style.display === "flex") {
+        e.preventDefault();
+        hideImportDialog();
+        return;
+      }
+      // web export
+      if (webExportEl && webExportEl.style.display === "flex") {
+        e.preventDefault();
+        hideWebExport();
+        return;
+      }
+      // export
+      if (exportEl && exportEl.style.display === "flex") {
+        e.preventDefault();
+        hideExportDialog();
+        return;
+      }
+      // history
+      const h = document.getElementById("history");
+      if (h && h.style.display === "flex") {
+        e.preventDefault();
+        hideHistory();
+        return;
+      }
       // finder
       const f = document.getElementById("finder");
       if (f && f.style.display === "flex") {
@@ -6519,6 +11401,12 @@ el.wordGoal?.addEventListener("input", () => {
         hideProjectPicker();
         return;
       }
+      // focus mode last, so Esc closes anything opened on top of it first
+      if (focusSession) {
+        e.preventDefault();
+        exitFocusMode();
+        return;
+      }
     }
 
     // Delete current entry (Ctrl/Cmd+Delete)
@@ -6665,6 +11553,52 @@ el.wordGoal?.addEventListener("input", () => {
             setTimelineTransform();
           } catch (e) { dbg('menu:timelineReset handler failed: ' + (e && e.message)); }
         });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:export'); } catch (e) {}
+        ipcRenderer.on('menu:export', () => {
+          try { showExportDialog(); } catch (e) { dbg('menu:export handler failed: ' + (e && e.message)); }
+        });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:import'); } catch (e) {}
+        ipcRenderer.on('menu:import', () => {
+          showImportDialog().catch(e => dbg('menu:import handler failed: ' + (e && e.message)));
+        });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:exportWeb'); } catch (e) {}
+        ipcRenderer.on('menu:exportWeb', () => {
+          try { showWebExport(); } catch (e) { dbg('menu:exportWeb handler failed: ' + (e && e.message)); }
+        });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:exportArchive'); } catch (e) {}
+        ipcRenderer.on('menu:exportArchive', () => { exportProjectArchive(); });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:importArchive'); } catch (e) {}
+        ipcRenderer.on('menu:importArchive', () => { importProjectArchive(); });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:openReplace'); } catch (e) {}
+        ipcRenderer.on('menu:openReplace', () => {
+          try { showReplaceDialog(); } catch (e) { dbg('menu:openReplace handler failed: ' + (e && e.message)); }
+        });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:tagManager'); } catch (e) {}
+        ipcRenderer.on('menu:tagManager', () => {
+          try { showTagManager(); } catch (e) { dbg('menu:tagManager handler failed: ' + (e && e.message)); }
+        });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:linkTypes'); } catch (e) {}
+        ipcRenderer.on('menu:linkTypes', () => {
+          try { showLinkTypes(); } catch (e) { dbg('menu:linkTypes handler failed: ' + (e && e.message)); }
+        });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:storyCalendar'); } catch (e) {}
+        ipcRenderer.on('menu:storyCalendar', () => {
+          try { showStoryCalendar(); } catch (e) { dbg('menu:storyCalendar handler failed: ' + (e && e.message)); }
+        });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:loreKinds'); } catch (e) {}
+        ipcRenderer.on('menu:loreKinds', () => {
+          try { showLoreKinds(); } catch (e) { dbg('menu:loreKinds handler failed: ' + (e && e.message)); }
+        });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:loreTemplates'); } catch (e) {}
+        ipcRenderer.on('menu:loreTemplates', () => {
+          try { showLoreTemplates(); } catch (e) { dbg('menu:loreTemplates handler failed: ' + (e && e.message)); }
+        });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:toggleFocus'); } catch (e) {}
+        ipcRenderer.on('menu:toggleFocus', () => { toggleFocusMode(); });
+        try { ipcRenderer.removeAllListeners && ipcRenderer.removeAllListeners('menu:openHistory'); } catch (e) {}
+        ipcRenderer.on('menu:openHistory', () => {
+          try { showHistory(); } catch (e) { dbg('menu:openHistory handler failed: ' + (e && e.message)); }
+        });
       } catch (e) { dbg(`Failed to register menu:delete handler: ${e?.message || e}`); }
 
       // Ensure BG node exists, then apply theme/bg
@@ -6804,6 +11738,7 @@ el.wordGoal?.addEventListener("input", () => {
     const text = el.body?.value || "";
     const words = text.trim() ? text.trim().split(/\s+/).length : 0;
     el.wordCount.textContent = `Words: ${words}`;
+    updateFocusStats(words);
 
     // goal/progress (chapters only)
     const goalVal = (el.wordGoal && el.wordGoal.value !== "")
@@ -0,0 +1,143 @@
+// src/shared/backlinks.js
+// "Mentioned in" for a lore entry: every place a chapter, note or reference
+// body refers to it — mentions that resolve to it (see mentions.js) and
+// plain-text occurrences of its title or aliases as whole words. Hits are
+// cached per entry and only recomputed for entries whose body or links
+// changed (or when the lore names involved change), so the renderer can
+// refresh the panel after every save.
+
+const { findMentions, resolveMention } = require('./mentions');
+
+const BACKLINK_TYPES = ['chapter', 'note', 'reference'];
+const MAX_HITS_PER_ENTRY = 50;
+const CONTEXT_BEFORE = 60;
+const CONTEXT_AFTER = 80;
+
+const escapeRe = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const squash = (s) => String(s || '').trim().replace(/\s+/g, ' ');
+
+// Lore entry → [{ text, lower, kind: 'title'|'alias' }], longest first so
+// "Aria Vell" wins over "Aria" at the same spot
+function loreNames(lore) {
+  const out = [];
+  const add = (text, kind) => {
+    const t = squash(text);
+    if (t && !out.some(n => n.lower === t.toLowerCase())) out.push({ text: t, lower: t.toLowerCase(), kind });
+  };
+  add(lore && lore.title, 'title');
+  for (const a of Array.isArray(lore && lore.aliases) ? lore.aliases : []) add(a, 'alias');
+  return out.sort((a, b) => b.text.length - a.text.length);
+}
+
+function namesRe(names) {
+  const alts = names.map(n => escapeRe(n.text).replace(/ /g, '\\s+'));
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alts.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+// Context around [start, end) cut at word boundaries →
+// { text, highlight: [s, e], before, after } (highlight relative to text)
+function contextSnippet(text, start, end) {
+  let from = Math.max(0, start - CONTEXT_BEFORE);
+  let to = Math.min(text.length, end + CONTEXT_AFTER);
+  if (from > 0) {
+    const ws = text.slice(from, start).search(/\s/);
+    if (ws >= 0) from += ws + 1;
+  }
+  if (to < text.length) {
+    const ws = text.slice(end, to).search(/\s\S*$/);
+    if (ws > 0) to = end + ws;
+  }
+  return {
+    text: text.slice(from, to).replace(/\s/g, ' '),
+    highlight: [start - from, end - from],
+    before: from > 0,
+    after: to < text.length,
+  };
+}
+
+// Where `text` refers to the lore under `loreKey` → [{ start, end, kind }]
+// sorted by position; kind is 'link' for a resolved mention, else the kind
+// of the name that matched. Names inside any mention don't count twice.
+function findBacklinks(text, loreKey, names, links, lookup) {
+  const hits = [];
+  const mentions = findMentions(text);
+  for (const m of mentions) {
+    const hit = resolveMention(m.target, links, lookup);
+    if (hit && String(lookup.keyOf(hit)) === String(loreKey)) hits.push({ start: m.start, end: m.end, kind: 'link' });
+  }
+  if (names.length) {
+    for (const m of String(text).matchAll(namesRe(names))) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (mentions.some(x => start < x.end && end > x.start)) continue;
+      const name = names.find(n => n.lower === squash(m[0]).toLowerCase());
+      hits.push({ start, end, kind: name ? name.kind : 'title' });
+    }
+  }
+  return hits.sort((a, b) => a.start - b.start);
+}
+
+// Everything mention resolution depends on, as one comparable string
+function lookupSignature(lookup) {
+  const parts = [];
+  for (const [key, e] of lookup.byKey) parts.push([key, squash(e.title), ...(Array.isArray(e.aliases) ? e.aliases : [])].join('\u0001'));
+  return parts.join('\u0002');
+}
+
+function createBacklinkIndex() {
+  // lore key → { names, entries: entry key → { text, links, hits } }, so
+  // switching between lore entries reuses each one's earlier scans
+  const cache = new Map();
+  let signature = null;
+
+  // Backlinks to `lore` across `entries` → { results, rescanned } where
+  // results = [{ key, entry, type, title, total, hits: [{ start, end, kind,
+  // snippet }] }] in entry order, chapters first. `lookup` comes from
+  // createLoreLookup over all lore entries.
+  function query(entries, lore, { keyOf, lookup }) {
+    const loreKey = keyOf(lore);
+    const names = loreNames(lore);
+    const sig = lookupSignature(lookup);
+    if (sig !== signature) { cache.clear(); signature = sig; }
+    const namesSig = names.map(n => `${n.kind}\u0001${n.lower}`).join('\u0002');
+    let scans = cache.get(loreKey);
+    if (!scans || scans.names !== namesSig) {
+      scans = { names: namesSig, entries: new Map() };
+      cache.set(loreKey, scans);
+    }
+
+    const seen = new Set();
+    const results = [];
+    let rescanned = 0;
+    for (const entry of entries || []) {
+      if (!BACKLINK_TYPES.includes(entry.type)) continue;
+      const key = keyOf(entry);
+      if (key == null || seen.has(key)) continue;
+      seen.add(key);
+      const text = String(entry.body ?? entry.content ?? '');
+      const links = JSON.stringify(entry.lore_links || {});
+      let c = scans.entries.get(key);
+      if (!c || c.text !== text || c.links !== links) {
+        c = { text, links, hits: findBacklinks(text, loreKey, names, entry.lore_links, lookup) };
+        scans.entries.set(key, c);
+        rescanned++;
+      }
+      if (!c.hits.length) continue;
+      results.push({
+        key,
+        entry,
+        type: entry.type,
+        title: entry.title || '',
+        total: c.hits.length,
+        hits: c.hits.slice(0, MAX_HITS_PER_ENTRY).map(h => Object.assign({ snippet: contextSnippet(text, h.start, h.end) }, h)),
+      });
+    }
+    for (const key of [...scans.entries.keys()]) if (!seen.has(key)) scans.entries.delete(key);
+    results.sort((a, b) => BACKLINK_TYPES.indexOf(a.type) - BACKLINK_TYPES.indexOf(b.type));
+    return { results, rescanned };
+  }
+
+  return { query, clear() { cache.clear(); signature = null; } };
+}
+
+module.exports = { BACKLINK_TYPES, loreNames, findBacklinks, contextSnippet, createBacklinkIndex };
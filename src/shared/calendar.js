@@ -0,0 +1,257 @@
+// src/shared/calendar.js
+// In-world dates for the Chronology view. Chapters and lore entries may carry
+//   story_start, story_end   { year, month?, day? }   (end optional)
+//   story_lane               plotline name
+// Years are absolute (counted from year 1 of the first era, may be negative);
+// month and day are 1-based and optional, so "1204" and "Frostmoon 1204" are
+// whole-year / whole-month dates. The calendar lives per project as
+// `story_calendar` in data/project.json:
+//   { months: [{ name, days }], eras: [{ name, abbr, start }] }
+// where an era runs from its `start` year until the next era starts. Every
+// year has the same months (no leap years).
+
+const DEFAULT_CALENDAR = {
+  months: [
+    { name: 'January', days: 31 }, { name: 'February', days: 28 }, { name: 'March', days: 31 },
+    { name: 'April', days: 30 }, { name: 'May', days: 31 }, { name: 'June', days: 30 },
+    { name: 'July', days: 31 }, { name: 'August', days: 31 }, { name: 'September', days: 30 },
+    { name: 'October', days: 31 }, { name: 'November', days: 30 }, { name: 'December', days: 31 },
+  ],
+  eras: [],
+};
+
+// Zoom levels of the Chronology view, widest first. `pxPerYear` sets the
+// scale; `tick` is the ruler step ('era' steps are 100 years).
+const ZOOM_LEVELS = [
+  { key: 'era', label: 'Era', pxPerYear: 0.6, tick: 'century' },
+  { key: 'century', label: 'Century', pxPerYear: 8, tick: 'decade' },
+  { key: 'decade', label: 'Decade', pxPerYear: 80, tick: 'year' },
+  { key: 'year', label: 'Year', pxPerYear: 900, tick: 'month' },
+  { key: 'month', label: 'Month', pxPerYear: 9000, tick: 'day' },
+  { key: 'day', label: 'Day', pxPerDay: 48, tick: 'day' },
+];
+
+const clampInt = (v, lo, hi, dflt) => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? Math.min(hi, Math.max(lo, n)) : dflt;
+};
+
+// Stored `story_calendar` → clean calendar (DEFAULT_CALENDAR when unset)
+function normalizeCalendar(stored) {
+  const src = stored && typeof stored === 'object' ? stored : DEFAULT_CALENDAR;
+  const months = (Array.isArray(src.months) ? src.months : [])
+    .map(m => ({ name: String((m && m.name) || '').trim(), days: clampInt(m && m.days, 1, 1000, 30) }))
+    .filter(m => m.name);
+  const eras = (Array.isArray(src.eras) ? src.eras : [])
+    .map(e => ({
+      name: String((e && e.name) || '').trim(),
+      abbr: String((e && e.abbr) || '').trim(),
+      start: clampInt(e && e.start, -1e7, 1e7, 1),
+    }))
+    .filter(e => e.name || e.abbr)
+    .sort((a, b) => a.start - b.start);
+  return { months: months.length ? months : DEFAULT_CALENDAR.months.map(m => ({ ...m })), eras };
+}
+
+const daysInYear = (cal) => cal.months.reduce((n, m) => n + m.days, 0);
+
+// Days before month `month` (1-based) in a year
+function monthOffset(cal, month) {
+  let n = 0;
+  for (let i = 0; i < month - 1 && i < cal.months.length; i++) n += cal.months[i].days;
+  return n;
+}
+
+// Era a year falls in → era | null (years before the first era have none)
+function eraOf(cal, year) {
+  let hit = null;
+  for (const e of cal.eras) if (e.start <= year) hit = e;
+  return hit;
+}
+
+// Stored date → clean { year, month?, day? } | null
+function normalizeDate(d, cal) {
+  if (!d || typeof d !== 'object' || !Number.isFinite(Number(d.year))) return null;
+  const out = { year: Math.trunc(Number(d.year)) };
+  const month = parseInt(d.month, 10);
+  if (Number.isFinite(month) && month >= 1 && month <= cal.months.length) {
+    out.month = month;
+    const day = parseInt(d.day, 10);
+    if (Number.isFinite(day) && day >= 1 && day <= cal.months[month - 1].days) out.day = day;
+  }
+  return out;
+}
+
+// Typed parts → date, or null when the month or day is outside the calendar
+// (normalizeDate would quietly drop them, turning "31 February" into February)
+function typedDate(year, month, day, cal) {
+  const m = month == null ? null : +month;
+  const d = day == null ? null : +day;
+  if (m !== null && !(m >= 1 && m <= cal.months.length)) return null;
+  if (d !== null && !(d >= 1 && d <= cal.months[m - 1].days)) return null;
+  return normalizeDate({ year, month: m, day: d }, cal);
+}
+
+// Typed text → { year, month?, day? } | null. Accepts "1204", "1204-3-15",
+// "15 Frostmoon 1204", "Frostmoon 1204", "12 AE" / "3 Frostmoon 12 Age of
+// Ash" (year counted within that era). Month names match by prefix; a day
+// the month doesn't have ("31 February 3") is rejected.
+function parseStoryDate(text, cal) {
+  let s = String(text || '').trim();
+  if (!s) return null;
+  const iso = /^(-?\d+)(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(s);
+  if (iso) return typedDate(+iso[1], iso[2], iso[3], cal);
+
+  // era suffix, longest name first so "Age of Ash" beats "Ash"
+  let era = null;
+  const eraNames = cal.eras.flatMap(e => [e.name, e.abbr].filter(Boolean).map(n => ({ n, e })))
+    .sort((a, b) => b.n.length - a.n.length);
+  for (const { n, e } of eraNames) {
+    if (s.toLowerCase().endsWith(n.toLowerCase()) && /(^|[\s\d])$/.test(s.slice(0, s.length - n.length))) {
+      era = e;
+      s = s.slice(0, s.length - n.length).trim();
+      break;
+    }
+  }
+  const parts = s.split(/[\s,./]+/).filter(Boolean);
+  let year = null, month = null, day = null;
+  for (const p of parts) {
+    if (/^-?\d+$/.test(p)) {
+      // the last number is the year; one before it (with a month) is the day
+      if (year !== null) day = year;
+      year = +p;
+    } else {
+      const lower = p.toLowerCase();
+      const i = cal.months.findIndex(m => m.name.toLowerCase() === lower);
+      const j = i >= 0 ? i : cal.months.findIndex(m => m.name.toLowerCase().startsWith(lower));
+      if (j < 0 || month !== null) return null;
+      month = j + 1;
+    }
+  }
+  if (year === null || (day !== null && month === null)) return null;
+  if (era) year = era.start + year - 1;
+  return typedDate(year, month, day, cal);
+}
+
+// Date → display text ("15 Frostmoon 12 AE")
+function formatStoryDate(d, cal) {
+  const date = normalizeDate(d, cal);
+  if (!date) return '';
+  const era = eraOf(cal, date.year);
+  const year = era ? `${date.year - era.start + 1} ${era.abbr || era.name}` : String(date.year);
+  const month = date.month ? cal.months[date.month - 1].name : '';
+  return [date.day, month, year].filter(x => x !== undefined && x !== '').join(' ');
+}
+
+// Date → [first day, last day] as day numbers (day 0 = first day of year 0)
+function dayRange(d, cal) {
+  const date = normalizeDate(d, cal);
+  if (!date) return null;
+  const base = date.year * daysInYear(cal);
+  if (!date.month) return [base, base + daysInYear(cal) - 1];
+  const m = base + monthOffset(cal, date.month);
+  if (!date.day) return [m, m + cal.months[date.month - 1].days - 1];
+  return [m + date.day - 1, m + date.day - 1];
+}
+
+// Entry's [start, end] day span (end inclusive) | null when undated
+function entrySpan(entry, cal) {
+  const a = dayRange(entry && entry.story_start, cal);
+  if (!a) return null;
+  const b = dayRange(entry.story_end, cal);
+  return [a[0], b && b[1] >= a[0] ? b[1] : a[1]];
+}
+
+// Day number → { year, month, day }
+function dateOfDay(n, cal) {
+  const per = daysInYear(cal);
+  const year = Math.floor(n / per);
+  let rest = n - year * per;
+  let month = 1;
+  while (month < cal.months.length && rest >= cal.months[month - 1].days) { rest -= cal.months[month - 1].days; month++; }
+  return { year, month, day: rest + 1 };
+}
+
+function pxPerDay(zoom, cal) {
+  const z = ZOOM_LEVELS.find(l => l.key === zoom) || ZOOM_LEVELS[3];
+  return z.pxPerDay || z.pxPerYear / daysInYear(cal);
+}
+
+// Ruler ticks for days [from, to] at `zoom` → [{ day, label, major }].
+// Majors are the next unit up (eras, centuries, years, months).
+function ticks(from, to, zoom, cal) {
+  const z = ZOOM_LEVELS.find(l => l.key === zoom) || ZOOM_LEVELS[3];
+  const per = daysInYear(cal);
+  const out = [];
+  if (z.tick === 'century' || z.tick === 'decade' || z.tick === 'year') {
+    const step = z.tick === 'century' ? 100 : z.tick === 'decade' ? 10 : 1;
+    const majorStep = step * 10;
+    const first = Math.ceil(Math.floor(from / per) / step) * step;
+    for (let y = first; y * per <= to; y += step) {
+      const era = eraOf(cal, y);
+      const eraStart = era && era.start === y;
+      out.push({
+        day: y * per,
+        label: formatStoryDate({ year: y }, cal),
+        major: eraStart || (y - (era ? era.start - 1 : 0)) % majorStep === 0,
+      });
+    }
+    // era boundaries between steps
+    for (const e of cal.eras) {
+      const day = e.start * per;
+      if (day >= from && day <= to && e.start % step) out.push({ day, label: formatStoryDate({ year: e.start }, cal), major: true });
+    }
+    return out.sort((a, b) => a.day - b.day);
+  }
+  let d = dateOfDay(Math.max(from, -1e12), cal);
+  if (z.tick === 'month') {
+    let n = d.year * per + monthOffset(cal, d.month);
+    if (n < from) { d = d.month === cal.months.length ? { year: d.year + 1, month: 1 } : { year: d.year, month: d.month + 1 }; n = d.year * per + monthOffset(cal, d.month); }
+    while (n <= to) {
+      out.push({ day: n, label: d.month === 1 ? formatStoryDate({ year: d.year, month: 1 }, cal) : cal.months[d.month - 1].name, major: d.month === 1 });
+      d = d.month === cal.months.length ? { year: d.year + 1, month: 1 } : { year: d.year, month: d.month + 1 };
+      n = d.year * per + monthOffset(cal, d.month);
+    }
+    return out;
+  }
+  // days; at month zoom only every 5th day is labelled
+  const every = zoom === 'day' ? 1 : 5;
+  for (let n = Math.ceil(from); n <= to; n++) {
+    const date = dateOfDay(n, cal);
+    const major = date.day === 1;
+    if (major || date.day % every === 0) out.push({ day: n, label: major ? formatStoryDate({ year: date.year, month: date.month }, cal) : String(date.day), major });
+  }
+  return out;
+}
+
+// Sub-rows for bars in one swimlane so overlapping spans don't cover each
+// other: spans [[start, end], …] → row index per span (first free row)
+function stackSpans(spans) {
+  const order = spans.map((s, i) => i).sort((a, b) => spans[a][0] - spans[b][0] || spans[a][1] - spans[b][1]);
+  const rowEnds = [];
+  const rows = new Array(spans.length);
+  for (const i of order) {
+    let r = rowEnds.findIndex(end => end < spans[i][0]);
+    if (r < 0) { r = rowEnds.length; rowEnds.push(0); }
+    rowEnds[r] = spans[i][1];
+    rows[i] = r;
+  }
+  return rows;
+}
+
+module.exports = {
+  DEFAULT_CALENDAR,
+  ZOOM_LEVELS,
+  normalizeCalendar,
+  daysInYear,
+  eraOf,
+  normalizeDate,
+  parseStoryDate,
+  formatStoryDate,
+  dayRange,
+  entrySpan,
+  dateOfDay,
+  pxPerDay,
+  ticks,
+  stackSpans,
+};
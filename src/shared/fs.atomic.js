@@ -0,0 +1,122 @@
+// src/shared/fs.atomic.js
+// Crash-safe file writes shared by the main process and the renderer.
+// Writes go to a temp file in the same directory, are fsync'd, then renamed
+// over the target, so a crash leaves either the old or the new file — never a
+// truncated one. The previous good content is kept next to it as `<file>.bak`
+// and readJsonWithRecovery falls back to it when the file won't parse.
+const fs = require('fs');
+const path = require('path');
+
+const BAK_SUFFIX = '.bak';
+
+// Files this layer leaves next to the real ones (backups, damaged copies kept
+// by readJsonWithRecovery, temp files of an interrupted write). They belong to
+// the folder they were written in and are never copied or snapshotted.
+function isAtomicArtifact(name) {
+  return /\.bak$|\.corrupt-\d+$|\.tmp$/.test(String(name));
+}
+
+// Callers plug in their own logger (appendDebugLog in main, dbg in renderer)
+let log = () => {};
+function setAtomicLogger(fn) { log = typeof fn === 'function' ? fn : () => {}; }
+
+function fsyncDirBestEffort(dir) {
+  // Persists the rename itself; not supported on Windows, so ignore failures
+  let fd = null;
+  try { fd = fs.openSync(dir, 'r'); fs.fsyncSync(fd); } catch (e) { /* best-effort */ }
+  finally { if (fd !== null) try { fs.closeSync(fd); } catch (e) { /* ignore */ } }
+}
+
+// Only a file that still parses (or any non-JSON file with content) is worth
+// keeping as .bak — never replace a good backup with a truncated file.
+function isGoodContent(file, buf) {
+  if (!buf || !buf.length) return false;
+  if (!file.endsWith('.json')) return true;
+  try { JSON.parse(buf.toString('utf8')); return true; } catch (e) { return false; }
+}
+
+function writeFileAtomicSync(file, data, encoding = 'utf8') {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  // Keep the previous content as .bak
+  try {
+    if (fs.existsSync(file)) {
+      const prev = fs.readFileSync(file);
+      if (isGoodContent(file, prev)) fs.writeFileSync(file + BAK_SUFFIX, prev);
+    }
+  } catch (e) { log(`atomic: failed to refresh backup for ${file}: ${e?.message || e}`); }
+
+  replaceFileSync(file, data, encoding);
+}
+
+// Temp file + fsync + rename without the .bak: for files the user picked
+// outside the workspace (exports), where a stray backup has no business
+function replaceFileSync(file, data, encoding = 'utf8') {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmp = path.join(dir, `.${path.basename(file)}.${process.pid}.${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}.tmp`);
+  let fd = null;
+  try {
+    fd = fs.openSync(tmp, 'w');
+    if (Buffer.isBuffer(data)) fs.writeSync(fd, data);
+    else fs.writeSync(fd, String(data), null, encoding);
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    if (fd !== null) try { fs.closeSync(fd); } catch (e2) { /* ignore */ }
+    try { fs.rmSync(tmp, { force: true }); } catch (e2) { /* ignore */ }
+    throw e;
+  }
+  fsyncDirBestEffort(dir);
+}
+
+function writeJsonAtomicSync(file, obj) {
+  writeFileAtomicSync(file, JSON.stringify(obj, null, 2), 'utf8');
+}
+
+// Delete a file together with its .bak, so a deleted entry leaves nothing behind
+function unlinkWithBackupSync(file) {
+  fs.unlinkSync(file);
+  try { fs.rmSync(file + BAK_SUFFIX, { force: true }); }
+  catch (e) { log(`atomic: failed to remove backup of ${file}: ${e?.message || e}`); }
+}
+
+// Parse a JSON file; if it is unreadable/truncated and a parseable .bak
+// exists, restore the backup over it and return that instead.
+function readJsonWithRecovery(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    const bak = file + BAK_SUFFIX;
+    if (!fs.existsSync(bak)) throw err;
+    let recovered;
+    try {
+      recovered = JSON.parse(fs.readFileSync(bak, 'utf8'));
+    } catch (e) {
+      throw err;
+    }
+    log(`atomic: ${file} failed to parse (${err?.message || err}); recovered from ${path.basename(bak)}`);
+    try {
+      // Keep the damaged file around for inspection, then put the backup back
+      if (fs.existsSync(file)) fs.copyFileSync(file, `${file}.corrupt-${Date.now()}`);
+      const tmp = `${file}.${process.pid}.recover.tmp`;
+      fs.copyFileSync(bak, tmp);
+      fs.renameSync(tmp, file);
+    } catch (e) { log(`atomic: failed to write recovered ${file}: ${e?.message || e}`); }
+    return recovered;
+  }
+}
+
+module.exports = {
+  BAK_SUFFIX,
+  isAtomicArtifact,
+  setAtomicLogger,
+  writeFileAtomicSync,
+  writeJsonAtomicSync,
+  replaceFileSync,
+  unlinkWithBackupSync,
+  readJsonWithRecovery,
+};
@@ -0,0 +1,88 @@
+// src/shared/import.split.js
+// Splits an imported manuscript (Markdown-style text) into chapters.
+// Shared so the renderer can re-split live in the import preview while the
+// main process only has to turn the picked file into text (src/main/import.js).
+//
+// Modes:
+//   headings  — ATX headings (`#`, `##`, …) at `headingLevel` start chapters;
+//               shallower headings (book/part titles) are dropped, deeper
+//               ones stay in the chapter body. Level 0 = auto-detect.
+//   separator — every line matching the `separator` regex (case-insensitive)
+//               starts a chapter; the line becomes the title when it has any
+//               letters or digits (e.g. "Chapter 3: The Fall" vs "***").
+
+const IMPORT_SPLIT_DEFAULTS = { mode: 'headings', headingLevel: 0, separator: '^\\s*chapter\\b.*$' };
+
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+function toLines(text) {
+  return String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+}
+
+// Shallowest heading level used at least twice, else the shallowest used;
+// 0 when the text has no headings at all
+function detectHeadingLevel(text) {
+  const counts = {};
+  for (const line of toLines(text)) {
+    const m = HEADING_RE.exec(line);
+    if (m) counts[m[1].length] = (counts[m[1].length] || 0) + 1;
+  }
+  const levels = Object.keys(counts).map(Number).sort((a, b) => a - b);
+  if (!levels.length) return 0;
+  return levels.find(l => counts[l] >= 2) || levels[0];
+}
+
+function trimBlankLines(lines) {
+  let a = 0;
+  let b = lines.length;
+  while (a < b && !lines[a].trim()) a++;
+  while (b > a && !lines[b - 1].trim()) b--;
+  return lines.slice(a, b).join('\n');
+}
+
+// → [{ title, body }] in manuscript order. `title` is '' when the split line
+// carried none (callers fall back to their default chapter name). Throws on
+// an invalid separator regex.
+function splitManuscript(text, opts = {}) {
+  const o = Object.assign({}, IMPORT_SPLIT_DEFAULTS, opts);
+  const lines = toLines(text);
+
+  let startsChapter;
+  if (o.mode === 'separator') {
+    const re = new RegExp(o.separator || IMPORT_SPLIT_DEFAULTS.separator, 'i');
+    startsChapter = (line) => re.test(line) ? { title: /[\p{L}\p{N}]/u.test(line) ? line.trim() : '' } : null;
+  } else {
+    const level = Number(o.headingLevel) || detectHeadingLevel(text);
+    startsChapter = (line) => {
+      const m = level ? HEADING_RE.exec(line) : null;
+      if (!m) return null;
+      if (m[1].length === level) return { title: m[2].trim() };
+      if (m[1].length < level) return { drop: true };
+      return null;
+    };
+  }
+
+  const chapters = [];
+  let cur = { title: '', lines: [] };
+  const flush = () => {
+    const body = trimBlankLines(cur.lines);
+    // Text before the first split only becomes a chapter when it has content
+    if (cur.started || body) chapters.push({ title: cur.title, body });
+  };
+  for (const line of lines) {
+    const hit = startsChapter(line);
+    if (!hit) { cur.lines.push(line); continue; }
+    if (hit.drop) continue;
+    flush();
+    cur = { title: hit.title, lines: [], started: true };
+  }
+  flush();
+  return chapters;
+}
+
+function countWords(text) {
+  const t = String(text || '').trim();
+  return t ? t.split(/\s+/).length : 0;
+}
+
+module.exports = { IMPORT_SPLIT_DEFAULTS, detectHeadingLevel, splitManuscript, countWords };
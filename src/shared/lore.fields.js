@@ -0,0 +1,192 @@
+// src/shared/lore.fields.js
+// Typed custom fields on lore entries, and the per-kind templates that seed
+// them. A lore entry keeps its fields as `fields: [{ name, type, value }]`:
+//   text    string                   number  number, or '' when empty
+//   date    'YYYY-MM-DD' string      list    array of strings
+//   link    entry key (code) of another entry
+// The first four are mirrored into the legacy `entry1name`/`entry1content` …
+// `entry4name`/`entry4content` keys that older projects and the `lore` DB
+// table use; entries saved before `fields` existed are read from those keys.
+// The DB upload keeps `fields` itself in the project's extras (db.format.ts).
+// Templates live per project as `lore_templates` in data/project.json:
+// [{ kind, fields: [{ name, type }] }].
+
+const FIELD_TYPES = ['text', 'number', 'date', 'list', 'link'];
+const LEGACY_FIELD_COUNT = 4;
+
+const DEFAULT_TEMPLATES = [
+  {
+    kind: 'Character',
+    fields: [
+      { name: 'Age', type: 'number' },
+      { name: 'Appearance', type: 'text' },
+      { name: 'Motivation', type: 'text' },
+      { name: 'Arc', type: 'text' },
+    ],
+  },
+  {
+    kind: 'Location',
+    fields: [
+      { name: 'Region', type: 'text' },
+      { name: 'Climate', type: 'text' },
+    ],
+  },
+];
+
+const normalizeType = (t) => (FIELD_TYPES.includes(t) ? t : 'text');
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Coerce any value (including one of another type) to `type`
+function normalizeValue(type, v) {
+  switch (type) {
+    case 'list':
+      if (Array.isArray(v)) return v.map(x => String(x ?? '').trim()).filter(Boolean);
+      return String(v ?? '').split(/[,\n]/).map(x => x.trim()).filter(Boolean);
+    case 'number': {
+      if (v === '' || v == null) return '';
+      const n = typeof v === 'number' ? v : parseFloat(String(Array.isArray(v) ? v[0] : v).replace(',', '.'));
+      return Number.isFinite(n) ? n : '';
+    }
+    case 'date':
+    case 'link':
+      return String((Array.isArray(v) ? v[0] : v) ?? '').trim();
+    default:
+      return Array.isArray(v) ? v.join(', ') : (v == null ? '' : String(v));
+  }
+}
+
+function makeField(name, type, value) {
+  const t = normalizeType(type);
+  return { name: String(name ?? ''), type: t, value: normalizeValue(t, value) };
+}
+
+const isEmptyField = (f) => (Array.isArray(f.value) ? !f.value.length : String(f.value ?? '').trim() === '');
+
+// Per-item JSON (or an in-memory entry) → fields. Falls back to the legacy
+// entryN / entryN_name / "Field N Name" keys, skipping empty pairs.
+function readLoreFields(raw) {
+  if (!raw || typeof raw !== 'object') return [];
+  if (Array.isArray(raw.fields)) {
+    return raw.fields.filter(f => f && typeof f === 'object').map(f => makeField(f.name, f.type, f.value));
+  }
+  const out = [];
+  for (let i = 1; i <= LEGACY_FIELD_COUNT; i++) {
+    const name = raw[`entry${i}name`] ?? raw[`entry${i}_name`] ?? raw[`Field ${i} Name`] ?? '';
+    const content = raw[`entry${i}content`] ?? raw[`entry${i}_content`] ?? raw[`Field ${i} Content`] ?? '';
+    if (String(name).trim() || String(content).trim()) out.push(makeField(name, 'text', content));
+  }
+  return out;
+}
+
+// Display text of a field's value. `labelOf(key)` names link targets.
+function fieldText(field, labelOf = null) {
+  const v = field && field.value;
+  if (field && field.type === 'list') return (Array.isArray(v) ? v : []).join(', ');
+  if (field && field.type === 'link' && v && labelOf) return String(labelOf(v) || v);
+  return v == null ? '' : String(v);
+}
+
+// fields → { entry1name, entry1content, … entry4content }. Links keep their
+// key so the mirror reads back unchanged.
+function legacyMirror(fields) {
+  const out = {};
+  for (let i = 1; i <= LEGACY_FIELD_COUNT; i++) {
+    const f = (fields || [])[i - 1];
+    out[`entry${i}name`] = f ? f.name : '';
+    out[`entry${i}content`] = f ? fieldText(f) : '';
+  }
+  return out;
+}
+
+// Copy `fields` into the entry's legacy keys
+function syncLegacyFields(entry) {
+  Object.assign(entry, legacyMirror(entry.fields));
+  return entry;
+}
+
+// The legacy keys were edited directly (Find & Replace, an old revision):
+// carry those edits into `fields`, keeping each field's type.
+// → true when `fields` changed
+function adoptLegacyFields(entry) {
+  const fields = Array.isArray(entry.fields) ? entry.fields.slice() : [];
+  const mirror = legacyMirror(fields);
+  let changed = false;
+  for (let i = 1; i <= LEGACY_FIELD_COUNT; i++) {
+    const name = entry[`entry${i}name`] ?? '';
+    const content = entry[`entry${i}content`] ?? '';
+    if (name === mirror[`entry${i}name`] && content === mirror[`entry${i}content`]) continue;
+    const f = fields[i - 1];
+    if (f) fields[i - 1] = makeField(name, f.type, content === mirror[`entry${i}content`] ? f.value : content);
+    else if (String(name).trim() || String(content).trim()) fields.push(makeField(name, 'text', content));
+    else continue;
+    changed = true;
+  }
+  if (changed) entry.fields = fields;
+  return changed;
+}
+
+// Stored `lore_templates` → clean template list. Projects that never saved
+// templates get DEFAULT_TEMPLATES.
+function normalizeTemplates(stored) {
+  const src = Array.isArray(stored) ? stored : DEFAULT_TEMPLATES;
+  const out = [];
+  for (const t of src) {
+    const kind = String((t && t.kind) || '').trim();
+    if (!kind || out.some(x => sameName(x.kind, kind))) continue;
+    const fields = [];
+    for (const f of Array.isArray(t.fields) ? t.fields : []) {
+      const name = String((f && f.name) || '').trim();
+      if (name && !fields.some(x => sameName(x.name, name))) fields.push({ name, type: normalizeType(f.type) });
+    }
+    out.push({ kind, fields });
+  }
+  return out;
+}
+
+function templateFor(templates, kind) {
+  return (templates || []).find(t => sameName(t.kind, kind)) || null;
+}
+
+// `field` as `type` when its value converts without loss (a legacy text
+// "30" becomes the number 30), else null
+function convertField(field, type) {
+  if (field.type === type) return field;
+  const next = makeField(field.name, type, field.value);
+  return isEmptyField(field) || fieldText(next).trim() === fieldText(field).trim() ? next : null;
+}
+
+// Lay `fields` out by `template`: template fields first, in template order
+// (existing ones matched by name keep their values, taking the template's
+// type when the value converts cleanly), then any other fields the entry
+// already had. → new fields array
+function applyTemplate(fields, template) {
+  const src = fields || [];
+  const used = new Set();
+  const out = [];
+  for (const tf of (template && template.fields) || []) {
+    const i = src.findIndex((f, j) => !used.has(j) && sameName(f.name, tf.name));
+    if (i < 0) { out.push(makeField(tf.name, tf.type, '')); continue; }
+    used.add(i);
+    const f = src[i];
+    out.push(convertField(f, tf.type) || f);
+  }
+  src.forEach((f, j) => { if (!used.has(j)) out.push(f); });
+  return out;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  LEGACY_FIELD_COUNT,
+  DEFAULT_TEMPLATES,
+  normalizeValue,
+  makeField,
+  isEmptyField,
+  readLoreFields,
+  fieldText,
+  legacyMirror,
+  syncLegacyFields,
+  adoptLegacyFields,
+  normalizeTemplates,
+  templateFor,
+  applyTemplate,
+};
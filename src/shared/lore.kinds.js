@@ -0,0 +1,70 @@
+// src/shared/lore.kinds.js
+// Lore kinds (`lore_kind`) as groups for the Lore sidebar and the kind
+// manager. Kinds are free text; they compare by key (trimmed, inner
+// whitespace collapsed, lower-cased) so "Character" and "character " are one
+// kind. Each kind can have an icon and a color, kept per project in
+// data/project.json as `lore_kind_styles`, keyed by the kind key:
+// { character: { icon: '👤', color: '#3b82f6' } }.
+
+const KIND_ICONS = ['👤', '👑', '🧙', '🐉', '🏰', '🏛️', '🗺️', '🌋', '🌲', '⚔️', '🛡️', '💎', '📜', '🔮', '✨', '⚙️', '🚀', '🕰️'];
+
+const squash = (s) => String(s ?? '').trim().replace(/\s+/g, ' ');
+const kindKey = (kind) => squash(kind).toLowerCase();
+
+// Entries → [{ key, label, entries }] sorted by label; entries without a
+// kind come last under key ''. The label is the first spelling seen.
+function groupByKind(entries, kindOf = (e) => e.lore_kind) {
+  const groups = new Map();
+  for (const e of entries || []) {
+    const label = squash(kindOf(e));
+    const key = label.toLowerCase();
+    if (!groups.has(key)) groups.set(key, { key, label, entries: [] });
+    groups.get(key).entries.push(e);
+  }
+  return [...groups.values()].sort((a, b) =>
+    (a.key === '' ? 1 : 0) - (b.key === '' ? 1 : 0) || a.label.localeCompare(b.label, undefined, { sensitivity: 'base' }));
+}
+
+// Set `lore_kind` to `to` on every lore entry whose kind is `from` (any
+// spelling). Renaming onto an existing kind merges the two. Mutates the
+// entries. → entries that changed
+function renameKind(entries, from, to) {
+  const fromKey = kindKey(from);
+  const target = squash(to);
+  const changed = [];
+  for (const e of entries || []) {
+    if (e.type !== 'lore' || kindKey(e.lore_kind) !== fromKey || e.lore_kind === target) continue;
+    e.lore_kind = target;
+    changed.push(e);
+  }
+  return changed;
+}
+
+// Stored `lore_kind_styles` → { key: { icon, color } } without empty styles
+function normalizeKindStyles(stored) {
+  const out = {};
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return out;
+  for (const [k, v] of Object.entries(stored)) {
+    const key = kindKey(k);
+    if (!key || !v || typeof v !== 'object') continue;
+    const style = {};
+    if (typeof v.icon === 'string' && v.icon.trim()) style.icon = v.icon.trim();
+    if (typeof v.color === 'string' && /^#[0-9a-f]{6}$/i.test(v.color)) style.color = v.color.toLowerCase();
+    if (style.icon || style.color) out[key] = style;
+  }
+  return out;
+}
+
+// Carry a kind's style over a rename: the target keeps its own style, else
+// takes the renamed kind's. → new styles object
+function renameKindStyles(styles, from, to) {
+  const out = Object.assign({}, styles || {});
+  const fromKey = kindKey(from);
+  const toKey = kindKey(to);
+  if (fromKey === toKey) return out;
+  if (toKey && !out[toKey] && out[fromKey]) out[toKey] = out[fromKey];
+  delete out[fromKey];
+  return out;
+}
+
+module.exports = { KIND_ICONS, kindKey, groupByKind, renameKind, normalizeKindStyles, renameKindStyles };
@@ -0,0 +1,121 @@
+// src/shared/markdown.js
+// The small Markdown subset body text is written in: paragraphs (blank-line
+// separated, single newlines kept as line breaks), `#`–`###` headings,
+// `>` quotes, scene breaks (`***`, `* * *`, `---`, `#` alone on a line),
+// **bold**, *italic* / _italic_ and ***both***, plus lore mentions (`@Name`, `[[Title]]`,
+// see src/shared/mentions.js), which render as their plain label. Entries keep
+// the Markdown source in their body/content field; the editor preview and the
+// HTML/EPUB/DOCX/plain-text exporters render it through here.
+
+const SCENE_BREAK_RE = /^\s*(\*\s*\*\s*\*|#|~{3,}|-{3,})\s*$/;
+const HEADING_RE = /^(#{1,3})\s+(.*?)\s*#*\s*$/;
+const QUOTE_RE = /^\s*>\s?/;
+
+const { findMentions } = require('./mentions');
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Plain text → runs, with each lore mention as its own run carrying the
+// mention target
+function mentionRuns(text, style) {
+  const runs = [];
+  let last = 0;
+  for (const m of findMentions(text)) {
+    if (m.start > last) runs.push({ text: text.slice(last, m.start), ...style });
+    runs.push({ text: m.label, mention: m.target, ...style });
+    last = m.end;
+  }
+  if (last < text.length) runs.push({ text: text.slice(last), ...style });
+  return runs;
+}
+
+// Text → [{ text, bold, italic, mention? }] runs. `_` only counts at word
+// boundaries so snake_case and the like stay literal.
+function parseInline(text, style = { bold: false, italic: false }) {
+  const re = /\*\*\*(?=\S)([\s\S]*?\S)\*\*\*|\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__|\*(?=\S)([\s\S]*?\S)\*|(?<!\w)_(?=\S)([\s\S]*?\S)_(?!\w)/g;
+  const src = String(text ?? '');
+  const runs = [];
+  let last = 0;
+  let m;
+  while ((m = re.exec(src))) {
+    if (m.index > last) runs.push(...mentionRuns(src.slice(last, m.index), style));
+    const both = m[1] !== undefined;
+    const bold = both || m[2] !== undefined || m[3] !== undefined;
+    const inner = m[1] ?? m[2] ?? m[3] ?? m[4] ?? m[5];
+    runs.push(...parseInline(inner, { bold: style.bold || bold, italic: style.italic || both || !bold }));
+    last = re.lastIndex;
+  }
+  if (last < src.length) runs.push(...mentionRuns(src.slice(last), style));
+  return runs;
+}
+
+// `mentions: true` marks mentions up as links for the editor preview;
+// exports just get the label
+function inlineHtml(text, { xhtml = false, mentions = false } = {}) {
+  const br = xhtml ? '<br/>' : '<br>';
+  return parseInline(text).map(r => {
+    let h = escapeHtml(r.text).replace(/\n/g, br);
+    if (mentions && r.mention !== undefined) h = `<a class="mention" data-mention="${escapeHtml(r.mention)}">${h}</a>`;
+    if (r.italic) h = `<em>${h}</em>`;
+    if (r.bold) h = `<strong>${h}</strong>`;
+    return h;
+  }).join('');
+}
+
+// Source → [{ type: 'para'|'heading'|'quote'|'break', text, level }]
+function parseBlocks(src) {
+  const blocks = [];
+  let para = null;
+  let quote = null;
+  const close = () => {
+    if (para) blocks.push({ type: 'para', text: para.join('\n') });
+    if (quote) blocks.push({ type: 'quote', text: quote.join('\n') });
+    para = null;
+    quote = null;
+  };
+  for (const line of String(src ?? '').replace(/\r\n?/g, '\n').split('\n')) {
+    if (!line.trim()) { close(); continue; }
+    if (SCENE_BREAK_RE.test(line)) { close(); blocks.push({ type: 'break' }); continue; }
+    const h = HEADING_RE.exec(line);
+    if (h) { close(); blocks.push({ type: 'heading', level: h[1].length, text: h[2] }); continue; }
+    if (QUOTE_RE.test(line)) {
+      if (para) close();
+      (quote = quote || []).push(line.replace(QUOTE_RE, ''));
+      continue;
+    }
+    if (quote) close();
+    (para = para || []).push(line.trim());
+  }
+  close();
+  return blocks;
+}
+
+// Source → HTML. `headingOffset` shifts body headings below the caller's own
+// (exports put chapter titles in <h2>, so body `#` becomes <h3>).
+function renderMarkdown(src, { xhtml = false, headingOffset = 0, mentions = false } = {}) {
+  const hr = xhtml ? '<hr class="scene-break"/>' : '<hr class="scene-break">';
+  return parseBlocks(src).map(b => {
+    if (b.type === 'break') return hr;
+    if (b.type === 'heading') {
+      const n = Math.min(6, b.level + headingOffset);
+      return `<h${n}>${inlineHtml(b.text, { xhtml, mentions })}</h${n}>`;
+    }
+    if (b.type === 'quote') return `<blockquote><p>${inlineHtml(b.text, { xhtml, mentions })}</p></blockquote>`;
+    return `<p>${inlineHtml(b.text, { xhtml, mentions })}</p>`;
+  }).join('\n');
+}
+
+// Source → plain text: emphasis markers dropped, mentions as their label,
+// headings as bare lines, quotes indented, scene breaks as `* * *`
+function renderPlainText(src) {
+  const plain = (text) => parseInline(text).map(r => r.text).join('');
+  return parseBlocks(src).map(b => {
+    if (b.type === 'break') return '* * *';
+    if (b.type === 'quote') return plain(b.text).split('\n').map(l => `    ${l}`).join('\n');
+    return plain(b.text);
+  }).join('\n\n');
+}
+
+module.exports = { SCENE_BREAK_RE, escapeHtml, parseInline, inlineHtml, parseBlocks, renderMarkdown, renderPlainText };
@@ -0,0 +1,104 @@
+// src/shared/mentions.js
+// Entity links from chapter and note bodies to lore entries:
+//
+//   @Aria                      one word (letters, digits, `_` and `-`)
+//   [[Aria Vell]]              any lore title or code
+//   [[LOR-0001-000003|she]]    explicit target, shown as "she"
+//
+// A mention resolves to lore by code, then by exact title (case-insensitive),
+// then by one of the lore entry's `aliases`, then, for one-word mentions, by a
+// unique title starting with that word ("@Aria" → "Aria Vell"). Each entry stores what its mentions resolved to as
+// `lore_links` (lower-cased target → lore code), so a link keeps pointing at
+// the same lore entry after that entry is renamed.
+
+const MENTION_RE = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]|(?<![\p{L}\p{N}_@.])@([\p{L}\p{N}](?:[\p{L}\p{N}_-]*[\p{L}\p{N}])?)/gu;
+
+// → [{ start, end, target, label, bracket }] in text order
+function findMentions(text) {
+  const out = [];
+  for (const m of String(text || '').matchAll(MENTION_RE)) {
+    const bracket = m[3] === undefined;
+    const target = (bracket ? m[1] : m[3]).trim();
+    if (!target) continue;
+    out.push({
+      start: m.index,
+      end: m.index + m[0].length,
+      target,
+      label: bracket ? (m[2] !== undefined ? m[2].trim() : target) : target,
+      bracket,
+    });
+  }
+  return out;
+}
+
+// The mention whose source covers `offset` (ends inclusive, so a caret just
+// after "@Aria" still counts) → mention | null
+function mentionAt(text, offset) {
+  return findMentions(text).find(m => offset >= m.start && offset <= m.end) || null;
+}
+
+// Lore entries → lookup used by resolveMention. `keyOf` gives the stored
+// code (entries without a code fall back to the renderer's entry key).
+function createLoreLookup(loreEntries, keyOf = (e) => e.code) {
+  const byKey = new Map();
+  const byTitle = new Map();
+  const byFirstWord = new Map();
+  for (const e of loreEntries || []) {
+    const key = keyOf(e);
+    if (key == null) continue;
+    byKey.set(String(key).toLowerCase(), e);
+    const title = String(e.title || '').trim().toLowerCase();
+    if (!title) continue;
+    if (!byTitle.has(title)) byTitle.set(title, e);
+    const first = title.split(/\s+/)[0];
+    if (first !== title) {
+      const list = byFirstWord.get(first) || [];
+      list.push(e);
+      byFirstWord.set(first, list);
+    }
+  }
+  // Aliases after every title, so a title always wins
+  for (const e of loreEntries || []) {
+    if (keyOf(e) == null || !Array.isArray(e.aliases)) continue;
+    for (const a of e.aliases) {
+      const alias = String(a || '').trim().replace(/\s+/g, ' ').toLowerCase();
+      if (alias && !byTitle.has(alias)) byTitle.set(alias, e);
+    }
+  }
+  return { byKey, byTitle, byFirstWord, keyOf };
+}
+
+// Target text → lore entry | null. A stored link wins while its lore entry
+// still exists.
+function resolveMention(target, links, lookup) {
+  const t = String(target || '').trim().toLowerCase();
+  if (!t) return null;
+  const stored = links && links[t];
+  if (stored && lookup.byKey.has(String(stored).toLowerCase())) return lookup.byKey.get(String(stored).toLowerCase());
+  if (lookup.byKey.has(t)) return lookup.byKey.get(t);
+  if (lookup.byTitle.has(t)) return lookup.byTitle.get(t);
+  const partial = lookup.byFirstWord.get(t);
+  return partial && partial.length === 1 ? partial[0] : null;
+}
+
+// Links for every mention in `text` that resolves → { target: code }.
+// Targets that stop resolving are dropped.
+function buildLoreLinks(text, prevLinks, lookup) {
+  const links = {};
+  for (const m of findMentions(text)) {
+    const t = m.target.toLowerCase();
+    if (links[t]) continue;
+    const hit = resolveMention(m.target, prevLinks, lookup);
+    if (hit) links[t] = String(lookup.keyOf(hit));
+  }
+  return links;
+}
+
+// Mention syntax → its display text ("[[Aria Vell]]" → "Aria Vell",
+// "@Aria" → "Aria"), for exports and plain-text views
+function stripMentions(text) {
+  return String(text || '').replace(MENTION_RE, (all, target, label, word) =>
+    word !== undefined ? word : (label !== undefined ? label : target).trim());
+}
+
+module.exports = { findMentions, mentionAt, createLoreLookup, resolveMention, buildLoreLinks, stripMentions };
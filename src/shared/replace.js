@@ -0,0 +1,151 @@
+// src/shared/replace.js
+// Project-wide find & replace: turns the panel's options into a RegExp, lists
+// every occurrence across entries (with the replacement each one would get)
+// and applies a chosen subset. Pure functions so the preview and the apply
+// step always agree on what a match is.
+
+const { LEGACY_FIELD_COUNT, normalizeValue } = require('./lore.fields');
+
+// Text fields searched per entry type. References edit `summary` in the
+// synopsis box; lore adds its summary and the first four custom fields (through
+// their entryN mirror, see lore.fields.js). Lore fields past the fourth are
+// searched as `field5name` / `field5value` … (see loreExtraFields).
+const REPLACE_FIELDS = {
+  chapter: ['title', 'synopsis', 'body'],
+  note: ['title', 'body'],
+  reference: ['title', 'summary', 'body'],
+  lore: ['title', 'summary', 'body',
+    'entry1name', 'entry1content', 'entry2name', 'entry2content',
+    'entry3name', 'entry3content', 'entry4name', 'entry4content'],
+};
+
+const MAX_OCCURRENCES = 2000;
+const CONTEXT_CHARS = 40;
+
+const escapeRe = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// { find, caseSensitive, wholeWord, regex } → global RegExp, or null when
+// `find` is empty. Throws on an invalid regular expression.
+function buildMatcher({ find, caseSensitive = false, wholeWord = false, regex = false } = {}) {
+  if (!find) return null;
+  let src = regex ? String(find) : escapeRe(find);
+  if (wholeWord) src = `(?<![\\p{L}\\p{N}_])(?:${src})(?![\\p{L}\\p{N}_])`;
+  return new RegExp(src, `gmu${caseSensitive ? '' : 'i'}`);
+}
+
+// Expand `$&`, `$1`…`$99`, `$<name>` and `$$` in a regex-mode replacement
+function expandReplacement(template, m) {
+  return String(template).replace(/\$(\$|&|<([^>]*)>|\d{1,2})/g, (tok, what, name) => {
+    if (what === '$') return '$';
+    if (what === '&') return m[0];
+    if (name !== undefined) return (m.groups && m.groups[name]) ?? '';
+    const n = Number(what);
+    if (n > 0 && n < m.length) return m[n] ?? '';
+    if (what.length === 2 && Number(what[0]) > 0 && Number(what[0]) < m.length) return (m[Number(what[0])] ?? '') + what[1];
+    return tok;
+  });
+}
+
+const EXTRA_FIELD_RE = /^field(\d+)(name|value)$/;
+// Value types whose text can be edited in place (lists as "a, b, c")
+const TEXT_VALUE_TYPES = ['text', 'list'];
+
+// `field5name`, `field5value`, … for a lore entry's custom fields past the
+// mirrored four; number, date and link values are left out
+function loreExtraFields(entry) {
+  if (entry.type !== 'lore' || !Array.isArray(entry.fields)) return [];
+  const out = [];
+  entry.fields.forEach((f, i) => {
+    if (i < LEGACY_FIELD_COUNT || !f) return;
+    out.push(`field${i + 1}name`);
+    if (TEXT_VALUE_TYPES.includes(f.type || 'text')) out.push(`field${i + 1}value`);
+  });
+  return out;
+}
+
+function fieldValue(entry, field) {
+  if (field === 'body') return String(entry.body ?? entry.content ?? '');
+  const extra = EXTRA_FIELD_RE.exec(field);
+  if (extra) {
+    const f = Array.isArray(entry.fields) ? entry.fields[Number(extra[1]) - 1] : null;
+    if (!f) return '';
+    if (extra[2] === 'name') return String(f.name ?? '');
+    return Array.isArray(f.value) ? f.value.join(', ') : String(f.value ?? '');
+  }
+  return entry[field] == null ? '' : String(entry[field]);
+}
+
+// Write `text` back into `field` (the counterpart of fieldValue). Custom
+// fields get a fresh `fields` array; list values are split on commas again.
+function setFieldValue(entry, field, text) {
+  const extra = EXTRA_FIELD_RE.exec(field);
+  if (!extra) {
+    entry[field] = text;
+    return;
+  }
+  const i = Number(extra[1]) - 1;
+  if (!Array.isArray(entry.fields) || !entry.fields[i]) return;
+  const fields = entry.fields.slice();
+  const f = fields[i];
+  fields[i] = extra[2] === 'name' ? { ...f, name: text } : { ...f, value: normalizeValue(f.type || 'text', text) };
+  entry.fields = fields;
+}
+
+// → { occurrences: [{ id, key, type, title, field, start, end, match,
+//     replacement, before, after }], truncated }
+// `id` (key|field|start) identifies an occurrence between preview and apply.
+// Empty matches are skipped.
+function findOccurrences(entries, opts, { keyOf, types = null, limit = MAX_OCCURRENCES } = {}) {
+  const re = buildMatcher(opts);
+  const occurrences = [];
+  if (!re) return { occurrences, truncated: false };
+  for (const entry of entries || []) {
+    if (types && !types.includes(entry.type)) continue;
+    const key = keyOf(entry);
+    for (const field of [...(REPLACE_FIELDS[entry.type] || []), ...loreExtraFields(entry)]) {
+      const text = fieldValue(entry, field);
+      if (!text) continue;
+      for (const m of text.matchAll(re)) {
+        if (!m[0]) continue;
+        if (occurrences.length >= limit) return { occurrences, truncated: true };
+        const start = m.index;
+        const end = start + m[0].length;
+        occurrences.push({
+          id: `${key}|${field}|${start}`,
+          key,
+          type: entry.type,
+          title: entry.title || '',
+          field,
+          start,
+          end,
+          match: m[0],
+          replacement: opts.regex ? expandReplacement(opts.replace ?? '', m) : String(opts.replace ?? ''),
+          before: text.slice(Math.max(0, start - CONTEXT_CHARS), start),
+          after: text.slice(end, end + CONTEXT_CHARS),
+        });
+      }
+    }
+  }
+  return { occurrences, truncated: false };
+}
+
+// Apply occurrences (all from the same text) → new text. Later matches are
+// spliced first so earlier offsets stay valid.
+function applyOccurrences(text, occurrences) {
+  let out = String(text);
+  for (const o of occurrences.slice().sort((a, b) => b.start - a.start)) {
+    out = out.slice(0, o.start) + o.replacement + out.slice(o.end);
+  }
+  return out;
+}
+
+module.exports = {
+  REPLACE_FIELDS,
+  MAX_OCCURRENCES,
+  buildMatcher,
+  expandReplacement,
+  fieldValue,
+  setFieldValue,
+  findOccurrences,
+  applyOccurrences,
+};
@@ -0,0 +1,283 @@
+// src/shared/search.index.js
+// In-memory full-text index behind the Finder. Entries are indexed per field
+// (title, tags, synopsis/summary, body, lore kind and the lore custom
+// fields); `sync` only re-tokenizes fields whose text changed since the last
+// call, so the renderer can sync on every keystroke even on a novel-length
+// project. Every query term must match (as a word prefix) somewhere in an
+// entry; results are ranked by field weight, term frequency and phrase hits.
+
+// Field → ranking weight. Lore `entryNname`/`entryNcontent` mirror the first
+// four custom fields and `fields` holds the rest (see lore.fields.js);
+// references keep their summary in `summary`.
+const SEARCH_FIELDS = {
+  title: 6,
+  tags: 5,
+  lore_kind: 2,
+  synopsis: 2.5,
+  summary: 2.5,
+  entry1name: 1.5, entry1content: 1.5,
+  entry2name: 1.5, entry2content: 1.5,
+  entry3name: 1.5, entry3content: 1.5,
+  entry4name: 1.5, entry4content: 1.5,
+  fields: 1.5,
+  body: 1,
+};
+
+// Fields a snippet is taken from, in order of preference (title and tags are
+// already shown on the result row)
+const SNIPPET_FIELDS = [
+  'synopsis', 'summary', 'body',
+  'entry1content', 'entry2content', 'entry3content', 'entry4content',
+  'entry1name', 'entry2name', 'entry3name', 'entry4name', 'fields', 'lore_kind',
+];
+
+const { LEGACY_FIELD_COUNT, fieldText: loreFieldText } = require('./lore.fields');
+
+const TOKEN_RE = /[\p{L}\p{N}][\p{L}\p{N}'’]*/gu;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_AFTER = 120;
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(TOKEN_RE) || []).map(t => t.replace(/['’]+$/, ''));
+}
+
+function countTokens(text) {
+  const counts = new Map();
+  for (const t of tokenize(text)) counts.set(t, (counts.get(t) || 0) + 1);
+  return counts;
+}
+
+const escapeRe = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function fieldText(entry, field) {
+  if (field === 'tags') return Array.isArray(entry.tags) ? entry.tags.join(', ') : String(entry.tags || '');
+  if (field === 'body') return String(entry.body ?? entry.content ?? '');
+  if (field === 'fields') {
+    // one "Name: value" line per custom field past the mirrored four
+    return (Array.isArray(entry.fields) ? entry.fields.slice(LEGACY_FIELD_COUNT) : [])
+      .map(f => `${f.name}: ${loreFieldText(f)}`).join('\n');
+  }
+  const v = entry[field];
+  return v == null ? '' : String(v);
+}
+
+// Query → { terms, phrase }. `phrase` is the whole query when it has more than
+// one term (an exact hit ranks higher).
+function parseQuery(query) {
+  const terms = [...new Set(tokenize(query))];
+  const phrase = terms.length > 1 ? String(query || '').trim().replace(/\s+/g, ' ') : '';
+  return { terms, phrase };
+}
+
+const phraseRe = (phrase) => new RegExp(escapeRe(phrase).replace(/ /g, '\\s+'), 'giu');
+const termsRe = (terms) => new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRe).join('|')})`, 'giu');
+
+// Case-insensitive matches of `terms` (at word starts) and `phrase` in `text`
+// → [{ start, end, phrase }] sorted by position
+function findMatches(text, { terms, phrase }) {
+  const out = [];
+  if (phrase) {
+    for (const m of text.matchAll(phraseRe(phrase))) out.push({ start: m.index, end: m.index + m[0].length, phrase: true });
+  }
+  if (terms.length) {
+    for (const m of text.matchAll(termsRe(terms))) {
+      if (!out.some(p => p.phrase && m.index >= p.start && m.index < p.end)) out.push({ start: m.index, end: m.index + m[0].length, phrase: false });
+    }
+  }
+  return out.sort((a, b) => a.start - b.start);
+}
+
+// First phrase match, else first term match → { start, end } | null
+function firstMatch(text, { terms, phrase }) {
+  const m = (phrase && phraseRe(phrase).exec(text)) || (terms.length && termsRe(terms).exec(text));
+  return m ? { start: m.index, end: m.index + m[0].length } : null;
+}
+
+// Context around the match at `at` with highlight ranges (relative to the
+// snippet text) for every query match inside it
+function makeSnippet(text, q, at) {
+  let start = Math.max(0, at - SNIPPET_BEFORE);
+  let end = Math.min(text.length, at + SNIPPET_AFTER);
+  if (start > 0) {
+    const ws = text.slice(start, at).search(/\s/);
+    if (ws >= 0) start += ws + 1;
+  }
+  if (end < text.length) {
+    const ws = text.slice(at, end).search(/\s\S*$/);
+    if (ws > 0) end = at + ws;
+  }
+  const slice = text.slice(start, end);
+  return {
+    text: slice.replace(/\s/g, ' '),
+    highlights: findMatches(slice, q).map(m => [m.start, m.end]),
+    before: start > 0,
+    after: end < text.length,
+  };
+}
+
+function createSearchIndex() {
+  const docs = new Map();     // key → { key, type, entry, fields: { name: { text, lower, counts } } }
+  const postings = new Map(); // token → Map(key → occurrences across fields)
+  const expandCache = new Map(); // term → tokens it prefixes
+
+  function addCounts(key, counts, sign) {
+    for (const [tok, n] of counts) {
+      let m = postings.get(tok);
+      if (!m) { if (sign < 0) continue; m = new Map(); postings.set(tok, m); }
+      const next = (m.get(key) || 0) + sign * n;
+      if (next > 0) m.set(key, next);
+      else m.delete(key);
+      if (!m.size) postings.delete(tok);
+    }
+  }
+
+  function remove(key) {
+    const doc = docs.get(key);
+    if (!doc) return;
+    for (const f of Object.values(doc.fields)) addCounts(key, f.counts, -1);
+    docs.delete(key);
+  }
+
+  // Bring the index in line with `entries`. Only changed fields are
+  // re-tokenized. → { added, updated, removed }
+  function sync(entries, keyOf) {
+    const seen = new Set();
+    const stats = { added: 0, updated: 0, removed: 0 };
+    for (const entry of entries || []) {
+      const key = keyOf(entry);
+      if (key == null || seen.has(key)) continue;
+      seen.add(key);
+      let doc = docs.get(key);
+      const isNew = !doc;
+      if (isNew) { doc = { key, fields: {} }; docs.set(key, doc); stats.added++; }
+      doc.type = entry.type;
+      doc.entry = entry;
+      let changed = false;
+      for (const field of Object.keys(SEARCH_FIELDS)) {
+        const text = fieldText(entry, field);
+        const prev = doc.fields[field];
+        if (prev && prev.text === text) continue;
+        if (prev) addCounts(key, prev.counts, -1);
+        if (!text) { delete doc.fields[field]; changed = true; continue; }
+        const counts = countTokens(text);
+        doc.fields[field] = { text, lower: text.toLowerCase(), counts };
+        addCounts(key, counts, 1);
+        changed = true;
+      }
+      if (changed && !isNew) stats.updated++;
+    }
+    for (const key of [...docs.keys()]) {
+      if (!seen.has(key)) { remove(key); stats.removed++; }
+    }
+    if (stats.added || stats.updated || stats.removed) expandCache.clear();
+    return stats;
+  }
+
+  // Tokens starting with `term`; memoized until the index changes
+  function expand(term) {
+    if (expandCache.has(term)) return expandCache.get(term);
+    const out = [];
+    for (const tok of postings.keys()) if (tok.startsWith(term)) out.push(tok);
+    expandCache.set(term, out);
+    return out;
+  }
+
+  // Does the entry under `key` contain `text`? Words match as word prefixes
+  // (or title/tag substrings, as in search); a phrase must appear as is,
+  // case-insensitively. Text without any words matches everything.
+  function matches(key, text, phrase = false) {
+    const doc = docs.get(key);
+    if (!doc) return false;
+    if (phrase) {
+      const p = String(text || '').trim().replace(/\s+/g, ' ');
+      if (!p) return true;
+      const re = phraseRe(p);
+      return Object.values(doc.fields).some(f => { re.lastIndex = 0; return re.test(f.text); });
+    }
+    return tokenize(text).every(term =>
+      expand(term).some(tok => postings.get(tok).has(key)) ||
+      (doc.fields.title && doc.fields.title.lower.includes(term)) ||
+      (doc.fields.tags && doc.fields.tags.lower.includes(term)));
+  }
+
+  // → [{ key, entry, type, score, field, offset, length, snippet }] best first.
+  // `field`/`offset`/`length` locate the match the snippet is built around
+  // (field is null when only the title/tags matched).
+  function search(query, { types = null, limit = 100 } = {}) {
+    const q = parseQuery(query);
+    if (!q.terms.length) return [];
+    const typeOk = (doc) => !types || types.includes(doc.type);
+
+    // Candidates: every term must hit the doc (word prefix anywhere, or a
+    // plain substring of the title/tags, which is what the Finder used to do)
+    let candidates = null;
+    const expansions = q.terms.map(expand);
+    q.terms.forEach((term, i) => {
+      const hit = new Set();
+      for (const tok of expansions[i]) for (const key of postings.get(tok).keys()) hit.add(key);
+      for (const doc of docs.values()) {
+        if ((doc.fields.title && doc.fields.title.lower.includes(term)) || (doc.fields.tags && doc.fields.tags.lower.includes(term))) hit.add(doc.key);
+      }
+      candidates = candidates ? new Set([...candidates].filter(k => hit.has(k))) : hit;
+    });
+
+    const results = [];
+    for (const key of candidates || []) {
+      const doc = docs.get(key);
+      if (!doc || !typeOk(doc)) continue;
+      let score = 0;
+      for (const [field, f] of Object.entries(doc.fields)) {
+        const w = SEARCH_FIELDS[field];
+        q.terms.forEach((term, i) => {
+          let n = 0;
+          for (const tok of expansions[i]) {
+            const c = f.counts.get(tok);
+            if (c) n += tok === term ? c : c * 0.6;
+          }
+          if (!n && (field === 'title' || field === 'tags') && f.lower.includes(term)) n = 0.5;
+          if (n) score += w * (1 + Math.log(n));
+        });
+        if (q.phrase && f.lower.includes(q.phrase.toLowerCase())) score += w * 3;
+      }
+
+      results.push({ key, doc, score });
+    }
+    results.sort((a, b) => b.score - a.score || String(b.doc.entry.updated_at || '').localeCompare(String(a.doc.entry.updated_at || '')));
+
+    // Snippets only for what is returned. The field is picked from the token
+    // counts (phrase first, then most distinct terms); only that field is
+    // scanned for match positions.
+    const phraseLower = q.phrase.toLowerCase();
+    return results.slice(0, limit).map(({ key, doc, score }) => {
+      let best = null;
+      for (const field of SNIPPET_FIELDS) {
+        const f = doc.fields[field];
+        if (!f) continue;
+        const distinct = expansions.filter(toks => toks.some(tok => f.counts.has(tok))).length;
+        const rank = (q.phrase && f.lower.includes(phraseLower) ? 1000 : 0) + distinct;
+        if (rank && (!best || rank > best.rank)) best = { field, rank, f };
+      }
+      const at = best ? firstMatch(best.f.text, q) : null;
+      return {
+        key,
+        entry: doc.entry,
+        type: doc.type,
+        score,
+        field: at ? best.field : null,
+        offset: at ? at.start : 0,
+        length: at ? at.end - at.start : 0,
+        snippet: at ? makeSnippet(best.f.text, q, at.start) : null,
+      };
+    });
+  }
+
+  return {
+    sync,
+    search,
+    matches,
+    clear() { docs.clear(); postings.clear(); },
+    get size() { return docs.size; },
+  };
+}
+
+module.exports = { SEARCH_FIELDS, tokenize, parseQuery, findMatches, makeSnippet, createSearchIndex };
@@ -0,0 +1,198 @@
+// src/shared/search.query.js
+// Query language for the Finder and saved filters:
+//
+//   tag:villain AND type:lore status:draft updated:<7d "exact phrase" -tag:cut
+//
+// Clauses separated by spaces (or AND) must all match; OR joins alternatives
+// (AND binds tighter, parentheses group). `-clause` / NOT negates. Filters:
+//   tag:X       entry has tag X (case-insensitive; quote values with spaces)
+//   type:X      chapter | note | reference | lore (plurals and "ref" work)
+//   status:X    chapter status          kind:X      lore kind
+//   category:X  note category           title:X     title contains X
+//   updated:/created:  `<7d` (newer than 7 days; h/d/w/m/y units), `>30d`
+//               (older), or a date: `>2024-05-01`, `<=2024-05-01`,
+//               `2024-05-01` (that day)
+// Anything else is free text: words match as word prefixes anywhere in the
+// entry, "quoted text" matches as an exact phrase.
+
+const FIELD_KEYS = new Set(['tag', 'tags', 'type', 'status', 'kind', 'category', 'title', 'updated', 'created']);
+const TYPE_ALIASES = {
+  chapter: 'chapter', chapters: 'chapter', ch: 'chapter',
+  note: 'note', notes: 'note',
+  reference: 'reference', references: 'reference', ref: 'reference', refs: 'reference',
+  lore: 'lore',
+};
+const DURATION_MS = { h: 3600e3, d: 86400e3, w: 7 * 86400e3, m: 30 * 86400e3, y: 365 * 86400e3 };
+
+// Query string → tokens: '(' ')' 'OR' 'AND' 'NOT' '-' and
+// { key, value, quoted } atoms (key is null for free text)
+function lex(src) {
+  const tokens = [];
+  const s = String(src || '');
+  let i = 0;
+  const readValue = () => {
+    if (s[i] === '"') {
+      const end = s.indexOf('"', i + 1);
+      const v = end < 0 ? s.slice(i + 1) : s.slice(i + 1, end);
+      i = end < 0 ? s.length : end + 1;
+      return { value: v, quoted: true };
+    }
+    let j = i;
+    while (j < s.length && !/[\s()]/.test(s[j])) j++;
+    const v = s.slice(i, j);
+    i = j;
+    return { value: v, quoted: false };
+  };
+  while (i < s.length) {
+    const c = s[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '(' || c === ')') { tokens.push(c); i++; continue; }
+    if (c === '-' && i + 1 < s.length && !/[\s-]/.test(s[i + 1]) && (i === 0 || /[\s(]/.test(s[i - 1]))) {
+      tokens.push('-'); i++; continue;
+    }
+    const m = /^([a-z]+):(?=\S)/i.exec(s.slice(i));
+    if (m && FIELD_KEYS.has(m[1].toLowerCase())) {
+      i += m[0].length;
+      tokens.push({ key: m[1].toLowerCase(), ...readValue() });
+      continue;
+    }
+    const atom = readValue();
+    if (!atom.quoted && (atom.value === 'AND' || atom.value === 'OR' || atom.value === 'NOT')) tokens.push(atom.value);
+    else if (atom.value) tokens.push({ key: null, ...atom });
+  }
+  return tokens;
+}
+
+// "<7d" / ">=2024-05-01" / "draft" → { cmp, value }
+function splitComparator(v) {
+  const m = /^(<=|>=|<|>|=)?(.*)$/.exec(v);
+  return { cmp: m[1] || '', value: m[2] };
+}
+
+function makeClause(atom) {
+  if (!atom.key) return { kind: 'text', value: atom.value, phrase: atom.quoted };
+  const key = atom.key === 'tags' ? 'tag' : atom.key;
+  if (key === 'updated' || key === 'created') {
+    const { cmp, value } = splitComparator(atom.value);
+    const dur = /^(\d+(?:\.\d+)?)([hdwmy])$/i.exec(value);
+    if (dur) return { kind: 'age', field: key, cmp: cmp || '<', ms: Number(dur[1]) * DURATION_MS[dur[2].toLowerCase()] };
+    const t = Date.parse(value);
+    if (!Number.isNaN(t)) return { kind: 'date', field: key, cmp: cmp || '=', date: value };
+    throw new Error(`Can't read "${atom.value}" in ${key}: — use e.g. <7d or >2024-05-01`);
+  }
+  if (key === 'type') {
+    const t = TYPE_ALIASES[atom.value.toLowerCase()];
+    if (!t) throw new Error(`Unknown type "${atom.value}" — use chapter, note, reference or lore`);
+    return { kind: 'field', field: 'type', value: t };
+  }
+  return { kind: 'field', field: key, value: atom.value.toLowerCase() };
+}
+
+// → AST: { op: 'and'|'or', items } | { op: 'not', item } | clause, or null
+// for an empty query. Throws Error with a readable message on bad filters.
+function parseSearchQuery(src) {
+  const tokens = lex(src);
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek() === 'OR') { pos++; items.push(parseAnd()); }
+    const kept = items.filter(Boolean);
+    return kept.length > 1 ? { op: 'or', items: kept } : (kept[0] || null);
+  }
+  function parseAnd() {
+    const items = [];
+    while (pos < tokens.length && peek() !== 'OR' && peek() !== ')') {
+      if (peek() === 'AND') { pos++; continue; }
+      const u = parseUnary();
+      if (u) items.push(u);
+    }
+    return items.length > 1 ? { op: 'and', items } : (items[0] || null);
+  }
+  function parseUnary() {
+    const t = tokens[pos++];
+    if (t === '-' || t === 'NOT') {
+      const inner = parseUnary();
+      return inner ? { op: 'not', item: inner } : null;
+    }
+    if (t === '(') {
+      const inner = parseOr();
+      if (peek() === ')') pos++;
+      return inner;
+    }
+    if (t === ')' || t === undefined) return null;
+    return makeClause(t);
+  }
+
+  const ast = parseOr();
+  // Stray closing parens: keep parsing what follows
+  const rest = [];
+  while (pos < tokens.length) { pos++; const more = parseOr(); if (more) rest.push(more); }
+  if (!rest.length) return ast;
+  return { op: 'and', items: [ast, ...rest].filter(Boolean) };
+}
+
+// True when the query is only plain words, which the full-text index can
+// rank and match on its own
+function isPlainText(ast) {
+  if (!ast) return true;
+  if (ast.kind === 'text') return !ast.phrase;
+  return ast.op === 'and' && ast.items.every(x => x.kind === 'text' && !x.phrase);
+}
+
+// Free text that every match must contain (top-level, not negated, not
+// inside OR) — used to rank results through the index
+function rankingText(ast) {
+  if (!ast) return '';
+  const items = ast.op === 'and' ? ast.items : [ast];
+  return items.filter(x => x.kind === 'text').map(x => x.value).join(' ');
+}
+
+function compare(a, cmp, b) {
+  if (cmp === '<') return a < b;
+  if (cmp === '<=') return a <= b;
+  if (cmp === '>') return a > b;
+  if (cmp === '>=') return a >= b;
+  return a === b;
+}
+
+function fieldMatches(entry, clause) {
+  const v = clause.value;
+  switch (clause.field) {
+    case 'tag': return (Array.isArray(entry.tags) ? entry.tags : []).some(t => String(t).toLowerCase() === v);
+    case 'type': return entry.type === v;
+    case 'status': return entry.type === 'chapter' && String(entry.status || 'Draft').toLowerCase() === v;
+    case 'kind': return String(entry.lore_kind || '').toLowerCase() === v;
+    case 'category': return String(entry.category || '').toLowerCase() === v;
+    case 'title': return String(entry.title || '').toLowerCase().includes(v);
+    default: return false;
+  }
+}
+
+// Evaluate `ast` for one entry. `matchText(entry, text, isPhrase)` answers
+// free-text clauses (the Finder passes the search index).
+function matchesQuery(entry, ast, { matchText, now = Date.now() } = {}) {
+  if (!ast) return true;
+  if (ast.op === 'and') return ast.items.every(x => matchesQuery(entry, x, { matchText, now }));
+  if (ast.op === 'or') return ast.items.some(x => matchesQuery(entry, x, { matchText, now }));
+  if (ast.op === 'not') return !matchesQuery(entry, ast.item, { matchText, now });
+  switch (ast.kind) {
+    case 'text': return matchText ? !!matchText(entry, ast.value, ast.phrase) : false;
+    case 'field': return fieldMatches(entry, ast);
+    case 'age': {
+      const t = Date.parse(entry[`${ast.field}_at`] || '');
+      if (Number.isNaN(t)) return false;
+      // `<7d` = younger than 7 days, so compare ages
+      return compare(now - t, ast.cmp, ast.ms);
+    }
+    case 'date': {
+      const t = String(entry[`${ast.field}_at`] || '').slice(0, 10);
+      if (!t) return false;
+      return compare(t, ast.cmp, String(new Date(Date.parse(ast.date)).toISOString()).slice(0, 10));
+    }
+    default: return false;
+  }
+}
+
+module.exports = { parseSearchQuery, isPlainText, rankingText, matchesQuery };
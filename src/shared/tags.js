@@ -0,0 +1,79 @@
+// src/shared/tags.js
+// Tag bookkeeping for the Tag Manager: usage counts across entries and
+// project-wide rename / merge / delete. Tags stay free text (see parseTags in
+// the renderer); matching here is exact so "Villain" and "villain" can be
+// merged on purpose. Colors live per project in data/project.json as
+// `tag_colors`, keyed by the lower-cased tag.
+
+// "Villains" → "villain": used only to point out likely duplicates
+function tagStem(tag) {
+  const t = String(tag || '').trim().toLowerCase();
+  if (t.length > 4 && t.endsWith('ies')) return `${t.slice(0, -3)}y`;
+  if (t.length > 3 && /(s|x|z|ch|sh)es$/.test(t)) return t.slice(0, -2);
+  if (t.length > 2 && t.endsWith('s') && !t.endsWith('ss')) return t.slice(0, -1);
+  return t;
+}
+
+const colorKey = (tag) => String(tag || '').trim().toLowerCase();
+
+// → [{ tag, count, types: { chapter: n, … }, similar: [otherTag, …] }]
+// sorted case-insensitively
+function collectTagUsage(entries) {
+  const byTag = new Map();
+  for (const e of entries || []) {
+    const seen = new Set();
+    for (const raw of Array.isArray(e.tags) ? e.tags : []) {
+      const tag = String(raw || '').trim();
+      if (!tag || seen.has(tag)) continue;
+      seen.add(tag);
+      let u = byTag.get(tag);
+      if (!u) { u = { tag, count: 0, types: {}, similar: [] }; byTag.set(tag, u); }
+      u.count++;
+      u.types[e.type] = (u.types[e.type] || 0) + 1;
+    }
+  }
+  const byStem = new Map();
+  for (const u of byTag.values()) {
+    const stem = tagStem(u.tag);
+    if (!byStem.has(stem)) byStem.set(stem, []);
+    byStem.get(stem).push(u.tag);
+  }
+  for (const u of byTag.values()) u.similar = byStem.get(tagStem(u.tag)).filter(t => t !== u.tag);
+  return [...byTag.values()].sort((a, b) => a.tag.localeCompare(b.tag, undefined, { sensitivity: 'base' }) || a.tag.localeCompare(b.tag));
+}
+
+// Replace every tag in `from` with `to` (or drop them when `to` is empty)
+// on each entry, without duplicating `to`. Mutates the entries.
+// → entries that changed
+function retagEntries(entries, from, to) {
+  const drop = new Set((Array.isArray(from) ? from : [from]).map(t => String(t).trim()).filter(Boolean));
+  const target = String(to || '').trim();
+  const changed = [];
+  for (const e of entries || []) {
+    if (!Array.isArray(e.tags) || !e.tags.some(t => drop.has(String(t).trim()))) continue;
+    const next = [];
+    for (const raw of e.tags) {
+      const t = String(raw).trim();
+      const v = drop.has(t) ? target : t;
+      if (v && !next.includes(v)) next.push(v);
+    }
+    e.tags = next;
+    changed.push(e);
+  }
+  return changed;
+}
+
+// Carry colors over a rename/merge: the target keeps its own color, else
+// takes the first source color. Deleting (`to` empty) drops the colors.
+// → new colors object
+function retagColors(colors, from, to) {
+  const out = Object.assign({}, colors || {});
+  const sources = (Array.isArray(from) ? from : [from]).map(colorKey);
+  const target = colorKey(to);
+  const inherited = sources.map(k => out[k]).find(Boolean);
+  for (const k of sources) if (k !== target) delete out[k];
+  if (target && !out[target] && inherited) out[target] = inherited;
+  return out;
+}
+
+module.exports = { tagStem, colorKey, collectTagUsage, retagEntries, retagColors };
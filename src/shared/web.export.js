@@ -0,0 +1,186 @@
+// src/shared/web.export.js
+// The relationship web as files other tools can read. The renderer
+// describes the web drawn on the canvas as
+//   { title,
+//     nodes: [{ id, code, title, kind, type, x, y, w, h, color }],
+//     links: [{ id, from, to, label, type, color, style, direction, d }] }
+// (node boxes and link paths `d` in canvas coordinates, link looks already
+// resolved against the type palette) and these turn it into a standalone
+// SVG, Graphviz DOT or GraphML. PNG is the SVG rasterized by the renderer.
+
+const { dashArray } = require('./web.links');
+
+const WEB_EXPORT_FORMATS = {
+  svg: { label: 'SVG image', extensions: ['svg'] },
+  png: { label: 'PNG image', extensions: ['png'] },
+  dot: { label: 'Graphviz DOT', extensions: ['gv', 'dot'] },
+  graphml: { label: 'GraphML', extensions: ['graphml'] },
+};
+
+const PNG_SCALES = [1, 2, 3, 4];
+const MARGIN = 40;
+
+const xml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+const dotStr = (s) => `"${String(s ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+
+// Node ids for DOT / GraphML: the entry code, else the node id (an entry
+// placed twice gets its node id appended the second time) → Map id → name
+function nodeNames(graph) {
+  const names = new Map();
+  const taken = new Set();
+  for (const n of graph.nodes || []) {
+    let name = String(n.code || n.id);
+    if (taken.has(name)) name = `${name}#${n.id}`;
+    taken.add(name);
+    names.set(n.id, name);
+  }
+  return names;
+}
+
+// Bounds of all node boxes → { x, y, w, h } with a margin
+function bounds(graph) {
+  const nodes = graph.nodes || [];
+  if (!nodes.length) return { x: 0, y: 0, w: MARGIN * 2, h: MARGIN * 2 };
+  const x0 = Math.min(...nodes.map(n => n.x)) - MARGIN;
+  const y0 = Math.min(...nodes.map(n => n.y)) - MARGIN;
+  const x1 = Math.max(...nodes.map(n => n.x + n.w)) + MARGIN;
+  const y1 = Math.max(...nodes.map(n => n.y + n.h)) + MARGIN;
+  return { x: Math.floor(x0), y: Math.floor(y0), w: Math.ceil(x1 - x0), h: Math.ceil(y1 - y0) };
+}
+
+// Straight line between two node centres, for links without a drawn path
+function fallbackPath(graph, link) {
+  const a = (graph.nodes || []).find(n => n.id === link.from);
+  const b = (graph.nodes || []).find(n => n.id === link.to);
+  if (!a || !b) return null;
+  return `M ${a.x + a.w / 2} ${a.y + a.h / 2} L ${b.x + b.w / 2} ${b.y + b.h / 2}`;
+}
+
+function webToSvg(graph, { background = '#ffffff' } = {}) {
+  const box = bounds(graph);
+  const colors = [...new Set((graph.links || []).filter(l => l.direction && l.direction !== 'none').map(l => l.color))];
+  const markerId = (c) => `arrow-${String(c).replace('#', '')}`;
+  const out = [];
+  out.push('<?xml version="1.0" encoding="UTF-8"?>');
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${box.w}" height="${box.h}" viewBox="${box.x} ${box.y} ${box.w} ${box.h}" font-family="system-ui, -apple-system, 'Segoe UI', sans-serif">`);
+  out.push(`  <title>${xml(graph.title || 'Relationship web')}</title>`);
+  out.push('  <defs>');
+  for (const c of colors) {
+    out.push(`    <marker id="${markerId(c)}" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="4" markerHeight="4" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${xml(c)}"/></marker>`);
+  }
+  out.push('  </defs>');
+  if (background) out.push(`  <rect x="${box.x}" y="${box.y}" width="${box.w}" height="${box.h}" fill="${xml(background)}"/>`);
+
+  out.push('  <g class="links" fill="none" stroke-width="3" stroke-linecap="round">');
+  (graph.links || []).forEach((l, i) => {
+    const d = l.d || fallbackPath(graph, l);
+    if (!d) return;
+    const dash = dashArray(l.style);
+    const markers = l.direction === 'one-way' || l.direction === 'two-way'
+      ? ` marker-end="url(#${markerId(l.color)})"${l.direction === 'two-way' ? ` marker-start="url(#${markerId(l.color)})"` : ''}`
+      : '';
+    out.push(`    <path id="link-${i}" d="${xml(d)}" stroke="${xml(l.color)}"${dash ? ` stroke-dasharray="${dash}"` : ''}${markers}/>`);
+  });
+  out.push('  </g>');
+  out.push('  <g class="link-labels" font-size="12" font-weight="600" text-anchor="middle" paint-order="stroke" stroke-width="3">');
+  (graph.links || []).forEach((l, i) => {
+    if (!l.label || !(l.d || fallbackPath(graph, l))) return;
+    out.push(`    <text dy="-6" fill="${xml(l.color)}" stroke="${xml(background || '#ffffff')}"><textPath href="#link-${i}" startOffset="50%">${xml(l.label)}</textPath></text>`);
+  });
+  out.push('  </g>');
+
+  out.push('  <g class="nodes">');
+  for (const n of graph.nodes || []) {
+    out.push(`    <g transform="translate(${n.x} ${n.y})">`);
+    out.push(`      <rect width="${n.w}" height="${n.h}" rx="10" fill="${xml(n.color || '#1e90ff')}"/>`);
+    out.push(`      <text x="10" y="${n.h / 2 - 3}" fill="#ffffff" font-size="13" font-weight="600">${xml(n.title || '(Untitled)')}</text>`);
+    out.push(`      <text x="10" y="${n.h / 2 + 11}" fill="#ffffff" fill-opacity="0.9" font-size="11">${xml(n.kind || n.type || '')}</text>`);
+    out.push('    </g>');
+  }
+  out.push('  </g>');
+  out.push('</svg>');
+  return out.join('\n') + '\n';
+}
+
+// Graphviz DOT. Node positions go along as `pos` (points, y up) so
+// `neato -n` reproduces the canvas; `dot` lays it out afresh.
+function webToDot(graph) {
+  const out = [];
+  out.push(`digraph ${dotStr(graph.title || 'Relationship web')} {`);
+  out.push(`  graph [label=${dotStr(graph.title || '')}, labelloc=t];`);
+  out.push('  node [shape=box, style="rounded,filled", fontcolor=white, fontname="Helvetica"];');
+  out.push('  edge [fontname="Helvetica", fontsize=10];');
+  const names = nodeNames(graph);
+  for (const n of graph.nodes || []) {
+    const attrs = [
+      `label=${dotStr(n.title || '(Untitled)')}`,
+      `fillcolor=${dotStr(n.color || '#1e90ff')}`,
+      `pos=${dotStr(`${Math.round(n.x + n.w / 2)},${Math.round(-(n.y + n.h / 2))}`)}`,
+    ];
+    if (n.kind) attrs.push(`kind=${dotStr(n.kind)}`);
+    if (n.code) attrs.push(`code=${dotStr(n.code)}`);
+    out.push(`  ${dotStr(names.get(n.id))} [${attrs.join(', ')}];`);
+  }
+  for (const l of graph.links || []) {
+    const a = names.get(l.from), b = names.get(l.to);
+    if (!a || !b) continue;
+    const attrs = [`color=${dotStr(l.color)}`];
+    if (l.label) attrs.push(`label=${dotStr(l.label)}`);
+    if (l.type) attrs.push(`type=${dotStr(l.type)}`);
+    if (l.style && l.style !== 'solid') attrs.push(`style=${l.style}`);
+    attrs.push(`dir=${l.direction === 'two-way' ? 'both' : l.direction === 'one-way' ? 'forward' : 'none'}`);
+    out.push(`  ${dotStr(a)} -> ${dotStr(b)} [${attrs.join(', ')}];`);
+  }
+  out.push('}');
+  return out.join('\n') + '\n';
+}
+
+const GRAPHML_KEYS = [
+  ['n_title', 'node', 'title', 'string'],
+  ['n_code', 'node', 'code', 'string'],
+  ['n_kind', 'node', 'kind', 'string'],
+  ['n_type', 'node', 'type', 'string'],
+  ['n_color', 'node', 'color', 'string'],
+  ['n_x', 'node', 'x', 'double'],
+  ['n_y', 'node', 'y', 'double'],
+  ['e_label', 'edge', 'label', 'string'],
+  ['e_type', 'edge', 'type', 'string'],
+  ['e_color', 'edge', 'color', 'string'],
+  ['e_style', 'edge', 'style', 'string'],
+  ['e_direction', 'edge', 'direction', 'string'],
+];
+
+// GraphML with the entry title/code/kind and link meaning as data keys;
+// links drawn without an arrow are undirected edges
+function webToGraphML(graph) {
+  const out = [];
+  out.push('<?xml version="1.0" encoding="UTF-8"?>');
+  out.push('<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">');
+  for (const [id, dom, name, type] of GRAPHML_KEYS) {
+    out.push(`  <key id="${id}" for="${dom}" attr.name="${name}" attr.type="${type}"/>`);
+  }
+  out.push(`  <graph id="${xml(graph.title || 'web')}" edgedefault="directed">`);
+  const data = (key, v) => (v === undefined || v === null || v === '' ? '' : `<data key="${key}">${xml(v)}</data>`);
+  const names = nodeNames(graph);
+  for (const n of graph.nodes || []) {
+    out.push(`    <node id="${xml(names.get(n.id))}">${[
+      data('n_title', n.title || '(Untitled)'), data('n_code', n.code), data('n_kind', n.kind), data('n_type', n.type),
+      data('n_color', n.color), data('n_x', Math.round(n.x)), data('n_y', Math.round(n.y)),
+    ].join('')}</node>`);
+  }
+  for (const l of graph.links || []) {
+    const a = names.get(l.from), b = names.get(l.to);
+    if (!a || !b) continue;
+    const directed = l.direction === 'none' ? ' directed="false"' : '';
+    out.push(`    <edge id="${xml(l.id)}" source="${xml(a)}" target="${xml(b)}"${directed}>${[
+      data('e_label', l.label), data('e_type', l.type), data('e_color', l.color), data('e_style', l.style), data('e_direction', l.direction),
+    ].join('')}</edge>`);
+  }
+  out.push('  </graph>');
+  out.push('</graphml>');
+  return out.join('\n') + '\n';
+}
+
+module.exports = { WEB_EXPORT_FORMATS, PNG_SCALES, bounds, webToSvg, webToDot, webToGraphML };
@@ -0,0 +1,91 @@
+// src/shared/web.history.js
+// Undo/redo for edits on the relationship web canvas. The renderer keeps the
+// web as state.timelineNodes / state.timelineLinks and calls `record` once an
+// edit is complete; the history compares the web with the last recorded one
+// and keeps the difference as a command
+//   { label, nodes: { id: [before, after] }, links: { id: [before, after] } }
+// (null = not on the web), so a single command covers a moved node as well
+// as an arrangement of fifty. Undo restores the `before` side of the
+// newest command, redo the `after` side. At most `limit` commands are kept.
+
+const WEB_HISTORY_LIMIT = 100;
+
+const clone = (v) => (v == null ? null : JSON.parse(JSON.stringify(v)));
+
+function snapshotWeb(nodes, links) {
+  return { nodes: clone(nodes || {}) || {}, links: clone(links || {}) || {} };
+}
+
+// Records that differ between two { id: record } maps → { id: [before, after] }
+function diffRecords(a, b) {
+  const out = {};
+  for (const id of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const before = a[id] == null ? null : a[id];
+    const after = b[id] == null ? null : b[id];
+    if (JSON.stringify(before) !== JSON.stringify(after)) out[id] = [clone(before), clone(after)];
+  }
+  return out;
+}
+
+// Two snapshots → command, or null when nothing changed
+function diffWeb(before, after, label = 'Edit') {
+  const nodes = diffRecords(before.nodes, after.nodes);
+  const links = diffRecords(before.links, after.links);
+  if (!Object.keys(nodes).length && !Object.keys(links).length) return null;
+  return { label, nodes, links };
+}
+
+// One side of a command ('before' | 'after') → { nodes, links } with the
+// records to restore (null = remove)
+function commandSide(cmd, side) {
+  const i = side === 'before' ? 0 : 1;
+  const pick = (map) => Object.fromEntries(Object.entries(map).map(([id, pair]) => [id, clone(pair[i])]));
+  return { nodes: pick(cmd.nodes), links: pick(cmd.links) };
+}
+
+function createWebHistory({ limit = WEB_HISTORY_LIMIT } = {}) {
+  let base = snapshotWeb();
+  const undoStack = [];
+  const redoStack = [];
+  return {
+    // Start over from the web as it is now (a web was loaded or cleared)
+    reset(nodes, links) {
+      base = snapshotWeb(nodes, links);
+      undoStack.length = 0;
+      redoStack.length = 0;
+    },
+    // Take the web as it is now as the last recorded state without a command
+    // (after undo/redo has been applied)
+    rebase(nodes, links) {
+      base = snapshotWeb(nodes, links);
+    },
+    // Whatever changed since the last record becomes a command → it, or null
+    record(label, nodes, links) {
+      const now = snapshotWeb(nodes, links);
+      const cmd = diffWeb(base, now, label);
+      base = now;
+      if (!cmd) return null;
+      undoStack.push(cmd);
+      if (undoStack.length > limit) undoStack.splice(0, undoStack.length - limit);
+      redoStack.length = 0;
+      return cmd;
+    },
+    // Newest command → { label, nodes, links } to restore, or null
+    undo() {
+      const cmd = undoStack.pop();
+      if (!cmd) return null;
+      redoStack.push(cmd);
+      return { label: cmd.label, ...commandSide(cmd, 'before') };
+    },
+    redo() {
+      const cmd = redoStack.pop();
+      if (!cmd) return null;
+      undoStack.push(cmd);
+      return { label: cmd.label, ...commandSide(cmd, 'after') };
+    },
+    peekUndo: () => undoStack[undoStack.length - 1] || null,
+    peekRedo: () => redoStack[redoStack.length - 1] || null,
+  };
+}
+
+module.exports = { WEB_HISTORY_LIMIT, snapshotWeb, diffWeb, commandSide, createWebHistory };
@@ -0,0 +1,246 @@
+// src/shared/web.layout.js
+// Arrange layouts for the relationship web. Every layout takes
+//   nodes  [{ id, x, y, w, h, kind, pinned }]   (top-left corner + size)
+//   edges  [{ from, to }]                       (node ids)
+// and returns { id: { x, y } } for the nodes it moved. Pinned nodes are
+// never moved; the force layout still lets them pull on their neighbours.
+// Results are placed so the arranged nodes start where they were (same
+// top-left corner), and are deterministic for the same input.
+
+const LAYOUTS = [
+  { key: 'force', label: 'Force-directed' },
+  { key: 'hierarchical', label: 'Hierarchical (top-down)' },
+  { key: 'circular', label: 'Circular' },
+  { key: 'grid-kind', label: 'Grid by lore kind' },
+];
+
+const GAP_X = 60;
+const GAP_Y = 90;
+
+const center = (n) => ({ x: n.x + n.w / 2, y: n.y + n.h / 2 });
+
+// Move the laid-out nodes so their bounding box starts at the top-left of
+// the same nodes before the layout
+function anchor(free, out) {
+  if (!free.length) return out;
+  const minOf = (list, k) => Math.min(...list.map(k));
+  const dx = minOf(free, n => n.x) - minOf(free, n => out[n.id].x);
+  const dy = minOf(free, n => n.y) - minOf(free, n => out[n.id].y);
+  for (const n of free) out[n.id] = { x: out[n.id].x + dx, y: out[n.id].y + dy };
+  return out;
+}
+
+// Undirected adjacency (self-links and unknown ids dropped)
+function neighbours(nodes, edges) {
+  const adj = new Map(nodes.map(n => [n.id, new Set()]));
+  for (const e of edges || []) {
+    if (e.from === e.to || !adj.has(e.from) || !adj.has(e.to)) continue;
+    adj.get(e.from).add(e.to);
+    adj.get(e.to).add(e.from);
+  }
+  return adj;
+}
+
+// Fruchterman–Reingold on node centres, starting from the current
+// positions; pinned nodes take part but stay put. Nodes are pulled towards
+// the middle and kept inside a square frame sized from the node count, so
+// repulsion can't fling unlinked nodes (or whole groups) off the canvas.
+// The frame is centred on the pinned nodes when there are any, else on all
+// nodes.
+function forceLayout(nodes, edges, { iterations = 300 } = {}) {
+  const free = nodes.filter(n => !n.pinned);
+  if (!free.length) return {};
+  const size = Math.max(...nodes.map(n => Math.max(n.w, n.h)), 1);
+  const k = size + GAP_X; // ideal edge length
+  const pos = new Map(nodes.map((n, i) => {
+    const c = center(n);
+    // nodes dropped on the same spot need a nudge apart to start with
+    return [n.id, { x: c.x + (i % 7) * 0.5, y: c.y + (i % 5) * 0.5 }];
+  }));
+  const pinned = nodes.filter(n => n.pinned);
+  const around = pinned.length ? pinned : nodes;
+  const mid = {
+    x: around.reduce((s, n) => s + center(n).x, 0) / around.length,
+    y: around.reduce((s, n) => s + center(n).y, 0) / around.length,
+  };
+  const half = (Math.ceil(Math.sqrt(nodes.length)) * k) / 2 + k;
+  const gravity = k / half; // as strong as one neighbour's push at the frame edge
+  const adj = neighbours(nodes, edges);
+  let temp = k * 2;
+  for (let it = 0; it < iterations; it++) {
+    const disp = new Map(nodes.map(n => [n.id, { x: 0, y: 0 }]));
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = pos.get(nodes[i].id), b = pos.get(nodes[j].id);
+        let dx = a.x - b.x, dy = a.y - b.y;
+        const dist = Math.max(Math.hypot(dx, dy), 0.01);
+        const f = (k * k) / dist;
+        dx = (dx / dist) * f; dy = (dy / dist) * f;
+        disp.get(nodes[i].id).x += dx; disp.get(nodes[i].id).y += dy;
+        disp.get(nodes[j].id).x -= dx; disp.get(nodes[j].id).y -= dy;
+      }
+    }
+    for (const [id, set] of adj) {
+      for (const other of set) {
+        if (id > other) continue; // each edge once
+        const a = pos.get(id), b = pos.get(other);
+        let dx = a.x - b.x, dy = a.y - b.y;
+        const dist = Math.max(Math.hypot(dx, dy), 0.01);
+        const f = (dist * dist) / k;
+        dx = (dx / dist) * f; dy = (dy / dist) * f;
+        disp.get(id).x -= dx; disp.get(id).y -= dy;
+        disp.get(other).x += dx; disp.get(other).y += dy;
+      }
+    }
+    for (const n of free) {
+      const d = disp.get(n.id);
+      const p = pos.get(n.id);
+      d.x += (mid.x - p.x) * gravity;
+      d.y += (mid.y - p.y) * gravity;
+      const len = Math.max(Math.hypot(d.x, d.y), 0.01);
+      p.x = Math.min(mid.x + half, Math.max(mid.x - half, p.x + (d.x / len) * Math.min(len, temp)));
+      p.y = Math.min(mid.y + half, Math.max(mid.y - half, p.y + (d.y / len) * Math.min(len, temp)));
+    }
+    temp = Math.max(temp * 0.97, 1);
+  }
+  const out = {};
+  for (const n of free) {
+    const p = pos.get(n.id);
+    out[n.id] = { x: p.x - n.w / 2, y: p.y - n.h / 2 };
+  }
+  // with pinned nodes the result is already framed around them
+  return pinned.length ? out : anchor(free, out);
+}
+
+// Layers by longest path from the nodes nothing points at (cycles are
+// broken at the edge that closes them), ordered within each layer by the
+// average position of their parents
+function hierarchicalLayout(nodes, edges) {
+  const free = nodes.filter(n => !n.pinned);
+  if (!free.length) return {};
+  const ids = new Set(free.map(n => n.id));
+  const byId = new Map(free.map(n => [n.id, n]));
+  const outs = new Map(free.map(n => [n.id, []]));
+  for (const e of edges || []) {
+    if (ids.has(e.from) && ids.has(e.to) && e.from !== e.to) outs.get(e.from).push(e.to);
+  }
+  // parents over the edges that remain once DFS back edges (the ones that
+  // close a cycle) are dropped
+  const inc = new Map(free.map(n => [n.id, []]));
+  const mark = new Map(); // 1 = on the DFS stack, 2 = done
+  const visit = (id) => {
+    mark.set(id, 1);
+    for (const to of outs.get(id)) {
+      if (mark.get(to) === 1) continue;
+      inc.get(to).push(id);
+      if (!mark.get(to)) visit(to);
+    }
+    mark.set(id, 2);
+  };
+  const order = free.slice().sort((a, b) => a.y - b.y || a.x - b.x).map(n => n.id);
+  for (const id of order) if (!mark.get(id)) visit(id);
+
+  const layer = new Map();
+  const depth = (id) => {
+    if (!layer.has(id)) layer.set(id, inc.get(id).length ? 1 + Math.max(...inc.get(id).map(depth)) : 0);
+    return layer.get(id);
+  };
+  for (const id of order) depth(id);
+  const layers = [];
+  for (const id of order) (layers[layer.get(id)] = layers[layer.get(id)] || []).push(id);
+
+  // barycenter ordering, a few sweeps down
+  const rank = new Map();
+  layers[0].forEach((id, i) => rank.set(id, i));
+  for (let sweep = 0; sweep < 4; sweep++) {
+    for (let l = 1; l < layers.length; l++) {
+      const bary = (id) => {
+        const ps = inc.get(id).filter(p => rank.has(p));
+        return ps.length ? ps.reduce((s, p) => s + rank.get(p), 0) / ps.length : rank.get(id) ?? 0;
+      };
+      layers[l].sort((a, b) => bary(a) - bary(b));
+      layers[l].forEach((id, i) => rank.set(id, i));
+    }
+  }
+
+  const colW = Math.max(...free.map(n => n.w)) + GAP_X;
+  const rowH = Math.max(...free.map(n => n.h)) + GAP_Y;
+  const widest = Math.max(...layers.map(l => l.length));
+  const res = {};
+  layers.forEach((row, l) => {
+    const offset = ((widest - row.length) * colW) / 2; // centre each layer
+    row.forEach((id, i) => {
+      const n = byId.get(id);
+      res[id] = { x: offset + i * colW + (colW - GAP_X - n.w) / 2, y: l * rowH };
+    });
+  });
+  return anchor(free, res);
+}
+
+// Around a circle, in breadth-first order per connected group so linked
+// nodes sit next to each other
+function circularLayout(nodes, edges) {
+  const free = nodes.filter(n => !n.pinned);
+  if (!free.length) return {};
+  const adj = neighbours(free, edges);
+  const start = free.slice().sort((a, b) => a.y - b.y || a.x - b.x);
+  const seen = new Set();
+  const order = [];
+  for (const n of start) {
+    if (seen.has(n.id)) continue;
+    const queue = [n.id];
+    seen.add(n.id);
+    while (queue.length) {
+      const id = queue.shift();
+      order.push(id);
+      for (const m of [...adj.get(id)].sort()) if (!seen.has(m)) { seen.add(m); queue.push(m); }
+    }
+  }
+  const byId = new Map(free.map(n => [n.id, n]));
+  const size = Math.max(...free.map(n => Math.max(n.w, n.h)));
+  const radius = free.length === 1 ? 0 : Math.max(size, (free.length * (size + GAP_X / 2)) / (2 * Math.PI));
+  const res = {};
+  order.forEach((id, i) => {
+    const a = (2 * Math.PI * i) / order.length - Math.PI / 2;
+    const n = byId.get(id);
+    res[id] = { x: radius + radius * Math.cos(a) - n.w / 2, y: radius + radius * Math.sin(a) - n.h / 2 };
+  });
+  return anchor(free, res);
+}
+
+// One block per lore kind (non-lore entries and kindless lore last),
+// side by side, each a grid of roughly square shape
+function gridByKindLayout(nodes, edges, { kindKey = (k) => String(k || '').trim().toLowerCase() } = {}) {
+  const free = nodes.filter(n => !n.pinned);
+  if (!free.length) return {};
+  const groups = new Map();
+  for (const n of free.slice().sort((a, b) => a.y - b.y || a.x - b.x)) {
+    const key = kindKey(n.kind);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(n);
+  }
+  const keys = [...groups.keys()].sort((a, b) => (a === '') - (b === '') || a.localeCompare(b));
+  const cellW = Math.max(...free.map(n => n.w)) + GAP_X / 2;
+  const cellH = Math.max(...free.map(n => n.h)) + GAP_Y / 3;
+  const res = {};
+  let left = 0;
+  for (const key of keys) {
+    const list = groups.get(key);
+    const cols = Math.ceil(Math.sqrt(list.length));
+    list.forEach((n, i) => { res[n.id] = { x: left + (i % cols) * cellW, y: Math.floor(i / cols) * cellH }; });
+    left += cols * cellW + GAP_X;
+  }
+  return anchor(free, res);
+}
+
+function runLayout(key, nodes, edges, opts = {}) {
+  switch (key) {
+    case 'force': return forceLayout(nodes, edges, opts);
+    case 'hierarchical': return hierarchicalLayout(nodes, edges);
+    case 'circular': return circularLayout(nodes, edges);
+    case 'grid-kind': return gridByKindLayout(nodes, edges, opts);
+    default: return {};
+  }
+}
+
+module.exports = { LAYOUTS, forceLayout, hierarchicalLayout, circularLayout, gridByKindLayout, runLayout };
@@ -0,0 +1,109 @@
+// src/shared/web.links.js
+// What a line on the relationship web means. A link may carry, next to its
+// geometry (fromNode/fromHandle/toNode/toHandle/cpOffset):
+//   label      free text drawn along the line
+//   type       relationship type, a name from the project's palette
+//   direction  'one-way' (arrow at toNode), 'two-way' or 'none'
+//   color      '#rrggbb', overriding the type's color
+//   style      'solid' | 'dashed' | 'dotted', overriding the type's style
+// The palette lives per project as `link_types` in data/project.json:
+// [{ name, color, style, direction }]; a link's own color/style/direction
+// win over its type's.
+
+const LINK_DIRECTIONS = ['one-way', 'two-way', 'none'];
+const LINK_STYLES = ['solid', 'dashed', 'dotted'];
+const LINK_PROPS = ['label', 'type', 'direction', 'color', 'style'];
+const DEFAULT_LINK_COLOR = '#1e90ff';
+
+const DEFAULT_LINK_TYPES = [
+  { name: 'ally', color: '#16a34a', style: 'solid', direction: 'two-way' },
+  { name: 'rival', color: '#dc2626', style: 'dashed', direction: 'two-way' },
+  { name: 'family', color: '#9333ea', style: 'solid', direction: 'none' },
+  { name: 'romance', color: '#db2777', style: 'solid', direction: 'two-way' },
+  { name: 'mentor', color: '#2563eb', style: 'solid', direction: 'one-way' },
+  { name: 'serves', color: '#ca8a04', style: 'dotted', direction: 'one-way' },
+];
+
+const isColor = (c) => typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c);
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Stored `link_types` → clean palette. Projects that never saved one get
+// DEFAULT_LINK_TYPES.
+function normalizeLinkTypes(stored) {
+  const src = Array.isArray(stored) ? stored : DEFAULT_LINK_TYPES;
+  const out = [];
+  for (const t of src) {
+    const name = String((t && t.name) || '').trim();
+    if (!name || out.some(x => sameName(x.name, name))) continue;
+    out.push({
+      name,
+      color: isColor(t.color) ? t.color.toLowerCase() : DEFAULT_LINK_COLOR,
+      style: LINK_STYLES.includes(t.style) ? t.style : 'solid',
+      direction: LINK_DIRECTIONS.includes(t.direction) ? t.direction : 'none',
+    });
+  }
+  return out;
+}
+
+function linkTypeFor(palette, name) {
+  return (palette || []).find(t => sameName(t.name, name)) || null;
+}
+
+// The meaning props a link has set, validated → { label?, type?, … }.
+// Used to persist a link and to carry its meaning over a reconnect.
+function pickLinkProps(link) {
+  const out = {};
+  if (!link) return out;
+  const label = String(link.label ?? '').trim();
+  const type = String(link.type ?? '').trim();
+  if (label) out.label = label;
+  if (type) out.type = type;
+  if (LINK_DIRECTIONS.includes(link.direction)) out.direction = link.direction;
+  if (isColor(link.color)) out.color = link.color.toLowerCase();
+  if (LINK_STYLES.includes(link.style)) out.style = link.style;
+  return out;
+}
+
+// How to draw a link: its own props over its type's over the plain default
+// → { label, color, style, direction }
+function resolveLinkLook(link, palette) {
+  const own = pickLinkProps(link);
+  const type = own.type ? linkTypeFor(palette, own.type) : null;
+  return {
+    label: own.label || '',
+    color: own.color || (type && type.color) || DEFAULT_LINK_COLOR,
+    style: own.style || (type && type.style) || 'solid',
+    direction: own.direction || (type && type.direction) || 'none',
+  };
+}
+
+// SVG stroke-dasharray for a line style (null = solid)
+function dashArray(style, width = 3) {
+  if (style === 'dashed') return `${width * 3} ${width * 2}`;
+  if (style === 'dotted') return `0 ${width * 2}`;
+  return null;
+}
+
+// After a palette rename, point links of type `from` at `to`. Mutates the
+// links. → number of links changed
+function renameLinkType(links, from, to) {
+  let n = 0;
+  for (const link of Object.values(links || {})) {
+    if (link && link.type && sameName(link.type, from) && link.type !== to) { link.type = to; n++; }
+  }
+  return n;
+}
+
+module.exports = {
+  LINK_DIRECTIONS,
+  LINK_STYLES,
+  LINK_PROPS,
+  DEFAULT_LINK_COLOR,
+  DEFAULT_LINK_TYPES,
+  normalizeLinkTypes,
+  linkTypeFor,
+  pickLinkProps,
+  resolveLinkLook,
+  dashArray,
+  renameLinkType,
+};
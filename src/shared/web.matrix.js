@@ -0,0 +1,49 @@
+// src/shared/web.matrix.js
+// The relationship web as a matrix: every node on the web is a row and a
+// column, and each cell holds the links between that pair. Links are
+// directed (fromNode → toNode) and may carry a relationship `type`
+// ("ally", "parent", …); a cell lists links both ways, each marked
+// 'out' (row → column) or 'in' (column → row).
+
+const RELATIONSHIP_TYPES = [
+  'ally', 'rival', 'friend', 'enemy', 'parent', 'child', 'sibling', 'spouse',
+  'lover', 'mentor', 'student', 'leader', 'member', 'rules', 'serves', 'owns',
+];
+
+// Web nodes → rows [{ nodeId, label, entry }] sorted by label. `entryOf`
+// returns the entry a node shows (or null; the row is labelled by node id).
+function matrixRows(nodes, entryOf) {
+  return Object.keys(nodes || {})
+    .map(nodeId => {
+      const entry = entryOf(nodes[nodeId], nodeId) || null;
+      return { nodeId, entry, label: (entry && entry.title) || '(Untitled)' };
+    })
+    .sort((a, b) => a.label.localeCompare(b.label, undefined, { sensitivity: 'base' }) || a.nodeId.localeCompare(b.nodeId));
+}
+
+// Links between nodes `a` (row) and `b` (column)
+// → [{ linkId, link, dir: 'out'|'in' }] in link order
+function linksBetween(links, a, b) {
+  const out = [];
+  for (const [linkId, link] of Object.entries(links || {})) {
+    if (!link) continue;
+    if (link.fromNode === a && link.toNode === b) out.push({ linkId, link, dir: 'out' });
+    else if (link.fromNode === b && link.toNode === a) out.push({ linkId, link, dir: 'in' });
+  }
+  return out;
+}
+
+// Relationship types in use on `links`, then `defaults` (the project's link
+// type palette, else RELATIONSHIP_TYPES), without repeats
+function knownTypes(links, defaults = RELATIONSHIP_TYPES) {
+  const seen = new Map();
+  const add = (t) => {
+    const v = String(t || '').trim();
+    if (v && !seen.has(v.toLowerCase())) seen.set(v.toLowerCase(), v);
+  };
+  for (const l of Object.values(links || {})) add(l && l.type);
+  (defaults || []).forEach(add);
+  return [...seen.values()];
+}
+
+module.exports = { RELATIONSHIP_TYPES, matrixRows, linksBetween, knownTypes };
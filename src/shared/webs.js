@@ -0,0 +1,66 @@
+// src/shared/webs.js
+// A project's relationship webs are the files data/timeline.json,
+// data/timeline2.json, timeline3.json, … — web N lives in file N and has the
+// code TMLPRJ-<project>-<N, 6 digits>. project.json `selectedGraph` holds the
+// code of the web shown on the canvas.
+
+const WEB_FILE_RE = /^timeline(\d*)\.json$/;
+
+const webFileName = (index) => (index === 1 ? 'timeline.json' : `timeline${index}.json`);
+
+// 'timeline3.json' → 3, 'timeline.json' → 1, anything else → null
+function webIndexOfFile(name) {
+  const m = WEB_FILE_RE.exec(String(name || ''));
+  return m ? (m[1] ? parseInt(m[1], 10) : 1) : null;
+}
+
+function webCode(projectId, index) {
+  return `TMLPRJ-${String(projectId || 1).padStart(4, '0')}-${String(index).padStart(6, '0')}`;
+}
+
+// Directory listing → [{ file, index }] of web files in web order
+function listWebFiles(names) {
+  return (names || [])
+    .map(file => ({ file, index: webIndexOfFile(file) }))
+    .filter(w => w.index)
+    .sort((a, b) => a.index - b.index);
+}
+
+// Lowest index with no file yet (gaps left by deleted webs are reused)
+function nextWebIndex(names) {
+  const used = new Set(listWebFiles(names).map(w => w.index));
+  let i = 1;
+  while (used.has(i)) i++;
+  return i;
+}
+
+// `base` or "base (copy)", "base (copy 2)", … not already in `titles`
+function uniqueWebTitle(base, titles) {
+  const taken = new Set((titles || []).map(t => String(t || '').trim().toLowerCase()));
+  const root = String(base || 'Relationship Web').trim();
+  if (!taken.has(root.toLowerCase())) return root;
+  for (let n = 1; ; n++) {
+    const t = n === 1 ? `${root} (copy)` : `${root} (copy ${n})`;
+    if (!taken.has(t.toLowerCase())) return t;
+  }
+}
+
+// A stored web as a new web: same nodes, links and settings (deep-copied)
+// under a new id/code/title
+function copyWeb(data, { id, code, title, now }) {
+  const src = data || {};
+  return {
+    id,
+    code,
+    title,
+    description: src.description || '',
+    nodes: JSON.parse(JSON.stringify(src.nodes || {})),
+    links: JSON.parse(JSON.stringify(src.links || {})),
+    settings: JSON.parse(JSON.stringify(src.settings || {})),
+    created_at: now,
+    updated_at: now,
+    type: 'relationshipweb',
+  };
+}
+
+module.exports = { WEB_FILE_RE, webFileName, webIndexOfFile, webCode, listWebFiles, nextWebIndex, uniqueWebTitle, copyWeb };